@@ -21,6 +21,32 @@ import {
   FreshnessTimeline,
 } from './visualizations.js';
 
+// Analysis job phases (GET /api/jobs/:id/events), in pipeline order
+const PHASE_LABELS = {
+  acquire: 'Phase 1: Acquire',
+  understand: 'Phase 2: Understand',
+  seo: 'Phase 3: SEO analysis',
+  geo: 'Phase 4: GEO analysis',
+  llm: 'Phase 5: LLM insights',
+};
+
+const STEP_LABELS = {
+  fetch: 'Fetching raw HTML...',
+  render: 'Rendering in headless browser...',
+  static: 'Fetching raw HTML for comparison...',
+  mobile: 'Rendering on an emulated phone...',
+  botProbe: 'Fetching as AI crawlers...',
+  robotsTxt: 'Checking robots.txt...',
+  aiFiles: 'Looking for llms.txt and ai.txt...',
+  classify: 'Detecting page type...',
+  shopifyCatalog: 'Fetching Shopify catalog...',
+};
+
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
+// localStorage key for the API key, on servers that require one
+const API_KEY_STORAGE = 'luminowApiKey';
+
 class LuminowApp {
   constructor() {
     this.currentResults = null;
@@ -57,6 +83,9 @@ class LuminowApp {
     this.historyList = document.getElementById('historyList');
     this.loadingOverlay = document.getElementById('loadingOverlay');
     this.loadingStatus = document.getElementById('loadingStatus');
+    this.loadingPhases = document.getElementById('loadingPhases');
+    this.loadingProgressBar = document.getElementById('loadingProgressBar');
+    this.cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
     this.errorToast = document.getElementById('errorToast');
     this.tabs = document.querySelectorAll('.tab');
     this.tabPanes = document.querySelectorAll('.tab-pane');
@@ -79,6 +108,7 @@ class LuminowApp {
 
   bindEvents() {
     this.form.addEventListener('submit', (e) => this.handleAnalyze(e));
+    this.cancelAnalysisBtn.addEventListener('click', () => this.cancelAnalysis());
 
     // Custom validation tooltip for URL input
     this.urlInput.addEventListener('invalid', (e) => {
@@ -268,18 +298,9 @@ class LuminowApp {
     this.showLoading();
 
     try {
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
-      });
+      const results = await this.runAnalysisJob(url);
+      if (!results) return; // Cancelled
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Analysis failed');
-      }
-
-      const results = await response.json();
       this.currentResults = results;
       this.displayResults(results);
       this.loadHistory();
@@ -291,6 +312,126 @@ class LuminowApp {
     }
   }
 
+  /**
+   * Queue an analysis job and follow its event stream until it finishes
+   * @returns {Promise<Object|null>} Results, or null when cancelled
+   */
+  async runAnalysisJob(url) {
+    const response = await this.apiFetch('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || error.error || 'Analysis failed');
+    }
+
+    const job = await response.json();
+    this.currentJobId = job.id;
+    this.jobPhases = job.phases.map(phase => ({ name: phase.name, status: phase.status }));
+    this.renderPhases();
+
+    return new Promise((resolve, reject) => {
+      // EventSource reconnects on its own, resuming after Last-Event-ID; it can't
+      // send headers, so the API key goes in the query string
+      const apiKey = localStorage.getItem(API_KEY_STORAGE);
+      const source = new EventSource(`/api/jobs/${job.id}/events${apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : ''}`);
+      this.jobEvents = source;
+      let results = null;
+
+      source.addEventListener('phase', (e) => this.updatePhase(JSON.parse(e.data)));
+      source.addEventListener('result', (e) => {
+        results = JSON.parse(e.data).result;
+      });
+      source.addEventListener('state', (e) => {
+        const { state, error, position } = JSON.parse(e.data);
+        if (state === 'queued') {
+          this.loadingStatus.textContent = position > 1 ? `Queued (${position - 1} ahead)...` : 'Queued...';
+        }
+        if (!FINISHED_JOB_STATES.includes(state)) return;
+
+        source.close();
+        this.jobEvents = null;
+        this.currentJobId = null;
+        if (state === 'completed') resolve(results);
+        else if (state === 'cancelled') resolve(null);
+        else reject(new Error(error || 'Analysis failed'));
+      });
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          this.jobEvents = null;
+          reject(new Error('Lost connection to the analysis'));
+        }
+      };
+    });
+  }
+
+  /**
+   * Apply a phase event ({ phase, status, step }) to the progress list
+   */
+  updatePhase({ phase, status, step }) {
+    const index = this.jobPhases.findIndex(p => p.name === phase);
+    if (index === -1) return;
+
+    if (status === 'running') {
+      // Starting a phase finishes the ones before it
+      this.jobPhases.slice(0, index)
+        .filter(p => p.status === 'running')
+        .forEach(p => { p.status = 'done'; });
+      this.loadingStatus.textContent = STEP_LABELS[step] || `${PHASE_LABELS[phase]}...`;
+    }
+    this.jobPhases[index].status = status;
+    this.renderPhases();
+  }
+
+  renderPhases() {
+    const phases = this.jobPhases || [];
+    const finished = phases.filter(p => p.status === 'done' || p.status === 'skipped').length;
+    this.loadingProgressBar.style.width = phases.length ? `${Math.round((finished / phases.length) * 100)}%` : '0';
+
+    this.loadingPhases.innerHTML = phases.map(p => `
+      <li class="${p.status}">
+        <span>${PHASE_LABELS[p.name] || this.escapeHtml(p.name)}</span>
+        <span>${p.status === 'pending' ? '' : p.status}</span>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * fetch() for the API, sending the stored API key
+   * On 401 asks for a key once, saves it and retries
+   */
+  async apiFetch(url, options = {}) {
+    const send = () => {
+      const apiKey = localStorage.getItem(API_KEY_STORAGE);
+      return fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(apiKey ? { 'X-API-Key': apiKey } : {}) },
+      });
+    };
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    const apiKey = window.prompt('This Luminow server requires an API key:');
+    if (!apiKey) return response;
+    localStorage.setItem(API_KEY_STORAGE, apiKey.trim());
+    return send();
+  }
+
+  async cancelAnalysis() {
+    if (!this.currentJobId) return;
+    this.loadingStatus.textContent = 'Cancelling...';
+    this.cancelAnalysisBtn.disabled = true;
+    try {
+      await this.apiFetch(`/api/jobs/${this.currentJobId}/cancel`, { method: 'POST' });
+    } catch (error) {
+      console.error('Cancel error:', error);
+    }
+  }
+
   displayResults(results) {
     this.historySection.style.display = 'none';
     this.resultsSection.style.display = 'block';
@@ -514,7 +655,7 @@ class LuminowApp {
     btn.disabled = true;
 
     try {
-      const response = await fetch('/api/llm/query-simulation', {
+      const response = await this.apiFetch('/api/llm/query-simulation', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -587,7 +728,7 @@ class LuminowApp {
     btn.disabled = true;
 
     try {
-      const response = await fetch('/api/llm/deep-analysis', {
+      const response = await this.apiFetch('/api/llm/deep-analysis', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1136,7 +1277,7 @@ class LuminowApp {
 
   async loadHistory() {
     try {
-      const response = await fetch('/api/results');
+      const response = await this.apiFetch('/api/results');
       const results = await response.json();
       this.displayHistory(results);
     } catch (error) {
@@ -1192,7 +1333,7 @@ class LuminowApp {
 
   async loadResult(id) {
     try {
-      const response = await fetch(`/api/results/${id}`);
+      const response = await this.apiFetch(`/api/results/${id}`);
       const result = await response.json();
       this.currentResults = result;
       this.displayResults(result);
@@ -1232,29 +1373,11 @@ class LuminowApp {
     this.btnText.style.display = 'none';
     this.btnLoader.style.display = 'block';
 
-    // Animate loading status with algorithm phases
-    const statuses = [
-      'Phase 1: Launching headless browser...',
-      'Phase 1: Loading webpage...',
-      'Phase 1: Checking crawl accessibility...',
-      'Phase 2: Detecting page type...',
-      'Phase 2: Extracting structured data...',
-      'Phase 2: Extracting product data...',
-      'Phase 3: Running SEO analysis...',
-      'Phase 3: Checking indexability...',
-      'Phase 3: Analyzing content quality...',
-      'Phase 4: Running GEO analysis...',
-      'Phase 4: Checking AI crawl access...',
-      'Phase 4: Analyzing citability...',
-      'Phase 5: Generating recommendations...',
-      'Phase 5: Compiling report...',
-    ];
-
-    let i = 0;
-    this.loadingInterval = setInterval(() => {
-      this.loadingStatus.textContent = statuses[i % statuses.length];
-      i++;
-    }, 1500);
+    // Real phase progress arrives from the job's event stream (runAnalysisJob)
+    this.loadingStatus.textContent = 'Queued...';
+    this.cancelAnalysisBtn.disabled = false;
+    this.jobPhases = [];
+    this.renderPhases();
   }
 
   hideLoading() {
@@ -1263,9 +1386,11 @@ class LuminowApp {
     this.btnText.style.display = 'block';
     this.btnLoader.style.display = 'none';
 
-    if (this.loadingInterval) {
-      clearInterval(this.loadingInterval);
+    if (this.jobEvents) {
+      this.jobEvents.close();
+      this.jobEvents = null;
     }
+    this.currentJobId = null;
   }
 
   showError(message) {
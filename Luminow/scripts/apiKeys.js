@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * API key admin CLI
+ *
+ *   npm run keys -- create --name "Acme agency" [--scopes analyze,results:read] [--rate 60/min] [--quota 500]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id | prefix>
+ *
+ * --rate takes requests per sec / min / hour (e.g. 10/sec, 600/hour); --quota
+ * is units per UTC day, 0 for unlimited. The key is printed once on creation -
+ * only its hash is stored.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { getApiKeyStore, API_SCOPES } from '../src/security/apiKeys.js';
+
+const WINDOWS = { sec: 1000, min: 60 * 1000, hour: 60 * 60 * 1000 };
+
+const USAGE = `Usage:
+  npm run keys -- create --name <name> [--scopes ${API_SCOPES.join(',')}] [--rate 60/min] [--quota 500]
+  npm run keys -- list
+  npm run keys -- revoke <id | prefix>`;
+
+const parseRate = (value) => {
+  const match = String(value).match(/^(\d+)(?:\/(sec|min|hour))?$/);
+  if (!match) throw new Error(`Invalid --rate "${value}" (expected e.g. 60/min)`);
+  return { requests: Number(match[1]), windowMs: WINDOWS[match[2] || 'min'] };
+};
+
+const formatRate = ({ requests, windowMs }) => {
+  const unit = Object.keys(WINDOWS).find(name => WINDOWS[name] === windowMs);
+  return unit ? `${requests}/${unit}` : `${requests}/${windowMs}ms`;
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string' },
+      rate: { type: 'string' },
+      quota: { type: 'string' },
+    },
+  });
+  const [command, target] = positionals;
+  const store = getApiKeyStore();
+
+  if (command === 'create') {
+    if (!values.name) throw new Error('--name is required');
+    const quota = values.quota === undefined ? undefined : Number(values.quota);
+    if (quota !== undefined && (!Number.isInteger(quota) || quota < 0)) {
+      throw new Error(`Invalid --quota "${values.quota}" (expected a whole number, 0 = unlimited)`);
+    }
+
+    const { key, record } = await store.create({
+      name: values.name,
+      scopes: values.scopes ? values.scopes.split(',').map(scope => scope.trim()).filter(Boolean) : undefined,
+      rateLimit: values.rate ? parseRate(values.rate) : undefined,
+      dailyQuota: quota,
+    });
+
+    console.log(`Created key ${record.id} for "${record.name}"`);
+    console.log(`  scopes: ${record.scopes.join(', ')}`);
+    console.log(`  rate limit: ${formatRate(record.rateLimit)}, daily quota: ${record.dailyQuota || 'unlimited'}`);
+    console.log(`\n  ${key}\n`);
+    console.log('Store it now - it cannot be shown again.');
+    return;
+  }
+
+  if (command === 'list') {
+    const keys = await store.list();
+    const usage = await store.usageToday();
+    if (keys.length === 0) {
+      console.log('No API keys issued (the API is open unless API_AUTH=required).');
+      return;
+    }
+    for (const record of keys) {
+      const status = record.revokedAt ? `revoked ${record.revokedAt}` : 'active';
+      console.log(`${record.id}  ${record.prefix}…  ${record.name}  [${status}]`);
+      console.log(`    scopes: ${record.scopes.join(', ')}; rate: ${formatRate(record.rateLimit)}; ` +
+        `today: ${usage[record.id] || 0}/${record.dailyQuota || '∞'}; created ${record.createdAt}`);
+    }
+    return;
+  }
+
+  if (command === 'revoke') {
+    if (!target) throw new Error('Give the key ID or prefix to revoke');
+    const record = await store.revoke(target);
+    if (!record) throw new Error(`No key matches "${target}"`);
+    console.log(`Revoked key ${record.id} (${record.name})`);
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = command ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
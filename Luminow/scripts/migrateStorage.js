@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Import JSON results into SQLite
+ *
+ *   npm run storage:migrate -- [--from data] [--to data/luminow.db] [--dry-run]
+ *
+ * Copies every data/*.json result with its replay bundle (data/bundles) and
+ * every batch record (data/batches). The JSON files are left in place; set
+ * STORAGE_BACKEND=sqlite afterwards to serve from the database. Safe to
+ * re-run - records are upserted by ID.
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { parseArgs } from 'util';
+import { JsonFileStorage } from '../src/storage/jsonFileStorage.js';
+import { SqliteStorage } from '../src/storage/sqliteStorage.js';
+import { migrateStorage } from '../src/storage/migration.js';
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  const source = new JsonFileStorage(values.from ? path.resolve(values.from) : null);
+  const target = new SqliteStorage(values.to ? path.resolve(values.to) : process.env.SQLITE_PATH || null);
+  const dryRun = values['dry-run'];
+
+  console.log(`${dryRun ? 'Checking' : 'Importing'} ${source.storagePath} -> ${target.dbPath}`);
+
+  try {
+    const report = await migrateStorage(source, target, {
+      dryRun,
+      onProgress: ({ type, id }) => process.stdout.write(`  ${type} ${id}\n`),
+    });
+
+    console.log(`\n${dryRun ? 'Would import' : 'Imported'} ${report.results} results, ` +
+      `${report.bundles} replay bundles and ${report.batches} batches`);
+    if (report.skipped.length > 0) {
+      console.log(`Skipped ${report.skipped.length}:`);
+      report.skipped.forEach(({ id, reason }) => console.log(`  ${id}: ${reason}`));
+    }
+    if (!dryRun) console.log('\nSet STORAGE_BACKEND=sqlite to serve results from the database.');
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -8,6 +8,14 @@ import { fileURLToPath } from 'url';
 import { analyzeRouter } from './routes/analyze.js';
 import { resultsRouter } from './routes/results.js';
 import { llmRouter } from './routes/llm.js';
+import { crawlRouter } from './routes/crawl.js';
+import { generateRouter } from './routes/generate.js';
+import { jobsRouter } from './routes/jobs.js';
+import { getBrowserPool, closeBrowserPool } from '../src/scrapers/browserPool.js';
+import { getJobQueue } from '../src/jobs/jobQueue.js';
+import { closeStorageBackends } from '../src/storage/resultsStorage.js';
+import { getApiKeyStore } from '../src/security/apiKeys.js';
+import { authenticate } from './middleware/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,7 +35,11 @@ app.use(helmet({
     },
   },
 }));
-app.use(cors());
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser (default: any)
+app.use(cors({
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*',
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Total-Count'],
+}));
 app.use(compression());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -35,15 +47,26 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Health check (no API key needed)
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    browserPool: getBrowserPool().getStatus(),
+    jobs: getJobQueue().getStatus(),
+  });
+});
+
+// API keys, rate limits and quotas (scopes are checked per route)
+app.use('/api', authenticate);
+
 // API Routes
 app.use('/api/analyze', analyzeRouter);
 app.use('/api/results', resultsRouter);
 app.use('/api/llm', llmRouter);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+app.use('/api/crawl', crawlRouter);
+app.use('/api/generate', generateRouter);
+app.use('/api/jobs', jobsRouter);
 
 // Serve main page
 app.get('/', (req, res) => {
@@ -59,7 +82,7 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -73,4 +96,16 @@ app.listen(PORT, () => {
   `);
 });
 
+// Graceful shutdown: close pooled browsers so no Chromium processes are left behind
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  await closeBrowserPool();
+  await getApiKeyStore().flushUsage();
+  await closeStorageBackends();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 export default app;
@@ -0,0 +1,159 @@
+/**
+ * API Authentication Middleware
+ *
+ * authenticate (mounted on /api) resolves the caller's API key and applies
+ * its rate limit; requireScope guards each route and takes units from the
+ * key's daily quota, given back when the request doesn't succeed (4xx / 5xx).
+ * Limits answer 429 with Retry-After.
+ *
+ * Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * EventSource can't set headers, so event streams also accept `?api_key=`.
+ *
+ * API_AUTH: 'required' | 'off' | 'auto' (default - required once a key has
+ * been issued with `npm run keys -- create`, so a fresh checkout still runs
+ * without setup; revoking every key afterwards doesn't reopen the API)
+ */
+
+import { getApiKeyStore } from '../../src/security/apiKeys.js';
+import { RateLimiter } from '../../src/security/rateLimiter.js';
+
+const AUTH_MODES = ['required', 'off', 'auto'];
+
+const rateLimiter = new RateLimiter();
+
+const authMode = () => {
+  const mode = process.env.API_AUTH || 'auto';
+  return AUTH_MODES.includes(mode) ? mode : 'required';
+};
+
+const secondsUntil = time => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+const keyFromRequest = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+  if (req.method === 'GET' && (req.get('Accept') || '').includes('text/event-stream')) {
+    return typeof req.query.api_key === 'string' ? req.query.api_key : null;
+  }
+  return null;
+};
+
+const tooManyRequests = (res, error, message, resetAt) => {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, message, retryAfter });
+};
+
+/**
+ * Resolve the API key (req.apiKey) and count the request against its rate limit
+ * req.apiKey is null when auth is off
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const store = getApiKeyStore();
+    const mode = authMode();
+    if (mode === 'off' || (mode === 'auto' && !(await store.hasIssuedKeys()))) {
+      req.apiKey = null;
+      return next();
+    }
+
+    const key = keyFromRequest(req);
+    const record = await store.authenticate(key);
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer realm="luminow"');
+      return res.status(401).json({
+        error: key ? 'Invalid API key' : 'API key required',
+        message: key
+          ? 'The API key is unknown or has been revoked'
+          : 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+      });
+    }
+
+    const rate = rateLimiter.hit(record.id, record.rateLimit);
+    res.set({
+      'RateLimit-Limit': String(rate.limit),
+      'RateLimit-Remaining': String(rate.remaining),
+      'RateLimit-Reset': String(secondsUntil(rate.resetAt)),
+    });
+    if (!rate.allowed) {
+      return tooManyRequests(res, 'Rate limit exceeded',
+        `This API key allows ${rate.limit} requests per ${Math.round(record.rateLimit.windowMs / 1000)}s`, rate.resetAt);
+    }
+
+    req.apiKey = record;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take units from the caller's daily quota, answering 429 when it can't cover them
+ * For routes whose cost depends on the request (batch size, crawl pages) - call
+ * after validating it. The units are given back if the response ends up 4xx
+ * or 5xx (e.g. a 503 when the job queue is full).
+ * @param {Object} req - Request (req.apiKey from authenticate)
+ * @param {Object} res - Response
+ * @param {number} units - Units to take
+ * @returns {Promise<boolean>} false when a 429 was sent
+ */
+export const chargeQuota = async (req, res, units = 1) => {
+  if (!req.apiKey || units <= 0) return true;
+
+  const quota = await getApiKeyStore().consume(req.apiKey, units);
+  if (quota.limit > 0) {
+    res.set({ 'X-Quota-Limit': String(quota.limit), 'X-Quota-Remaining': String(quota.remaining) });
+  }
+  if (!quota.allowed) {
+    tooManyRequests(res, 'Daily quota exceeded',
+      `This request needs ${units} unit(s); ${quota.remaining} of ${quota.limit} left today (resets at 00:00 UTC)`,
+      quota.resetAt);
+    return false;
+  }
+
+  // Requests that don't succeed (bad input, missing bundle, a later scope or
+  // quota check, a full job queue) cost nothing
+  const { apiKey } = req;
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      getApiKeyStore().refund(apiKey, units)
+        .catch(error => console.error('Failed to refund API key quota:', error));
+    }
+  });
+  return true;
+};
+
+/**
+ * Check a scope on the caller's key, answering 403 when it is missing
+ * For scopes that depend on the request (e.g. 'llm' for `llm: true`)
+ * @param {Object} req - Request (req.apiKey from authenticate)
+ * @param {Object} res - Response
+ * @param {string} scope - Required scope
+ * @returns {boolean} false when a 403 was sent
+ */
+export const checkScope = (req, res, scope) => {
+  if (!req.apiKey || req.apiKey.scopes.includes(scope)) return true;
+
+  res.status(403).json({
+    error: 'Insufficient scope',
+    message: `This API key does not have the '${scope}' scope`,
+    required: scope,
+  });
+  return false;
+};
+
+/**
+ * Require a scope on the caller's key
+ * @param {string} scope - 'analyze' | 'results:read' | 'results:delete' | 'llm'
+ * @param {Object} options - Options
+ * @param {number} options.quota - Daily quota units each call takes (default 0)
+ */
+export const requireScope = (scope, options = {}) => async (req, res, next) => {
+  if (!checkScope(req, res, scope)) return;
+
+  try {
+    if (await chargeQuota(req, res, options.quota || 0)) next();
+  } catch (error) {
+    next(error);
+  }
+};
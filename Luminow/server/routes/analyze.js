@@ -1,141 +1,263 @@
 import express from 'express';
-import { WebScraper } from '../../src/scrapers/webScraper.js';
-import { SEOAnalyzer } from '../../src/analyzers/seoAnalyzer.js';
-import { GEOAnalyzer } from '../../src/analyzers/geoAnalyzer.js';
 import { ResultsStorage } from '../../src/storage/resultsStorage.js';
+import { runAnalysis, validateAnalysisRequest, checkAnalysisUrl, analysisParams } from '../../src/jobs/analysisJob.js';
+import { runBatch } from '../../src/jobs/batchJob.js';
+import { getJobQueue } from '../../src/jobs/jobQueue.js';
+import { SCRAPE_MODES } from '../../src/scrapers/webScraper.js';
+import { parseUrlList, csvFromMultipart } from '../../src/utils/urlList.js';
+import { getUrlPolicy, UrlPolicyError, urlPolicyErrorBody } from '../../src/security/urlPolicy.js';
+import { requireScope, checkScope, chargeQuota } from '../middleware/auth.js';
 
 const router = express.Router();
 const storage = new ResultsStorage();
 
+// Upper bounds for batch requests
+const BATCH_LIMITS = {
+  maxUrls: 500,
+  concurrency: 5,
+};
+
+// Batches still running, served live by GET /batch/:id (finished ones come from storage)
+const activeBatches = new Map();
+
 /**
  * POST /api/analyze
  * Analyze a URL for SEO (0-100) and GEO (0-800) optimization
  * Based on the LuMinoSity Algorithm specification
+ *
+ * Holds the request open until the analysis finishes - behind proxies with
+ * short timeouts use POST /api/jobs instead
+ *
+ * Request body:
+ * {
+ *   url: string,
+ *   mode: 'static' | 'rendered' | 'both' (optional, default 'rendered'),
+ *   record: boolean (optional - save a replay bundle, downloadable from
+ *     GET /api/results/:id/bundle),
+ *   replayId: string (optional - re-run a recorded analysis offline from its bundle),
+ *   llm: boolean (optional - add LLM insights when a provider is configured;
+ *     needs the 'llm' scope and takes a second quota unit),
+ *   mobileAudit: boolean (optional, default false - mobile emulation pass, a second render),
+ *   botProbe: boolean (optional, default false - fetch the page as each AI bot),
+ *   aiFilesAudit: boolean (optional, default false - llms.txt, llms-full.txt and ai.txt),
+ *   shopifyCatalog: boolean (optional, default false - Shopify catalog JSON on Shopify pages)
+ * }
+ *
+ * A replay runs the audits the replay request asks for, answered from the bundle
  */
-router.post('/', async (req, res) => {
-  const { url } = req.body;
-
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
+router.post('/', requireScope('analyze', { quota: 1 }), async (req, res) => {
+  const invalid = validateAnalysisRequest(req.body) || await checkAnalysisUrl(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json(invalid.body);
   }
 
-  // Validate URL format
+  const params = analysisParams(req.body);
+
   try {
-    new URL(url);
-  } catch (e) {
-    return res.status(400).json({ error: 'Invalid URL format' });
+    let replay = null;
+    if (params.replayId) {
+      replay = await storage.getBundle(params.replayId);
+      if (!replay) {
+        return res.status(404).json({ error: 'Replay bundle not found' });
+      }
+    }
+
+    // LLM insights need the 'llm' scope and take a second quota unit
+    if (params.llm) {
+      if (!checkScope(req, res, 'llm')) return;
+      if (!(await chargeQuota(req, res, 1))) return;
+    }
+
+    const overallResults = await runAnalysis(params, { storage, replay });
+    res.json(overallResults);
+  } catch (error) {
+    // e.g. the page redirected to a blocked address
+    if (error instanceof UrlPolicyError) {
+      return res.status(error.status).json(urlPolicyErrorBody(error));
+    }
+    console.error('Analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to analyze URL',
+      message: error.message,
+    });
   }
+});
 
-  try {
-    console.log(`Starting analysis for: ${url}`);
+/**
+ * POST /api/analyze/batch
+ * Analyze a list of URLs in the background as one job
+ *
+ * JSON body:
+ * {
+ *   urls: [string | { url: string, tags: string[] | 'a;b' }],
+ *   csv: string (optional - CSV text instead of urls),
+ *   mode: 'static' | 'rendered' | 'both' (optional, default 'rendered'),
+ *   concurrency: number (optional, default 2, max 5 - capped at JOB_CONCURRENCY, one job slot each)
+ * }
+ *
+ * Or a CSV upload (Content-Type: text/csv, or multipart/form-data with one
+ * file) with mode and concurrency in the query string. The CSV either has a
+ * header row with a `url` column (and optionally `tags`), or lists the URL
+ * first and tags in the other columns.
+ *
+ * URLs the URL policy refuses are returned in `rejected` with the reason.
+ * Each accepted URL takes one unit of the API key's daily quota.
+ *
+ * Responds 202 with the batch ID and its job (progress via /api/jobs/:id/events);
+ * GET /api/analyze/batch/:id returns the summary once done.
+ */
+router.post('/batch', requireScope('analyze'), express.text({ type: ['text/csv', 'text/plain', 'multipart/form-data'], limit: '5mb' }), async (req, res) => {
+  const contentType = req.get('Content-Type') || '';
+  const upload = typeof req.body === 'string';
 
-    // Phase 1 & 2: Scrape the webpage (Acquire & Understand)
-    const scraper = new WebScraper();
-    const pageData = await scraper.scrape(url);
+  let input;
+  if (upload) {
+    const csv = contentType.startsWith('multipart/form-data') ? csvFromMultipart(req.body, contentType) : req.body;
+    if (csv === null) {
+      return res.status(400).json({ error: 'No CSV file in upload' });
+    }
+    input = { csv };
+  } else {
+    input = { urls: req.body?.urls, csv: req.body?.csv };
+  }
 
-    // Phase 3: Run SEO Analysis (0-100 score)
-    const seoAnalyzer = new SEOAnalyzer();
-    const seoResults = seoAnalyzer.analyze(pageData);
+  const settings = upload ? req.query : req.body || {};
+  const mode = settings.mode || 'rendered';
+  const concurrency = Number(settings.concurrency ?? 2);
 
-    // Phase 4: Run GEO Analysis (0-800 score)
-    const geoAnalyzer = new GEOAnalyzer();
-    const geoResults = geoAnalyzer.analyze(pageData);
+  if (!SCRAPE_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid scrape mode', allowed: SCRAPE_MODES });
+  }
 
-    // Phase 5: Compile overall results
-    const overallResults = {
-      id: crypto.randomUUID(),
-      url,
-      analyzedAt: new Date().toISOString(),
-
-      // Page metadata
-      pageInfo: {
-        title: pageData.title,
-        url: pageData.url,
-        finalUrl: pageData.finalUrl,
-        loadTime: pageData.loadTime,
-        statusCode: pageData.statusCode,
-        pageType: pageData.pageType,
-        wordCount: pageData.wordCount,
-      },
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_LIMITS.concurrency) {
+    return res.status(400).json({
+      error: 'Invalid concurrency',
+      message: `concurrency must be an integer up to ${BATCH_LIMITS.concurrency}`,
+    });
+  }
+
+  const parsed = parseUrlList(input, { maxUrls: BATCH_LIMITS.maxUrls });
+  const { duplicates } = parsed;
 
-      // SEO Results (0-100)
-      seo: seoResults,
+  const verdicts = await Promise.all(parsed.entries.map(entry => getUrlPolicy().check(entry.url)));
+  const entries = parsed.entries.filter((_, i) => verdicts[i].allowed);
+  const rejected = [
+    ...parsed.rejected,
+    ...parsed.entries
+      .map((entry, i) => ({ row: entry.row, value: entry.url, reason: verdicts[i].reason, code: verdicts[i].code }))
+      .filter((_, i) => !verdicts[i].allowed),
+  ];
 
-      // GEO Results (0-800)
-      geo: geoResults,
+  if (entries.length === 0) {
+    return res.status(400).json({ error: 'No valid URLs', rejected });
+  }
 
-      // Combined scoring
-      overallScore: calculateOverallScore(seoResults, geoResults),
+  try {
+    if (!(await chargeQuota(req, res, entries.length))) return;
 
-      // Extracted product data (for e-commerce pages)
-      extractedProduct: pageData.pageType?.isProductPage ? pageData.productData : null,
+    const batch = {
+      id: crypto.randomUUID(),
+      jobId: null,
+      state: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      mode,
+      concurrency,
+      owner: req.apiKey?.id ?? null, // API key that started the batch
+      source: input.csv !== undefined && input.csv !== null ? 'csv' : 'json',
+      rejected,
+      duplicates,
+      pages: entries.map(entry => ({ url: entry.url, tags: entry.tags, status: 'pending' })),
+      summary: null,
     };
+    await storage.saveBatch(batch);
 
-    // Store results
-    await storage.save(overallResults);
+    const queue = getJobQueue();
+    const job = queue.add(
+      ({ signal, report, slots }) => runBatch(batch, { storage, signal, report, slots }),
+      {
+        type: 'batch',
+        params: { batchId: batch.id, mode, concurrency, urls: entries.length },
+        slots: concurrency,
+        owner: req.apiKey?.id,
+      },
+    );
 
-    console.log(`Analysis complete for: ${url}`);
-    console.log(`  SEO Score: ${seoResults.score}/100`);
-    console.log(`  GEO Score: ${geoResults.score}/800 (${geoResults.band?.band})`);
+    if (!job) {
+      // Never ran - don't leave it looking queued
+      Object.assign(batch, { state: 'failed', finishedAt: new Date().toISOString(), error: 'Job queue is full' });
+      await storage.saveBatch(batch);
+      return res.status(503).json({
+        error: 'Job queue is full',
+        message: 'Too many analyses are waiting - try again shortly',
+      });
+    }
 
-    res.json(overallResults);
+    batch.jobId = job.id;
+    activeBatches.set(batch.id, batch);
+    const unsubscribe = queue.subscribe(job.id, (event) => {
+      if (event.type === 'state' && ['completed', 'failed', 'cancelled'].includes(event.data.state)) {
+        activeBatches.delete(batch.id);
+        setImmediate(() => unsubscribe?.());
+      }
+    });
+
+    console.log(`Queued batch ${batch.id}: ${entries.length} URLs (${rejected.length} rejected, ${duplicates} duplicates)`);
+
+    res.status(202)
+      .location(`/api/analyze/batch/${batch.id}`)
+      .json({
+        id: batch.id,
+        jobId: job.id,
+        state: job.state,
+        total: entries.length,
+        rejected,
+        duplicates,
+        links: {
+          self: `/api/analyze/batch/${batch.id}`,
+          job: `/api/jobs/${job.id}`,
+          events: `/api/jobs/${job.id}/events`,
+          cancel: `/api/jobs/${job.id}/cancel`,
+        },
+      });
   } catch (error) {
-    console.error('Analysis error:', error);
+    console.error('Batch error:', error);
     res.status(500).json({
-      error: 'Failed to analyze URL',
+      error: 'Failed to start batch',
       message: error.message,
     });
   }
 });
 
 /**
- * Calculate overall score combining SEO and GEO
- * SEO: 0-100, GEO: 0-800
- * Overall: weighted combination normalized to 0-100
+ * GET /api/analyze/batch/:id
+ * Batch record: one row per URL (with the stored result ID) and, once
+ * finished, the summary - score distribution, worst pages, most common issues
  */
-function calculateOverallScore(seoResults, geoResults) {
-  // Normalize GEO score to 0-100 scale
-  const geoNormalized = (geoResults.score / 800) * 100;
-
-  // Weight: 50% SEO, 50% GEO
-  const seoWeight = 0.5;
-  const geoWeight = 0.5;
-
-  const combinedScore = (seoResults.score * seoWeight) + (geoNormalized * geoWeight);
-
-  // Calculate letter grade
-  let grade;
-  if (combinedScore >= 90) grade = 'A+';
-  else if (combinedScore >= 85) grade = 'A';
-  else if (combinedScore >= 80) grade = 'A-';
-  else if (combinedScore >= 75) grade = 'B+';
-  else if (combinedScore >= 70) grade = 'B';
-  else if (combinedScore >= 65) grade = 'B-';
-  else if (combinedScore >= 60) grade = 'C+';
-  else if (combinedScore >= 55) grade = 'C';
-  else if (combinedScore >= 50) grade = 'C-';
-  else if (combinedScore >= 45) grade = 'D+';
-  else if (combinedScore >= 40) grade = 'D';
-  else grade = 'F';
-
-  return {
-    score: Math.round(combinedScore),
-    grade,
-    breakdown: {
-      seo: {
-        score: seoResults.score,
-        maxScore: 100,
-        weight: '50%',
-      },
-      geo: {
-        score: geoResults.score,
-        maxScore: 800,
-        normalized: Math.round(geoNormalized),
-        band: geoResults.band?.band,
-        weight: '50%',
-      },
-    },
-  };
-}
+router.get('/batch/:id', requireScope('results:read'), async (req, res) => {
+  try {
+    const batch = activeBatches.get(req.params.id) || await storage.getBatch(req.params.id);
+    // Only the API key that started the batch sees it
+    if (!batch || (batch.owner ?? null) !== (req.apiKey?.id ?? null)) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    // Live progress while the job is still known to the queue
+    const job = batch.jobId ? getJobQueue().get(batch.jobId) : null;
+    const view = job ? getJobQueue().toJSON(job, { includeResult: false }) : null;
+    const { owner, ...record } = batch;
+    res.json({
+      ...record,
+      pages: batch.pages.map(({ issues, ...page }) => page),
+      progress: view
+        ? { state: view.state, percent: view.progress, completed: view.completed ?? 0, total: view.total ?? batch.pages.length }
+        : null,
+    });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
 
 export { router as analyzeRouter };
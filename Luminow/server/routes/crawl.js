@@ -0,0 +1,129 @@
+import express from 'express';
+import { SCRAPE_MODES } from '../../src/scrapers/webScraper.js';
+import { runCrawl, CRAWL_PHASES } from '../../src/jobs/crawlJob.js';
+import { getJobQueue } from '../../src/jobs/jobQueue.js';
+import { getUrlPolicy, urlPolicyErrorBody } from '../../src/security/urlPolicy.js';
+import { requireScope, chargeQuota } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Upper bounds for user-supplied crawl settings
+const LIMITS = {
+  maxPages: 500,
+  maxDepth: 10,
+  concurrency: 5,
+};
+
+/**
+ * POST /api/crawl
+ * Queue a crawl of a site (sitemaps + internal links) that audits every page,
+ * and return its job ID at once (202). Follow it with GET /api/jobs/:id or
+ * /api/jobs/:id/events; the crawl report is the completed job's result.
+ *
+ * Request body:
+ * {
+ *   url: string,
+ *   maxPages: number (optional, default 50, max 500),
+ *   maxDepth: number (optional, default 3, max 10),
+ *   concurrency: number (optional, default 2, max 5 - capped at JOB_CONCURRENCY, one job slot each),
+ *   mode: 'static' | 'rendered' | 'both' (optional, default 'rendered'),
+ *   useSitemaps: boolean (optional, default true),
+ *   followLinks: boolean (optional, default true),
+ *   collectPerformance: boolean (optional, default false - throttled lab Core Web Vitals per page),
+ *   mobileAudit: boolean (optional, default false - mobile emulation pass per page),
+ *   botProbe: boolean (optional, default false - fetch every page as each AI bot),
+ *   shopifyCatalog: boolean (optional, default false - Shopify catalog JSON per page)
+ * }
+ */
+router.post('/', requireScope('analyze'), async (req, res) => {
+  const {
+    url,
+    maxPages = 50,
+    maxDepth = 3,
+    concurrency = 2,
+    mode = 'rendered',
+    useSitemaps = true,
+    followLinks = true,
+    collectPerformance = false,
+    mobileAudit = false,
+    botProbe = false,
+    shopifyCatalog = false,
+  } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  try {
+    new URL(url);
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid URL format' });
+  }
+
+  const verdict = await getUrlPolicy().check(url);
+  if (!verdict.allowed) {
+    return res.status(verdict.status).json(urlPolicyErrorBody(verdict));
+  }
+
+  if (!SCRAPE_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid scrape mode', allowed: SCRAPE_MODES });
+  }
+
+  const settings = { maxPages, maxDepth, concurrency };
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Number.isInteger(value) || value < (key === 'maxDepth' ? 0 : 1) || value > LIMITS[key]) {
+      return res.status(400).json({
+        error: `Invalid ${key}`,
+        message: `${key} must be an integer up to ${LIMITS[key]}`,
+      });
+    }
+  }
+
+  try {
+    // Up to maxPages pages are fetched
+    if (!(await chargeQuota(req, res, maxPages))) return;
+
+    const params = {
+      url,
+      ...settings,
+      mode,
+      useSitemaps: useSitemaps !== false,
+      followLinks: followLinks !== false,
+      collectPerformance: collectPerformance === true,
+      mobileAudit: mobileAudit === true,
+      botProbe: botProbe === true,
+      shopifyCatalog: shopifyCatalog === true,
+    };
+    const queue = getJobQueue();
+    const job = queue.add(
+      ({ signal, report, slots }) => runCrawl(params, { signal, report, slots }),
+      { type: 'crawl', params, phases: CRAWL_PHASES, slots: concurrency, owner: req.apiKey?.id },
+    );
+
+    if (!job) {
+      return res.status(503).json({
+        error: 'Job queue is full',
+        message: 'Too many analyses are waiting - try again shortly',
+      });
+    }
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        ...queue.toJSON(job),
+        links: {
+          self: `/api/jobs/${job.id}`,
+          events: `/api/jobs/${job.id}/events`,
+          cancel: `/api/jobs/${job.id}/cancel`,
+        },
+      });
+  } catch (error) {
+    console.error('Error queueing crawl:', error);
+    res.status(500).json({
+      error: 'Failed to queue crawl',
+      message: error.message,
+    });
+  }
+});
+
+export { router as crawlRouter };
@@ -0,0 +1,124 @@
+import express from 'express';
+import { SiteCrawler } from '../../src/scrapers/siteCrawler.js';
+import { WebScraper, SCRAPE_MODES } from '../../src/scrapers/webScraper.js';
+import { LlmsTxtGenerator } from '../../src/generators/llmsTxtGenerator.js';
+import { getUrlPolicy, UrlPolicyError, urlPolicyErrorBody } from '../../src/security/urlPolicy.js';
+import { requireScope, chargeQuota } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Upper bounds for user-supplied settings
+const LIMITS = {
+  maxPages: 500,
+  maxDepth: 10,
+  maxBytes: 200 * 1024,
+  maxFullBytes: 5 * 1024 * 1024,
+};
+
+/**
+ * POST /api/generate/llms-txt
+ * Crawl a site and build ready-to-publish llms.txt and llms-full.txt files
+ *
+ * Request body:
+ * {
+ *   url: string,
+ *   maxPages: number (optional, default 100, max 500),
+ *   maxDepth: number (optional, default 3, max 10),
+ *   mode: 'static' | 'rendered' | 'both' (optional, default 'static' - titles and
+ *     meta descriptions are in the raw HTML, and it's much faster for big catalogs),
+ *   maxBytes: number (optional, llms.txt size cap, default 50 KiB, max 200 KiB),
+ *   maxFullBytes: number (optional, llms-full.txt size cap, default 1 MiB, max 5 MiB)
+ * }
+ */
+router.post('/llms-txt', requireScope('analyze'), async (req, res) => {
+  const {
+    url,
+    maxPages = 100,
+    maxDepth = 3,
+    mode = 'static',
+    maxBytes = 50 * 1024,
+    maxFullBytes = 1024 * 1024,
+  } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  try {
+    new URL(url);
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid URL format' });
+  }
+
+  const verdict = await getUrlPolicy().check(url);
+  if (!verdict.allowed) {
+    return res.status(verdict.status).json(urlPolicyErrorBody(verdict));
+  }
+
+  if (!SCRAPE_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid scrape mode', allowed: SCRAPE_MODES });
+  }
+
+  const settings = { maxPages, maxDepth, maxBytes, maxFullBytes };
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Number.isInteger(value) || value < (key === 'maxDepth' ? 0 : 1) || value > LIMITS[key]) {
+      return res.status(400).json({
+        error: `Invalid ${key}`,
+        message: `${key} must be an integer up to ${LIMITS[key]}`,
+      });
+    }
+  }
+
+  try {
+    // Up to maxPages pages are fetched
+    if (!(await chargeQuota(req, res, maxPages))) return;
+
+    console.log(`Generating llms.txt for: ${url} (maxPages: ${maxPages})`);
+
+    const generator = new LlmsTxtGenerator({ maxBytes, maxFullBytes });
+    const crawler = new SiteCrawler({
+      maxPages,
+      maxDepth,
+      mode,
+      analyze: false,
+      // Only titles, descriptions and text are needed - skip the per-page audits
+      scraper: new WebScraper({
+        mode,
+        collectPerformance: false,
+        mobileAudit: false,
+        botProbe: false,
+        aiFilesAudit: false,
+      }),
+      onPage: page => generator.addPage(page.url, page.pageData),
+    });
+    const report = await crawler.crawl(url);
+    const result = generator.generate(url);
+
+    console.log(`llms.txt generated for: ${url} (${result.stats.pages} pages, ${result.stats.bytes} bytes)`);
+
+    res.json({
+      url,
+      generatedAt: new Date().toISOString(),
+      llmsTxt: result.llmsTxt,
+      llmsFullTxt: result.llmsFullTxt,
+      stats: result.stats,
+      crawl: {
+        pagesCrawled: report.pages.length,
+        errors: report.errors.length,
+        skipped: report.skipped.length,
+        existingLlmsTxt: report.discovery.llmsTxtFound,
+      },
+    });
+  } catch (error) {
+    if (error instanceof UrlPolicyError) {
+      return res.status(error.status).json(urlPolicyErrorBody(error));
+    }
+    console.error('llms.txt generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate llms.txt',
+      message: error.message,
+    });
+  }
+});
+
+export { router as generateRouter };
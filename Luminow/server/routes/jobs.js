@@ -0,0 +1,175 @@
+import express from 'express';
+import { ResultsStorage } from '../../src/storage/resultsStorage.js';
+import { getJobQueue } from '../../src/jobs/jobQueue.js';
+import { requireScope, checkScope, chargeQuota } from '../middleware/auth.js';
+import { runAnalysis, validateAnalysisRequest, checkAnalysisUrl, analysisParams, ANALYSIS_PHASES } from '../../src/jobs/analysisJob.js';
+
+const router = express.Router();
+const storage = new ResultsStorage();
+
+// Comment line sent on idle event streams so proxies don't close them
+const HEARTBEAT_INTERVAL = 15000;
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * The requested job, only for the API key that queued it (null when auth is
+ * off) - other keys get a 404 as if it didn't exist
+ */
+const findJob = (req) => {
+  const job = getJobQueue().get(req.params.id);
+  return job && job.owner === (req.apiKey?.id ?? null) ? job : null;
+};
+
+/**
+ * POST /api/jobs
+ * Queue an analysis and return its job ID at once (202)
+ *
+ * Request body: same as POST /api/analyze
+ * {
+ *   url: string,
+ *   mode: 'static' | 'rendered' | 'both' (optional, default 'rendered'),
+ *   record: boolean (optional),
+ *   replayId: string (optional),
+ *   llm: boolean (optional),
+ *   mobileAudit, botProbe, aiFilesAudit, shopifyCatalog: boolean (optional, default false)
+ * }
+ */
+router.post('/', requireScope('analyze', { quota: 1 }), async (req, res) => {
+  const invalid = validateAnalysisRequest(req.body) || await checkAnalysisUrl(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json(invalid.body);
+  }
+
+  const params = analysisParams(req.body);
+
+  try {
+    let replay = null;
+    if (params.replayId) {
+      replay = await storage.getBundle(params.replayId);
+      if (!replay) {
+        return res.status(404).json({ error: 'Replay bundle not found' });
+      }
+    }
+
+    // LLM insights need the 'llm' scope and take a second quota unit
+    if (params.llm) {
+      if (!checkScope(req, res, 'llm')) return;
+      if (!(await chargeQuota(req, res, 1))) return;
+    }
+
+    const job = getJobQueue().add(
+      ({ signal, report }) => runAnalysis(params, {
+        storage,
+        replay,
+        signal,
+        onPhase: event => report('phase', event),
+      }),
+      { type: 'analysis', params, phases: ANALYSIS_PHASES, owner: req.apiKey?.id },
+    );
+
+    if (!job) {
+      return res.status(503).json({
+        error: 'Job queue is full',
+        message: 'Too many analyses are waiting - try again shortly',
+      });
+    }
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        ...getJobQueue().toJSON(job),
+        links: {
+          self: `/api/jobs/${job.id}`,
+          events: `/api/jobs/${job.id}/events`,
+          cancel: `/api/jobs/${job.id}/cancel`,
+        },
+      });
+  } catch (error) {
+    console.error('Error queueing job:', error);
+    res.status(500).json({ error: 'Failed to queue analysis', message: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job state, phase progress and, once completed, the analysis results
+ */
+router.get('/:id', requireScope('results:read'), (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(getJobQueue().toJSON(job));
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events: 'state', 'phase' and 'result' events as the job runs.
+ * Logged events are replayed first (after Last-Event-ID when reconnecting);
+ * the stream ends once the job has finished.
+ */
+router.get('/:id/events', requireScope('results:read'), (req, res) => {
+  const queue = getJobQueue();
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  // compression() buffers writes until flushed
+  const write = (chunk) => {
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    res.end();
+  };
+
+  let closed = false;
+  const send = (event) => {
+    if (closed) return;
+    write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'state' && FINISHED_STATES.includes(event.data.state)) {
+      closed = true;
+      // Replay runs inside subscribe(), before unsubscribe is assigned
+      setImmediate(close);
+    }
+  };
+
+  unsubscribe = queue.subscribe(job.id, send, { after: req.get('Last-Event-ID') });
+  req.on('close', () => {
+    closed = true;
+    close();
+  });
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job (running jobs stop at their next step)
+ */
+router.post('/:id/cancel', requireScope('analyze'), (req, res) => {
+  const queue = getJobQueue();
+  if (!findJob(req)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const job = queue.cancel(req.params.id);
+  if (FINISHED_STATES.includes(job.state) && job.state !== 'cancelled') {
+    return res.status(409).json({ error: `Job already ${job.state}`, job: queue.toJSON(job, { includeResult: false }) });
+  }
+  res.status(202).json(queue.toJSON(job, { includeResult: false }));
+});
+
+export { router as jobsRouter };
@@ -1,5 +1,6 @@
 import express from 'express';
 import { LLMProcessor, getLLMProcessor } from '../../src/llm/llmProcessor.js';
+import { requireScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -7,7 +8,7 @@ const router = express.Router();
  * GET /api/llm/status
  * Check LLM configuration status
  */
-router.get('/status', (req, res) => {
+router.get('/status', requireScope('llm'), (req, res) => {
   const processor = getLLMProcessor();
   const info = processor.getProviderInfo();
 
@@ -31,7 +32,7 @@ router.get('/status', (req, res) => {
  *   geoResults: { score, pageType, pillars, ... }
  * }
  */
-router.post('/enhance', async (req, res) => {
+router.post('/enhance', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { pageData, geoResults } = req.body;
 
@@ -83,7 +84,7 @@ router.post('/enhance', async (req, res) => {
  *   pageUrl: "https://..."
  * }
  */
-router.post('/simulate-query', async (req, res) => {
+router.post('/simulate-query', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { query, pageContent, pageUrl } = req.body;
 
@@ -130,7 +131,7 @@ router.post('/simulate-query', async (req, res) => {
  *   geoResults: { score, pageType, ... }
  * }
  */
-router.post('/citation-likelihood', async (req, res) => {
+router.post('/citation-likelihood', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { pageData, geoResults } = req.body;
 
@@ -177,7 +178,7 @@ router.post('/citation-likelihood', async (req, res) => {
  *   geoResults: { pillars, ... }
  * }
  */
-router.post('/content-suggestions', async (req, res) => {
+router.post('/content-suggestions', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { pageData, geoResults } = req.body;
 
@@ -226,7 +227,7 @@ router.post('/content-suggestions', async (req, res) => {
  *   geoScore: 500
  * }
  */
-router.post('/query-simulation', async (req, res) => {
+router.post('/query-simulation', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { query, url, pageContent, geoScore } = req.body;
 
@@ -284,7 +285,7 @@ router.post('/query-simulation', async (req, res) => {
  *   seoResults: { score, categories, ... }
  * }
  */
-router.post('/deep-analysis', async (req, res) => {
+router.post('/deep-analysis', requireScope('llm', { quota: 1 }), async (req, res) => {
   try {
     const { url, pageContent, geoResults, seoResults } = req.body;
 
@@ -354,7 +355,7 @@ router.post('/deep-analysis', async (req, res) => {
  * DELETE /api/llm/cache
  * Clear LLM response cache
  */
-router.delete('/cache', (req, res) => {
+router.delete('/cache', requireScope('llm'), (req, res) => {
   const processor = getLLMProcessor();
   processor.clearCache();
 
@@ -1,16 +1,33 @@
 import express from 'express';
 import { ResultsStorage } from '../../src/storage/resultsStorage.js';
+import { parseResultQuery } from '../../src/storage/resultQuery.js';
+import { requireScope } from '../middleware/auth.js';
 
 const router = express.Router();
 const storage = new ResultsStorage();
 
 /**
  * GET /api/results
- * Get all analysis results
+ * List analysis results (summaries), newest first
+ *
+ * Query parameters (all optional):
+ *   url, domain (www. ignored), pageType, batchId,
+ *   from / to (YYYY-MM-DD or ISO 8601, inclusive),
+ *   minScore / maxScore on scoreType ('overall' (default) | 'seo' | 'geo'),
+ *   limit (default 100, max 1000), offset
+ *
+ * The JSON backend only searches the latest 100 results; SQLite searches all.
+ * X-Total-Count carries the number of matches.
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('results:read'), async (req, res) => {
+  const { query, error } = parseResultQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid query', message: error });
+  }
+
   try {
-    const results = await storage.getAll();
+    const { results, total } = await storage.query(query);
+    res.set('X-Total-Count', String(total));
     res.json(results);
   } catch (error) {
     console.error('Error fetching results:', error);
@@ -22,7 +39,7 @@ router.get('/', async (req, res) => {
  * GET /api/results/:id
  * Get a specific analysis result by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('results:read'), async (req, res) => {
   try {
     const result = await storage.getById(req.params.id);
     if (!result) {
@@ -35,11 +52,29 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/results/:id/bundle
+ * Download the replay bundle recorded with an analysis (POST /api/analyze with record: true)
+ */
+router.get('/:id/bundle', requireScope('results:read'), async (req, res) => {
+  try {
+    const bundle = await storage.getBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+    res.attachment(`luminow-bundle-${req.params.id}.json`);
+    res.json(bundle.toJSON());
+  } catch (error) {
+    console.error('Error fetching bundle:', error);
+    res.status(500).json({ error: 'Failed to fetch bundle' });
+  }
+});
+
 /**
  * DELETE /api/results/:id
  * Delete a specific analysis result
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('results:delete'), async (req, res) => {
   try {
     await storage.delete(req.params.id);
     res.json({ success: true, message: 'Result deleted' });
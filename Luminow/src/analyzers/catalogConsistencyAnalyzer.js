@@ -0,0 +1,274 @@
+/**
+ * Catalog Consistency Analyzer Module
+ *
+ * Compares a Shopify page's structured data and visible content with the
+ * store's own catalog (ShopifyCatalog: /products/<handle>.js and .json).
+ * Themes generate JSON-LD from Liquid templates that drift from the catalog -
+ * hard-coded availability, a price without the active discount, variants left
+ * out - and AI shopping engines that cross-check with Shopify's feeds or the
+ * checkout distrust the page when they disagree.
+ *
+ * Every mismatch names the field, the variant and all three values:
+ *
+ *   { severity: 'critical', code: 'price-mismatch', field: 'price',
+ *     variant: '11 / Slate', catalog: 150, schema: 140, visible: null,
+ *     message: 'Schema price of variant "11 / Slate" is 140, catalog says 150' }
+ *
+ * 'critical' mismatches are wrong facts (price, availability, variants that
+ * don't exist), 'warning' ones are gaps or naming drift, 'info' is cosmetic.
+ */
+
+import { EntityGraph, asArray } from '../utils/entityGraph.js';
+import { normalizeIdentifier } from '../utils/productIdentifiers.js';
+import {
+  variantsFromSchema,
+  findMatchingVariant,
+  normalizeAvailability,
+  isPurchasable,
+  priceValue,
+  variantLabel,
+} from '../utils/productVariants.js';
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+const normalizeText = value => String(value || '').toLowerCase().replace(/[\s–—-]+/g, ' ').trim();
+
+const nameOf = value => String((value && typeof value === 'object' ? value.name : value) || '').trim();
+
+// Shopify CDN image identity: file name without size suffix, version query or protocol
+const imageKey = url => String(url || '')
+  .replace(/[?#].*$/, '')
+  .split('/')
+  .pop()
+  .replace(/_(?:\d+x\d*|\d*x\d+|pico|icon|thumb|small|compact|medium|large|grande|original|master)(?=\.[a-z]+$)/i, '')
+  .toLowerCase();
+
+export class CatalogConsistencyAnalyzer {
+  /**
+   * Create a new CatalogConsistencyAnalyzer
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxMismatches: 50,
+      ...options,
+    };
+  }
+
+  /**
+   * Compare a scraped page with its catalog entry
+   * @param {Object} pageData - WebScraper page data (with shopifyCatalog)
+   * @returns {Object} { applicable, kind, reason, consistent, counts, checked, mismatches }
+   */
+  analyze(pageData) {
+    const catalog = pageData.shopifyCatalog;
+    if (!catalog?.available) {
+      return {
+        applicable: false,
+        kind: null,
+        reason: catalog?.reason || 'No Shopify catalog data',
+        consistent: true,
+        counts: { critical: 0, warning: 0, info: 0 },
+        checked: { variants: 0 },
+        mismatches: [],
+      };
+    }
+
+    const mismatches = catalog.kind === 'collection'
+      ? this.compareCollection(pageData, catalog.collection)
+      : this.compareProduct(pageData, catalog.product);
+
+    mismatches.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    const counts = { critical: 0, warning: 0, info: 0 };
+    mismatches.forEach(mismatch => counts[mismatch.severity]++);
+
+    return {
+      applicable: true,
+      kind: catalog.kind,
+      reason: null,
+      consistent: counts.critical + counts.warning === 0,
+      counts,
+      checked: { variants: catalog.product?.variants.length || 0 },
+      mismatches: mismatches.slice(0, this.options.maxMismatches),
+      truncated: mismatches.length > this.options.maxMismatches,
+    };
+  }
+
+  /**
+   * Product page: title, brand, images, every variant, the visible price
+   */
+  compareProduct(pageData, product) {
+    const mismatches = [];
+    const add = (severity, code, field, values, message) => mismatches.push({
+      severity,
+      code,
+      field,
+      variant: values.variant ?? null,
+      catalog: values.catalog ?? null,
+      schema: values.schema ?? null,
+      visible: values.visible ?? null,
+      message,
+    });
+
+    const schema = pageData.productSchema || EntityGraph.fromPageData(pageData).getPrimaryProduct();
+    const productData = pageData.productData || {};
+    const catalogTitle = normalizeText(product.title);
+
+    // Title
+    const schemaName = nameOf(schema?.name);
+    if (schema && schemaName && catalogTitle && !normalizeText(schemaName).includes(catalogTitle)) {
+      add('warning', 'title-mismatch', 'title', { catalog: product.title, schema: schemaName },
+        `Schema name "${schemaName}" differs from catalog title "${product.title}"`);
+    }
+    if (productData.visibleName && catalogTitle && !normalizeText(productData.visibleName).includes(catalogTitle)) {
+      add('warning', 'visible-title-mismatch', 'title', { catalog: product.title, visible: productData.visibleName },
+        `Visible title "${productData.visibleName}" differs from catalog title "${product.title}"`);
+    }
+
+    // Brand: the vendor is usually the brand (stores selling their own goods use the shop name)
+    const brand = nameOf(schema?.brand);
+    if (brand && product.vendor && normalizeText(brand) !== normalizeText(product.vendor)) {
+      add('info', 'brand-mismatch', 'brand', { catalog: product.vendor, schema: brand },
+        `Schema brand "${brand}" differs from catalog vendor "${product.vendor}"`);
+    }
+
+    // Images
+    const catalogImages = new Set(product.images.map(imageKey));
+    const schemaImages = asArray(schema?.image)
+      .map(image => (image && typeof image === 'object' ? image.url || image.contentUrl : image))
+      .filter(Boolean);
+    if (catalogImages.size > 0 && schemaImages.length > 0 && !schemaImages.some(image => catalogImages.has(imageKey(image)))) {
+      add('info', 'image-mismatch', 'image', { catalog: product.images[0], schema: schemaImages[0] },
+        'None of the schema images are product images in the catalog');
+    }
+
+    // Variants
+    if (schema) this.compareVariants(schema, product, add);
+
+    // Visible price: the selected variant's price, so it has to be one of them
+    const visiblePrice = priceValue(productData.visiblePrice);
+    const catalogPrices = product.variants.map(variant => priceValue(variant.price)).filter(price => price !== null);
+    if (visiblePrice !== null && catalogPrices.length > 0 && !catalogPrices.includes(visiblePrice)) {
+      add('warning', 'visible-price-mismatch', 'price', { catalog: catalogPrices[0], visible: visiblePrice },
+        `Visible price ${visiblePrice} matches no catalog variant (catalog: ${[...new Set(catalogPrices)].join(', ')})`);
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Schema variants (or the single Product's offer) against catalog variants
+   * Mismatches are reported through `add`
+   */
+  compareVariants(schema, product, add) {
+    const schemaVariants = variantsFromSchema(schema);
+    const catalogVariants = product.variants;
+
+    if (schemaVariants.length === 0) {
+      const offer = asArray(schema.offers).find(o => o && typeof o === 'object');
+      const single = {
+        sku: String(schema.sku || ''),
+        gtin: String(schema.gtin13 || schema.gtin12 || schema.gtin || schema.gtin14 || schema.gtin8 || ''),
+        price: offer?.price ?? '',
+        availability: normalizeAvailability(offer?.availability),
+        options: {},
+      };
+      const match = catalogVariants.length === 1 ? catalogVariants[0] : findMatchingVariant(single, catalogVariants);
+      if (catalogVariants.length > 1) {
+        add('warning', 'variants-not-marked-up', 'variants', { catalog: catalogVariants.length, schema: 1 },
+          `Catalog has ${catalogVariants.length} variants but the schema describes a single product - use ProductGroup with hasVariant`);
+      }
+      if (match) {
+        this.compareVariantFields(single, match, 'product', add);
+      } else if (catalogVariants.length > 1) {
+        // No identifiers to pair with a variant: the price must at least be in range
+        const price = priceValue(single.price);
+        const { min, max } = product.priceRange || {};
+        if (price !== null && min !== undefined && (price < min || price > max)) {
+          add('critical', 'price-mismatch', 'price', { catalog: `${min}-${max}`, schema: price },
+            `Schema price ${price} is outside the catalog price range ${min}-${max}`);
+        }
+      }
+      return;
+    }
+
+    for (const variant of schemaVariants) {
+      const match = findMatchingVariant(variant, catalogVariants);
+      const label = variantLabel(variant);
+      if (!match) {
+        add('critical', 'unknown-variant', 'variants', { variant: label, schema: variant.sku || label },
+          `Schema variant "${label}" does not exist in the catalog`);
+        continue;
+      }
+      this.compareVariantFields(variant, match, `variant "${variantLabel(match)}"`, add, variantLabel(match));
+    }
+
+    const missing = catalogVariants.filter(variant => !findMatchingVariant(variant, schemaVariants));
+    for (const variant of missing) {
+      add('warning', 'missing-variant', 'variants', { variant: variantLabel(variant), catalog: variant.sku || variantLabel(variant) },
+        `Catalog variant "${variantLabel(variant)}" is missing from the schema`);
+    }
+  }
+
+  /**
+   * Price, availability, SKU and GTIN of one schema variant vs its catalog variant
+   */
+  compareVariantFields(variant, match, subject, add, label = null) {
+    const schemaPrice = priceValue(variant.price);
+    const catalogPrice = priceValue(match.price);
+    if (schemaPrice !== null && catalogPrice !== null && schemaPrice !== catalogPrice) {
+      add('critical', 'price-mismatch', 'price', { variant: label, catalog: catalogPrice, schema: schemaPrice },
+        `Schema price of ${subject} is ${schemaPrice}, catalog says ${catalogPrice}`);
+    }
+
+    if (variant.availability && match.availability && isPurchasable(variant.availability) !== isPurchasable(match.availability)) {
+      add('critical', 'availability-mismatch', 'availability', { variant: label, catalog: match.availability, schema: variant.availability },
+        `Schema marks ${subject} ${variant.availability}, catalog says ${match.availability}`);
+    }
+
+    if (variant.sku && match.sku && variant.sku.trim() !== match.sku.trim()) {
+      add('warning', 'sku-mismatch', 'sku', { variant: label, catalog: match.sku, schema: variant.sku },
+        `Schema SKU of ${subject} is "${variant.sku}", catalog says "${match.sku}"`);
+    }
+
+    const gtin = normalizeIdentifier(variant.gtin).replace(/^0+/, '');
+    const barcode = normalizeIdentifier(match.gtin).replace(/^0+/, '');
+    if (gtin && barcode && gtin !== barcode) {
+      add('warning', 'gtin-mismatch', 'gtin', { variant: label, catalog: match.gtin, schema: variant.gtin },
+        `Schema GTIN of ${subject} is ${variant.gtin}, catalog barcode is ${match.gtin}`);
+    }
+  }
+
+  /**
+   * Collection page: products listed in ItemList markup must exist in the collection
+   */
+  compareCollection(pageData, collection) {
+    const handles = new Set(collection.products.map(product => product.handle));
+    const mismatches = [];
+    if (collection.truncated) return mismatches; // Can't tell missing from not fetched
+
+    const listed = EntityGraph.fromPageData(pageData).getEntities('ItemList')
+      .flatMap(list => asArray(list.itemListElement))
+      .map(element => (element && typeof element === 'object' ? element.url || element.item?.url || element.item?.['@id'] || element.item : element))
+      .filter(url => typeof url === 'string');
+
+    for (const url of listed) {
+      const handle = url.match(/\/products\/([^/?#.]+)/)?.[1];
+      if (handle && !handles.has(decodeURIComponent(handle))) {
+        mismatches.push({
+          severity: 'warning',
+          code: 'unknown-product',
+          field: 'products',
+          variant: null,
+          catalog: null,
+          schema: url,
+          visible: null,
+          message: `ItemList links to product "${handle}", which is not in this collection`,
+        });
+      }
+    }
+    return mismatches;
+  }
+}
+
+export default CatalogConsistencyAnalyzer;
@@ -94,6 +94,37 @@ import {
   shouldUseProductMetadata,
 } from '../config/scoringProfiles.js';
 import { analyzeContentQuality, analyzeContentFreshness } from '../utils/contentAnalysis.js';
+import { KEY_CONTENT_FIELDS } from './renderDiffAnalyzer.js';
+import { CatalogConsistencyAnalyzer } from './catalogConsistencyAnalyzer.js';
+import { RobotsTxt } from '../utils/robotsTxt.js';
+import { deriveIssueId } from '../utils/issueIds.js';
+import { SYNTAX_NAMES } from '../utils/schemaMarkup.js';
+import { EntityGraph, asArray, firstOffer } from '../utils/entityGraph.js';
+import { GTIN_PROPERTIES, analyzeProductIdentifiers, findDuplicateIdentifiers } from '../utils/productIdentifiers.js';
+import { variantsFromSchema, findMatchingVariant, normalizeAvailability, isPurchasable, priceValue, variantLabel } from '../utils/productVariants.js';
+
+/**
+ * Crawl access deductions for key content that only exists after JavaScript
+ * renders - non-JS AI crawlers never see it. Applied only when a static vs
+ * rendered diff is available (WebScraper mode 'both').
+ */
+const CLIENT_RENDER_PENALTIES = {
+  name: 8,
+  price: 10,
+  productSchema: 7,
+};
+const CLIENT_RENDER_TEXT_PENALTY = 10; // Majority of page text requires JS
+const CLIENT_RENDER_MAX_PENALTY = 30;
+
+/**
+ * AI Crawl Access deductions from the live fetch-as-bot probe (BotAccessProbe).
+ * Blocks of OAI-SearchBot, PerplexityBot and ClaudeBot already zero their own
+ * checks, so the edge-block deduction only applies to the other probed bots.
+ */
+const BOT_PROBE_PENALTY = 5; // Per bot blocked at the edge or served different content
+const BOT_PROBE_MAX_PENALTY = 15;
+const SCORED_BOTS = ['OAI-SearchBot', 'PerplexityBot', 'ClaudeBot'];
+const EDGE_BLOCK_RECOMMENDATION = 'Allow verified AI crawlers in your CDN/WAF bot settings (e.g. Cloudflare Bot Fight Mode blocks them by default)';
 
 export class GEOAnalyzer {
   constructor() {
@@ -287,6 +318,12 @@ export class GEOAnalyzer {
    *    - PerplexityBot (Perplexity AI) - perplexity.ai/bot
    *    - ClaudeBot (Anthropic) - anthropic.com/claude-bot
    * 4. No restrictive snippet controls (max-snippet:0, nosnippet)
+   * 5. Key content present in raw HTML, not injected by JavaScript
+   *    (only when the scraper ran in 'both' mode)
+   * 6. Live fetch as each AI bot: blocked at the CDN/WAF or served
+   *    different content than browsers (BotAccessProbe)
+   * 7. /llms.txt, /llms-full.txt and /ai.txt presence and validity
+   *    (informational - no AI engine has committed to reading them yet)
    *
    * SCORING:
    * - HTTP 200: 20 points
@@ -295,6 +332,10 @@ export class GEOAnalyzer {
    * - PerplexityBot allowed: 15 points
    * - ClaudeBot allowed: 10 points
    * - No snippet restrictions: 10 points
+   * - Client-rendered-only key content: up to -30 points
+   *   (name -8, price -10, Product schema -7, majority of text -10)
+   * - AI bots blocked at the edge or served different content: -5 each, up to -15
+   * - llms.txt / ai.txt: 0 points (reported with recommendations only)
    *
    * GATING LOGIC:
    * - Score < 50: Apply 0.5x multiplier to final GEO score
@@ -359,7 +400,7 @@ export class GEOAnalyzer {
         message: 'OAI-SearchBot blocked - ChatGPT Search cannot cite this page',
         impact: 25,
       });
-      recommendations.push('Allow OAI-SearchBot in robots.txt for ChatGPT Search visibility');
+      recommendations.push(oaiStatus.blockedAtEdge ? EDGE_BLOCK_RECOMMENDATION : 'Allow OAI-SearchBot in robots.txt for ChatGPT Search visibility');
     }
 
     // Check 4: PerplexityBot access (15 points)
@@ -377,7 +418,7 @@ export class GEOAnalyzer {
         message: 'PerplexityBot blocked - Perplexity AI cannot cite this page',
         impact: 15,
       });
-      recommendations.push('Allow PerplexityBot in robots.txt for Perplexity visibility');
+      recommendations.push(perplexityStatus.blockedAtEdge ? EDGE_BLOCK_RECOMMENDATION : 'Allow PerplexityBot in robots.txt for Perplexity visibility');
     }
 
     // Check 5: ClaudeBot/Anthropic access (10 points)
@@ -395,6 +436,7 @@ export class GEOAnalyzer {
         message: 'ClaudeBot blocked - Anthropic AI cannot access this page',
         impact: 10,
       });
+      if (claudeStatus.blockedAtEdge) recommendations.push(EDGE_BLOCK_RECOMMENDATION);
     }
 
     // Check 6: No restrictive snippet controls (10 points)
@@ -417,6 +459,97 @@ export class GEOAnalyzer {
       recommendations.push('Remove nosnippet or increase max-snippet for AI citability');
     }
 
+    // Check 7: Key content in raw HTML (deduction)
+    // Most AI crawlers don't execute JavaScript - client-rendered facts are invisible to them
+    const renderDiff = pageData.renderDiff;
+    if (renderDiff?.available) {
+      const clientOnly = renderDiff.clientRenderedKeyContent || [];
+      const textMostlyHidden = (renderDiff.text?.hiddenPercentage || 0) >= 50;
+      let penalty = clientOnly.reduce((sum, key) => sum + (CLIENT_RENDER_PENALTIES[key] || 0), 0);
+      if (textMostlyHidden) penalty += CLIENT_RENDER_TEXT_PENALTY;
+      penalty = Math.min(penalty, CLIENT_RENDER_MAX_PENALTY);
+
+      checks.rawHtmlContent = {
+        value: penalty === 0 ? 'Key content in raw HTML' : renderDiff.summary,
+        passed: penalty === 0,
+        points: -penalty,
+      };
+      score -= penalty;
+
+      if (clientOnly.length > 0) {
+        const labels = clientOnly.map(key => KEY_CONTENT_FIELDS[key] || key).join(', ');
+        issues.push({
+          severity: clientOnly.includes('price') || clientOnly.includes('productSchema') ? 'critical' : 'warning',
+          message: `${labels} only rendered by JavaScript - invisible to GPTBot, ClaudeBot and PerplexityBot`,
+          impact: clientOnly.reduce((sum, key) => sum + (CLIENT_RENDER_PENALTIES[key] || 0), 0),
+        });
+        recommendations.push('Server-render product name, price and Product JSON-LD in the initial HTML');
+      }
+      if (textMostlyHidden) {
+        issues.push({
+          severity: 'warning',
+          message: `${renderDiff.text.hiddenPercentage}% of page text requires JavaScript to appear`,
+          impact: CLIENT_RENDER_TEXT_PENALTY,
+        });
+        recommendations.push('Render primary page content server-side so non-JS crawlers can read it');
+      }
+    }
+
+    // Check 8: Live fetch as each AI bot (deduction)
+    // robots.txt can allow a bot that the CDN still blocks, and some sites cloak per user agent
+    const botAccess = pageData.botAccess;
+    if (botAccess?.available) {
+      const probes = Object.values(botAccess.bots || {});
+      const allowedByPolicy = probe => this.checkBotDirectives(pageData, probe.bot).allowed;
+      const edgeBlocked = probes.filter(p => !p.reachable && allowedByPolicy(p));
+      const different = probes.filter(p => p.differentContent);
+      const penalty = Math.min(
+        (edgeBlocked.filter(p => !SCORED_BOTS.includes(p.bot)).length + different.length) * BOT_PROBE_PENALTY,
+        BOT_PROBE_MAX_PENALTY
+      );
+
+      checks.liveBotFetch = {
+        value: `${probes.length - botAccess.unreachable.length}/${probes.length} AI bots reachable`
+          + (different.length > 0 ? `, ${different.length} served different content` : ''),
+        passed: edgeBlocked.length === 0 && different.length === 0,
+        points: -penalty,
+      };
+      score -= penalty;
+
+      if (edgeBlocked.length > 0) {
+        issues.push({
+          severity: 'critical',
+          message: `${edgeBlocked.map(p => this.describeEdgeBlock(p)).join(', ')} - allowed by robots.txt but blocked by the server/CDN`,
+          impact: edgeBlocked.filter(p => !SCORED_BOTS.includes(p.bot)).length * BOT_PROBE_PENALTY,
+        });
+        if (!recommendations.includes(EDGE_BLOCK_RECOMMENDATION)) {
+          recommendations.push(EDGE_BLOCK_RECOMMENDATION);
+        }
+      }
+      if (different.length > 0) {
+        issues.push({
+          severity: 'warning',
+          message: `${different.map(p => p.bot).join(', ')} served different content than browsers (${[...new Set(different.flatMap(p => p.differences.map(d => d.field)))].join(', ')})`,
+          impact: different.length * BOT_PROBE_PENALTY,
+        });
+        recommendations.push('Serve AI crawlers the same HTML as browsers - user-agent cloaking can be treated as spam');
+      }
+    } else if (botAccess?.baseline) {
+      // Browsers were refused too, so bot results would prove nothing
+      checks.liveBotFetch = {
+        value: botAccess.reason,
+        passed: true,
+        points: 0,
+      };
+    }
+
+    // Checks 9-10: llms.txt and ai.txt (informational, 0 points)
+    if (pageData.aiFiles) {
+      this.checkAiFiles(pageData.aiFiles, checks, issues, recommendations);
+    }
+
+    score = Math.max(0, score);
+
     return {
       score: Math.min(score, maxScore),
       maxScore,
@@ -430,7 +563,8 @@ export class GEOAnalyzer {
   }
 
   /**
-   * Check if a specific bot is allowed based on robots.txt and meta directives
+   * Check if a specific bot is allowed based on robots.txt and meta directives,
+   * and - when the scraper probed it - whether a live fetch as the bot succeeds
    *
    * RESEARCH BASIS:
    * The web scraper now fetches robots.txt and parses it for AI bot rules.
@@ -443,43 +577,134 @@ export class GEOAnalyzer {
    * - 'GPTBot' → robotsTxt.aiBotAccess.gptBot
    */
   checkBotAccess(pageData, botName) {
-    // Map bot names to the robotsTxt data structure keys
-    const botKeyMap = {
-      'OAI-SearchBot': 'oaiSearchBot',
-      'PerplexityBot': 'perplexityBot',
-      'ClaudeBot': 'claudeBot',
-      'GPTBot': 'gptBot',
-      'ChatGPT-User': 'chatgptUser',
-      'Google-Extended': 'googleExtended',
-      'CCBot': 'ccBot',
-      'Amazonbot': 'amazonBot',
-      'anthropic-ai': 'anthropicAi',
-      'Bytespider': 'bytespider',
-    };
-
-    const botKey = botKeyMap[botName] || botName.toLowerCase().replace(/[-_]/g, '');
-
-    // Check robots.txt data from web scraper (new v2.0 format)
-    if (pageData.robotsTxt && pageData.robotsTxt.aiBotAccess) {
-      const botAccess = pageData.robotsTxt.aiBotAccess[botKey];
-      if (botAccess) {
-        const rulesStr = botAccess.rules?.length > 0
-          ? ` (${botAccess.rules.join(', ')})`
-          : '';
-        if (!botAccess.allowed) {
-          return {
-            allowed: false,
-            status: `Blocked in robots.txt${rulesStr}`,
-          };
-        }
-        // Explicitly allowed or no blocking rule found
+    const policy = this.checkBotDirectives(pageData, botName);
+
+    // A live fetch as the bot (BotAccessProbe) overrides "allowed" when the
+    // server or CDN refuses the request despite robots.txt. Inconclusive probes
+    // (the browser baseline was refused too) are unavailable and ignored
+    const probe = pageData.botAccess?.available ? pageData.botAccess.bots?.[botName] : null;
+    if (!probe || !policy.allowed) return policy;
+
+    if (!probe.reachable) {
+      return {
+        allowed: false,
+        blockedAtEdge: true,
+        status: `${policy.status} in robots.txt, but ${this.describeEdgeBlock(probe)}`,
+      };
+    }
+
+    return {
+      ...policy,
+      status: probe.differentContent
+        ? `${policy.status}; served different content`
+        : `${policy.status}; live fetch OK`,
+      differentContent: probe.differentContent,
+    };
+  }
+
+  /**
+   * Report llms.txt / llms-full.txt / ai.txt findings as informational checks
+   * Adoption by AI engines is still unconfirmed, so these never move the score
+   */
+  checkAiFiles(aiFiles, checks, issues, recommendations) {
+    const { llmsTxt, llmsFullTxt, aiTxt } = aiFiles;
+
+    // Check 9: llms.txt structure and links
+    if (llmsTxt?.found) {
+      const validation = llmsTxt.linkValidation;
+      const broken = validation?.broken || [];
+      const problems = [...llmsTxt.errors, ...(broken.length > 0 ? [`${broken.length} broken link(s)`] : [])];
+
+      checks.llmsTxt = {
+        value: `Found: ${llmsTxt.sections.length} section(s), ${llmsTxt.linkCount} link(s)`
+          + (problems.length > 0 ? ` - ${problems.join('; ')}` : ''),
+        passed: problems.length === 0,
+        points: 0,
+      };
+
+      for (const error of llmsTxt.errors) {
+        issues.push({ severity: 'info', message: `llms.txt: ${error}`, impact: 0 });
+      }
+      if (broken.length > 0) {
+        issues.push({
+          severity: 'warning',
+          message: `llms.txt links to ${broken.length} broken page(s): ${broken.slice(0, 3).map(b => `${b.url} (${b.statusCode || 'failed'})`).join(', ')}`,
+          impact: 0,
+        });
+        recommendations.push('Fix or remove broken links in /llms.txt - it should only point LLMs at live pages');
+      }
+      if (llmsTxt.errors.length > 0 || llmsTxt.warnings.length > 0) {
+        recommendations.push('Follow the llms.txt format: "# Title", a "> summary" line, then "## Section" lists of "- [Title](url): notes"');
+      }
+      if (!llmsFullTxt?.found) {
+        recommendations.push('Consider /llms-full.txt with the linked content inlined for single-fetch ingestion');
+      }
+    } else if (llmsTxt) {
+      checks.llmsTxt = {
+        value: `Not found${llmsTxt.reason ? ` (${llmsTxt.reason})` : ''}`,
+        passed: false,
+        points: 0,
+      };
+      issues.push({
+        severity: 'info',
+        message: 'No /llms.txt - optional, but gives LLMs a curated map of key pages',
+        impact: 0,
+      });
+      recommendations.push('Optional: publish /llms.txt listing key pages (products, policies, docs) for LLM tools');
+    }
+
+    // Check 10: ai.txt training permissions
+    if (aiTxt?.found) {
+      const denied = Object.entries(aiTxt.permissions).filter(([, allowed]) => !allowed).map(([media]) => media);
+      checks.aiTxt = {
+        value: denied.length === 0
+          ? 'Found: AI training allowed for all media'
+          : `Found: AI training disallowed for ${denied.join(', ')}`,
+        passed: true,
+        points: 0,
+      };
+    } else if (aiTxt) {
+      checks.aiTxt = {
+        value: 'Not found (training permissions unspecified)',
+        passed: true,
+        points: 0,
+      };
+    }
+  }
+
+  /**
+   * Short description of why a probed bot was refused
+   */
+  describeEdgeBlock(probe) {
+    if (probe.challenge) return `${probe.bot} gets a ${probe.challenge} challenge`;
+    if (probe.error) return `${probe.bot} request failed (${probe.error})`;
+    return `${probe.bot} gets HTTP ${probe.statusCode}`;
+  }
+
+  /**
+   * Check robots.txt and meta directives for a bot (policy only, no live fetch)
+   */
+  checkBotDirectives(pageData, botName) {
+    // Evaluate robots.txt for this bot's product token (RFC 9309 group selection
+    // and longest-match precedence) against the page that was actually served
+    const robotsTxt = pageData.robotsTxt;
+    if (robotsTxt && robotsTxt.aiBotAccess) {
+      const robots = RobotsTxt.fromResponse(robotsTxt.statusCode ?? null, robotsTxt.found ? robotsTxt.content : null);
+      const decision = robots.evaluate(botName, pageData.finalUrl || pageData.url || '/');
+      const rule = RobotsTxt.formatRule(decision.rule);
+
+      if (!decision.allowed) {
         return {
-          allowed: true,
-          status: botAccess.rules?.length > 0
-            ? `Allowed${rulesStr}`
-            : 'Not blocked',
+          allowed: false,
+          status: robotsTxt.serverError
+            ? `Blocked (robots.txt returned HTTP ${robotsTxt.statusCode})`
+            : `Blocked in robots.txt (${rule})`,
         };
       }
+      return {
+        allowed: true,
+        status: rule ? `Allowed (${rule})` : 'Not blocked',
+      };
     }
 
     // Fallback: check legacy robotsTxtRules format
@@ -584,8 +809,11 @@ export class GEOAnalyzer {
       if (productSchema.description) schemaPoints += 5;
       if (productSchema.brand) schemaPoints += 5;
     }
+    const schemaSyntax = productSchema?.['@syntax'];
     checks.productSchema = {
-      value: productSchema ? `${schemaPoints}/35 fields` : 'Missing',
+      value: productSchema
+        ? `${schemaPoints}/35 fields${schemaSyntax && schemaSyntax !== 'json-ld' ? ` (${SYNTAX_NAMES[schemaSyntax]})` : ''}`
+        : 'Missing',
       passed: schemaPoints >= 25,
       points: schemaPoints,
     };
@@ -604,9 +832,19 @@ export class GEOAnalyzer {
         impact: 35 - schemaPoints,
       });
     }
+    // Microdata / RDFa count like JSON-LD, but many AI crawlers only read JSON-LD blocks
+    if (schemaSyntax && schemaSyntax !== 'json-ld') {
+      issues.push({
+        severity: 'info',
+        message: `Product schema is only in ${SYNTAX_NAMES[schemaSyntax]} - some AI crawlers only read JSON-LD`,
+        impact: 0,
+      });
+      recommendations.push('Also publish the Product schema as a JSON-LD block');
+    }
 
     // Check 2: Offer Fields - Price, Currency, Availability (30 points)
-    const offers = productSchema?.offers;
+    // Offer, AggregateOffer, or the first variant offer of a ProductGroup
+    const offers = firstOffer(productSchema);
     let offerPoints = 0;
     if (offers) {
       if (offers.price || offers.lowPrice) offerPoints += 12;
@@ -636,21 +874,35 @@ export class GEOAnalyzer {
 
     // Check 3: Schema-Visible Content Consistency (15 points)
     // Critical: AI may distrust pages where schema doesn't match visible content
+    // On Shopify the storefront catalog is the source of truth as well
     const consistencyResult = this.checkSchemaConsistency(productSchema, productData);
+    const catalogResult = pageData.catalogConsistency || new CatalogConsistencyAnalyzer().analyze(pageData);
+    const consistent = consistencyResult.consistent && catalogResult.consistent;
     checks.schemaConsistency = {
-      value: consistencyResult.status,
-      passed: consistencyResult.consistent,
-      points: consistencyResult.consistent ? 15 : 5,
+      value: catalogResult.consistent ? consistencyResult.status : 'Catalog mismatch',
+      passed: consistent,
+      points: consistent ? 15 : 5,
     };
-    score += consistencyResult.consistent ? 15 : 5;
+    score += consistent ? 15 : 5;
     if (!consistencyResult.consistent) {
       issues.push({
+        id: 'productMetadata.schema-mismatch',
         severity: 'warning',
         message: `Schema mismatch: ${consistencyResult.details}`,
         impact: 10,
       });
       recommendations.push('Ensure structured data exactly matches visible page content');
     }
+    if (!catalogResult.consistent) {
+      const shown = catalogResult.mismatches.filter(m => m.severity !== 'info').slice(0, 3).map(m => m.message);
+      issues.push({
+        id: 'productMetadata.catalog-mismatch',
+        severity: catalogResult.counts.critical > 0 ? 'critical' : 'warning',
+        message: `Schema disagrees with the Shopify catalog: ${shown.join('; ')}`,
+        impact: 10,
+      });
+      recommendations.push('Generate Product structured data from the live catalog (variant prices and inventory), not hard-coded theme values');
+    }
 
     // Check 4: OpenGraph/Social Meta (10 points)
     const hasOG = pageData.hasOpenGraph;
@@ -672,17 +924,18 @@ export class GEOAnalyzer {
     }
 
     // Check 5: Variant Handling (10 points)
-    const hasVariants = productData.hasVariants || productSchema?.hasVariant;
+    const schemaVariants = asArray(productSchema?.hasVariant);
+    const hasVariants = productData.hasVariants || schemaVariants.length > 0;
     let variantPoints = 10;
     if (hasVariants) {
       // Check if variants have unique identifiers
-      const variantIds = productSchema?.hasVariant?.map(v => v.sku || v.gtin) || [];
-      const uniqueIds = new Set(variantIds).size;
-      if (uniqueIds < variantIds.length) {
+      const duplicates = findDuplicateIdentifiers(schemaVariants);
+      if (duplicates.length > 0) {
         variantPoints = 5;
+        const shared = duplicates.slice(0, 3).map(d => `${d.identifier.toUpperCase()} ${d.value} on ${d.variants.length} variants`);
         issues.push({
           severity: 'info',
-          message: 'Variants may share identifiers - harder for AI to distinguish',
+          message: `Variants share identifiers (${shared.join(', ')}) - harder for AI to distinguish`,
           impact: 5,
         });
       }
@@ -708,36 +961,92 @@ export class GEOAnalyzer {
 
   /**
    * Check consistency between schema data and visible content
+   *
+   * Every schema variant (or the single product's offer) is compared with the
+   * variant the page offers for selection - Shopify's product JSON or the
+   * variant <select> - on price and availability, and its option values must
+   * be selectable in the page's option pickers
    */
   checkSchemaConsistency(schema, visibleData) {
     if (!schema || !visibleData) {
-      return { consistent: true, status: 'Unable to verify', details: '' };
+      return { consistent: true, status: 'Unable to verify', details: '', variantsChecked: 0, mismatches: [] };
+    }
+
+    const mismatches = [];
+    const schemaVariants = variantsFromSchema(schema);
+    const pageVariants = visibleData.pageVariants || [];
+    const pickers = visibleData.variantOptions || [];
+    const offer = firstOffer(schema);
+
+    // Check price consistency: themes show the selected variant's price, so
+    // the visible price only has to belong to one of them
+    const visiblePrice = priceValue(visibleData.visiblePrice ?? visibleData.price);
+    if (visiblePrice !== null) {
+      const prices = schemaVariants.length > 0 ? schemaVariants.map(v => priceValue(v.price)) : [priceValue(offer?.price)];
+      const schemaPrices = prices.filter(price => price !== null);
+      const low = priceValue(offer?.lowPrice);
+      const inRange = low !== null && visiblePrice >= low && visiblePrice <= (priceValue(offer?.highPrice) ?? low);
+      if (schemaPrices.length > 0 && !schemaPrices.includes(visiblePrice) && !inRange) {
+        mismatches.push(`Price mismatch (schema: ${schemaPrices[0]}, visible: ${visiblePrice})`);
+      }
     }
 
-    const issues = [];
+    // Check name consistency
+    const visibleName = visibleData.visibleName || visibleData.name;
+    if (schema.name && visibleName) {
+      const schemaName = String(schema.name).toLowerCase().trim();
+      if (!visibleName.toLowerCase().trim().includes(schemaName.substring(0, 20))) {
+        mismatches.push('Product name mismatch');
+      }
+    }
 
-    // Check price consistency
-    if (schema.offers?.price && visibleData.price) {
-      const schemaPrice = String(schema.offers.price).replace(/[^0-9.]/g, '');
-      const visiblePrice = String(visibleData.price).replace(/[^0-9.]/g, '');
-      if (schemaPrice && visiblePrice && schemaPrice !== visiblePrice) {
-        issues.push(`Price mismatch (schema: ${schemaPrice}, visible: ${visiblePrice})`);
+    // Check each variant against its counterpart on the page
+    const single = schemaVariants.length === 0;
+    const checked = single
+      ? [{ sku: schema.sku || '', gtin: '', price: offer?.price ?? '', availability: normalizeAvailability(offer?.availability), options: {}, title: '' }]
+      : schemaVariants;
+    for (const variant of checked) {
+      const label = single ? 'product' : `variant "${variantLabel(variant)}"`;
+      const page = single && pageVariants.length === 1 ? pageVariants[0] : findMatchingVariant(variant, pageVariants);
+      if (!page && !single && pageVariants.length > 0) {
+        mismatches.push(`Schema ${label} not offered on page`);
+      }
+      if (page) {
+        const schemaPrice = priceValue(variant.price);
+        const pagePrice = priceValue(page.price);
+        if (schemaPrice !== null && pagePrice !== null && schemaPrice !== pagePrice) {
+          mismatches.push(`Price of ${label} differs (schema: ${schemaPrice}, page: ${pagePrice})`);
+        }
+        if (variant.availability && page.availability
+          && isPurchasable(variant.availability) !== isPurchasable(page.availability)) {
+          mismatches.push(`Availability of ${label} differs (schema: ${variant.availability}, page: ${page.availability})`);
+        }
+      }
+      for (const [name, value] of Object.entries(variant.options)) {
+        const picker = pickers.find(option => option.name === name);
+        if (picker && !picker.values.some(option => option.toLowerCase() === value.toLowerCase())) {
+          mismatches.push(`${name} "${value}" of ${label} is not selectable on page`);
+        }
       }
     }
 
-    // Check name consistency
-    if (schema.name && visibleData.name) {
-      const schemaName = schema.name.toLowerCase().trim();
-      const visibleName = visibleData.name.toLowerCase().trim();
-      if (!visibleName.includes(schemaName.substring(0, 20))) {
-        issues.push('Product name mismatch');
+    // Variants shoppers can pick that the schema leaves out
+    if (!single) {
+      const missing = pageVariants.filter(variant => !findMatchingVariant(variant, schemaVariants));
+      if (missing.length > 0) {
+        mismatches.push(`${missing.length} page variant${missing.length > 1 ? 's' : ''} missing from schema (${missing.slice(0, 3).map(variantLabel).join(', ')})`);
       }
+    } else if (pageVariants.length > 1) {
+      mismatches.push(`Page offers ${pageVariants.length} variants but schema describes a single product`);
     }
 
+    const shown = mismatches.slice(0, 3).join('; ');
     return {
-      consistent: issues.length === 0,
-      status: issues.length === 0 ? 'Consistent' : 'Mismatch detected',
-      details: issues.join('; '),
+      consistent: mismatches.length === 0,
+      status: mismatches.length === 0 ? 'Consistent' : 'Mismatch detected',
+      details: mismatches.length > 3 ? `${shown}; and ${mismatches.length - 3} more` : shown,
+      variantsChecked: schemaVariants.length,
+      mismatches,
     };
   }
 
@@ -796,15 +1105,18 @@ export class GEOAnalyzer {
     }
 
     // Check 2: Standard Product Identifiers (30 points)
-    const hasGTIN = productData.gtin || productSchema?.gtin || productSchema?.gtin13 || productSchema?.gtin12;
-    const hasSKU = productData.sku || productSchema?.sku;
-    const hasMPN = productData.mpn || productSchema?.mpn;
+    // A ProductGroup carries its identifiers on the variants. A GTIN only
+    // counts when its check digit is valid and it isn't a store-internal number
+    const identifiers = analyzeProductIdentifiers(productSchema, { extracted: productData });
+    const { hasGtin: hasGTIN, hasSku: hasSKU, hasMpn: hasMPN } = identifiers;
     let idPoints = 0;
     if (hasGTIN) idPoints += 15; // Most valuable - global identifier
     if (hasSKU) idPoints += 10;
     if (hasMPN) idPoints += 5;
+    const gtinStatus = hasGTIN ? '✓' : identifiers.gtins.length > 0 ? 'invalid' : '✗';
+    const gs1Hint = identifiers.countries.length > 0 ? ` (GS1 ${identifiers.countries.join(', ')})` : '';
     checks.productIdentifiers = {
-      value: `GTIN: ${hasGTIN ? '✓' : '✗'}, SKU: ${hasSKU ? '✓' : '✗'}, MPN: ${hasMPN ? '✓' : '✗'}`,
+      value: `GTIN: ${gtinStatus}${gs1Hint}, SKU: ${hasSKU ? '✓' : '✗'}, MPN: ${hasMPN ? '✓' : '✗'}`,
       passed: idPoints >= 15,
       points: idPoints,
     };
@@ -818,9 +1130,55 @@ export class GEOAnalyzer {
       recommendations.push('Add GTIN (UPC/EAN) and SKU to product data and schema');
     }
 
+    // Invalid GTINs are worse than none: shopping engines match on them and
+    // either drop the offer or attach it to another product
+    for (const gtin of identifiers.invalidGtins.slice(0, 5)) {
+      issues.push({
+        id: 'entityDisambiguation.invalid-gtin',
+        severity: 'critical',
+        message: `Invalid GTIN "${gtin.value}" (${gtin.path}: ${gtin.reason}) - AI shopping engines cannot match this product`,
+        impact: 15,
+      });
+    }
+    for (const isbn of identifiers.invalidIsbns.slice(0, 5)) {
+      issues.push({
+        id: 'entityDisambiguation.invalid-isbn',
+        severity: 'critical',
+        message: `Invalid ISBN "${isbn.value}" (${isbn.path}: ${isbn.reason}) - AI engines cannot match this book`,
+        impact: 15,
+      });
+    }
+    for (const gtin of identifiers.restrictedGtins.slice(0, 5)) {
+      issues.push({
+        id: 'entityDisambiguation.restricted-gtin',
+        severity: 'warning',
+        message: `GTIN "${gtin.value}" uses restricted prefix ${gtin.gs1.prefix} (${gtin.gs1.country}) - not a global product identifier`,
+        impact: 10,
+      });
+    }
+    for (const gtin of identifiers.gtins.filter(g => g.lengthMismatch).slice(0, 5)) {
+      issues.push({
+        id: 'entityDisambiguation.gtin-length-mismatch',
+        severity: 'info',
+        message: `GTIN "${gtin.value}" has ${gtin.normalized.length} digits but is marked up as ${gtin.path} - use the matching gtin property`,
+        impact: 0,
+      });
+    }
+    if (identifiers.invalidGtins.length > 0 || identifiers.restrictedGtins.length > 0) {
+      recommendations.push('Use the GS1-assigned GTIN exactly as printed on the barcode (check digit included)');
+    }
+    if (identifiers.mpnWithoutBrand.length > 0) {
+      issues.push({
+        severity: 'warning',
+        message: 'MPN without a brand - part numbers are only unique per manufacturer',
+        impact: 5,
+      });
+      recommendations.push('Add brand alongside mpn so AI can tell which manufacturer the part number belongs to');
+    }
+
     // Check 3: Identifiers in Schema (20 points)
-    const schemaHasIds = productSchema &&
-      (productSchema.gtin || productSchema.sku || productSchema.mpn);
+    const schemaProducts = productSchema ? [productSchema, ...asArray(productSchema.hasVariant)] : [];
+    const schemaHasIds = schemaProducts.some(product => [...Object.keys(GTIN_PROPERTIES), 'sku', 'mpn'].some(field => product?.[field]));
     checks.schemaIdentifiers = {
       value: schemaHasIds ? 'Present in schema' : 'Not in schema',
       passed: schemaHasIds,
@@ -854,12 +1212,18 @@ export class GEOAnalyzer {
     }
 
     // Check 5: Variant Identification (10 points)
+    // Each variant needs its own identifiers (the shared-identifier issue
+    // itself is reported under Product Metadata)
+    const sharedIds = identifiers.duplicates;
+    const variantIdPoints = sharedIds.length > 0 ? 0 : 10;
     checks.variantIdentifiers = {
-      value: productData.hasVariants ? 'Variants present' : 'No variants',
-      passed: true,
-      points: 10,
+      value: sharedIds.length > 0
+        ? `${sharedIds.length} identifier${sharedIds.length > 1 ? 's' : ''} shared by variants`
+        : productData.hasVariants ? 'Variants present' : 'No variants',
+      passed: sharedIds.length === 0,
+      points: variantIdPoints,
     };
-    score += 10;
+    score += variantIdPoints;
 
     return {
       score: Math.min(score, maxScore),
@@ -879,7 +1243,7 @@ export class GEOAnalyzer {
   analyzeGeneralEntityClarity(pageData) {
     const h1 = pageData.headings?.h1?.[0] || '';
     const title = pageData.title || '';
-    const hasSchema = pageData.schemas?.length > 0;
+    const hasSchema = EntityGraph.fromPageData(pageData).getMainEntities().length > 0;
 
     let score = 0;
     if (h1) score += 35;
@@ -2037,6 +2401,7 @@ export class GEOAnalyzer {
           pillar: pillarName,
           pillarDisplayName: pillar.pillarName,
           ...issue,
+          id: issue.id || deriveIssueId(pillarName, issue.message),
         });
       }
     }
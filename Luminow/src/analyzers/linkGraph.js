@@ -0,0 +1,233 @@
+/**
+ * Link Graph Module
+ *
+ * Builds the internal link graph of a crawled site and computes link equity.
+ *
+ * Metrics per URL:
+ * - PageRank: iterative power method (damping 0.85), nofollow links excluded,
+ *   dangling-page rank redistributed uniformly
+ * - Inlinks / outlinks: internal links between crawled pages
+ * - Click depth: shortest path (in clicks) from the homepage
+ * - Orphan: crawled page (e.g. found via sitemap) with no inbound internal links
+ * - Dead end: page with no outbound internal links
+ *
+ * Click depth and orphans are measured from the homepage; when it isn't one of
+ * the crawled pages both are unknown (null) rather than "every page unreachable".
+ *
+ * Only crawled pages are nodes - links to URLs outside the crawl are ignored,
+ * since we can't know where their equity flows.
+ */
+
+export class LinkGraph {
+  /**
+   * Create a new LinkGraph
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      damping: 0.85,
+      maxIterations: 100,
+      tolerance: 1e-6,
+      ...options,
+    };
+
+    this.nodes = new Set();
+    this.aliases = new Map(); // finalUrl (after redirects) -> node URL
+    this.edges = new Map(); // node URL -> Array<{ target, followable }>
+    this.pageRank = null;
+    this.clickDepth = null;
+  }
+
+  /**
+   * Register a crawled page
+   *
+   * @param {string} url - Node URL (as crawled)
+   * @param {Array<{href: string, isNofollow: boolean}>} links - Absolute internal links
+   * @param {string} finalUrl - URL after redirects, if different
+   */
+  addPage(url, links = [], finalUrl = null) {
+    this.nodes.add(url);
+    if (finalUrl && finalUrl !== url) {
+      this.aliases.set(finalUrl, url);
+    }
+    this.edges.set(url, links.map(link => ({
+      target: link.href,
+      followable: !link.isNofollow,
+    })));
+    this.pageRank = null;
+    this.clickDepth = null;
+  }
+
+  /**
+   * Resolve a link target to a crawled node, or null if it isn't in the crawl
+   */
+  resolveNode(url) {
+    if (this.nodes.has(url)) return url;
+    return this.aliases.get(url) || null;
+  }
+
+  /**
+   * Outbound edges between crawled nodes, de-duplicated, self-links removed
+   */
+  getOutlinks(url, { followableOnly = false } = {}) {
+    const targets = new Set();
+    for (const edge of this.edges.get(url) || []) {
+      if (followableOnly && !edge.followable) continue;
+      const target = this.resolveNode(edge.target);
+      if (target && target !== url) targets.add(target);
+    }
+    return Array.from(targets);
+  }
+
+  /**
+   * Compute PageRank for every node (power iteration)
+   *
+   * @returns {Map<string, number>} URL -> PageRank (sums to 1)
+   */
+  computePageRank() {
+    const { damping, maxIterations, tolerance } = this.options;
+    const nodes = Array.from(this.nodes);
+    const n = nodes.length;
+    if (n === 0) return (this.pageRank = new Map());
+
+    const outlinks = new Map(nodes.map(url => [url, this.getOutlinks(url, { followableOnly: true })]));
+    let ranks = new Map(nodes.map(url => [url, 1 / n]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      // Rank held by pages with no followable outlinks is spread across the whole graph
+      const danglingRank = nodes
+        .filter(url => outlinks.get(url).length === 0)
+        .reduce((sum, url) => sum + ranks.get(url), 0);
+
+      const base = (1 - damping) / n + (damping * danglingRank) / n;
+      const next = new Map(nodes.map(url => [url, base]));
+
+      for (const url of nodes) {
+        const targets = outlinks.get(url);
+        if (targets.length === 0) continue;
+        const share = (damping * ranks.get(url)) / targets.length;
+        for (const target of targets) {
+          next.set(target, next.get(target) + share);
+        }
+      }
+
+      const delta = nodes.reduce((sum, url) => sum + Math.abs(next.get(url) - ranks.get(url)), 0);
+      ranks = next;
+      if (delta < tolerance) break;
+    }
+
+    this.pageRank = ranks;
+    return ranks;
+  }
+
+  /**
+   * Compute click depth from the homepage (breadth-first, all links count)
+   *
+   * @param {string} homepageUrl - Root URL to measure from
+   * @returns {Map<string, number>} URL -> clicks from homepage (unreachable pages omitted)
+   */
+  computeClickDepth(homepageUrl) {
+    const depths = new Map();
+    const root = this.resolveNode(homepageUrl);
+    if (root) {
+      depths.set(root, 0);
+      const queue = [root];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (const target of this.getOutlinks(current)) {
+          if (!depths.has(target)) {
+            depths.set(target, depths.get(current) + 1);
+            queue.push(target);
+          }
+        }
+      }
+    }
+
+    this.clickDepth = depths;
+    return depths;
+  }
+
+  /**
+   * Inbound link counts between crawled pages
+   */
+  computeInlinks() {
+    const inlinks = new Map(Array.from(this.nodes).map(url => [url, 0]));
+    for (const url of this.nodes) {
+      for (const target of this.getOutlinks(url)) {
+        inlinks.set(target, inlinks.get(target) + 1);
+      }
+    }
+    return inlinks;
+  }
+
+  /**
+   * Run all computations
+   *
+   * @param {string} homepageUrl - Root URL for click depth
+   * @returns {LinkGraph} this
+   */
+  analyze(homepageUrl) {
+    this.computePageRank();
+    this.computeClickDepth(homepageUrl);
+    this.inlinks = this.computeInlinks();
+    this.homepageUrl = this.resolveNode(homepageUrl);
+    return this;
+  }
+
+  /**
+   * Link metrics for a single page (attached to pageData.linkGraph)
+   *
+   * @param {string} url - Node URL
+   * @returns {Object|null} Metrics, or null if the URL wasn't crawled
+   */
+  getMetrics(url) {
+    const node = this.resolveNode(url);
+    if (!node || !this.pageRank) return null;
+
+    const maxRank = Math.max(...this.pageRank.values());
+    const rank = this.pageRank.get(node);
+    const inlinks = this.inlinks.get(node) || 0;
+    const outlinks = this.getOutlinks(node).length;
+
+    return {
+      pageRank: Number(rank.toFixed(6)),
+      // 0-100 relative to the strongest page on the site
+      pageRankScore: maxRank > 0 ? Math.round((rank / maxRank) * 100) : 0,
+      inlinks,
+      outlinks,
+      hasHomepage: Boolean(this.homepageUrl),
+      clickDepth: this.clickDepth.has(node) ? this.clickDepth.get(node) : null,
+      isOrphan: this.homepageUrl ? inlinks === 0 && node !== this.homepageUrl : null,
+      isDeadEnd: outlinks === 0,
+      graphSize: this.nodes.size,
+    };
+  }
+
+  /**
+   * Site-level summary of the graph
+   *
+   * @param {number} topN - Number of top pages by PageRank to include
+   * @returns {Object} Graph summary
+   */
+  summary(topN = 10) {
+    const nodes = Array.from(this.nodes);
+    const metrics = nodes.map(url => ({ url, ...this.getMetrics(url) }));
+    const depths = metrics.map(m => m.clickDepth).filter(d => d !== null);
+
+    return {
+      nodes: nodes.length,
+      edges: nodes.reduce((sum, url) => sum + this.getOutlinks(url).length, 0),
+      homepage: this.homepageUrl,
+      maxClickDepth: depths.length > 0 ? Math.max(...depths) : null,
+      orphans: metrics.filter(m => m.isOrphan).map(m => m.url),
+      deadEnds: metrics.filter(m => m.isDeadEnd).map(m => m.url),
+      unreachable: this.homepageUrl ? metrics.filter(m => m.clickDepth === null).map(m => m.url) : [],
+      topPages: metrics
+        .sort((a, b) => b.pageRank - a.pageRank)
+        .slice(0, topN)
+        .map(m => ({ url: m.url, pageRank: m.pageRank, inlinks: m.inlinks })),
+    };
+  }
+}
+
+export default LinkGraph;
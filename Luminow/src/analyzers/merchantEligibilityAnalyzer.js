@@ -0,0 +1,354 @@
+/**
+ * Merchant Eligibility Analyzer Module
+ *
+ * Applies Google's eligibility rules for the two product search surfaces and
+ * returns a verdict per surface with the reasons behind it:
+ *
+ * - merchantListings: free listings in Shopping, popular products and the
+ *   product knowledge panel. Needs a single-merchant Offer with a positive
+ *   price and an ISO 4217 currency, a product image, and an indexable page.
+ *   Shipping, return policy, GTIN and brand are recommended.
+ * - productSnippets: price, availability and review stars on the regular
+ *   result. Needs a name and one of offers, review or aggregateRating;
+ *   AggregateOffer is fine here.
+ *
+ * GEOAnalyzer and SEOAnalyzer score how complete the markup is - this answers
+ * the yes/no question merchants actually ask ("will Google show my price?").
+ *
+ * Reasons are { severity, code, message, path }: 'critical' reasons block the
+ * surface, 'warning' reasons are recommendations. ProductGroup variants are
+ * evaluated one by one (each variant is its own listing) with the fields they
+ * inherit from the group.
+ */
+
+import { EntityGraph, asArray, typesOf } from '../utils/entityGraph.js';
+import { RobotsTxt } from '../utils/robotsTxt.js';
+import { schemaTermName } from '../utils/schemaMarkup.js';
+import { ENUMERATIONS } from '../config/schemaVocabulary.js';
+import { VALUE_FORMATS } from './schemaValidator.js';
+
+export const SURFACES = {
+  merchantListings: 'Merchant listings',
+  productSnippets: 'Product snippets',
+};
+
+const GTIN_PROPERTIES = ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14'];
+
+const present = value => asArray(value)
+  .some(item => (item !== null && typeof item === 'object') || (item !== undefined && item !== null && String(item).trim() !== ''));
+
+const nameOf = value => (value && typeof value === 'object' ? value.name : value);
+
+const isMember = (enumeration, value) => ENUMERATIONS[enumeration]
+  .some(member => member.toLowerCase() === schemaTermName(value).toLowerCase());
+
+export class MerchantEligibilityAnalyzer {
+  /**
+   * Create a new MerchantEligibilityAnalyzer
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxReasons: 25,
+      now: () => Date.now(), // Clock for priceValidUntil
+      ...options,
+    };
+  }
+
+  /**
+   * Evaluate a scraped page
+   * @param {Object} pageData - WebScraper page data
+   * @returns {Object} { applicable, product, surfaces: { merchantListings, productSnippets } }
+   */
+  analyze(pageData) {
+    const graph = EntityGraph.fromPageData(pageData);
+    const product = pageData.productSchema || graph.getPrimaryProduct();
+    const pageReasons = this.checkPage(pageData);
+
+    if (!product) {
+      const reason = {
+        severity: 'critical',
+        code: 'no-product-schema',
+        message: 'No Product structured data - Google cannot build a listing or snippet from this page',
+        path: null,
+      };
+      return {
+        applicable: false,
+        product: null,
+        surfaces: Object.fromEntries(Object.keys(SURFACES)
+          .map(key => [key, this.buildVerdict(key, [...pageReasons, reason], 0, 0)])),
+      };
+    }
+
+    const offers = this.collectOffers(product);
+    const organizations = graph.getEntities('Organization');
+    const variants = this.productsToEvaluate(product);
+
+    const listings = variants.map(({ entity, path, label }) => ({
+      label,
+      reasons: this.checkMerchantListing(entity, path, organizations),
+    }));
+    const snippet = this.checkProductSnippet(product, offers);
+
+    return {
+      applicable: true,
+      product: {
+        name: nameOf(product.name) || null,
+        type: typesOf(product)[0] || 'Product',
+        syntax: product['@syntax'] || null,
+        variants: asArray(product.hasVariant).length,
+      },
+      surfaces: {
+        merchantListings: this.combineListings(listings, pageReasons),
+        productSnippets: this.buildVerdict('productSnippets', [...pageReasons, ...snippet], 1, 1),
+      },
+    };
+  }
+
+  /**
+   * Page-level blockers: Google has to be able to crawl and index the page
+   */
+  checkPage(pageData) {
+    const reasons = [];
+    if (pageData.statusCode && pageData.statusCode !== 200) {
+      reasons.push({ severity: 'critical', code: 'not-200', message: `Page returns HTTP ${pageData.statusCode}`, path: null });
+    }
+    if (pageData.noindex) {
+      reasons.push({ severity: 'critical', code: 'noindex', message: 'Page has a noindex directive', path: null });
+    }
+    const robots = pageData.robotsTxt;
+    if (robots?.found || robots?.serverError) {
+      const rules = RobotsTxt.fromResponse(robots.statusCode ?? 200, robots.content);
+      if (!rules.isAllowed('Googlebot', pageData.finalUrl || pageData.url)) {
+        reasons.push({ severity: 'critical', code: 'googlebot-blocked', message: 'robots.txt blocks Googlebot from this page', path: null });
+      }
+    }
+    return reasons;
+  }
+
+  /**
+   * The products Google lists: each variant of a ProductGroup (with the
+   * group's fields as defaults), otherwise the product itself
+   */
+  productsToEvaluate(product) {
+    const variants = asArray(product.hasVariant).filter(variant => variant && typeof variant === 'object');
+    if (variants.length === 0) return [{ entity: product, path: '', label: null }];
+
+    const { hasVariant, productGroupID, variesBy, ...inherited } = product;
+    return variants.map((variant, i) => ({
+      entity: { ...inherited, ...variant },
+      path: `hasVariant[${i}].`,
+      label: nameOf(variant.name) || variant.sku || `variant ${i + 1}`,
+    }));
+  }
+
+  /**
+   * Merchant listing requirements for one product
+   */
+  checkMerchantListing(product, path, organizations) {
+    const reasons = [];
+    const critical = (code, message, property) => reasons.push({ severity: 'critical', code, message, path: `${path}${property}` });
+    const warning = (code, message, property) => reasons.push({ severity: 'warning', code, message, path: `${path}${property}` });
+
+    if (!present(nameOf(product.name))) critical('missing-name', 'Product has no name', 'name');
+    this.checkImage(product, critical);
+
+    const offer = asArray(product.offers).find(item => item && typeof item === 'object');
+    if (!offer) {
+      critical('missing-offer', 'Product has no offers - merchant listings need a price', 'offers');
+    } else if (typesOf(offer).includes('AggregateOffer')) {
+      critical('aggregate-offer', 'AggregateOffer is not supported for merchant listings - use one Offer per product or variant', 'offers');
+    } else {
+      this.checkPrice(offer, critical);
+      this.checkOfferDetails(offer, critical, warning);
+
+      const shipping = present(offer.shippingDetails)
+        || organizations.some(org => present(org.hasShippingService));
+      if (!shipping) {
+        warning('missing-shipping', 'No shippingDetails on the offer (or shipping service on the Organization) - shipping cost won\'t be shown', 'offers.shippingDetails');
+      }
+    }
+
+    const returns = present(offer?.hasMerchantReturnPolicy) || present(product.hasMerchantReturnPolicy)
+      || organizations.some(org => present(org.hasMerchantReturnPolicy));
+    if (!returns) {
+      warning('missing-return-policy', 'No hasMerchantReturnPolicy on the offer, product or Organization - return terms won\'t be shown', 'offers.hasMerchantReturnPolicy');
+    }
+
+    if (![...GTIN_PROPERTIES, 'mpn'].some(property => present(product[property]) || present(offer?.[property]))) {
+      warning('missing-gtin', 'No GTIN (or MPN) - Google matches products to its catalog by GTIN', 'gtin');
+    }
+    if (!present(nameOf(asArray(product.brand)[0]))) {
+      warning('missing-brand', 'No brand name', 'brand');
+    }
+    if (!present(product.description)) {
+      warning('missing-description', 'No product description', 'description');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Product image: required, and has to be a crawlable URL (not inline data)
+   */
+  checkImage(product, critical) {
+    const images = asArray(product.image)
+      .map(image => (image && typeof image === 'object' ? image.contentUrl || image.url : image))
+      .filter(present);
+    if (images.length === 0) {
+      critical('missing-image', 'Product has no image - merchant listings require one', 'image');
+    } else if (images.every(url => /^data:/i.test(String(url).trim()))) {
+      critical('inline-image', 'Product images are inline data: URIs - Google needs a crawlable image URL', 'image');
+    }
+  }
+
+  checkPrice(offer, critical) {
+    const price = offer.price ?? asArray(offer.priceSpecification).find(Boolean)?.price;
+    const currency = offer.priceCurrency ?? asArray(offer.priceSpecification).find(Boolean)?.priceCurrency;
+
+    if (price === undefined || price === null || String(price).trim() === '') {
+      critical('missing-price', 'Offer has no price', 'offers.price');
+    } else if (!VALUE_FORMATS.price.pattern.test(String(price).trim())) {
+      critical('invalid-price', `Offer price "${price}" is not ${VALUE_FORMATS.price.hint}`, 'offers.price');
+    } else if (Number(price) <= 0) {
+      critical('zero-price', 'Offer price must be greater than zero for merchant listings', 'offers.price');
+    }
+
+    if (!present(currency)) {
+      critical('missing-currency', 'Offer has no priceCurrency', 'offers.priceCurrency');
+    } else if (!VALUE_FORMATS.priceCurrency.pattern.test(String(currency).trim())) {
+      critical('invalid-currency', `priceCurrency "${currency}" is not ${VALUE_FORMATS.priceCurrency.hint}`, 'offers.priceCurrency');
+    }
+  }
+
+  /**
+   * Availability / condition enums and an expired priceValidUntil
+   */
+  checkOfferDetails(offer, critical, warning) {
+    if (!present(offer.availability)) {
+      warning('missing-availability', 'Offer has no availability - add e.g. https://schema.org/InStock', 'offers.availability');
+    } else if (!isMember('ItemAvailability', offer.availability)) {
+      critical('invalid-availability', `availability "${offer.availability}" is not an ItemAvailability value (e.g. https://schema.org/InStock)`, 'offers.availability');
+    }
+
+    if (present(offer.itemCondition) && !isMember('OfferItemCondition', offer.itemCondition)) {
+      critical('invalid-condition', `itemCondition "${offer.itemCondition}" is not an OfferItemCondition value (e.g. https://schema.org/NewCondition)`, 'offers.itemCondition');
+    }
+
+    if (present(offer.priceValidUntil)) {
+      const validUntil = Date.parse(offer.priceValidUntil);
+      if (!Number.isNaN(validUntil) && validUntil < this.options.now()) {
+        critical('expired-price', `priceValidUntil ${offer.priceValidUntil} is in the past - Google ignores expired offers`, 'offers.priceValidUntil');
+      }
+    }
+  }
+
+  /**
+   * Product snippet requirements: name plus offers, review or aggregateRating
+   */
+  checkProductSnippet(product, offers) {
+    const reasons = [];
+    const critical = (code, message, path) => reasons.push({ severity: 'critical', code, message, path });
+    const warning = (code, message, path) => reasons.push({ severity: 'warning', code, message, path });
+
+    if (!present(nameOf(product.name))) critical('missing-name', 'Product has no name', 'name');
+
+    const rating = asArray(product.aggregateRating).find(item => item && typeof item === 'object');
+    const reviews = asArray(product.review).filter(item => item && typeof item === 'object');
+    if (offers.length === 0 && !rating && reviews.length === 0) {
+      critical('missing-offer-or-review', 'Product needs offers, review or aggregateRating for a snippet', 'offers');
+    }
+
+    const offer = offers[0];
+    if (offer) {
+      const aggregate = typesOf(offer).includes('AggregateOffer');
+      const price = aggregate ? offer.lowPrice : offer.price ?? asArray(offer.priceSpecification).find(Boolean)?.price;
+      const currency = offer.priceCurrency ?? asArray(offer.priceSpecification).find(Boolean)?.priceCurrency;
+      const property = aggregate ? 'offers.lowPrice' : 'offers.price';
+      if (!present(price) || !VALUE_FORMATS.price.pattern.test(String(price).trim())) {
+        critical('invalid-price', present(price) ? `Offer price "${price}" is not ${VALUE_FORMATS.price.hint}` : 'Offer has no price', property);
+      }
+      if (!present(currency) || !VALUE_FORMATS.priceCurrency.pattern.test(String(currency).trim())) {
+        critical('invalid-currency', present(currency) ? `priceCurrency "${currency}" is not ${VALUE_FORMATS.priceCurrency.hint}` : 'Offer has no priceCurrency', 'offers.priceCurrency');
+      }
+      if (present(offer.availability) && !isMember('ItemAvailability', offer.availability)) {
+        warning('invalid-availability', `availability "${offer.availability}" is not an ItemAvailability value - it won't be shown`, 'offers.availability');
+      }
+    }
+
+    if (rating) {
+      const count = rating.ratingCount ?? rating.reviewCount;
+      if (!present(rating.ratingValue) || !VALUE_FORMATS.ratingValue.pattern.test(String(rating.ratingValue).trim())) {
+        critical('invalid-rating', 'aggregateRating needs a numeric ratingValue', 'aggregateRating.ratingValue');
+      }
+      if (!present(count) || !/^\d+$/.test(String(count).trim())) {
+        critical('missing-rating-count', 'aggregateRating needs ratingCount or reviewCount', 'aggregateRating.ratingCount');
+      }
+    }
+    reviews.forEach((review, i) => {
+      if (!present(nameOf(asArray(review.author)[0]))) {
+        critical('review-missing-author', 'Review has no author name', `review[${i}].author`);
+      }
+      if (!present(asArray(review.reviewRating)[0]?.ratingValue)) {
+        critical('review-missing-rating', 'Review has no reviewRating.ratingValue', `review[${i}].reviewRating`);
+      }
+    });
+
+    if (!rating && reviews.length === 0) {
+      warning('no-ratings', 'No aggregateRating or review - the snippet will show without stars', 'aggregateRating');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Offers of the product: its own, or its variants'
+   */
+  collectOffers(product) {
+    const own = asArray(product.offers).filter(offer => offer && typeof offer === 'object');
+    if (own.length > 0) return own;
+    return asArray(product.hasVariant)
+      .flatMap(variant => asArray(variant?.offers))
+      .filter(offer => offer && typeof offer === 'object');
+  }
+
+  /**
+   * Merchant listing verdict across variants: eligible when at least one
+   * product qualifies; failing variants become warnings then
+   */
+  combineListings(listings, pageReasons) {
+    const eligible = listings.filter(listing => !listing.reasons.some(r => r.severity === 'critical'));
+    const reasons = [...pageReasons];
+    const seen = new Set();
+    const add = (reason) => {
+      const key = `${reason.severity}|${reason.code}|${reason.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        reasons.push(reason);
+      }
+    };
+
+    for (const listing of listings) {
+      for (const reason of listing.reasons) {
+        // Some variants qualify: the others' blockers are per-variant warnings
+        add(reason.severity === 'critical' && eligible.length > 0
+          ? { ...reason, severity: 'warning', message: `${listing.label}: ${reason.message}` }
+          : reason);
+      }
+    }
+
+    return this.buildVerdict('merchantListings', reasons, eligible.length, listings.length);
+  }
+
+  buildVerdict(surface, reasons, eligibleProducts, totalProducts) {
+    const blocking = reasons.filter(reason => reason.severity === 'critical');
+    return {
+      name: SURFACES[surface],
+      eligible: blocking.length === 0,
+      products: { eligible: blocking.length === 0 ? eligibleProducts : 0, total: totalProducts },
+      reasons: [...blocking, ...reasons.filter(reason => reason.severity !== 'critical')].slice(0, this.options.maxReasons),
+    };
+  }
+}
+
+export default MerchantEligibilityAnalyzer;
@@ -0,0 +1,157 @@
+/**
+ * Mobile Parity Analyzer Module
+ *
+ * Compares the desktop render of a page with a mobile emulation pass
+ * (WebScraper.scrapeMobile) and summarizes mobile usability.
+ *
+ * Google indexes mobile-first: content that is missing or hidden on the
+ * mobile render is treated as if it doesn't exist, and mobile usability
+ * problems (tiny tap targets, unreadable text, sideways scrolling) hurt
+ * page experience.
+ *
+ * Input: desktop pageData and mobile pageData (with `visibleContent` and `mobileLayout`)
+ * Output: content parity, key product facts missing on mobile, tap target,
+ *         font size and horizontal overflow findings
+ */
+
+/**
+ * Mobile usability thresholds
+ * - 48px tap targets: Google mobile-friendly / Material guidance
+ * - 12px text: Lighthouse "legible font sizes"; 60% legible text passes
+ */
+export const MOBILE_THRESHOLDS = {
+  minTapTargetPx: 48,
+  minFontSizePx: 12,
+  minLegiblePercentage: 60,
+  maxHiddenContentPercentage: 20,
+};
+
+export const DEFAULT_MOBILE_DEVICE = 'Pixel 5';
+
+export class MobileParityAnalyzer {
+  /**
+   * Create a new MobileParityAnalyzer
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxListItems: 10,
+      ...options,
+    };
+  }
+
+  /**
+   * Compare desktop and mobile extractions
+   *
+   * @param {Object} desktopData - Page data from the desktop render
+   * @param {Object} mobileData - Page data from the mobile emulation pass
+   * @returns {Object} Mobile audit report
+   */
+  analyze(desktopData, mobileData) {
+    if (!desktopData || !mobileData?.mobileLayout) {
+      return {
+        available: false,
+        reason: mobileData ? 'No mobile layout measurements' : 'No mobile extraction',
+      };
+    }
+
+    const content = this.compareVisibleContent(desktopData, mobileData);
+    const keyContent = this.compareKeyContent(desktopData, mobileData);
+    const { tapTargets, fonts, overflow, viewport } = mobileData.mobileLayout;
+
+    const missingKeyContent = Object.entries(keyContent)
+      .filter(([, status]) => status.desktop && !status.mobile)
+      .map(([key]) => key);
+
+    return {
+      available: true,
+      device: mobileData.mobileDevice,
+      viewport,
+      content,
+      keyContent,
+      missingKeyContent,
+      tapTargets,
+      fonts,
+      overflow,
+      summary: this.generateSummary({ content, missingKeyContent, tapTargets, fonts, overflow }),
+    };
+  }
+
+  /**
+   * Visible (rendered, not CSS-hidden) text and headings on desktop vs mobile
+   */
+  compareVisibleContent(desktopData, mobileData) {
+    const desktop = desktopData.visibleContent || {};
+    const mobile = mobileData.visibleContent || {};
+    const desktopWordCount = desktop.wordCount || 0;
+    const mobileWordCount = mobile.wordCount || 0;
+    const hiddenWords = Math.max(0, desktopWordCount - mobileWordCount);
+
+    const mobileHeadings = new Set((mobile.headings || []).map(h => this.normalizeText(h)));
+    const hiddenHeadings = (desktop.headings || [])
+      .filter(h => !mobileHeadings.has(this.normalizeText(h)));
+
+    return {
+      desktopWordCount,
+      mobileWordCount,
+      hiddenWords,
+      hiddenPercentage: desktopWordCount > 0 ? Math.round((hiddenWords / desktopWordCount) * 100) : 0,
+      hiddenHeadings: hiddenHeadings.slice(0, this.options.maxListItems),
+      hiddenHeadingCount: hiddenHeadings.length,
+    };
+  }
+
+  /**
+   * Key product facts and structured data present on desktop but not mobile
+   * (dynamic serving or mobile templates that drop content)
+   */
+  compareKeyContent(desktopData, mobileData) {
+    const desktopProduct = desktopData.productData || {};
+    const mobileProduct = mobileData.productData || {};
+    const mobileSchemaTypes = new Set(mobileData.schemaTypes || []);
+
+    return {
+      name: { desktop: this.hasValue(desktopProduct.name), mobile: this.hasValue(mobileProduct.name) },
+      price: { desktop: this.hasValue(desktopProduct.price), mobile: this.hasValue(mobileProduct.price) },
+      structuredData: {
+        desktop: (desktopData.schemaTypes || []).length > 0,
+        mobile: (desktopData.schemaTypes || []).every(type => mobileSchemaTypes.has(type)),
+      },
+    };
+  }
+
+  /**
+   * Human-readable one-line summary
+   */
+  generateSummary({ content, missingKeyContent, tapTargets, fonts, overflow }) {
+    const parts = [];
+
+    if (missingKeyContent.length > 0) parts.push(`${missingKeyContent.join(', ')} missing on mobile`);
+    if (content.hiddenPercentage > 0) parts.push(`${content.hiddenPercentage}% of desktop text hidden on mobile`);
+    if (tapTargets.tooSmall > 0) parts.push(`${tapTargets.tooSmall} tap target(s) too small`);
+    if (fonts.legiblePercentage < MOBILE_THRESHOLDS.minLegiblePercentage) {
+      parts.push(`only ${fonts.legiblePercentage}% of text is legible`);
+    }
+    if (overflow.hasHorizontalOverflow) parts.push('page scrolls horizontally');
+
+    return parts.length > 0
+      ? parts.join('; ')
+      : 'Mobile render matches desktop with no usability problems';
+  }
+
+  /**
+   * Normalize text for comparison
+   */
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Check whether a field holds a meaningful value
+   */
+  hasValue(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+  }
+}
+
+export default MobileParityAnalyzer;
@@ -151,6 +151,7 @@ export class PageTypeDetector {
 
   /**
    * Evaluate schema signal
+   * Schema types come from JSON-LD, microdata and RDFa (WebScraper.extractStructuredData)
    */
   evaluateSchemaSignal(signal, pageData) {
     const schemas = pageData.schemas || pageData.schemaTypes || [];
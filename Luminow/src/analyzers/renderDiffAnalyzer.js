@@ -0,0 +1,262 @@
+/**
+ * Render Diff Analyzer Module
+ *
+ * Compares the static (raw HTML) extraction of a page with its rendered
+ * (post-JavaScript) extraction to answer: "what can't AI bots see?"
+ *
+ * GPTBot, ClaudeBot, PerplexityBot and most other AI crawlers fetch raw HTML
+ * and never execute JavaScript. Anything a theme injects client-side - price
+ * widgets, JSON-LD added by apps, FAQ accordions loaded over XHR - is invisible
+ * to them even though it looks fine in a browser.
+ *
+ * Input: two pageData objects produced by WebScraper (static and rendered)
+ * Output: per-category lists of content that only exists after rendering,
+ *         plus the key product facts that are client-rendered only
+ */
+
+/**
+ * Key content whose absence from raw HTML hurts AI visibility the most
+ * Keys are referenced by GEOAnalyzer when applying crawl access penalties
+ */
+export const KEY_CONTENT_FIELDS = {
+  name: 'Product name',
+  price: 'Price',
+  productSchema: 'Product schema',
+};
+
+export class RenderDiffAnalyzer {
+  /**
+   * Create a new RenderDiffAnalyzer
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxListItems: 25, // Cap lists in the report to keep stored results small
+      ...options,
+    };
+  }
+
+  /**
+   * Compare static and rendered extractions
+   *
+   * @param {Object} staticData - Page data from the static (no-JS) fetch
+   * @param {Object} renderedData - Page data from the Puppeteer render
+   * @returns {Object} Diff report
+   */
+  analyze(staticData, renderedData) {
+    if (!staticData || !renderedData) {
+      return {
+        available: false,
+        reason: staticData ? 'No rendered extraction' : 'No static extraction',
+      };
+    }
+
+    const headings = this.diffHeadings(staticData, renderedData);
+    const productData = this.diffProductData(staticData, renderedData);
+    const jsonLd = this.diffJsonLd(staticData, renderedData);
+    const faq = this.diffFaq(staticData, renderedData);
+    const links = this.diffLinks(staticData, renderedData);
+    const text = this.diffText(staticData, renderedData);
+    const keyContent = this.compareKeyContent(staticData, renderedData);
+
+    const clientRenderedKeyContent = Object.entries(keyContent)
+      .filter(([, status]) => status.clientRenderedOnly)
+      .map(([key]) => key);
+
+    return {
+      available: true,
+      headings,
+      productData,
+      jsonLd,
+      faq,
+      links,
+      text,
+      keyContent,
+      clientRenderedKeyContent,
+      summary: this.generateSummary({ headings, jsonLd, faq, links, text, clientRenderedKeyContent }),
+    };
+  }
+
+  /**
+   * Headings that only appear after rendering
+   */
+  diffHeadings(staticData, renderedData) {
+    const renderedOnly = [];
+
+    for (let i = 1; i <= 6; i++) {
+      const level = `h${i}`;
+      const staticSet = new Set((staticData.headings?.[level] || []).map(h => this.normalizeText(h)));
+      for (const heading of renderedData.headings?.[level] || []) {
+        const normalized = this.normalizeText(heading);
+        if (normalized && !staticSet.has(normalized)) {
+          renderedOnly.push({ level, text: heading });
+        }
+      }
+    }
+
+    return {
+      renderedOnly: renderedOnly.slice(0, this.options.maxListItems),
+      count: renderedOnly.length,
+    };
+  }
+
+  /**
+   * Product fields that are populated in the rendered DOM but empty in raw HTML
+   */
+  diffProductData(staticData, renderedData) {
+    const fields = ['name', 'price', 'currency', 'availability', 'brand', 'sku', 'gtin', 'mpn', 'description'];
+    const staticProduct = staticData.productData || {};
+    const renderedProduct = renderedData.productData || {};
+
+    const renderedOnlyFields = fields.filter(field =>
+      this.hasValue(renderedProduct[field]) && !this.hasValue(staticProduct[field])
+    );
+
+    const changedFields = fields
+      .filter(field =>
+        this.hasValue(renderedProduct[field]) &&
+        this.hasValue(staticProduct[field]) &&
+        String(renderedProduct[field]).trim() !== String(staticProduct[field]).trim()
+      )
+      .map(field => ({
+        field,
+        static: staticProduct[field],
+        rendered: renderedProduct[field],
+      }));
+
+    return { renderedOnlyFields, changedFields };
+  }
+
+  /**
+   * Structured data items (any syntax) and schema types injected by JavaScript
+   */
+  diffJsonLd(staticData, renderedData) {
+    const staticTypes = new Set(staticData.schemaTypes || []);
+    const renderedOnlyTypes = (renderedData.schemaTypes || []).filter(t => !staticTypes.has(t));
+
+    const staticBlocks = new Set((staticData.structuredData || []).map(sd => JSON.stringify(sd)));
+    const renderedOnlyBlocks = (renderedData.structuredData || [])
+      .filter(sd => !staticBlocks.has(JSON.stringify(sd)));
+
+    return {
+      staticCount: staticData.structuredData?.length || 0,
+      renderedCount: renderedData.structuredData?.length || 0,
+      renderedOnlyTypes,
+      renderedOnlyBlocks: renderedOnlyBlocks.length,
+    };
+  }
+
+  /**
+   * FAQ questions (visible or FAQPage schema) that only exist after rendering
+   */
+  diffFaq(staticData, renderedData) {
+    const staticQuestions = new Set((staticData.faqContent || []).map(f => this.normalizeText(f.question)));
+    const renderedOnly = (renderedData.faqContent || [])
+      .filter(f => !staticQuestions.has(this.normalizeText(f.question)))
+      .map(f => f.question);
+
+    return {
+      renderedOnly: renderedOnly.slice(0, this.options.maxListItems),
+      count: renderedOnly.length,
+      schemaRenderedOnly: !!renderedData.hasFAQSchema && !staticData.hasFAQSchema,
+    };
+  }
+
+  /**
+   * Links that only exist after rendering (JS-built navigation is invisible to crawlers)
+   */
+  diffLinks(staticData, renderedData) {
+    const collect = (data) => [
+      ...(data.links?.internal || []).map(l => ({ ...l, isInternal: true })),
+      ...(data.links?.external || []).map(l => ({ ...l, isInternal: false })),
+    ];
+
+    const staticHrefs = new Set(collect(staticData).map(l => l.href));
+    const seen = new Set();
+    const renderedOnly = [];
+
+    for (const link of collect(renderedData)) {
+      if (staticHrefs.has(link.href) || seen.has(link.href)) continue;
+      seen.add(link.href);
+      renderedOnly.push({ href: link.href, text: link.text, isInternal: link.isInternal });
+    }
+
+    return {
+      renderedOnly: renderedOnly.slice(0, this.options.maxListItems),
+      count: renderedOnly.length,
+      internalCount: renderedOnly.filter(l => l.isInternal).length,
+    };
+  }
+
+  /**
+   * Compare visible text volume
+   */
+  diffText(staticData, renderedData) {
+    const staticWordCount = staticData.wordCount || 0;
+    const renderedWordCount = renderedData.wordCount || 0;
+    const hiddenWords = Math.max(0, renderedWordCount - staticWordCount);
+
+    return {
+      staticWordCount,
+      renderedWordCount,
+      hiddenWords,
+      hiddenPercentage: renderedWordCount > 0 ? Math.round((hiddenWords / renderedWordCount) * 100) : 0,
+    };
+  }
+
+  /**
+   * Check where the key product facts come from
+   */
+  compareKeyContent(staticData, renderedData) {
+    const staticProduct = staticData.productData || {};
+    const renderedProduct = renderedData.productData || {};
+
+    const status = (inStatic, inRendered) => ({
+      static: inStatic,
+      rendered: inRendered,
+      clientRenderedOnly: inRendered && !inStatic,
+    });
+
+    return {
+      name: status(this.hasValue(staticProduct.name), this.hasValue(renderedProduct.name)),
+      price: status(this.hasValue(staticProduct.price), this.hasValue(renderedProduct.price)),
+      productSchema: status(!!staticData.hasProductSchema, !!renderedData.hasProductSchema),
+    };
+  }
+
+  /**
+   * Human-readable one-line summary
+   */
+  generateSummary({ headings, jsonLd, faq, links, text, clientRenderedKeyContent }) {
+    const parts = [];
+
+    if (clientRenderedKeyContent.length > 0) {
+      parts.push(`${clientRenderedKeyContent.map(k => KEY_CONTENT_FIELDS[k]).join(', ')} only visible after JavaScript`);
+    }
+    if (headings.count > 0) parts.push(`${headings.count} heading(s) client-rendered`);
+    if (jsonLd.renderedOnlyBlocks > 0) parts.push(`${jsonLd.renderedOnlyBlocks} structured data item(s) injected by JavaScript`);
+    if (faq.count > 0) parts.push(`${faq.count} FAQ item(s) client-rendered`);
+    if (links.count > 0) parts.push(`${links.count} link(s) client-rendered`);
+    if (text.hiddenPercentage > 0) parts.push(`${text.hiddenPercentage}% of text requires JavaScript`);
+
+    return parts.length > 0
+      ? parts.join('; ')
+      : 'Raw HTML contains the same content AI crawlers need';
+  }
+
+  /**
+   * Normalize text for comparison
+   */
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Check whether a field holds a meaningful value
+   */
+  hasValue(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+  }
+}
+
+export default RenderDiffAnalyzer;
@@ -0,0 +1,513 @@
+/**
+ * Schema Validator Module
+ *
+ * Validates a page's structured data (JSON-LD, microdata and RDFa items from
+ * WebScraper.extractStructuredData) against the bundled schema.org vocabulary
+ * (config/schemaVocabulary.js) and Google's rich result requirements
+ * (config/richResults.js):
+ *
+ * - unknown-type / unknown-property: not in the vocabulary, or a real
+ *   property used on the wrong type (price on Product instead of Offer)
+ * - invalid-value / invalid-format / invalid-enum / wrong-type: the value
+ *   doesn't match the property's expected type ("$249.00" as a price,
+ *   "in stock" as availability, a Person as brand)
+ * - missing-required / missing-recommended / too-few-items: rich result
+ *   eligibility
+ *
+ * Every finding carries the JSON path of the value inside its item, e.g.
+ * { item: 0, path: '$.offers[1].priceCurrency' }, so merchants can find the
+ * template that emits it.
+ *
+ * Input: pageData (or raw structured data items)
+ * Output: { valid, counts, issues, richResults }
+ */
+
+import {
+  SCHEMA_ORG_VERSION,
+  SCHEMA_TYPES,
+  DATA_TYPES,
+  PROPERTY_RANGES,
+  ENUMERATIONS,
+  getTypeAncestors,
+  isSubtypeOf,
+} from '../config/schemaVocabulary.js';
+import { RICH_RESULT_RULES } from '../config/richResults.js';
+import { EntityGraph, asArray, typesOf } from '../utils/entityGraph.js';
+import { schemaTermName } from '../utils/schemaMarkup.js';
+
+const SCHEMA_ORG = /schema\.org/i;
+
+// Literal formats Google expects beyond the schema.org range (which allows any Text)
+const PRICE_FORMAT = { pattern: /^\d+(\.\d+)?$/, hint: 'a number with "." as decimal separator and no currency symbol' };
+const CURRENCY_FORMAT = { pattern: /^[A-Z]{3}$/, hint: 'a 3-letter ISO 4217 currency code' };
+const RATING_FORMAT = { pattern: /^\d+(\.\d+)?(%|\/\d+(\.\d+)?)?$/, hint: 'a number, percentage or fraction' };
+
+export const VALUE_FORMATS = {
+  price: PRICE_FORMAT,
+  lowPrice: PRICE_FORMAT,
+  highPrice: PRICE_FORMAT,
+  minPrice: PRICE_FORMAT,
+  maxPrice: PRICE_FORMAT,
+  priceCurrency: CURRENCY_FORMAT,
+  currency: CURRENCY_FORMAT,
+  ratingValue: RATING_FORMAT,
+  bestRating: RATING_FORMAT,
+  worstRating: RATING_FORMAT,
+};
+
+const DATA_TYPE_TESTS = {
+  Text: value => typeof value === 'string' || typeof value === 'number',
+  URL: value => typeof value === 'string' && value.trim() !== '' && !/\s/.test(value.trim()),
+  Number: value => (typeof value === 'number' && Number.isFinite(value)) || /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(String(value).trim()),
+  Integer: value => Number.isInteger(value) || /^[+-]?\d+$/.test(String(value).trim()),
+  Float: value => DATA_TYPE_TESTS.Number(value),
+  Date: value => /^\d{4}-\d{2}-\d{2}/.test(String(value).trim()) && !Number.isNaN(Date.parse(String(value).trim().slice(0, 10))),
+  DateTime: value => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(String(value).trim()),
+  Time: value => /^\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:?\d{2})?$/.test(String(value).trim()),
+  Boolean: value => typeof value === 'boolean' || /^(https?:\/\/schema\.org\/)?(true|false)$/i.test(String(value).trim()),
+};
+
+// Types that declare each property (for "belongs to Offer" hints)
+let propertyOwners = null;
+
+const getPropertyOwners = () => {
+  if (!propertyOwners) {
+    propertyOwners = new Map();
+    for (const [type, definition] of Object.entries(SCHEMA_TYPES)) {
+      for (const property of definition.properties || []) {
+        if (!propertyOwners.has(property)) propertyOwners.set(property, []);
+        propertyOwners.get(property).push(type);
+      }
+    }
+  }
+  return propertyOwners;
+};
+
+/**
+ * Levenshtein distance, for "did you mean" suggestions
+ */
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+const closestTerm = (name, candidates) => {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase() === name.toLowerCase() ? 0 : editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+const joinTypes = types => (types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : types[0]);
+
+const pathTo = (path, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`);
+
+const isNode = value => value !== null && typeof value === 'object' && !Array.isArray(value) && value['@value'] === undefined;
+
+const isReference = node => Object.keys(node).every(key => key === '@id' || key === '@type') && node['@id'] !== undefined;
+
+const isEmpty = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.every(isEmpty));
+
+export class SchemaValidator {
+  /**
+   * Create a new SchemaValidator
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxIssues - Cap on reported findings (counts stay exact)
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxIssues: 100,
+      ...options,
+    };
+  }
+
+  /**
+   * Validate a scraped page's structured data
+   * @param {Object} pageData - WebScraper page data
+   * @returns {Object} Validation report (see validate)
+   */
+  validatePage(pageData) {
+    return this.validate(pageData?.structuredData || [], { graph: EntityGraph.fromPageData(pageData) });
+  }
+
+  /**
+   * Validate structured data items
+   * @param {Array<Object>} items - Top-level items (JSON-LD blocks, microdata / RDFa items)
+   * @param {Object} options - Options
+   * @param {EntityGraph} options.graph - Graph of the items (resolves { '@id' } references)
+   * @returns {Object} { vocabularyVersion, itemsChecked, valid, counts, issues, richResults, truncated }
+   */
+  validate(items, options = {}) {
+    const state = {
+      graph: options.graph || new EntityGraph(items),
+      issues: [],
+      richResults: [],
+      checkedIds: new Set(),
+      item: null,
+      syntax: null,
+    };
+
+    let itemsChecked = 0;
+    asArray(items).forEach((item, index) => {
+      if (!this.isSchemaOrgItem(item)) return;
+      itemsChecked++;
+      state.item = index;
+      state.syntax = item['@syntax'] || 'json-ld';
+
+      if (Array.isArray(item['@graph'])) {
+        item['@graph'].forEach((member, i) => {
+          if (isNode(member)) this.validateNode(member, `$['@graph'][${i}]`, null, true, state);
+        });
+      }
+      this.validateNode(item, '$', null, true, state);
+    });
+
+    const counts = { critical: 0, warning: 0, info: 0 };
+    state.issues.forEach((issue) => { counts[issue.severity]++; });
+
+    return {
+      vocabularyVersion: SCHEMA_ORG_VERSION,
+      itemsChecked,
+      valid: counts.critical === 0,
+      counts,
+      issues: state.issues.slice(0, this.options.maxIssues),
+      truncated: state.issues.length > this.options.maxIssues,
+      richResults: state.richResults,
+    };
+  }
+
+  /**
+   * Microdata items from other vocabularies (data-vocabulary.org, no itemtype)
+   * and JSON-LD with a foreign @context are not schema.org
+   */
+  isSchemaOrgItem(item) {
+    if (!isNode(item)) return false;
+    const context = item['@context'];
+    if (context === undefined) return item['@syntax'] !== 'microdata';
+    return SCHEMA_ORG.test(JSON.stringify(context));
+  }
+
+  /**
+   * Validate one node and everything nested in it
+   * @param {Object} node - JSON-LD shaped node
+   * @param {string} path - JSON path of the node within its item
+   * @param {Object|null} parent - Node this one is a value of
+   * @param {boolean} standalone - Top-level item or @graph member
+   */
+  validateNode(node, path, parent, standalone, state) {
+    const types = typesOf(node);
+    const known = [];
+
+    for (const type of types) {
+      if (SCHEMA_TYPES[type]) {
+        known.push(type);
+      } else if (!DATA_TYPES[type]) {
+        const suggestion = closestTerm(type, Object.keys(SCHEMA_TYPES));
+        this.addIssue(state, {
+          severity: 'critical',
+          code: 'unknown-type',
+          message: `Unknown schema.org type "${type}"${suggestion ? ` - did you mean ${suggestion}?` : ''}`,
+          path: pathTo(path, '@type'),
+          type,
+        });
+      }
+    }
+
+    const typeLabel = known[0] || types[0] || 'Thing';
+    const allowed = this.allowedProperties(known);
+
+    for (const [key, raw] of Object.entries(node)) {
+      // @-keywords, and terms from other vocabularies (og:title, https://example.com/ext)
+      if (key.startsWith('@') || /[:/]/.test(key)) continue;
+      const property = schemaTermName(key);
+      const propertyPath = pathTo(path, key);
+
+      // A misplaced property is reported once, not again for its value
+      const misplaced = allowed && !allowed.has(property);
+      if (misplaced) {
+        this.reportUnknownProperty(state, property, typeLabel, allowed, propertyPath);
+      }
+
+      const values = asArray(raw);
+      values.forEach((value, i) => {
+        const valuePath = Array.isArray(raw) ? `${propertyPath}[${i}]` : propertyPath;
+        if (!misplaced) this.checkValue(value, property, typeLabel, valuePath, state);
+        if (isNode(value)) this.validateNode(value, valuePath, node, false, state);
+      });
+    }
+
+    if (known.length > 0 && !isReference(node)) {
+      this.checkRequirements(node, known, parent, path, standalone, state);
+    }
+  }
+
+  /**
+   * Properties declared by the types and their ancestors
+   * @returns {Set<string>|null} null when a type's properties aren't bundled (open)
+   */
+  allowedProperties(types) {
+    if (types.length === 0) return null;
+    const allowed = new Set();
+    for (const type of types) {
+      for (const name of [type, ...getTypeAncestors(type)]) {
+        const definition = SCHEMA_TYPES[name];
+        if (definition.open) return null;
+        (definition.properties || []).forEach(property => allowed.add(property));
+      }
+    }
+    return allowed;
+  }
+
+  reportUnknownProperty(state, property, type, allowed, path) {
+    const owners = getPropertyOwners().get(property);
+    let message;
+    if (owners) {
+      message = `"${property}" is not a property of ${type} (it belongs to ${joinTypes(owners.slice(0, 3))})`;
+    } else {
+      const suggestion = closestTerm(property, allowed);
+      message = `Unknown property "${property}" on ${type}${suggestion ? ` - did you mean ${suggestion}?` : ''}`;
+    }
+    this.addIssue(state, { severity: 'warning', code: 'unknown-property', message, path, type, property });
+  }
+
+  /**
+   * Check a property value against the property's range and format
+   */
+  checkValue(value, property, type, path, state) {
+    const range = PROPERTY_RANGES[property];
+    const issue = { path, type, property };
+
+    if (isEmpty(value)) {
+      this.addIssue(state, { ...issue, severity: 'warning', code: 'empty-value', message: `${type}.${property} is empty` });
+      return;
+    }
+
+    if (isNode(value)) {
+      if (range) this.checkNodeValue(value, range, property, type, issue, state);
+      return;
+    }
+
+    const literal = value !== null && typeof value === 'object' ? value['@value'] : value;
+    if (!range) return;
+
+    const enumerations = range.filter(name => ENUMERATIONS[name]);
+    if (enumerations.length > 0 && enumerations.length === range.length) {
+      const member = schemaTermName(literal).toLowerCase();
+      const valid = enumerations.some(name => ENUMERATIONS[name].some(m => m.toLowerCase() === member));
+      if (!valid) {
+        const members = ENUMERATIONS[enumerations[0]];
+        const example = closestTerm(String(literal).replace(/\s+/g, ''), members) || members[0];
+        this.addIssue(state, {
+          ...issue,
+          severity: 'critical',
+          code: 'invalid-enum',
+          message: `"${literal}" is not a valid ${enumerations[0]} value for ${type}.${property} (e.g. https://schema.org/${example})`,
+        });
+      }
+      return;
+    }
+
+    const dataTypes = range.filter(name => DATA_TYPES[name]);
+    if (dataTypes.length === 0) {
+      // Quantities are written as text ("2 kg"); elsewhere text instead of a node is accepted but loses detail
+      if (!range.some(name => SCHEMA_TYPES[name]?.textValue)) {
+        this.addIssue(state, {
+          ...issue,
+          severity: 'info',
+          code: 'text-for-object',
+          message: `${type}.${property} is text - a ${joinTypes(range)} object gives search engines more detail`,
+        });
+      }
+      return;
+    }
+
+    if (!dataTypes.some(name => DATA_TYPE_TESTS[name](literal))) {
+      this.addIssue(state, {
+        ...issue,
+        severity: 'critical',
+        code: 'invalid-value',
+        message: `${type}.${property} should be ${joinTypes(dataTypes)}, got "${literal}"`,
+      });
+      return;
+    }
+
+    const format = VALUE_FORMATS[property];
+    if (format && typeof literal === 'string' && !format.pattern.test(literal.trim())) {
+      this.addIssue(state, {
+        ...issue,
+        severity: 'critical',
+        code: 'invalid-format',
+        message: `${type}.${property} should be ${format.hint}, got "${literal}"`,
+      });
+    }
+  }
+
+  /**
+   * A nested node (or { '@id' } reference) must be one of the range types
+   */
+  checkNodeValue(node, range, property, type, issue, state) {
+    const objectTypes = range.filter(name => !DATA_TYPES[name] && !ENUMERATIONS[name]);
+    if (objectTypes.length === 0) {
+      this.addIssue(state, {
+        ...issue,
+        severity: 'critical',
+        code: 'invalid-value',
+        message: `${type}.${property} should be ${joinTypes(range)}, got an object`,
+      });
+      return;
+    }
+
+    let valueTypes = typesOf(node);
+    if (valueTypes.length === 0 && node['@id']) {
+      valueTypes = typesOf(state.graph.resolve(node['@id']));
+      // A reference to something outside the page can't be checked
+      if (valueTypes.length === 0) return;
+    }
+
+    if (valueTypes.length === 0) {
+      this.addIssue(state, {
+        ...issue,
+        severity: 'warning',
+        code: 'missing-type',
+        message: `${type}.${property} has no @type (expected ${joinTypes(objectTypes)})`,
+      });
+      return;
+    }
+
+    // Unknown types are reported on the node itself
+    if (!valueTypes.every(name => SCHEMA_TYPES[name])) return;
+    if (!valueTypes.some(name => objectTypes.some(expected => isSubtypeOf(name, expected)))) {
+      this.addIssue(state, {
+        ...issue,
+        severity: 'critical',
+        code: 'wrong-type',
+        message: `${type}.${property} should be ${joinTypes(objectTypes)}, got ${joinTypes(valueTypes)}`,
+      });
+    }
+  }
+
+  /**
+   * Google rich result requirements for the most specific matching rule
+   * Nodes with an @id are checked once, merged with every other node sharing
+   * it; variants also count what they inherit from their ProductGroup
+   */
+  checkRequirements(node, types, parent, path, standalone, state) {
+    const match = this.findRule(types, typesOf(parent));
+    if (!match) return;
+
+    let entity = node;
+    if (node['@id']) {
+      const key = state.graph.normalizeId(node['@id']);
+      if (state.checkedIds.has(key)) return;
+      state.checkedIds.add(key);
+      entity = state.graph.resolve(key) || node;
+    }
+
+    const group = typesOf(parent).includes('ProductGroup') ? parent : state.graph.resolve(asArray(entity.isVariantOf)[0]);
+    if (group && types.some(type => isSubtypeOf(type, 'Product'))) {
+      const { hasVariant, productGroupID, variesBy, ...inherited } = group;
+      entity = { ...inherited, ...entity };
+    }
+
+    const { type, rule } = match;
+    const required = [...(rule.required || []), ...(standalone ? rule.requiredWhenStandalone || [] : [])];
+    const missingRequired = required.filter(requirement => !this.hasRequirement(entity, requirement, state));
+
+    for (const requirement of missingRequired) {
+      this.addIssue(state, {
+        severity: 'critical',
+        code: 'missing-required',
+        message: `${type} is missing ${this.describeRequirement(requirement)}, required for ${rule.feature}`,
+        path,
+        type,
+        property: asArray(requirement)[0],
+      });
+    }
+
+    for (const requirement of rule.recommended || []) {
+      if (this.hasRequirement(entity, requirement, state)) continue;
+      this.addIssue(state, {
+        severity: 'warning',
+        code: 'missing-recommended',
+        message: `${type} is missing ${this.describeRequirement(requirement)}, recommended for ${rule.feature}`,
+        path,
+        type,
+        property: asArray(requirement)[0],
+      });
+    }
+
+    for (const [property, min] of Object.entries(rule.minItems || {})) {
+      const count = asArray(entity[property]).length;
+      if (count > 0 && count < min) {
+        this.addIssue(state, {
+          severity: 'warning',
+          code: 'too-few-items',
+          message: `${type}.${property} has ${count} item(s) - ${rule.feature} needs at least ${min}`,
+          path: pathTo(path, property),
+          type,
+          property,
+        });
+      }
+    }
+
+    state.richResults.push({ type, feature: rule.feature, item: state.item, path, eligible: missingRequired.length === 0 });
+  }
+
+  /**
+   * Most specific rule: nested 'Parent > Type' rules first, then the type's
+   * own rule, then its ancestors'
+   * @returns {Object|null} { type, rule }
+   */
+  findRule(types, parentTypes) {
+    for (const type of types) {
+      for (const name of [type, ...getTypeAncestors(type)]) {
+        const parent = parentTypes.find(p => RICH_RESULT_RULES[`${p} > ${name}`]);
+        if (parent) return { type: name, rule: RICH_RESULT_RULES[`${parent} > ${name}`] };
+        if (RICH_RESULT_RULES[name]) return { type: name, rule: RICH_RESULT_RULES[name] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a requirement (property, dotted path, or alternatives) is present
+   */
+  hasRequirement(entity, requirement, state) {
+    return asArray(requirement).some((option) => {
+      let values = [entity];
+      for (const segment of option.split('.')) {
+        values = values
+          .map(value => (isNode(value) && isReference(value) ? state.graph.resolve(value) || value : value))
+          .flatMap(value => (isNode(value) ? asArray(value[segment]) : []));
+      }
+      return values.some(value => !isEmpty(value));
+    });
+  }
+
+  describeRequirement(requirement) {
+    const options = asArray(requirement);
+    return options.length > 1 ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}` : options[0];
+  }
+
+  addIssue(state, { severity, code, message, path, type = null, property = null }) {
+    state.issues.push({ severity, code, message, item: state.item, syntax: state.syntax, path, type, property });
+  }
+}
+
+export default SchemaValidator;
@@ -12,10 +12,43 @@
  * 4. Structured Data & Rich Result Readiness: 20 points
  * 5. Media & Accessibility: 10 points
  * 6. Commerce Trust Signals: 10 points
+ * 7. Mobile Readiness: 10 points (only when a mobile emulation pass ran;
+ *    the total is normalized back to 0-100)
  */
 
+import { resolveThresholds, rateMetric } from '../config/performanceThresholds.js';
+import { MOBILE_THRESHOLDS } from './mobileParityAnalyzer.js';
+import { deriveIssueId } from '../utils/issueIds.js';
+import { SYNTAX_NAMES } from '../utils/schemaMarkup.js';
+import { firstOffer } from '../utils/entityGraph.js';
+import { SchemaValidator } from './schemaValidator.js';
+
+// Schema validation findings surfaced as SEO issues, worst first
+const SCHEMA_VALIDATION_LABELS = {
+  'missing-required': 'missing properties required for rich results',
+  'invalid-value': 'values of the wrong data type',
+  'invalid-format': 'malformed prices, currencies or ratings',
+  'invalid-enum': 'invalid enumeration values (availability, condition...)',
+  'wrong-type': 'nested entities of the wrong type',
+  'unknown-type': 'unknown schema.org types',
+  'unknown-property': 'unknown or misplaced properties',
+  'missing-type': 'nested entities without @type',
+};
+
 export class SEOAnalyzer {
-  constructor() {
+  /**
+   * Create a new SEOAnalyzer
+   * @param {Object} options - Configuration options
+   * @param {Object} options.performanceThresholds - Per-metric overrides, e.g. { lcp: { good: 2000 } }
+   * @param {Object} options.schemaValidation - SchemaValidator options
+   */
+  constructor(options = {}) {
+    // Core Web Vitals thresholds for page experience scoring
+    this.thresholds = resolveThresholds(options.performanceThresholds);
+
+    // schema.org vocabulary + rich result requirements for structured data
+    this.schemaValidator = new SchemaValidator(options.schemaValidation);
+
     // Category weights (total = 100)
     this.categoryWeights = {
       indexability: 20,
@@ -24,6 +57,7 @@ export class SEOAnalyzer {
       structuredData: 20,
       mediaAccessibility: 10,
       commerceTrust: 10,
+      mobileReadiness: 10, // Scored only with a mobile emulation pass
     };
   }
 
@@ -42,6 +76,11 @@ export class SEOAnalyzer {
       commerceTrust: this.analyzeCommerceTrust(pageData),
     };
 
+    // Mobile readiness needs a rendered mobile pass (not available for static scrapes)
+    if (pageData.mobile?.available) {
+      categories.mobileReadiness = this.analyzeMobileReadiness(pageData.mobile);
+    }
+
     const score = this.calculateScore(categories);
     const issues = this.collectIssues(categories);
     const recommendations = this.generateRecommendations(categories);
@@ -59,6 +98,7 @@ export class SEOAnalyzer {
   /**
    * Step 7: Indexability & Technical SEO (0-20 points)
    * Checks: 200 OK, canonical, noindex, robots.txt, hreflang, internal linking
+   * (link graph metrics - orphans, click depth, PageRank - when from a site crawl)
    */
   analyzeIndexability(pageData) {
     const maxScore = 20;
@@ -148,22 +188,77 @@ export class SEOAnalyzer {
       points: hasHreflang ? 2 : 1, // Neutral if not multilingual
     };
 
-    // Check 6: Breadcrumbs / Internal Linking (3 points)
-    checks.internalLinking = {
-      value: pageData.hasBreadcrumbs ? 'Has breadcrumbs' : 'No breadcrumbs',
-      passed: pageData.hasBreadcrumbs || (pageData.linkStats?.totalInternal > 5),
-      points: 0,
-    };
-    if (!pageData.hasBreadcrumbs && (pageData.linkStats?.totalInternal || 0) < 5) {
-      score -= 2;
-      issues.push({
-        severity: 'info',
-        message: 'Limited internal linking structure',
-        impact: 2,
-      });
-      recommendations.push('Add breadcrumb navigation and more internal links');
+    // Check 6: Internal Linking (3 points)
+    // Site crawls provide real link-graph metrics (LinkGraph); single-page
+    // audits fall back to breadcrumbs and outgoing link count as a proxy
+    if (pageData.linkGraph) {
+      const graph = pageData.linkGraph;
+      let linkPoints = 3;
+
+      if (graph.isOrphan) {
+        linkPoints = 0;
+        issues.push({
+          severity: 'warning',
+          message: 'Orphan page - no internal links point to this page',
+          impact: 3,
+        });
+        recommendations.push('Link to this page from related pages, categories or navigation');
+      } else {
+        // Without the homepage in the crawl, click depth can't be measured
+        if (graph.hasHomepage && (graph.clickDepth === null || graph.clickDepth > 3)) {
+          linkPoints -= 1;
+          issues.push({
+            severity: 'info',
+            message: graph.clickDepth === null
+              ? 'Page not reachable by links from the homepage'
+              : `Page is ${graph.clickDepth} clicks from the homepage (recommended: 3 or fewer)`,
+            impact: 1,
+          });
+          recommendations.push('Reduce click depth by linking to this page from higher-level pages');
+        }
+        if (graph.pageRankScore < 10 && graph.graphSize > 10) {
+          linkPoints -= 1;
+          issues.push({
+            severity: 'info',
+            message: `Low internal link equity (PageRank ${graph.pageRankScore}/100 relative to the strongest page)`,
+            impact: 1,
+          });
+          recommendations.push('Add internal links to this page from high-authority pages');
+        }
+      }
+
+      if (graph.isDeadEnd) {
+        issues.push({
+          severity: 'info',
+          message: 'Dead-end page - no internal links to other pages',
+          impact: 0,
+        });
+        recommendations.push('Add links to related pages so crawlers and users can continue');
+      }
+
+      checks.internalLinking = {
+        value: `${graph.inlinks} inlinks, depth ${graph.hasHomepage ? graph.clickDepth ?? 'unreachable' : 'unknown'}, PageRank ${graph.pageRankScore}/100`,
+        passed: linkPoints === 3,
+        points: linkPoints,
+      };
+      score -= 3 - linkPoints;
     } else {
-      checks.internalLinking.points = 3;
+      checks.internalLinking = {
+        value: pageData.hasBreadcrumbs ? 'Has breadcrumbs' : 'No breadcrumbs',
+        passed: pageData.hasBreadcrumbs || (pageData.linkStats?.totalInternal > 5),
+        points: 0,
+      };
+      if (!pageData.hasBreadcrumbs && (pageData.linkStats?.totalInternal || 0) < 5) {
+        score -= 2;
+        issues.push({
+          severity: 'info',
+          message: 'Limited internal linking structure',
+          impact: 2,
+        });
+        recommendations.push('Add breadcrumb navigation and more internal links');
+      } else {
+        checks.internalLinking.points = 3;
+      }
     }
 
     return {
@@ -179,7 +274,9 @@ export class SEOAnalyzer {
 
   /**
    * Step 8: Page Experience & Performance (0-15 points)
-   * Checks: Load time, resource counts, viewport, CLS/LCP proxies
+   * Checks: Core Web Vitals (LCP, CLS, TBT, TTFB), page weight, render-blocking
+   * resources, viewport, HTTPS - with load time/resource count proxies when no
+   * lab metrics were captured
    */
   analyzePageExperience(pageData) {
     const maxScore = 15;
@@ -188,32 +285,80 @@ export class SEOAnalyzer {
     const recommendations = [];
     const checks = {};
 
-    // Check 1: Page Load Time (5 points)
-    const loadTime = pageData.loadTime || 0;
-    checks.loadTime = {
-      value: `${(loadTime / 1000).toFixed(2)}s`,
-      passed: loadTime < 3000,
-      points: 0,
-    };
-    if (loadTime > 5000) {
-      score -= 5;
-      issues.push({
-        severity: 'critical',
-        message: `Very slow page load time: ${(loadTime / 1000).toFixed(2)}s`,
-        impact: 5,
-      });
-      recommendations.push('Optimize page load time to under 3 seconds');
-    } else if (loadTime > 3000) {
-      score -= 3;
-      issues.push({
-        severity: 'warning',
-        message: `Slow page load time: ${(loadTime / 1000).toFixed(2)}s`,
-        impact: 3,
-      });
-      recommendations.push('Target page load time under 3 seconds for better user experience');
-      checks.loadTime.points = 2;
+    // Checks 1, 3, 4: Speed (10 points)
+    // Rendered scrapes carry lab Core Web Vitals (PerformanceCollector); static
+    // scrapes fall back to load time, resource count and HTML size as proxies
+    if (pageData.performance) {
+      score -= this.scoreLabPerformance(pageData.performance, checks, issues, recommendations);
     } else {
-      checks.loadTime.points = 5;
+      // Check 1: Page Load Time (5 points)
+      const loadTime = pageData.loadTime || 0;
+      checks.loadTime = {
+        value: `${(loadTime / 1000).toFixed(2)}s`,
+        passed: loadTime < 3000,
+        points: 0,
+      };
+      if (loadTime > 5000) {
+        score -= 5;
+        issues.push({
+          severity: 'critical',
+          message: `Very slow page load time: ${(loadTime / 1000).toFixed(2)}s`,
+          impact: 5,
+        });
+        recommendations.push('Optimize page load time to under 3 seconds');
+      } else if (loadTime > 3000) {
+        score -= 3;
+        issues.push({
+          severity: 'warning',
+          message: `Slow page load time: ${(loadTime / 1000).toFixed(2)}s`,
+          impact: 3,
+        });
+        recommendations.push('Target page load time under 3 seconds for better user experience');
+        checks.loadTime.points = 2;
+      } else {
+        checks.loadTime.points = 5;
+      }
+
+      // Check 3: Resource Count (3 points)
+      const totalResources = (pageData.scriptCount || 0) + (pageData.stylesheetCount || 0);
+      checks.resourceCount = {
+        value: `${totalResources} resources`,
+        passed: totalResources <= 30,
+        points: 0,
+      };
+      if (totalResources > 50) {
+        score -= 3;
+        issues.push({
+          severity: 'warning',
+          message: `High resource count: ${totalResources} external resources`,
+          impact: 3,
+        });
+        recommendations.push('Reduce HTTP requests by combining and minifying CSS/JS files');
+      } else if (totalResources > 30) {
+        score -= 1;
+        checks.resourceCount.points = 2;
+      } else {
+        checks.resourceCount.points = 3;
+      }
+
+      // Check 4: HTML Size (2 points)
+      const htmlSizeKB = (pageData.htmlSize || 0) / 1024;
+      checks.htmlSize = {
+        value: `${htmlSizeKB.toFixed(0)}KB`,
+        passed: htmlSizeKB < 500,
+        points: 0,
+      };
+      if (htmlSizeKB > 1000) {
+        score -= 2;
+        issues.push({
+          severity: 'warning',
+          message: `Large HTML size: ${htmlSizeKB.toFixed(0)}KB`,
+          impact: 2,
+        });
+        recommendations.push('Reduce HTML size by removing unused code and inline styles');
+      } else {
+        checks.htmlSize.points = 2;
+      }
     }
 
     // Check 2: Viewport Meta Tag (3 points)
@@ -234,47 +379,6 @@ export class SEOAnalyzer {
       checks.viewport.points = 3;
     }
 
-    // Check 3: Resource Count (3 points)
-    const totalResources = (pageData.scriptCount || 0) + (pageData.stylesheetCount || 0);
-    checks.resourceCount = {
-      value: `${totalResources} resources`,
-      passed: totalResources <= 30,
-      points: 0,
-    };
-    if (totalResources > 50) {
-      score -= 3;
-      issues.push({
-        severity: 'warning',
-        message: `High resource count: ${totalResources} external resources`,
-        impact: 3,
-      });
-      recommendations.push('Reduce HTTP requests by combining and minifying CSS/JS files');
-    } else if (totalResources > 30) {
-      score -= 1;
-      checks.resourceCount.points = 2;
-    } else {
-      checks.resourceCount.points = 3;
-    }
-
-    // Check 4: HTML Size (2 points)
-    const htmlSizeKB = (pageData.htmlSize || 0) / 1024;
-    checks.htmlSize = {
-      value: `${htmlSizeKB.toFixed(0)}KB`,
-      passed: htmlSizeKB < 500,
-      points: 0,
-    };
-    if (htmlSizeKB > 1000) {
-      score -= 2;
-      issues.push({
-        severity: 'warning',
-        message: `Large HTML size: ${htmlSizeKB.toFixed(0)}KB`,
-        impact: 2,
-      });
-      recommendations.push('Reduce HTML size by removing unused code and inline styles');
-    } else {
-      checks.htmlSize.points = 2;
-    }
-
     // Check 5: HTTPS (2 points)
     const isHttps = pageData.url?.startsWith('https://');
     checks.https = {
@@ -305,6 +409,80 @@ export class SEOAnalyzer {
     };
   }
 
+  /**
+   * Score lab performance metrics (10 of the 15 page experience points)
+   * Good = full points, needs improvement = half, poor = none; unmeasured is neutral
+   * @returns {number} Points deducted
+   */
+  scoreLabPerformance(performance, checks, issues, recommendations) {
+    const seconds = v => `${(v / 1000).toFixed(2)}s`;
+    const ms = v => `${Math.round(v)}ms`;
+    const metrics = [
+      {
+        key: 'lcp', value: performance.lcp, points: 3, format: seconds,
+        recommendation: 'Improve LCP: optimize and preload the hero image, and reduce server response time',
+      },
+      {
+        key: 'cls', value: performance.cls, points: 2, format: v => v.toFixed(3),
+        recommendation: 'Reduce layout shifts: set image dimensions and reserve space for late-loading content',
+      },
+      {
+        key: 'tbt', value: performance.tbt, points: 2, format: ms,
+        recommendation: 'Reduce main-thread blocking: split long JavaScript tasks and defer non-critical scripts',
+      },
+      {
+        key: 'ttfb', value: performance.ttfb, points: 1, format: ms,
+        recommendation: 'Reduce server response time with caching or a CDN',
+      },
+      {
+        key: 'transferBytes', value: performance.transfer?.totalBytes, points: 1,
+        format: v => `${Math.round(v / 1024)}KB`,
+        recommendation: 'Reduce page weight: compress images and remove unused JavaScript and CSS',
+      },
+      {
+        key: 'renderBlocking', value: performance.renderBlocking?.length, points: 1,
+        format: v => `${v} blocking`,
+        recommendation: 'Inline critical CSS and defer or async scripts in <head> to remove render-blocking resources',
+      },
+    ];
+
+    let deducted = 0;
+    for (const metric of metrics) {
+      const threshold = this.thresholds[metric.key];
+      const rating = rateMetric(metric.key, metric.value, this.thresholds);
+      let earned = metric.points;
+      if (rating === 'needs-improvement') earned = Math.floor(metric.points / 2);
+      if (rating === 'poor') earned = 0;
+
+      checks[metric.key] = {
+        value: rating ? `${metric.format(metric.value)} (${rating})` : 'Not measured',
+        passed: !rating || rating === 'good',
+        points: earned,
+      };
+
+      if (rating && rating !== 'good') {
+        deducted += metric.points - earned;
+        issues.push({
+          severity: rating === 'poor' ? 'warning' : 'info',
+          message: `${threshold.name} ${rating === 'poor' ? 'is poor' : 'needs improvement'}: ${metric.format(metric.value)} (good: ${metric.format(threshold.good)} or less)`,
+          impact: metric.points - earned,
+        });
+        recommendations.push(metric.recommendation);
+      }
+    }
+
+    // INP can't be measured without real interactions; the approximation comes
+    // from the same long tasks as TBT, so it is reported but not scored twice
+    const inpRating = rateMetric('inp', performance.inp, this.thresholds);
+    checks.inp = {
+      value: inpRating ? `~${ms(performance.inp)} (${inpRating}, lab approximation)` : 'Not measured',
+      passed: !inpRating || inpRating === 'good',
+      points: 0,
+    };
+
+    return deducted;
+  }
+
   /**
    * Step 9: On-page Relevance & Content Quality (0-25 points)
    * Checks: Title, meta description, H1, heading hierarchy, content uniqueness
@@ -493,10 +671,13 @@ export class SEOAnalyzer {
     const checks = {};
     const isProductPage = pageData.pageType?.isProductPage;
 
-    // Check 1: Has any structured data (5 points)
+    // Check 1: Has any structured data - JSON-LD, microdata or RDFa (5 points)
     const schemaCount = pageData.structuredData?.length || 0;
+    const syntaxes = Object.entries(pageData.structuredDataSyntaxes || {})
+      .filter(([, count]) => count > 0)
+      .map(([syntax, count]) => `${count} ${SYNTAX_NAMES[syntax] || syntax}`);
     checks.hasSchema = {
-      value: schemaCount > 0 ? `${schemaCount} schema(s)` : 'None',
+      value: schemaCount > 0 ? `${schemaCount} schema(s)${syntaxes.length > 0 ? ` (${syntaxes.join(', ')})` : ''}` : 'None',
       passed: schemaCount > 0,
       points: 0,
     };
@@ -504,7 +685,7 @@ export class SEOAnalyzer {
       score -= 5;
       issues.push({
         severity: 'warning',
-        message: 'No JSON-LD structured data found',
+        message: 'No structured data found (JSON-LD, microdata or RDFa)',
         impact: 5,
       });
       recommendations.push('Add JSON-LD structured data (Product, Article, Organization, etc.)');
@@ -530,7 +711,7 @@ export class SEOAnalyzer {
         recommendations.push('Add Product schema with name, image, description, and offers');
       } else {
         // Check required fields
-        const hasOffers = productSchema.offers;
+        const hasOffers = firstOffer(productSchema);
         const hasImage = productSchema.image;
         if (!hasOffers || !hasImage) {
           score -= 2;
@@ -619,6 +800,32 @@ export class SEOAnalyzer {
       checks.twitterCard.points = 2;
     }
 
+    // Check 7: schema.org vocabulary & rich result requirements (up to -3 points)
+    // Markup that is present but invalid doesn't earn rich results
+    const validation = this.schemaValidator.validatePage(pageData);
+    checks.schemaValidation = {
+      value: validation.itemsChecked > 0
+        ? `${validation.counts.critical} error(s), ${validation.counts.warning} warning(s)`
+        : 'N/A (no schema.org markup)',
+      passed: validation.valid,
+      points: 0,
+    };
+    score -= Math.min(3, validation.counts.critical);
+    for (const [code, label] of Object.entries(SCHEMA_VALIDATION_LABELS)) {
+      const found = validation.issues.filter(issue => issue.code === code);
+      if (found.length === 0) continue;
+      const critical = found[0].severity === 'critical';
+      issues.push({
+        id: `structuredData.schema-${code}`,
+        severity: critical ? 'warning' : 'info',
+        message: `Structured data has ${found.length} ${label} (e.g. ${found[0].message} at ${found[0].path})`,
+        impact: critical ? 1 : 0,
+      });
+    }
+    if (!validation.valid) {
+      recommendations.push('Fix structured data errors so the page stays eligible for rich results (see schemaValidation findings)');
+    }
+
     return {
       score: Math.max(0, score),
       maxScore,
@@ -627,6 +834,7 @@ export class SEOAnalyzer {
       checks,
       issues,
       recommendations,
+      validation,
     };
   }
 
@@ -865,15 +1073,148 @@ export class SEOAnalyzer {
     };
   }
 
+  /**
+   * Step 13: Mobile Readiness (0-10 points)
+   * Checks: Desktop/mobile content parity, tap target size, font legibility,
+   * horizontal overflow - from the mobile emulation pass (MobileParityAnalyzer)
+   */
+  analyzeMobileReadiness(mobile) {
+    const maxScore = 10;
+    let score = maxScore;
+    const issues = [];
+    const recommendations = [];
+    const checks = {};
+
+    // Check 1: Content parity (3 points)
+    // Mobile-first indexing only sees what the mobile render shows
+    const { content, missingKeyContent } = mobile;
+    checks.contentParity = {
+      value: missingKeyContent.length > 0
+        ? `Missing on mobile: ${missingKeyContent.join(', ')}`
+        : `${content.hiddenPercentage}% of desktop text hidden`,
+      passed: missingKeyContent.length === 0 && content.hiddenPercentage <= MOBILE_THRESHOLDS.maxHiddenContentPercentage,
+      points: 0,
+    };
+    if (missingKeyContent.length > 0) {
+      score -= 3;
+      issues.push({
+        severity: 'critical',
+        message: `Key content missing on mobile: ${missingKeyContent.join(', ')}`,
+        impact: 3,
+      });
+      recommendations.push('Serve the same product name, price and structured data on mobile as on desktop');
+    } else if (content.hiddenPercentage > MOBILE_THRESHOLDS.maxHiddenContentPercentage) {
+      score -= 2;
+      issues.push({
+        severity: 'warning',
+        message: `${content.hiddenPercentage}% of desktop text is hidden on mobile`,
+        impact: 2,
+      });
+      recommendations.push('Keep primary content visible on mobile - Google indexes the mobile version');
+      checks.contentParity.points = 1;
+    } else {
+      checks.contentParity.points = 3;
+    }
+    if (content.hiddenHeadingCount > 0) {
+      issues.push({
+        severity: 'info',
+        message: `${content.hiddenHeadingCount} heading(s) hidden on mobile`,
+        impact: 0,
+      });
+    }
+
+    // Check 2: Tap targets (3 points)
+    const { tapTargets } = mobile;
+    const tapTargetRating = rateMetric('smallTapTargets', tapTargets.percentage, this.thresholds);
+    checks.tapTargets = {
+      value: `${tapTargets.tooSmall} of ${tapTargets.total} too small (<${tapTargets.minSizePx}px)`,
+      passed: tapTargetRating === 'good',
+      points: 0,
+    };
+    if (tapTargetRating === 'poor') {
+      score -= 3;
+      issues.push({
+        severity: 'warning',
+        message: `${tapTargets.percentage}% of tap targets are smaller than ${tapTargets.minSizePx}px`,
+        impact: 3,
+      });
+      recommendations.push(`Make buttons and links at least ${tapTargets.minSizePx}x${tapTargets.minSizePx}px with spacing between them`);
+    } else if (tapTargetRating === 'needs-improvement') {
+      score -= 1;
+      issues.push({
+        severity: 'info',
+        message: `${tapTargets.tooSmall} tap target(s) smaller than ${tapTargets.minSizePx}px`,
+        impact: 1,
+      });
+      recommendations.push(`Enlarge small tap targets to at least ${tapTargets.minSizePx}px`);
+      checks.tapTargets.points = 2;
+    } else {
+      checks.tapTargets.points = 3;
+    }
+
+    // Check 3: Legible font sizes (2 points)
+    const { fonts } = mobile;
+    checks.fontSize = {
+      value: `${fonts.legiblePercentage}% legible (>=${fonts.minSizePx}px)`,
+      passed: fonts.legiblePercentage >= MOBILE_THRESHOLDS.minLegiblePercentage,
+      points: 0,
+    };
+    if (fonts.legiblePercentage < MOBILE_THRESHOLDS.minLegiblePercentage) {
+      score -= 2;
+      issues.push({
+        severity: 'warning',
+        message: `Text too small on mobile: only ${fonts.legiblePercentage}% of text is ${fonts.minSizePx}px or larger`,
+        impact: 2,
+      });
+      recommendations.push(`Use a base font size of at least 16px and no text below ${fonts.minSizePx}px on mobile`);
+    } else {
+      checks.fontSize.points = 2;
+    }
+
+    // Check 4: No horizontal scrolling (2 points)
+    const { overflow } = mobile;
+    checks.horizontalOverflow = {
+      value: overflow.hasHorizontalOverflow
+        ? `Content ${overflow.scrollWidth}px wide on a ${overflow.viewportWidth}px screen`
+        : 'Fits viewport',
+      passed: !overflow.hasHorizontalOverflow,
+      points: 0,
+    };
+    if (overflow.hasHorizontalOverflow) {
+      score -= 2;
+      issues.push({
+        severity: 'warning',
+        message: `Page scrolls horizontally on mobile (${overflow.scrollWidth}px content, ${overflow.viewportWidth}px viewport)`,
+        impact: 2,
+      });
+      recommendations.push('Fix elements wider than the screen (fixed widths, large images, tables) with responsive CSS');
+    } else {
+      checks.horizontalOverflow.points = 2;
+    }
+
+    return {
+      score: Math.max(0, score),
+      maxScore,
+      percentage: Math.round((Math.max(0, score) / maxScore) * 100),
+      passed: score >= maxScore * 0.7,
+      checks,
+      issues,
+      recommendations,
+    };
+  }
+
   /**
    * Calculate overall SEO score (0-100)
+   * Normalized by the total max score, since optional categories can push it past 100
    */
   calculateScore(categories) {
     let totalScore = 0;
+    let totalMax = 0;
     for (const [key, category] of Object.entries(categories)) {
       totalScore += category.score;
+      totalMax += category.maxScore;
     }
-    return Math.round(totalScore);
+    return totalMax > 0 ? Math.round((totalScore / totalMax) * 100) : 0;
   }
 
   /**
@@ -887,6 +1228,7 @@ export class SEOAnalyzer {
         allIssues.push({
           category: categoryName,
           ...issue,
+          id: issue.id || deriveIssueId(categoryName, issue.message),
         });
       }
     }
@@ -0,0 +1,90 @@
+/**
+ * Performance Thresholds Configuration Module
+ *
+ * Core Web Vitals thresholds, network/CPU throttling profiles and page
+ * weight budgets used by PerformanceCollector (capture) and
+ * SEOAnalyzer.analyzePageExperience (scoring), plus the lab check on the
+ * mobile emulation pass that SEOAnalyzer.analyzeMobileReadiness rates.
+ *
+ * Thresholds follow web.dev guidance: a value at or below `good` is good,
+ * above `poor` is poor, anything between needs improvement.
+ *
+ * Research basis:
+ * - LCP / CLS / INP are Google's Core Web Vitals (page experience signals)
+ * - TBT is the lab proxy for INP when no real user interaction happens
+ * - TTFB and render-blocking resources are the main LCP bottlenecks
+ */
+
+export const METRIC_THRESHOLDS = {
+  lcp: { name: 'Largest Contentful Paint', good: 2500, poor: 4000, unit: 'ms' },
+  cls: { name: 'Cumulative Layout Shift', good: 0.1, poor: 0.25, unit: '' },
+  inp: { name: 'Interaction to Next Paint (approx.)', good: 200, poor: 500, unit: 'ms' },
+  tbt: { name: 'Total Blocking Time', good: 200, poor: 600, unit: 'ms' },
+  fcp: { name: 'First Contentful Paint', good: 1800, poor: 3000, unit: 'ms' },
+  ttfb: { name: 'Time to First Byte', good: 800, poor: 1800, unit: 'ms' },
+  transferBytes: { name: 'Total transfer size', good: 1600 * 1024, poor: 4000 * 1024, unit: 'bytes' },
+  renderBlocking: { name: 'Render-blocking resources', good: 2, poor: 6, unit: '' },
+  // Share of tap targets under MOBILE_THRESHOLDS.minTapTargetPx (mobileParityAnalyzer.js)
+  smallTapTargets: { name: 'Small tap targets', good: 10, poor: 25, unit: '%' },
+};
+
+/**
+ * Network and CPU throttling profiles for lab measurement
+ * Throughput in bytes/second, latency in ms (Chrome DevTools units)
+ */
+export const NETWORK_PROFILES = {
+  // Lighthouse mobile default: 150ms RTT, 1.6 Mbps down, 750 Kbps up, 4x CPU slowdown
+  slow4g: {
+    name: 'Slow 4G',
+    download: (1.6 * 1024 * 1024) / 8,
+    upload: (750 * 1024) / 8,
+    latency: 150,
+    cpuSlowdown: 4,
+  },
+  fast4g: {
+    name: 'Fast 4G',
+    download: (9 * 1024 * 1024) / 8,
+    upload: (1.5 * 1024 * 1024) / 8,
+    latency: 60,
+    cpuSlowdown: 2,
+  },
+  none: {
+    name: 'Unthrottled',
+    download: -1,
+    upload: -1,
+    latency: 0,
+    cpuSlowdown: 1,
+  },
+};
+
+export const DEFAULT_NETWORK_PROFILE = process.env.PERF_NETWORK_PROFILE || 'slow4g';
+
+/**
+ * Rate a metric value against thresholds
+ * @param {string} metric - Key of METRIC_THRESHOLDS
+ * @param {number} value - Measured value
+ * @param {Object} thresholds - Threshold overrides (defaults to METRIC_THRESHOLDS)
+ * @returns {string|null} 'good' | 'needs-improvement' | 'poor', or null if not measured
+ */
+export const rateMetric = (metric, value, thresholds = METRIC_THRESHOLDS) => {
+  const threshold = thresholds[metric];
+  if (!threshold || value === null || value === undefined) return null;
+  if (value <= threshold.good) return 'good';
+  if (value <= threshold.poor) return 'needs-improvement';
+  return 'poor';
+};
+
+/**
+ * Merge per-metric threshold overrides onto the defaults
+ * @param {Object} overrides - e.g. { lcp: { good: 2000 } }
+ * @returns {Object} Thresholds
+ */
+export const resolveThresholds = (overrides = {}) => {
+  const thresholds = {};
+  for (const [metric, defaults] of Object.entries(METRIC_THRESHOLDS)) {
+    thresholds[metric] = { ...defaults, ...(overrides[metric] || {}) };
+  }
+  return thresholds;
+};
+
+export default METRIC_THRESHOLDS;
@@ -0,0 +1,102 @@
+/**
+ * Rich Result Requirements Configuration Module
+ *
+ * Required and recommended properties from Google Search Central's structured
+ * data documentation, per schema.org type. Used by SchemaValidator on top of
+ * the schema.org vocabulary checks: markup can be valid schema.org and still
+ * not be eligible for a rich result.
+ *
+ * Each rule has:
+ * - feature: Rich result the type feeds
+ * - required: Missing -> not eligible (critical)
+ * - recommended: Missing -> eligible but less complete (warning)
+ * - requiredWhenStandalone: Only required on top-level nodes (e.g. a Review
+ *   nested in Product.review doesn't need itemReviewed)
+ * - minItems: Minimum number of values of a property
+ *
+ * A requirement is a property name, a dotted path ('item.name') or an array
+ * of alternatives of which one is enough. Rules apply to subtypes (NewsArticle
+ * uses Article, Bakery uses LocalBusiness); the most specific rule wins.
+ * 'Parent > Type' keys only apply to nodes nested in a Parent node.
+ */
+
+export const RICH_RESULT_RULES = {
+  Product: {
+    feature: 'Product snippets / merchant listings',
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku', ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'mpn']],
+  },
+  ProductGroup: {
+    feature: 'Product variants',
+    required: ['name', 'hasVariant'],
+    recommended: ['productGroupID', 'variesBy', 'brand', 'description'],
+  },
+  Offer: {
+    feature: 'Product snippets / merchant listings',
+    required: [['price', 'priceSpecification'], ['priceCurrency', 'priceSpecification']],
+    recommended: ['availability', 'itemCondition', 'url', 'shippingDetails', 'hasMerchantReturnPolicy'],
+  },
+  AggregateOffer: {
+    feature: 'Product snippets',
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+  },
+  AggregateRating: {
+    feature: 'Review snippets',
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    requiredWhenStandalone: ['itemReviewed'],
+    recommended: ['bestRating'],
+  },
+  Review: {
+    feature: 'Review snippets',
+    required: ['author', 'reviewRating'],
+    requiredWhenStandalone: ['itemReviewed'],
+    recommended: ['datePublished'],
+  },
+  Rating: {
+    feature: 'Review snippets',
+    required: ['ratingValue'],
+    recommended: ['bestRating'],
+  },
+  BreadcrumbList: {
+    feature: 'Breadcrumbs',
+    required: ['itemListElement'],
+    minItems: { itemListElement: 2 },
+  },
+  'BreadcrumbList > ListItem': {
+    feature: 'Breadcrumbs',
+    // item may be left out on the last crumb (the current page)
+    required: ['position', ['name', 'item.name']],
+  },
+  FAQPage: {
+    feature: 'FAQ',
+    required: ['mainEntity'],
+  },
+  Question: {
+    feature: 'FAQ',
+    required: ['name', 'acceptedAnswer'],
+  },
+  Answer: {
+    feature: 'FAQ',
+    required: ['text'],
+  },
+  Article: {
+    feature: 'Article',
+    recommended: ['headline', 'author', 'datePublished', 'dateModified', 'image'],
+  },
+  Organization: {
+    feature: 'Organization (logo, knowledge panel)',
+    recommended: ['name', 'url', 'logo', 'sameAs'],
+  },
+  LocalBusiness: {
+    feature: 'Local business',
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'image', 'priceRange'],
+  },
+  PostalAddress: {
+    feature: 'Local business / merchant listings',
+    recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'],
+  },
+};
+
+export default RICH_RESULT_RULES;
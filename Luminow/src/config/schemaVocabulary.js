@@ -0,0 +1,719 @@
+/**
+ * Schema.org Vocabulary Module
+ *
+ * Offline copy of the part of the schema.org vocabulary (release 29) that
+ * commerce, content and local business pages use, for SchemaValidator.
+ * Audits run without network access, so the vocabulary is bundled rather
+ * than fetched from schema.org.
+ *
+ * - SCHEMA_TYPES: type hierarchy and the properties each type declares
+ *   (properties are inherited). Types marked `open` are known by name only -
+ *   their own properties aren't bundled, so unknown properties aren't reported
+ *   for them or their subtypes.
+ * - DATA_TYPES: literal value types (Text, URL, Number, Date...)
+ * - PROPERTY_RANGES: expected value types of the properties validated for
+ *   value type; properties without a range entry accept any value
+ * - ENUMERATIONS: members of the enumerations used as property values
+ *
+ * Updating: compare with https://schema.org/version/latest/schemaorg-current-https.jsonld
+ * and bump SCHEMA_ORG_VERSION.
+ */
+
+export const SCHEMA_ORG_VERSION = '29.0';
+
+export const DATA_TYPES = {
+  Text: [],
+  URL: ['Text'],
+  Number: [],
+  Integer: ['Number'],
+  Float: ['Number'],
+  Date: [],
+  DateTime: [],
+  Time: [],
+  Boolean: [],
+};
+
+export const SCHEMA_TYPES = {
+  // ════════════════════════════════════════════════════════════════════════════
+  // CORE
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Thing: {
+    parents: [],
+    properties: [
+      'additionalType', 'alternateName', 'description', 'disambiguatingDescription', 'identifier', 'image',
+      'mainEntityOfPage', 'name', 'potentialAction', 'sameAs', 'subjectOf', 'url',
+    ],
+  },
+  Intangible: { parents: ['Thing'], properties: [] },
+  StructuredValue: { parents: ['Intangible'], properties: [] },
+  Enumeration: { parents: ['Intangible'], properties: ['supersededBy'] },
+  Quantity: { parents: ['Intangible'], properties: [], textValue: true },
+  Distance: { parents: ['Quantity'], properties: [], textValue: true },
+  Duration: { parents: ['Quantity'], properties: [], textValue: true },
+  Mass: { parents: ['Quantity'], properties: [], textValue: true },
+  Energy: { parents: ['Quantity'], properties: [], textValue: true },
+  DefinedTerm: { parents: ['Intangible'], properties: ['inDefinedTermSet', 'termCode'] },
+  CategoryCode: { parents: ['DefinedTerm'], properties: ['codeValue', 'inCodeSet'] },
+  Language: { parents: ['Intangible'], properties: [] },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CREATIVE WORKS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  CreativeWork: {
+    parents: ['Thing'],
+    properties: [
+      'about', 'abstract', 'accessMode', 'accessModeSufficient', 'accessibilityAPI', 'accessibilityControl',
+      'accessibilityFeature', 'accessibilityHazard', 'accessibilitySummary', 'accountablePerson',
+      'acquireLicensePage', 'aggregateRating', 'alternativeHeadline', 'archivedAt', 'assesses',
+      'associatedMedia', 'audience', 'audio', 'author', 'award', 'awards', 'character', 'citation', 'comment',
+      'commentCount', 'conditionsOfAccess', 'contentLocation', 'contentRating', 'contentReferenceTime',
+      'contributor', 'copyrightHolder', 'copyrightNotice', 'copyrightYear', 'correction', 'countryOfOrigin',
+      'creativeWorkStatus', 'creator', 'creditText', 'dateCreated', 'dateModified', 'datePublished',
+      'digitalSourceType', 'discussionUrl', 'editEIDR', 'editor', 'educationalAlignment', 'educationalLevel',
+      'educationalUse', 'encoding', 'encodingFormat', 'encodings', 'exampleOfWork', 'expires', 'fileFormat',
+      'funder', 'funding', 'genre', 'hasPart', 'headline', 'inLanguage', 'interactionStatistic',
+      'interactivityType', 'interpretedAsClaim', 'isAccessibleForFree', 'isBasedOn', 'isBasedOnUrl',
+      'isFamilyFriendly', 'isPartOf', 'keywords', 'learningResourceType', 'license', 'locationCreated',
+      'mainEntity', 'maintainer', 'material', 'materialExtent', 'mentions', 'offers', 'pattern', 'position',
+      'producer', 'provider', 'publication', 'publisher', 'publisherImprint', 'publishingPrinciples',
+      'recordedAt', 'releasedEvent', 'review', 'reviews', 'schemaVersion', 'sdDatePublished', 'sdLicense',
+      'sdPublisher', 'size', 'sourceOrganization', 'spatial', 'spatialCoverage', 'sponsor', 'teaches',
+      'temporal', 'temporalCoverage', 'text', 'thumbnail', 'thumbnailUrl', 'timeRequired',
+      'translationOfWork', 'translator', 'typicalAgeRange', 'usageInfo', 'version', 'video', 'workExample',
+      'workTranslation',
+    ],
+  },
+  Article: {
+    parents: ['CreativeWork'],
+    properties: ['articleBody', 'articleSection', 'backstory', 'pageEnd', 'pageStart', 'pagination', 'speakable', 'wordCount'],
+  },
+  NewsArticle: { parents: ['Article'], properties: ['dateline', 'printColumn', 'printEdition', 'printPage', 'printSection'] },
+  SocialMediaPosting: { parents: ['Article'], properties: ['sharedContent'] },
+  BlogPosting: { parents: ['SocialMediaPosting'], properties: [] },
+  TechArticle: { parents: ['Article'], properties: ['dependencies', 'proficiencyLevel'] },
+  Report: { parents: ['Article'], properties: ['reportNumber'] },
+  Blog: { parents: ['CreativeWork'], properties: ['blogPost', 'blogPosts', 'issn'] },
+  HowTo: { parents: ['CreativeWork'], open: true },
+  Recipe: { parents: ['HowTo'], open: true },
+  Book: { parents: ['CreativeWork'], open: true },
+  Course: { parents: ['CreativeWork'], open: true },
+  Dataset: { parents: ['CreativeWork'], open: true },
+  Movie: { parents: ['CreativeWork'], open: true },
+  SoftwareApplication: { parents: ['CreativeWork'], open: true },
+  WebApplication: { parents: ['SoftwareApplication'], open: true },
+  MobileApplication: { parents: ['SoftwareApplication'], open: true },
+  Certification: { parents: ['CreativeWork'], open: true },
+
+  WebPage: {
+    parents: ['CreativeWork'],
+    properties: [
+      'breadcrumb', 'lastReviewed', 'mainContentOfPage', 'primaryImageOfPage', 'relatedLink', 'reviewedBy',
+      'significantLink', 'significantLinks', 'speakable', 'specialty',
+    ],
+  },
+  AboutPage: { parents: ['WebPage'], properties: [] },
+  CheckoutPage: { parents: ['WebPage'], properties: [] },
+  CollectionPage: { parents: ['WebPage'], properties: [] },
+  ContactPage: { parents: ['WebPage'], properties: [] },
+  FAQPage: { parents: ['WebPage'], properties: [] },
+  ItemPage: { parents: ['WebPage'], properties: [] },
+  ProfilePage: { parents: ['WebPage'], properties: [] },
+  QAPage: { parents: ['WebPage'], properties: [] },
+  SearchResultsPage: { parents: ['WebPage'], properties: [] },
+  MediaGallery: { parents: ['CollectionPage'], properties: [] },
+  ImageGallery: { parents: ['MediaGallery'], properties: [] },
+  VideoGallery: { parents: ['MediaGallery'], properties: [] },
+  WebPageElement: { parents: ['CreativeWork'], properties: ['cssSelector', 'xpath'] },
+  SiteNavigationElement: { parents: ['WebPageElement'], properties: [] },
+  WPHeader: { parents: ['WebPageElement'], properties: [] },
+  WPFooter: { parents: ['WebPageElement'], properties: [] },
+  WPSideBar: { parents: ['WebPageElement'], properties: [] },
+  WebSite: { parents: ['CreativeWork'], properties: ['issn'] },
+
+  Review: {
+    parents: ['CreativeWork'],
+    properties: [
+      'associatedClaimReview', 'associatedMediaReview', 'associatedReview', 'itemReviewed', 'negativeNotes',
+      'positiveNotes', 'reviewAspect', 'reviewBody', 'reviewRating',
+    ],
+  },
+  ClaimReview: { parents: ['Review'], properties: ['claimReviewed'] },
+  Comment: { parents: ['CreativeWork'], properties: ['downvoteCount', 'parentItem', 'sharedContent', 'upvoteCount'] },
+  Question: {
+    parents: ['Comment'],
+    properties: ['acceptedAnswer', 'answerCount', 'eduQuestionType', 'suggestedAnswer'],
+  },
+  Answer: { parents: ['Comment'], properties: ['answerExplanation'] },
+
+  MediaObject: {
+    parents: ['CreativeWork'],
+    properties: [
+      'associatedArticle', 'bitrate', 'contentSize', 'contentUrl', 'duration', 'embedUrl', 'encodesCreativeWork',
+      'encodingFormat', 'endTime', 'height', 'ineligibleRegion', 'interpretedAsClaim', 'playerType',
+      'productionCompany', 'regionsAllowed', 'requiresSubscription', 'sha256', 'startTime', 'uploadDate', 'width',
+    ],
+  },
+  ImageObject: {
+    parents: ['MediaObject'],
+    properties: ['caption', 'embeddedTextCaption', 'exifData', 'representativeOfPage'],
+  },
+  VideoObject: {
+    parents: ['MediaObject'],
+    properties: [
+      'actor', 'actors', 'caption', 'director', 'directors', 'embeddedTextCaption', 'musicBy', 'transcript',
+      'videoFrameSize', 'videoQuality',
+    ],
+  },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // LISTS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  ItemList: { parents: ['Intangible'], properties: ['itemListElement', 'itemListOrder', 'numberOfItems'] },
+  BreadcrumbList: { parents: ['ItemList'], properties: [] },
+  OfferCatalog: { parents: ['ItemList'], properties: [] },
+  ListItem: { parents: ['Intangible'], properties: ['item', 'nextItem', 'position', 'previousItem'] },
+  SpeakableSpecification: { parents: ['Intangible'], properties: ['cssSelector', 'xpath'] },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // PEOPLE & ORGANIZATIONS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Person: {
+    parents: ['Thing'],
+    properties: [
+      'additionalName', 'address', 'affiliation', 'agentInteractionStatistic', 'alumniOf', 'award', 'awards',
+      'birthDate', 'birthPlace', 'brand', 'callSign', 'children', 'colleague', 'colleagues', 'contactPoint',
+      'contactPoints', 'deathDate', 'deathPlace', 'duns', 'email', 'familyName', 'faxNumber', 'follows',
+      'funder', 'funding', 'gender', 'givenName', 'globalLocationNumber', 'hasCertification', 'hasCredential',
+      'hasOccupation', 'hasOfferCatalog', 'hasPOS', 'height', 'homeLocation', 'honorificPrefix',
+      'honorificSuffix', 'interactionStatistic', 'isicV4', 'jobTitle', 'knows', 'knowsAbout', 'knowsLanguage',
+      'makesOffer', 'memberOf', 'naics', 'nationality', 'netWorth', 'owns', 'parent', 'parents', 'performerIn',
+      'pronouns', 'publishingPrinciples', 'relatedTo', 'seeks', 'sibling', 'siblings', 'skills', 'sponsor',
+      'spouse', 'taxID', 'telephone', 'vatID', 'weight', 'workLocation', 'worksFor',
+    ],
+  },
+  Organization: {
+    parents: ['Thing'],
+    properties: [
+      'acceptedPaymentMethod', 'actionableFeedbackPolicy', 'address', 'agentInteractionStatistic',
+      'aggregateRating', 'alumni', 'areaServed', 'award', 'awards', 'brand', 'companyRegistration',
+      'contactPoint', 'contactPoints', 'correctionsPolicy', 'department', 'dissolutionDate', 'diversityPolicy',
+      'diversityStaffingReport', 'duns', 'email', 'employee', 'employees', 'ethicsPolicy', 'event', 'events',
+      'faxNumber', 'founder', 'founders', 'foundingDate', 'foundingLocation', 'funder', 'funding',
+      'globalLocationNumber', 'hasCertification', 'hasCredential', 'hasMemberProgram', 'hasMerchantReturnPolicy',
+      'hasOfferCatalog', 'hasPOS', 'hasProductReturnPolicy', 'hasShippingService', 'interactionStatistic',
+      'isicV4', 'iso6523Code', 'keywords', 'knowsAbout', 'knowsLanguage', 'legalName', 'leiCode', 'location',
+      'logo', 'makesOffer', 'member', 'memberOf', 'members', 'naics', 'nonprofitStatus', 'numberOfEmployees',
+      'ownershipFundingInfo', 'owns', 'parentOrganization', 'publishingPrinciples', 'review', 'reviews', 'seeks',
+      'serviceArea', 'skills', 'slogan', 'sponsor', 'subOrganization', 'taxID', 'telephone',
+      'unnamedSourcesPolicy', 'vatID',
+    ],
+  },
+  Corporation: { parents: ['Organization'], properties: ['tickerSymbol'] },
+  OnlineBusiness: { parents: ['Organization'], properties: [] },
+  OnlineStore: { parents: ['OnlineBusiness'], properties: [] },
+  NGO: { parents: ['Organization'], properties: [] },
+  GovernmentOrganization: { parents: ['Organization'], properties: [] },
+  EducationalOrganization: { parents: ['Organization'], properties: [] },
+  NewsMediaOrganization: { parents: ['Organization'], open: true },
+  MedicalOrganization: { parents: ['Organization'], open: true },
+  SportsOrganization: { parents: ['Organization'], open: true },
+  Brand: { parents: ['Intangible'], properties: ['aggregateRating', 'logo', 'review', 'slogan'] },
+  ContactPoint: {
+    parents: ['StructuredValue'],
+    properties: [
+      'areaServed', 'availableLanguage', 'contactOption', 'contactType', 'email', 'faxNumber', 'hoursAvailable',
+      'productSupported', 'serviceArea', 'telephone',
+    ],
+  },
+  PostalAddress: {
+    parents: ['ContactPoint'],
+    properties: [
+      'addressCountry', 'addressLocality', 'addressRegion', 'extendedAddress', 'postOfficeBoxNumber',
+      'postalCode', 'streetAddress',
+    ],
+  },
+  Audience: { parents: ['Intangible'], properties: ['audienceType', 'geographicArea'] },
+  PeopleAudience: { parents: ['Audience'], open: true },
+  Occupation: { parents: ['Intangible'], open: true },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // PLACES & LOCAL BUSINESSES
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Place: {
+    parents: ['Thing'],
+    properties: [
+      'additionalProperty', 'address', 'aggregateRating', 'amenityFeature', 'branchCode', 'containedIn',
+      'containedInPlace', 'containsPlace', 'event', 'events', 'faxNumber', 'geo', 'geoContains', 'geoCoveredBy',
+      'geoCovers', 'geoCrosses', 'geoDisjoint', 'geoEquals', 'geoIntersects', 'geoOverlaps', 'geoTouches',
+      'geoWithin', 'globalLocationNumber', 'hasCertification', 'hasDriveThroughService', 'hasGS1DigitalLink',
+      'hasMap', 'isAccessibleForFree', 'isicV4', 'keywords', 'latitude', 'logo', 'longitude', 'map', 'maps',
+      'maximumAttendeeCapacity', 'openingHoursSpecification', 'photo', 'photos', 'publicAccess', 'review',
+      'reviews', 'slogan', 'smokingAllowed', 'specialOpeningHoursSpecification', 'telephone',
+      'tourBookingPage',
+    ],
+  },
+  AdministrativeArea: { parents: ['Place'], properties: [] },
+  Country: { parents: ['AdministrativeArea'], properties: [] },
+  State: { parents: ['AdministrativeArea'], properties: [] },
+  City: { parents: ['AdministrativeArea'], properties: [] },
+  GeoCoordinates: {
+    parents: ['StructuredValue'],
+    properties: ['address', 'addressCountry', 'elevation', 'latitude', 'longitude', 'postalCode'],
+  },
+  GeoShape: {
+    parents: ['StructuredValue'],
+    properties: ['address', 'addressCountry', 'box', 'circle', 'elevation', 'line', 'polygon', 'postalCode'],
+  },
+  GeoCircle: { parents: ['GeoShape'], properties: ['geoMidpoint', 'geoRadius'] },
+  OpeningHoursSpecification: {
+    parents: ['StructuredValue'],
+    properties: ['closes', 'dayOfWeek', 'opens', 'validFrom', 'validThrough'],
+  },
+  LocalBusiness: {
+    parents: ['Organization', 'Place'],
+    properties: ['branchOf', 'currenciesAccepted', 'openingHours', 'paymentAccepted', 'priceRange'],
+  },
+  FoodEstablishment: {
+    parents: ['LocalBusiness'],
+    properties: ['acceptsReservations', 'hasMenu', 'menu', 'servesCuisine', 'starRating'],
+  },
+  Bakery: { parents: ['FoodEstablishment'], properties: [] },
+  BarOrPub: { parents: ['FoodEstablishment'], properties: [] },
+  Brewery: { parents: ['FoodEstablishment'], properties: [] },
+  CafeOrCoffeeShop: { parents: ['FoodEstablishment'], properties: [] },
+  FastFoodRestaurant: { parents: ['FoodEstablishment'], properties: [] },
+  IceCreamShop: { parents: ['FoodEstablishment'], properties: [] },
+  Restaurant: { parents: ['FoodEstablishment'], properties: [] },
+  Winery: { parents: ['FoodEstablishment'], properties: [] },
+  Store: { parents: ['LocalBusiness'], properties: [] },
+  AutoPartsStore: { parents: ['Store'], properties: [] },
+  BikeStore: { parents: ['Store'], properties: [] },
+  BookStore: { parents: ['Store'], properties: [] },
+  ClothingStore: { parents: ['Store'], properties: [] },
+  ComputerStore: { parents: ['Store'], properties: [] },
+  ConvenienceStore: { parents: ['Store'], properties: [] },
+  DepartmentStore: { parents: ['Store'], properties: [] },
+  ElectronicsStore: { parents: ['Store'], properties: [] },
+  Florist: { parents: ['Store'], properties: [] },
+  FurnitureStore: { parents: ['Store'], properties: [] },
+  GardenStore: { parents: ['Store'], properties: [] },
+  GroceryStore: { parents: ['Store'], properties: [] },
+  HardwareStore: { parents: ['Store'], properties: [] },
+  HobbyShop: { parents: ['Store'], properties: [] },
+  HomeGoodsStore: { parents: ['Store'], properties: [] },
+  JewelryStore: { parents: ['Store'], properties: [] },
+  LiquorStore: { parents: ['Store'], properties: [] },
+  MensClothingStore: { parents: ['Store'], properties: [] },
+  MobilePhoneStore: { parents: ['Store'], properties: [] },
+  MusicStore: { parents: ['Store'], properties: [] },
+  OfficeEquipmentStore: { parents: ['Store'], properties: [] },
+  OutletStore: { parents: ['Store'], properties: [] },
+  PetStore: { parents: ['Store'], properties: [] },
+  ShoeStore: { parents: ['Store'], properties: [] },
+  SportingGoodsStore: { parents: ['Store'], properties: [] },
+  TireShop: { parents: ['Store'], properties: [] },
+  ToyStore: { parents: ['Store'], properties: [] },
+  WholesaleStore: { parents: ['Store'], properties: [] },
+  AutomotiveBusiness: { parents: ['LocalBusiness'], properties: [] },
+  ChildCare: { parents: ['LocalBusiness'], properties: [] },
+  DryCleaningOrLaundry: { parents: ['LocalBusiness'], properties: [] },
+  EntertainmentBusiness: { parents: ['LocalBusiness'], properties: [] },
+  FinancialService: { parents: ['LocalBusiness'], properties: ['feesAndCommissionsSpecification'] },
+  HealthAndBeautyBusiness: { parents: ['LocalBusiness'], properties: [] },
+  BeautySalon: { parents: ['HealthAndBeautyBusiness'], properties: [] },
+  DaySpa: { parents: ['HealthAndBeautyBusiness'], properties: [] },
+  HairSalon: { parents: ['HealthAndBeautyBusiness'], properties: [] },
+  NailSalon: { parents: ['HealthAndBeautyBusiness'], properties: [] },
+  HomeAndConstructionBusiness: { parents: ['LocalBusiness'], properties: [] },
+  Electrician: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  GeneralContractor: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  HVACBusiness: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  Locksmith: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  MovingCompany: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  Plumber: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  RoofingContractor: { parents: ['HomeAndConstructionBusiness'], properties: [] },
+  LegalService: { parents: ['LocalBusiness'], properties: [] },
+  LodgingBusiness: { parents: ['LocalBusiness'], open: true },
+  MedicalBusiness: { parents: ['LocalBusiness'], open: true },
+  ProfessionalService: { parents: ['LocalBusiness'], properties: [] },
+  RealEstateAgent: { parents: ['LocalBusiness'], properties: [] },
+  SportsActivityLocation: { parents: ['LocalBusiness'], properties: [] },
+  TravelAgency: { parents: ['LocalBusiness'], properties: [] },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // PRODUCTS & OFFERS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Product: {
+    parents: ['Thing'],
+    properties: [
+      'additionalProperty', 'aggregateRating', 'asin', 'audience', 'award', 'awards', 'brand', 'category',
+      'color', 'colorSwatch', 'countryOfAssembly', 'countryOfLastProcessing', 'countryOfOrigin', 'depth',
+      'funding', 'gtin', 'gtin12', 'gtin13', 'gtin14', 'gtin8', 'hasAdultConsideration', 'hasCertification',
+      'hasEnergyConsumptionDetails', 'hasGS1DigitalLink', 'hasMeasurement', 'hasMerchantReturnPolicy', 'height',
+      'inProductGroupWithID', 'isAccessoryOrSparePartFor', 'isConsumableFor', 'isFamilyFriendly', 'isRelatedTo',
+      'isSimilarTo', 'isVariantOf', 'itemCondition', 'keywords', 'logo', 'manufacturer', 'material',
+      'mobileUrl', 'model', 'mpn', 'negativeNotes', 'nsn', 'offers', 'pattern', 'positiveNotes', 'productID',
+      'productionDate', 'purchaseDate', 'releaseDate', 'review', 'reviews', 'size', 'sku', 'slogan', 'weight',
+      'width',
+    ],
+  },
+  ProductGroup: { parents: ['Product'], properties: ['hasVariant', 'productGroupID', 'variesBy'] },
+  ProductModel: { parents: ['Product'], properties: ['isVariantOf', 'predecessorOf', 'successorOf'] },
+  IndividualProduct: { parents: ['Product'], properties: ['serialNumber'] },
+  SomeProducts: { parents: ['Product'], properties: ['inventoryLevel'] },
+  Vehicle: { parents: ['Product'], open: true },
+  Car: { parents: ['Vehicle'], open: true },
+  Service: { parents: ['Intangible'], open: true },
+  Offer: {
+    parents: ['Intangible'],
+    properties: [
+      'acceptedPaymentMethod', 'addOn', 'advanceBookingRequirement', 'aggregateRating', 'areaServed', 'asin',
+      'availability', 'availabilityEnds', 'availabilityStarts', 'availableAtOrFrom', 'availableDeliveryMethod',
+      'businessFunction', 'category', 'checkoutPageURLTemplate', 'deliveryLeadTime', 'eligibleCustomerType',
+      'eligibleDuration', 'eligibleQuantity', 'eligibleRegion', 'eligibleTransactionVolume', 'gtin', 'gtin12',
+      'gtin13', 'gtin14', 'gtin8', 'hasAdultConsideration', 'hasGS1DigitalLink', 'hasMeasurement',
+      'hasMerchantReturnPolicy', 'includesObject', 'ineligibleRegion', 'inventoryLevel', 'isFamilyFriendly',
+      'itemCondition', 'itemOffered', 'leaseLength', 'mobileUrl', 'mpn', 'offeredBy', 'price', 'priceCurrency',
+      'priceSpecification', 'priceValidUntil', 'review', 'reviews', 'seller', 'serialNumber', 'shippingDetails',
+      'sku', 'validFrom', 'validThrough', 'warranty',
+    ],
+  },
+  AggregateOffer: { parents: ['Offer'], properties: ['highPrice', 'lowPrice', 'offerCount', 'offers'] },
+  Demand: { parents: ['Intangible'], open: true },
+  PriceSpecification: {
+    parents: ['StructuredValue'],
+    properties: [
+      'eligibleQuantity', 'eligibleTransactionVolume', 'maxPrice', 'membershipPointsEarned', 'minPrice', 'price',
+      'priceCurrency', 'validForMemberTier', 'validFrom', 'validThrough', 'valueAddedTaxIncluded',
+    ],
+  },
+  UnitPriceSpecification: {
+    parents: ['PriceSpecification'],
+    properties: [
+      'billingDuration', 'billingIncrement', 'billingStart', 'priceComponentType', 'priceType',
+      'referenceQuantity', 'unitCode', 'unitText',
+    ],
+  },
+  CompoundPriceSpecification: { parents: ['PriceSpecification'], properties: ['priceComponent', 'priceType'] },
+  MonetaryAmount: {
+    parents: ['StructuredValue'],
+    properties: ['currency', 'maxValue', 'minValue', 'validFrom', 'validThrough', 'value'],
+  },
+  QuantitativeValue: {
+    parents: ['StructuredValue'],
+    properties: ['additionalProperty', 'maxValue', 'minValue', 'unitCode', 'unitText', 'value', 'valueReference'],
+  },
+  PropertyValue: {
+    parents: ['StructuredValue'],
+    properties: [
+      'maxValue', 'measurementMethod', 'measurementTechnique', 'minValue', 'propertyID', 'unitCode', 'unitText',
+      'value', 'valueReference',
+    ],
+  },
+  LocationFeatureSpecification: { parents: ['PropertyValue'], properties: ['hoursAvailable', 'validFrom', 'validThrough'] },
+  QualitativeValue: { parents: ['Enumeration'], open: true },
+  SizeSpecification: { parents: ['QualitativeValue'], open: true },
+  WarrantyPromise: { parents: ['StructuredValue'], properties: ['durationOfWarranty', 'warrantyScope'] },
+  OfferShippingDetails: {
+    parents: ['StructuredValue'],
+    properties: [
+      'deliveryTime', 'depth', 'doesNotShip', 'hasShippingService', 'height', 'shippingDestination',
+      'shippingLabel', 'shippingOrigin', 'shippingRate', 'shippingSettingsLink', 'transitTimeLabel',
+      'validForMemberTier', 'weight', 'width',
+    ],
+  },
+  ShippingDeliveryTime: {
+    parents: ['StructuredValue'],
+    properties: ['businessDays', 'cutoffTime', 'handlingTime', 'transitTime'],
+  },
+  DefinedRegion: {
+    parents: ['StructuredValue'],
+    properties: ['addressCountry', 'addressRegion', 'postalCode', 'postalCodePrefix', 'postalCodeRange'],
+  },
+  MerchantReturnPolicy: {
+    parents: ['Intangible'],
+    properties: [
+      'additionalProperty', 'applicableCountry', 'customerRemorseReturnFees', 'customerRemorseReturnLabelSource',
+      'customerRemorseReturnShippingFeesAmount', 'inStoreReturnsOffered', 'itemCondition', 'itemDefectReturnFees',
+      'itemDefectReturnLabelSource', 'itemDefectReturnShippingFeesAmount', 'merchantReturnDays',
+      'merchantReturnLink', 'refundType', 'restockingFee', 'returnFees', 'returnLabelSource', 'returnMethod',
+      'returnPolicyCategory', 'returnPolicyCountry', 'returnPolicySeasonalOverride', 'returnShippingFeesAmount',
+      'validForMemberTier',
+    ],
+  },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // RATINGS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Rating: {
+    parents: ['Intangible'],
+    properties: ['author', 'bestRating', 'ratingExplanation', 'ratingValue', 'reviewAspect', 'worstRating'],
+  },
+  AggregateRating: { parents: ['Rating'], properties: ['itemReviewed', 'ratingCount', 'reviewCount'] },
+  EmployerAggregateRating: { parents: ['AggregateRating'], properties: [] },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ACTIONS & EVENTS
+  // ════════════════════════════════════════════════════════════════════════════
+
+  Action: {
+    parents: ['Thing'],
+    properties: [
+      'actionProcess', 'actionStatus', 'agent', 'endTime', 'error', 'instrument', 'location', 'object',
+      'participant', 'provider', 'result', 'startTime', 'target',
+    ],
+  },
+  // query-input is Google's sitelinks search box extension, not schema.org
+  SearchAction: { parents: ['Action'], properties: ['query', 'query-input'] },
+  BuyAction: { parents: ['Action'], open: true },
+  ReadAction: { parents: ['Action'], open: true },
+  EntryPoint: {
+    parents: ['Intangible'],
+    properties: ['actionApplication', 'actionPlatform', 'contentType', 'encodingType', 'httpMethod', 'urlTemplate'],
+  },
+  Event: { parents: ['Thing'], open: true },
+  JobPosting: { parents: ['Intangible'], open: true },
+  InteractionCounter: {
+    parents: ['StructuredValue'],
+    properties: ['endTime', 'interactionService', 'interactionType', 'location', 'startTime', 'userInteractionCount'],
+  },
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // ENUMERATIONS (members in ENUMERATIONS)
+  // ════════════════════════════════════════════════════════════════════════════
+
+  ItemAvailability: { parents: ['Enumeration'], properties: [] },
+  OfferItemCondition: { parents: ['Enumeration'], properties: [] },
+  DayOfWeek: { parents: ['Enumeration'], properties: [] },
+  MerchantReturnEnumeration: { parents: ['Enumeration'], properties: [] },
+  RefundTypeEnumeration: { parents: ['Enumeration'], properties: [] },
+  ReturnFeesEnumeration: { parents: ['Enumeration'], properties: [] },
+  ReturnLabelSourceEnumeration: { parents: ['Enumeration'], properties: [] },
+  ReturnMethodEnumeration: { parents: ['Enumeration'], properties: [] },
+  DeliveryMethod: { parents: ['Enumeration'], properties: [] },
+  PaymentMethod: { parents: ['Intangible'], properties: ['paymentMethodType'] },
+};
+
+export const ENUMERATIONS = {
+  ItemAvailability: [
+    'BackOrder', 'Discontinued', 'InStock', 'InStoreOnly', 'LimitedAvailability', 'MadeToOrder', 'OnlineOnly',
+    'OutOfStock', 'PreOrder', 'PreSale', 'Reserved', 'SoldOut',
+  ],
+  OfferItemCondition: ['DamagedCondition', 'NewCondition', 'RefurbishedCondition', 'UsedCondition'],
+  DayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'PublicHolidays'],
+  MerchantReturnEnumeration: [
+    'MerchantReturnFiniteReturnWindow', 'MerchantReturnNotPermitted', 'MerchantReturnUnlimitedWindow',
+    'MerchantReturnUnspecified',
+  ],
+  RefundTypeEnumeration: ['ExchangeRefund', 'FullRefund', 'StoreCreditRefund'],
+  ReturnFeesEnumeration: [
+    'FreeReturn', 'OriginalShippingFees', 'RestockingFees', 'ReturnFeesCustomerResponsibility', 'ReturnShippingFees',
+  ],
+  ReturnLabelSourceEnumeration: ['ReturnLabelCustomerResponsibility', 'ReturnLabelDownloadAndPrint', 'ReturnLabelInBox'],
+  ReturnMethodEnumeration: ['KeepProduct', 'ReturnAtKiosk', 'ReturnByMail', 'ReturnInStore'],
+};
+
+/**
+ * Expected value types (schema.org rangeIncludes) of validated properties
+ * Data types (Text, URL, Number...) accept literals, other types accept
+ * nodes of that type or a subtype
+ */
+export const PROPERTY_RANGES = {
+  // Thing
+  name: ['Text'],
+  alternateName: ['Text'],
+  description: ['Text'],
+  url: ['URL'],
+  image: ['ImageObject', 'URL'],
+  sameAs: ['URL'],
+  identifier: ['PropertyValue', 'Text', 'URL'],
+  mainEntityOfPage: ['CreativeWork', 'URL'],
+  potentialAction: ['Action'],
+  subjectOf: ['CreativeWork', 'Event'],
+
+  // CreativeWork / Article / WebPage
+  headline: ['Text'],
+  author: ['Organization', 'Person'],
+  publisher: ['Organization', 'Person'],
+  creator: ['Organization', 'Person'],
+  editor: ['Person'],
+  datePublished: ['Date', 'DateTime'],
+  dateModified: ['Date', 'DateTime'],
+  dateCreated: ['Date', 'DateTime'],
+  articleBody: ['Text'],
+  articleSection: ['Text'],
+  wordCount: ['Integer'],
+  inLanguage: ['Language', 'Text'],
+  isPartOf: ['CreativeWork', 'URL'],
+  thumbnailUrl: ['URL'],
+  breadcrumb: ['BreadcrumbList', 'Text'],
+  primaryImageOfPage: ['ImageObject'],
+  lastReviewed: ['Date'],
+  speakable: ['SpeakableSpecification', 'URL'],
+  contentUrl: ['URL'],
+  embedUrl: ['URL'],
+  uploadDate: ['Date', 'DateTime'],
+  duration: ['Duration'],
+
+  // Lists, FAQ
+  itemListElement: ['ListItem', 'Text', 'Thing'],
+  numberOfItems: ['Integer'],
+  position: ['Integer', 'Text'],
+  item: ['Thing', 'URL'],
+  acceptedAnswer: ['Answer', 'ItemList'],
+  suggestedAnswer: ['Answer', 'ItemList'],
+  answerCount: ['Integer'],
+  text: ['Text'],
+
+  // Reviews & ratings
+  aggregateRating: ['AggregateRating'],
+  review: ['Review'],
+  reviewRating: ['Rating'],
+  reviewBody: ['Text'],
+  itemReviewed: ['Thing'],
+  ratingValue: ['Number', 'Text'],
+  bestRating: ['Number', 'Text'],
+  worstRating: ['Number', 'Text'],
+  ratingCount: ['Integer'],
+  reviewCount: ['Integer'],
+
+  // Organizations & people
+  logo: ['ImageObject', 'URL'],
+  address: ['PostalAddress', 'Text'],
+  contactPoint: ['ContactPoint'],
+  email: ['Text'],
+  telephone: ['Text'],
+  legalName: ['Text'],
+  foundingDate: ['Date'],
+  founder: ['Organization', 'Person'],
+  parentOrganization: ['Organization'],
+  subOrganization: ['Organization'],
+  numberOfEmployees: ['QuantitativeValue'],
+  worksFor: ['Organization'],
+  affiliation: ['Organization'],
+  jobTitle: ['DefinedTerm', 'Text'],
+  givenName: ['Text'],
+  familyName: ['Text'],
+  birthDate: ['Date'],
+  contactType: ['Text'],
+
+  // Places
+  geo: ['GeoCoordinates', 'GeoShape'],
+  latitude: ['Number', 'Text'],
+  longitude: ['Number', 'Text'],
+  hasMap: ['URL'],
+  openingHours: ['Text'],
+  openingHoursSpecification: ['OpeningHoursSpecification'],
+  specialOpeningHoursSpecification: ['OpeningHoursSpecification'],
+  opens: ['Time'],
+  closes: ['Time'],
+  dayOfWeek: ['DayOfWeek'],
+  priceRange: ['Text'],
+  streetAddress: ['Text'],
+  addressLocality: ['Text'],
+  addressRegion: ['Text'],
+  postalCode: ['Text'],
+  addressCountry: ['Country', 'Text'],
+
+  // Products
+  brand: ['Brand', 'Organization'],
+  manufacturer: ['Organization'],
+  sku: ['Text'],
+  mpn: ['Text'],
+  gtin: ['Text', 'URL'],
+  gtin8: ['Text'],
+  gtin12: ['Text'],
+  gtin13: ['Text'],
+  gtin14: ['Text'],
+  productID: ['Text'],
+  color: ['Text'],
+  model: ['ProductModel', 'Text'],
+  releaseDate: ['Date'],
+  productionDate: ['Date'],
+  isVariantOf: ['ProductGroup', 'ProductModel'],
+  hasVariant: ['Product'],
+  productGroupID: ['Text'],
+  inProductGroupWithID: ['Text'],
+  variesBy: ['DefinedTerm', 'Text'],
+  additionalProperty: ['PropertyValue'],
+  weight: ['Mass', 'QuantitativeValue'],
+
+  // Offers
+  offers: ['Demand', 'Offer'],
+  price: ['Number', 'Text'],
+  lowPrice: ['Number', 'Text'],
+  highPrice: ['Number', 'Text'],
+  offerCount: ['Integer'],
+  priceCurrency: ['Text'],
+  currency: ['Text'],
+  priceValidUntil: ['Date'],
+  priceSpecification: ['PriceSpecification'],
+  availability: ['ItemAvailability'],
+  itemCondition: ['OfferItemCondition'],
+  availabilityStarts: ['Date', 'DateTime', 'Time'],
+  availabilityEnds: ['Date', 'DateTime', 'Time'],
+  validFrom: ['Date', 'DateTime'],
+  validThrough: ['Date', 'DateTime'],
+  seller: ['Organization', 'Person'],
+  shippingDetails: ['OfferShippingDetails'],
+  hasMerchantReturnPolicy: ['MerchantReturnPolicy'],
+  shippingRate: ['MonetaryAmount'],
+  shippingDestination: ['DefinedRegion'],
+  deliveryTime: ['ShippingDeliveryTime'],
+  handlingTime: ['QuantitativeValue'],
+  transitTime: ['QuantitativeValue'],
+  cutoffTime: ['Time'],
+  doesNotShip: ['Boolean'],
+  valueAddedTaxIncluded: ['Boolean'],
+  minValue: ['Number'],
+  maxValue: ['Number'],
+  unitCode: ['Text', 'URL'],
+  unitText: ['Text'],
+
+  // Return policies
+  applicableCountry: ['Country', 'Text'],
+  returnPolicyCountry: ['Country', 'Text'],
+  returnPolicyCategory: ['MerchantReturnEnumeration'],
+  merchantReturnDays: ['Date', 'DateTime', 'Integer'],
+  merchantReturnLink: ['URL'],
+  returnMethod: ['ReturnMethodEnumeration'],
+  returnFees: ['ReturnFeesEnumeration'],
+  refundType: ['RefundTypeEnumeration'],
+  returnLabelSource: ['ReturnLabelSourceEnumeration'],
+  returnShippingFeesAmount: ['MonetaryAmount'],
+
+  // Actions
+  target: ['EntryPoint', 'URL'],
+  urlTemplate: ['Text'],
+};
+
+/**
+ * Ancestors of a type, nearest first (excluding the type itself)
+ * @param {string} type - Short type name
+ * @returns {Array<string>}
+ */
+export const getTypeAncestors = (type) => {
+  const ancestors = [];
+  const queue = [...(SCHEMA_TYPES[type]?.parents || [])];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    if (ancestors.includes(parent)) continue;
+    ancestors.push(parent);
+    queue.push(...(SCHEMA_TYPES[parent]?.parents || []));
+  }
+  return ancestors;
+};
+
+/**
+ * Whether a type is the given type or one of its subtypes
+ */
+export const isSubtypeOf = (type, ancestor) => type === ancestor || getTypeAncestors(type).includes(ancestor);
+
+export default SCHEMA_TYPES;
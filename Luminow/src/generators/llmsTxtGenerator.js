@@ -0,0 +1,273 @@
+/**
+ * llms.txt Generator Module
+ *
+ * Builds a ready-to-publish /llms.txt and /llms-full.txt from crawled pages
+ * (SiteCrawler `onPage` hook), so large catalogs don't have to be written
+ * by hand.
+ *
+ * - Title / summary: homepage og:site_name (or title) and meta description
+ * - Sections: PageTypeDetector types first, then policy pages (/policies/ and
+ *   /pages/ URLs or a policy title), then Shopify URL patterns (Policies,
+ *   Documentation, Collections, Products, Articles, Pages, Optional for
+ *   everything else)
+ * - Link notes: meta description, falling back to the best
+ *   findQuotableSentences sentence
+ * - llms-full.txt: per page description, product facts and quotable sentences
+ * - Ordering: PageRank from the crawl's link graph, then crawl order
+ * - Size caps: pages are added in section priority order until the byte
+ *   budget is used; omitted counts are reported per section
+ */
+
+import { findQuotableSentences } from '../utils/patternMatchers.js';
+
+/**
+ * Output sections in priority order (earlier sections get the byte budget first)
+ * `types` are PageTypeDetector types; policies are matched by URL/title
+ */
+export const LLMS_TXT_SECTIONS = [
+  { key: 'policies', name: 'Policies', types: [] },
+  { key: 'docs', name: 'Documentation', types: ['documentation'] },
+  { key: 'collections', name: 'Collections', types: ['category', 'directory'] },
+  { key: 'products', name: 'Products', types: ['product'] },
+  { key: 'articles', name: 'Articles', types: ['article', 'news', 'comparison'] },
+  { key: 'pages', name: 'Pages', types: ['saas', 'localBusiness', 'portfolio', 'landing'] },
+  { key: 'optional', name: 'Optional', types: [] },
+];
+
+// Shopify serves store policies under /policies/; hand-written ones live under /pages/
+// A product or article that merely mentions shipping or returns is not a policy
+const POLICY_PATH_PATTERN = /\/policies\/|\/pages\/[^/]*(privacy|terms|shipping|returns?|refund|warranty)/i;
+const POLICY_TITLE_PATTERN = /^(privacy|terms|shipping|returns?|refund|warranty)( (policy|notice|of (service|use)|and conditions|& conditions|and exchanges|& exchanges|and refunds|& refunds))?$/i;
+
+// Shopify URL conventions, used when page type detection is inconclusive
+const URL_SECTIONS = [
+  { pattern: /\/products\/[^/]+/, section: 'products' },
+  { pattern: /\/collections\/[^/]+/, section: 'collections' },
+  { pattern: /\/blogs\/[^/]+\/[^/]+/, section: 'articles' },
+  { pattern: /\/pages\/[^/]+/, section: 'pages' },
+];
+
+export class LlmsTxtGenerator {
+  /**
+   * Create a new LlmsTxtGenerator
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxBytes: 50 * 1024, // llms.txt budget - it's meant to fit in a context window
+      maxFullBytes: 1024 * 1024, // llms-full.txt budget
+      maxNoteLength: 160,
+      quotableLimit: 3, // Quotable sentences per page in llms-full.txt
+      ...options,
+    };
+
+    this.entries = [];
+    this.home = null;
+  }
+
+  /**
+   * Record a crawled page (compact entry - full pageData is not retained)
+   *
+   * @param {string} url - Crawled URL
+   * @param {Object} pageData - WebScraper page data
+   */
+  addPage(url, pageData) {
+    if (!pageData || pageData.statusCode >= 400 || pageData.noindex) return;
+
+    const finalUrl = pageData.finalUrl || url;
+    const type = pageData.pageType?.type || 'other';
+    // Paragraphs, not textContent - textContent runs titles and headings into the first sentence
+    const bodyText = pageData.paragraphs?.length ? pageData.paragraphs.join(' ') : pageData.textContent || '';
+    const quotables = findQuotableSentences(bodyText, this.options.quotableLimit).map(q => q.text);
+    const product = type === 'product' ? pageData.productData || {} : null;
+
+    const entry = {
+      url: finalUrl,
+      type,
+      title: (product?.name || pageData.title || pageData.headings?.h1?.[0] || '').trim(),
+      description: (pageData.metaDescription || '').trim(),
+      quotables,
+      product: product
+        ? {
+          price: product.price,
+          currency: product.currency,
+          availability: product.availability,
+          brand: product.brand,
+        }
+        : null,
+      pageRank: pageData.linkGraph?.pageRank ?? null,
+      order: this.entries.length,
+    };
+
+    if (new URL(finalUrl).pathname === '/' || (type === 'homepage' && !this.home)) {
+      this.home = {
+        siteName: pageData.openGraph?.site_name || null,
+        title: entry.title,
+        description: entry.description,
+        quotables,
+      };
+      return;
+    }
+
+    // Redirects can make two crawled URLs land on one page
+    if (this.entries.some(e => e.url === entry.url)) return;
+    this.entries.push(entry);
+  }
+
+  /**
+   * Assign a page to an output section
+   */
+  classify(entry) {
+    const { pathname } = new URL(entry.url);
+    const section = LLMS_TXT_SECTIONS.find(s => s.types.includes(entry.type));
+    // Content types win; generic page types (landing, saas...) can still be policies
+    if (section && section.key !== 'pages') return section.key;
+    if (POLICY_PATH_PATTERN.test(pathname) || POLICY_TITLE_PATTERN.test(this.oneLine(entry.title))) {
+      return 'policies';
+    }
+    if (section) return section.key;
+    return URL_SECTIONS.find(s => s.pattern.test(pathname))?.section || 'optional';
+  }
+
+  /**
+   * Build both files
+   *
+   * @param {string} siteUrl - Site URL (fallback title)
+   * @returns {Object} { llmsTxt, llmsFullTxt, stats }
+   */
+  generate(siteUrl) {
+    const siteName = this.getSiteName(siteUrl);
+    const summary = this.home?.description || this.home?.quotables[0] || null;
+
+    const grouped = Object.fromEntries(LLMS_TXT_SECTIONS.map(s => [s.key, []]));
+    for (const entry of this.entries) {
+      grouped[this.classify(entry)].push(entry);
+    }
+    for (const entries of Object.values(grouped)) {
+      entries.sort((a, b) => (b.pageRank ?? -1) - (a.pageRank ?? -1) || a.order - b.order);
+    }
+
+    const header = [`# ${siteName}`, '', ...(summary ? [`> ${this.oneLine(summary)}`, ''] : [])];
+    const llms = this.assemble(header, grouped, entry => this.renderLink(entry), this.options.maxBytes);
+    const full = this.assemble(header, grouped, entry => this.renderFullEntry(entry), this.options.maxFullBytes, true);
+
+    const sections = {};
+    for (const section of LLMS_TXT_SECTIONS) {
+      if (grouped[section.key].length === 0) continue;
+      sections[section.name] = {
+        pages: grouped[section.key].length,
+        included: llms.included[section.key],
+        omitted: grouped[section.key].length - llms.included[section.key],
+      };
+    }
+
+    return {
+      llmsTxt: llms.text,
+      llmsFullTxt: full.text,
+      stats: {
+        siteName,
+        pages: this.entries.length + (this.home ? 1 : 0),
+        sections,
+        bytes: Buffer.byteLength(llms.text),
+        fullBytes: Buffer.byteLength(full.text),
+        truncated: llms.truncated,
+        fullTruncated: full.truncated,
+      },
+    };
+  }
+
+  /**
+   * Concatenate sections in priority order until the byte budget is used
+   * `spaced` separates entries with a blank line (multi-line llms-full.txt blocks)
+   */
+  assemble(header, grouped, render, maxBytes, spaced = false) {
+    const lines = [...header];
+    let bytes = Buffer.byteLength(lines.join('\n'));
+    let truncated = false;
+    const included = {};
+
+    for (const section of LLMS_TXT_SECTIONS) {
+      included[section.key] = 0;
+      const entries = grouped[section.key];
+      if (entries.length === 0) continue;
+
+      const heading = `## ${section.name}\n`;
+      const headingBytes = Buffer.byteLength(heading) + 2; // Heading, blank line, blank line after the section
+      let headingAdded = false;
+
+      for (const entry of entries) {
+        const block = render(entry);
+        const blockBytes = Buffer.byteLength(block) + (spaced ? 2 : 1);
+        const needed = blockBytes + (headingAdded ? 0 : headingBytes);
+        if (bytes + needed > maxBytes) {
+          truncated = true;
+          continue; // A shorter entry later may still fit
+        }
+        if (!headingAdded) {
+          lines.push(heading.trimEnd(), '');
+          headingAdded = true;
+        }
+        lines.push(block);
+        if (spaced) lines.push('');
+        bytes += needed;
+        included[section.key]++;
+      }
+      if (headingAdded && lines[lines.length - 1] !== '') lines.push('');
+    }
+
+    return { text: `${lines.join('\n').trimEnd()}\n`, truncated, included };
+  }
+
+  /**
+   * `- [Title](url): note` line for llms.txt
+   */
+  renderLink(entry) {
+    const note = entry.description || entry.quotables[0] || '';
+    const link = `- [${this.escapeTitle(entry.title || entry.url)}](${entry.url})`;
+    return note ? `${link}: ${this.truncate(this.oneLine(note), this.options.maxNoteLength)}` : link;
+  }
+
+  /**
+   * Page block for llms-full.txt
+   */
+  renderFullEntry(entry) {
+    const lines = [`### ${this.oneLine(entry.title || entry.url)}`, '', `URL: ${entry.url}`];
+
+    if (entry.product) {
+      const { price, currency, availability, brand } = entry.product;
+      if (brand) lines.push(`Brand: ${brand}`);
+      if (price) lines.push(`Price: ${[price, currency].filter(Boolean).join(' ')}`);
+      if (availability) lines.push(`Availability: ${String(availability).replace(/^https?:\/\/schema\.org\//, '')}`);
+    }
+    if (entry.description) lines.push('', this.oneLine(entry.description));
+    const quotables = entry.quotables.filter(q => q !== entry.description);
+    if (quotables.length > 0) {
+      lines.push('', ...quotables.map(q => `- ${this.oneLine(q)}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Site name: og:site_name, else the homepage title before any separator, else the host
+   */
+  getSiteName(siteUrl) {
+    if (this.home?.siteName) return this.oneLine(this.home.siteName);
+    const title = (this.home?.title || '').split(/\s[|–—-]\s/)[0].trim();
+    return title || new URL(siteUrl).hostname;
+  }
+
+  oneLine(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+  }
+
+  escapeTitle(title) {
+    return this.oneLine(title).replace(/[[\]]/g, '\\$&');
+  }
+}
+
+export default LlmsTxtGenerator;
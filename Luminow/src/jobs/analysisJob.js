@@ -0,0 +1,271 @@
+/**
+ * Analysis Job Module
+ *
+ * The single-URL analysis pipeline behind POST /api/analyze and
+ * POST /api/jobs, in phases that match the LuMinoSity algorithm:
+ *
+ * 1. acquire    - fetch / render, mobile pass, AI bot probe, robots.txt, llms.txt
+ * 2. understand - page type, product entity, Shopify catalog
+ * 3. seo        - SEOAnalyzer (0-100)
+ * 4. geo        - GEOAnalyzer (0-800)
+ * 5. llm        - LLM enhancement (only when requested and a provider is configured)
+ *
+ * onPhase receives { phase, status: 'running' | 'done' | 'skipped', step, detail }
+ * as each phase starts and ends; a fired AbortSignal stops the pipeline at the
+ * next step.
+ */
+
+import { WebScraper, SCRAPE_MODES } from '../scrapers/webScraper.js';
+import { ReplayBundle } from '../scrapers/replayBundle.js';
+import { SEOAnalyzer } from '../analyzers/seoAnalyzer.js';
+import { GEOAnalyzer } from '../analyzers/geoAnalyzer.js';
+import { MerchantEligibilityAnalyzer } from '../analyzers/merchantEligibilityAnalyzer.js';
+import { getLLMProcessor } from '../llm/llmProcessor.js';
+import { getUrlPolicy, urlPolicyErrorBody } from '../security/urlPolicy.js';
+
+export const ANALYSIS_PHASES = ['acquire', 'understand', 'seo', 'geo', 'llm'];
+
+/**
+ * Validate an analysis request body
+ * @param {Object} body - { url, mode, record, replayId, llm }
+ * @returns {Object|null} { status, body } error response, or null when valid
+ */
+export const validateAnalysisRequest = (body = {}) => {
+  const { url, mode = 'rendered' } = body;
+
+  if (!url) {
+    return { status: 400, body: { error: 'URL is required' } };
+  }
+
+  if (!SCRAPE_MODES.includes(mode)) {
+    return { status: 400, body: { error: 'Invalid scrape mode', allowed: SCRAPE_MODES } };
+  }
+
+  try {
+    new URL(url);
+  } catch (e) {
+    return { status: 400, body: { error: 'Invalid URL format' } };
+  }
+
+  return null;
+};
+
+// Scraper audits a request opts into - each adds renders or requests to the target site
+export const ANALYSIS_AUDITS = ['mobileAudit', 'botProbe', 'aiFilesAudit', 'shopifyCatalog'];
+
+/**
+ * The fields runAnalysis accepts from a client request - batchId and tags are
+ * only set by batch jobs (batchJob.js)
+ * @param {Object} body - Validated request body
+ * @returns {Object} { url, mode, record, replayId, llm, mobileAudit, botProbe, aiFilesAudit, shopifyCatalog }
+ */
+export const analysisParams = (body = {}) => {
+  const { url, mode = 'rendered', record = false, replayId = null, llm = false } = body;
+  return {
+    url,
+    mode,
+    record: record === true,
+    replayId,
+    llm: llm === true,
+    ...Object.fromEntries(ANALYSIS_AUDITS.map(audit => [audit, body[audit] === true])),
+  };
+};
+
+/**
+ * Check a request's URL against the URL policy (scheme, port, domain lists,
+ * resolved addresses); replays never touch the network and skip the check
+ * @param {Object} body - Validated request body
+ * @returns {Promise<Object|null>} { status, body } error response, or null when allowed
+ */
+export const checkAnalysisUrl = async (body = {}) => {
+  if (body.replayId) return null;
+  const verdict = await getUrlPolicy().check(body.url);
+  return verdict.allowed ? null : { status: verdict.status, body: urlPolicyErrorBody(verdict) };
+};
+
+/**
+ * Run one analysis
+ *
+ * @param {Object} params - Validated request: { url, mode, record, replayId, llm } and the
+ *   ANALYSIS_AUDITS flags, plus batchId / tags when run as part of a batch
+ * @param {Object} options - Options
+ * @param {Object} options.storage - ResultsStorage the results (and bundle) are saved to
+ * @param {ReplayBundle|null} options.replay - Bundle loaded for replayId
+ * @param {AbortSignal} options.signal - Cancels the analysis between steps
+ * @param {Function} options.onPhase - Phase progress callback
+ * @returns {Object} Stored analysis results
+ */
+export async function runAnalysis(params, options = {}) {
+  const { url, mode = 'rendered', record = false, replayId = null, llm = false, batchId = null, tags = [] } = params;
+  const { storage, replay = null, signal } = options;
+  const onPhase = typeof options.onPhase === 'function' ? options.onPhase : () => {};
+
+  console.log(`Starting analysis for: ${url}`);
+
+  const bundle = record && !replay ? new ReplayBundle() : null;
+
+  // Phase 1 & 2: Scrape the webpage (Acquire & Understand)
+  const audits = Object.fromEntries(ANALYSIS_AUDITS.map(audit => [audit, params[audit] === true]));
+  const scraper = new WebScraper({ mode, record: bundle, replay, ...audits });
+  const pageData = await scraper.scrape(url, {
+    signal,
+    onProgress: ({ phase, step }) => onPhase({ phase, status: 'running', step }),
+  });
+  onPhase({
+    phase: 'understand',
+    status: 'done',
+    detail: { pageType: pageData.pageType?.type || null, statusCode: pageData.statusCode },
+  });
+
+  // Phase 3: Run SEO Analysis (0-100 score)
+  signal?.throwIfAborted();
+  onPhase({ phase: 'seo', status: 'running' });
+  const seoAnalyzer = new SEOAnalyzer();
+  const seoResults = seoAnalyzer.analyze(pageData);
+  onPhase({ phase: 'seo', status: 'done', detail: { score: seoResults.score } });
+
+  // Phase 4: Run GEO Analysis (0-800 score)
+  signal?.throwIfAborted();
+  onPhase({ phase: 'geo', status: 'running' });
+  const geoAnalyzer = new GEOAnalyzer();
+  const geoResults = geoAnalyzer.analyze(pageData);
+  onPhase({ phase: 'geo', status: 'done', detail: { score: geoResults.score, band: geoResults.band?.band } });
+
+  // Phase 5: Optional LLM enhancement (paid API calls - opt-in per request)
+  signal?.throwIfAborted();
+  let llmEnhancement = null;
+  const processor = llm ? getLLMProcessor() : null;
+  if (processor?.isReady()) {
+    onPhase({ phase: 'llm', status: 'running' });
+    llmEnhancement = await processor.enhanceAnalysis(pageData, geoResults);
+    signal?.throwIfAborted();
+    onPhase({ phase: 'llm', status: 'done', detail: { error: llmEnhancement.error || null } });
+  } else {
+    onPhase({
+      phase: 'llm',
+      status: 'skipped',
+      detail: { reason: llm ? 'LLM not configured' : 'Not requested' },
+    });
+  }
+
+  // Compile overall results
+  const overallResults = {
+    id: crypto.randomUUID(),
+    url,
+    analyzedAt: new Date().toISOString(),
+
+    // Page metadata
+    pageInfo: {
+      title: pageData.title,
+      url: pageData.url,
+      finalUrl: pageData.finalUrl,
+      loadTime: pageData.loadTime,
+      statusCode: pageData.statusCode,
+      pageType: pageData.pageType,
+      wordCount: pageData.wordCount,
+      fetchMode: pageData.fetchMode,
+      replayOf: replayId,
+    },
+
+    // SEO Results (0-100)
+    seo: seoResults,
+
+    // GEO Results (0-800)
+    geo: geoResults,
+
+    // Combined scoring
+    overallScore: calculateOverallScore(seoResults, geoResults),
+
+    // Extracted product data (for e-commerce pages)
+    extractedProduct: pageData.pageType?.isProductPage ? pageData.productData : null,
+
+    // Google merchant listing / product snippet verdicts with reasons (product pages)
+    merchantEligibility: pageData.pageType?.isProductPage ? new MerchantEligibilityAnalyzer().analyze(pageData) : null,
+
+    // Shopify storefronts: the public catalog JSON and where the page disagrees with it
+    shopifyCatalog: pageData.shopifyCatalog || null,
+    catalogConsistency: pageData.catalogConsistency || null,
+
+    // Rendered-vs-raw HTML diff (mode 'both'): what non-JS AI bots can't see
+    renderDiff: pageData.renderDiff || null,
+
+    // Lab Core Web Vitals and page weight (rendered scrapes)
+    performance: pageData.performance || null,
+
+    // Live fetch as each AI bot: edge blocks and cloaking
+    botAccess: pageData.botAccess || null,
+
+    // llms.txt / llms-full.txt / ai.txt discovery
+    aiFiles: pageData.aiFiles || null,
+
+    // LLM insights (llm: true with a configured provider)
+    ...(llmEnhancement ? { llmEnhancement } : {}),
+
+    // Batch this page was analyzed in (POST /api/analyze/batch)
+    ...(batchId ? { batch: { id: batchId, tags } } : {}),
+  };
+
+  // Store results (and the replay bundle when recording)
+  if (bundle) {
+    overallResults.bundleUrl = `/api/results/${overallResults.id}/bundle`;
+    await storage.saveWithBundle(overallResults, bundle);
+  } else {
+    await storage.save(overallResults);
+  }
+
+  console.log(`Analysis complete for: ${url}`);
+  console.log(`  SEO Score: ${seoResults.score}/100`);
+  console.log(`  GEO Score: ${geoResults.score}/800 (${geoResults.band?.band})`);
+
+  return overallResults;
+}
+
+/**
+ * Calculate overall score combining SEO and GEO
+ * SEO: 0-100, GEO: 0-800
+ * Overall: weighted combination normalized to 0-100
+ */
+export function calculateOverallScore(seoResults, geoResults) {
+  // Normalize GEO score to 0-100 scale
+  const geoNormalized = (geoResults.score / 800) * 100;
+
+  // Weight: 50% SEO, 50% GEO
+  const seoWeight = 0.5;
+  const geoWeight = 0.5;
+
+  const combinedScore = (seoResults.score * seoWeight) + (geoNormalized * geoWeight);
+
+  // Calculate letter grade
+  let grade;
+  if (combinedScore >= 90) grade = 'A+';
+  else if (combinedScore >= 85) grade = 'A';
+  else if (combinedScore >= 80) grade = 'A-';
+  else if (combinedScore >= 75) grade = 'B+';
+  else if (combinedScore >= 70) grade = 'B';
+  else if (combinedScore >= 65) grade = 'B-';
+  else if (combinedScore >= 60) grade = 'C+';
+  else if (combinedScore >= 55) grade = 'C';
+  else if (combinedScore >= 50) grade = 'C-';
+  else if (combinedScore >= 45) grade = 'D+';
+  else if (combinedScore >= 40) grade = 'D';
+  else grade = 'F';
+
+  return {
+    score: Math.round(combinedScore),
+    grade,
+    breakdown: {
+      seo: {
+        score: seoResults.score,
+        maxScore: 100,
+        weight: '50%',
+      },
+      geo: {
+        score: geoResults.score,
+        maxScore: 800,
+        normalized: Math.round(geoNormalized),
+        band: geoResults.band?.band,
+        weight: '50%',
+      },
+    },
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Batch Analysis Job Module
+ *
+ * Runs a list of URLs (POST /api/analyze/batch) through the single-URL
+ * pipeline (analysisJob.js) with bounded concurrency: one worker per job
+ * queue slot the batch holds, so batches share JOB_CONCURRENCY with every
+ * other job. Every page's full results are stored in ResultsStorage as usual,
+ * tagged with the batch (`results.batch = { id, tags }`); the batch record
+ * keeps one row per URL plus a summary:
+ *
+ * - score distribution: SEO / overall in 10-point buckets, GEO by band, grades
+ * - worst pages by overall score
+ * - most common GEO issues by GEOAnalyzer.collectIssues ID, counted once per page
+ * - averages per tag
+ *
+ * The record is saved again as each page finishes, so GET /api/analyze/batch/:id
+ * shows progress after a restart; a cancelled batch keeps the pages finished
+ * so far.
+ */
+
+import { runAnalysis } from './analysisJob.js';
+
+// Pages listed in summary.worstPages, issues in summary.topIssues
+const WORST_PAGES = 10;
+const TOP_ISSUES = 20;
+// Example URLs kept per issue
+const ISSUE_EXAMPLES = 3;
+
+const GEO_BANDS = ['Excellent', 'Very Good', 'Good', 'Fair', 'Poor'];
+const GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F'];
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+const average = values => (values.length > 0
+  ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+  : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * min / max / average / median of one score plus a histogram
+ * @param {Array<Object>} pages - Analyzed page rows
+ * @param {string} key - Score field
+ * @param {Function} bucketOf - Page row -> bucket label
+ * @param {Array<string>} buckets - Bucket labels, in display order
+ */
+const scoreStats = (pages, key, bucketOf, buckets) => {
+  const values = pages.map(page => page[key]);
+  const distribution = Object.fromEntries(buckets.map(bucket => [bucket, 0]));
+  pages.forEach((page) => { distribution[bucketOf(page)]++; });
+  return {
+    min: values.length > 0 ? Math.min(...values) : null,
+    max: values.length > 0 ? Math.max(...values) : null,
+    avg: average(values),
+    median: median(values),
+    distribution,
+  };
+};
+
+// 0-9, 10-19, ..., 90-100
+const TENS = Array.from({ length: 10 }, (_, i) => (i === 9 ? '90-100' : `${i * 10}-${i * 10 + 9}`));
+const tensBucket = key => page => TENS[Math.min(9, Math.floor(page[key] / 10))];
+
+/**
+ * Row kept per URL (the full results live in ResultsStorage)
+ */
+const pageRow = (entry, results) => ({
+  url: entry.url,
+  tags: entry.tags,
+  status: 'analyzed',
+  resultId: results.id,
+  finalUrl: results.pageInfo?.finalUrl || null,
+  statusCode: results.pageInfo?.statusCode ?? null,
+  pageType: results.pageInfo?.pageType?.type || null,
+  overallScore: results.overallScore.score,
+  grade: results.overallScore.grade,
+  seoScore: results.seo.score,
+  geoScore: results.geo.score,
+  geoBand: results.geo.band?.band || null,
+  error: null,
+});
+
+/**
+ * Build the batch summary from per-URL rows
+ * @param {Array<Object>} pages - Page rows (with `issues` collected while running)
+ * @returns {Object} Summary
+ */
+export function summarizeBatch(pages) {
+  const analyzed = pages.filter(page => page.status === 'analyzed');
+
+  // Most common GEO issues, each page counted once per issue ID
+  const issues = new Map();
+  for (const page of analyzed) {
+    for (const issue of page.issues || []) {
+      const entry = issues.get(issue.id) || {
+        id: issue.id,
+        severity: issue.severity,
+        pillar: issue.pillar,
+        message: issue.message,
+        count: 0,
+        examples: [],
+      };
+      entry.count++;
+      if (entry.examples.length < ISSUE_EXAMPLES) entry.examples.push(page.url);
+      issues.set(issue.id, entry);
+    }
+  }
+  const topIssues = [...issues.values()]
+    .sort((a, b) => b.count - a.count || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .slice(0, TOP_ISSUES)
+    .map(issue => ({ ...issue, share: Math.round((issue.count / analyzed.length) * 100) }));
+
+  // Per-tag averages
+  const byTag = {};
+  for (const page of analyzed) {
+    for (const tag of page.tags) {
+      (byTag[tag] || (byTag[tag] = [])).push(page);
+    }
+  }
+  for (const [tag, tagged] of Object.entries(byTag)) {
+    byTag[tag] = {
+      count: tagged.length,
+      avgOverallScore: average(tagged.map(page => page.overallScore)),
+      avgSeoScore: average(tagged.map(page => page.seoScore)),
+      avgGeoScore: average(tagged.map(page => page.geoScore)),
+    };
+  }
+
+  const grades = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+  analyzed.forEach((page) => { grades[page.grade]++; });
+
+  return {
+    total: pages.length,
+    analyzed: analyzed.length,
+    failed: pages.filter(page => page.status === 'failed').length,
+    notRun: pages.filter(page => page.status === 'pending' || page.status === 'cancelled').length,
+    scores: {
+      overall: scoreStats(analyzed, 'overallScore', tensBucket('overallScore'), TENS),
+      seo: scoreStats(analyzed, 'seoScore', tensBucket('seoScore'), TENS),
+      geo: scoreStats(analyzed, 'geoScore', page => page.geoBand || 'Poor', GEO_BANDS),
+    },
+    grades,
+    worstPages: [...analyzed]
+      .sort((a, b) => a.overallScore - b.overallScore || a.geoScore - b.geoScore)
+      .slice(0, WORST_PAGES)
+      .map(({ issues: pageIssues, ...page }) => ({
+        ...page,
+        criticalIssues: (pageIssues || []).filter(issue => issue.severity === 'critical').length,
+      })),
+    topIssues,
+    byTag,
+  };
+}
+
+/**
+ * Run a batch
+ *
+ * @param {Object} batch - Batch record: { id, mode, concurrency, pages: [{ url, tags, status: 'pending' }] }
+ * @param {Object} options - Options
+ * @param {Object} options.storage - ResultsStorage for page results and the batch record
+ * @param {AbortSignal} options.signal - Cancels the batch (pages in flight stop at their next step)
+ * @param {Function} options.report - Job event callback: 'progress' and 'page' events
+ * @param {number} options.slots - Job queue slots the batch holds (caps batch.concurrency)
+ * @returns {Object} Saved batch record with summary
+ */
+export async function runBatch(batch, options = {}) {
+  const { storage, signal } = options;
+  const report = typeof options.report === 'function' ? options.report : () => {};
+  const total = batch.pages.length;
+  let next = 0;
+  let completed = 0;
+
+  // Progress saves run one after another; a failed save doesn't stop the batch
+  let saving = Promise.resolve();
+  const saveProgress = () => {
+    const record = { ...batch, pages: batch.pages.map(({ issues, ...page }) => ({ ...page })) };
+    saving = saving
+      .then(() => storage.saveBatch(record))
+      .catch(error => console.error(`Batch ${batch.id}: failed to save progress:`, error.message));
+    return saving;
+  };
+
+  batch.state = 'running';
+  batch.startedAt = new Date().toISOString();
+  await storage.saveBatch(batch);
+  report('progress', { completed, total });
+
+  const worker = async () => {
+    while (next < total && !signal?.aborted) {
+      const page = batch.pages[next++];
+      try {
+        const results = await runAnalysis(
+          { url: page.url, mode: batch.mode, batchId: batch.id, tags: page.tags },
+          { storage, signal },
+        );
+        Object.assign(page, pageRow(page, results), {
+          issues: results.geo.issues.map(({ id, severity, pillar, message }) => ({ id, severity, pillar, message })),
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          page.status = 'cancelled';
+          return;
+        }
+        console.error(`Batch ${batch.id}: ${page.url} failed:`, error.message);
+        Object.assign(page, { status: 'failed', resultId: null, error: error.message });
+      }
+      completed++;
+      report('page', {
+        url: page.url,
+        status: page.status,
+        resultId: page.resultId || null,
+        overallScore: page.overallScore ?? null,
+        error: page.error || null,
+      });
+      report('progress', { completed, total });
+      await saveProgress();
+    }
+  };
+
+  const workers = Math.max(1, Math.min(batch.concurrency, options.slots ?? batch.concurrency, total));
+  await Promise.all(Array.from({ length: workers }, worker));
+  await saving;
+
+  if (signal?.aborted) {
+    batch.pages.filter(page => page.status === 'pending').forEach((page) => { page.status = 'cancelled'; });
+  }
+  batch.state = signal?.aborted ? 'cancelled' : 'completed';
+  batch.finishedAt = new Date().toISOString();
+  batch.summary = summarizeBatch(batch.pages);
+  // Issues were only needed for the summary; the full list is in each page's results
+  batch.pages = batch.pages.map(({ issues, ...page }) => page);
+  await storage.saveBatch(batch);
+
+  signal?.throwIfAborted();
+  return batch;
+}
@@ -0,0 +1,71 @@
+/**
+ * Crawl Job Module
+ *
+ * Runs a site crawl (POST /api/crawl) as a queued job, so the HTTP request
+ * returns at once instead of staying open for up to 500 rendered pages.
+ * SiteCrawler progress maps onto three phases:
+ *
+ * 1. discover - robots.txt, llms.txt / ai.txt, sitemaps
+ * 2. crawl    - page fetches, with 'progress' events (pages crawled of maxPages)
+ * 3. analyze  - link graph, SEO / GEO on every page, site rollup
+ *
+ * The crawl report is the job's result (GET /api/jobs/:id).
+ */
+
+import { SiteCrawler } from '../scrapers/siteCrawler.js';
+
+export const CRAWL_PHASES = ['discover', 'crawl', 'analyze'];
+
+// SiteCrawler progress phase -> job phase
+const PHASE_OF = {
+  robots: 'discover',
+  aiFiles: 'discover',
+  sitemaps: 'discover',
+  crawl: 'crawl',
+  analyze: 'analyze',
+};
+
+/**
+ * Run one crawl
+ *
+ * @param {Object} params - Validated request: { url, maxPages, maxDepth, concurrency, mode, useSitemaps,
+ *   followLinks } plus the per-page extras (collectPerformance, mobileAudit, botProbe, shopifyCatalog)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops the crawl (pages in flight stop at their next step)
+ * @param {Function} options.report - Job event callback: 'phase' and 'progress' events
+ * @param {number} options.slots - Job queue slots the crawl holds (caps params.concurrency)
+ * @returns {Object} Crawl report
+ */
+export async function runCrawl(params, options = {}) {
+  const { url, maxPages, maxDepth, ...settings } = params;
+  const { signal } = options;
+  const concurrency = Math.min(settings.concurrency, options.slots ?? settings.concurrency);
+  const report = typeof options.report === 'function' ? options.report : () => {};
+
+  console.log(`Starting crawl for: ${url} (maxPages: ${maxPages}, maxDepth: ${maxDepth})`);
+
+  let current = null;
+  const crawler = new SiteCrawler({
+    maxPages,
+    maxDepth,
+    ...settings,
+    concurrency,
+    onProgress: (event) => {
+      const phase = PHASE_OF[event.phase];
+      if (!phase) return;
+      if (phase !== current || phase === 'discover') {
+        current = phase;
+        report('phase', { phase, status: 'running', step: phase === 'discover' ? event.phase : null });
+      }
+      if (phase === 'crawl') report('progress', { completed: event.crawled, total: maxPages });
+    },
+  });
+
+  const result = await crawler.crawl(url, { signal });
+
+  console.log(`Crawl complete for: ${url}`);
+  console.log(`  Pages: ${result.rollup.pagesCrawled}, errors: ${result.errors.length}`);
+  console.log(`  Avg SEO: ${result.rollup.avgSeoScore}/100, Avg GEO: ${result.rollup.avgGeoScore}/800`);
+
+  return result;
+}
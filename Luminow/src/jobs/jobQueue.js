@@ -0,0 +1,327 @@
+/**
+ * Job Queue Module
+ *
+ * Runs long tasks (analyses) outside the HTTP request that started them:
+ * POST returns a job ID right away, clients poll the job or follow its
+ * event stream. At most `concurrency` slots are in use at once - each
+ * rendered analysis holds a browser page, so the rest wait in FIFO order.
+ * Jobs that scrape several pages in parallel (batches, crawls) take one slot
+ * per worker, capped at `concurrency`, and are told how many they got.
+ *
+ * Every job keeps an ordered event log, so a client that connects late (or
+ * reconnects with Last-Event-ID) replays what it missed:
+ *
+ *   { id: 3, type: 'phase', data: { phase: 'acquire', status: 'running', step: 'robotsTxt' } }
+ *
+ * Event types: 'state' (queued / running / completed / failed / cancelled),
+ * 'phase' (a phase starts, finishes or is skipped), 'progress' (items done out
+ * of a total, for batches) and 'result'; tasks may add their own.
+ *
+ * Tasks receive an AbortSignal; cancel() aborts it and the task stops at its
+ * next checkpoint. Finished jobs are kept for `retention` ms.
+ *
+ * Each job records its owner (the API key that queued it); routes only show
+ * a job to its owner.
+ */
+
+import { EventEmitter } from 'events';
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+export class JobQueue extends EventEmitter {
+  /**
+   * Create a new JobQueue
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      concurrency: 2, // Slots in use at once (one per running job, or per batch / crawl worker)
+      maxQueued: 50, // Waiting jobs before add() refuses more
+      retention: 60 * 60 * 1000, // Keep finished jobs (and their results) for an hour
+      maxEvents: 1000, // Event log cap per job (oldest progress events are dropped)
+      ...options,
+    };
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0; // Slots in use
+  }
+
+  /**
+   * Queue a task
+   *
+   * @param {Function} task - async ({ signal, report, slots }) => result
+   *   report(type, data) appends an event ('phase', 'progress' or any task-specific type);
+   *   slots is how many parallel workers the task may run
+   * @param {Object} options - Job options
+   * @param {string} options.type - Job type, e.g. 'analysis'
+   * @param {Object} options.params - Request parameters (returned with the job)
+   * @param {Array<string>} options.phases - Phase names, in order, for progress
+   * @param {number} options.slots - Workers the task wants (default 1, capped at concurrency)
+   * @param {string|null} options.owner - ID of the API key that queued the job
+   * @returns {Object|null} Job, or null when the queue is full
+   */
+  add(task, options = {}) {
+    this.prune();
+    if (this.pending.length >= this.options.maxQueued) return null;
+
+    const job = {
+      id: crypto.randomUUID(),
+      type: options.type || 'job',
+      params: options.params || {},
+      owner: options.owner ?? null,
+      slots: Math.max(1, Math.min(options.slots || 1, this.options.concurrency)),
+      state: 'queued',
+      phases: (options.phases || []).map(name => ({
+        name,
+        status: 'pending',
+        step: null,
+        startedAt: null,
+        finishedAt: null,
+        detail: null,
+      })),
+      counter: null, // { completed, total } from 'progress' events
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      events: [],
+      lastEventId: 0,
+      task,
+      controller: new AbortController(),
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emitEvent(job, 'state', { state: 'queued', position: this.pending.length });
+    this.drain();
+    return job;
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Queued jobs are removed at once; running ones stop at their next checkpoint
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job (unchanged when it had already finished), null if unknown
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || FINISHED_STATES.includes(job.state)) return job;
+
+    if (job.state === 'queued') {
+      this.pending = this.pending.filter(queued => queued !== job);
+      this.finish(job, 'cancelled', { error: 'Cancelled before it started' });
+      return job;
+    }
+
+    job.controller.abort(new Error('Job cancelled'));
+    return job;
+  }
+
+  /**
+   * Follow a job's events
+   * @param {string} id - Job ID
+   * @param {Function} listener - Called with each event ({ id, type, data })
+   * @param {Object} options - Options
+   * @param {number} options.after - Replay logged events with a higher ID first (Last-Event-ID)
+   * @returns {Function|null} Unsubscribe, or null for an unknown job
+   */
+  subscribe(id, listener, options = {}) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    const after = Number(options.after) || 0;
+    job.events.filter(event => event.id > after).forEach(listener);
+
+    const channel = `job:${id}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  /**
+   * Public view of a job (no task, controller or event log)
+   * @param {Object} job - Job
+   * @param {Object} options - Options
+   * @param {boolean} options.includeResult - Include the result of a completed job
+   * @returns {Object}
+   */
+  toJSON(job, options = {}) {
+    const position = this.pending.indexOf(job);
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      position: position === -1 ? null : position + 1,
+      progress: this.progress(job),
+      phase: job.phases.find(phase => phase.status === 'running')?.name || null,
+      phases: job.phases.map(phase => ({ ...phase })),
+      ...(job.counter ? { completed: job.counter.completed, total: job.counter.total } : {}),
+      params: job.params,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(options.includeResult !== false && job.result ? { result: job.result } : {}),
+    };
+  }
+
+  /**
+   * Queue status for health checks
+   * @returns {Object} { concurrency, running (slots in use), queued, jobs }
+   */
+  getStatus() {
+    return {
+      concurrency: this.options.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      jobs: this.jobs.size,
+    };
+  }
+
+  /**
+   * Percent of items (progress events) or phases finished (done or skipped)
+   */
+  progress(job) {
+    if (job.state === 'completed') return 100;
+    if (job.counter?.total > 0) return Math.min(99, Math.round((job.counter.completed / job.counter.total) * 100));
+    if (job.phases.length === 0) return 0;
+    const finished = job.phases.filter(phase => phase.status === 'done' || phase.status === 'skipped').length;
+    return Math.round((finished / job.phases.length) * 100);
+  }
+
+  /**
+   * Start queued jobs while there are enough free slots for the next one
+   * (FIFO - a job needing several slots is not overtaken by later ones)
+   */
+  drain() {
+    while (this.pending.length > 0 && this.running + this.pending[0].slots <= this.options.concurrency) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run(job) {
+    this.running += job.slots;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitEvent(job, 'state', { state: 'running' });
+
+    const report = (type, data) => {
+      if (type === 'phase') this.updatePhase(job, data);
+      if (type === 'progress') job.counter = { completed: data.completed, total: data.total };
+      this.emitEvent(job, type, data);
+    };
+
+    try {
+      const result = await job.task({ signal: job.controller.signal, report, slots: job.slots });
+      job.controller.signal.throwIfAborted();
+      job.result = result ?? null;
+      job.phases.filter(phase => phase.status === 'pending').forEach(phase => { phase.status = 'skipped'; });
+      this.emitEvent(job, 'result', { result: job.result });
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Cancelled' });
+      } else {
+        console.error(`Job ${job.id} failed:`, error);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running -= job.slots;
+      this.drain();
+    }
+  }
+
+  /**
+   * Apply a phase event ({ phase, status, step, detail }) to the job's phase list
+   * Starting a phase finishes the ones before it
+   */
+  updatePhase(job, { phase: name, status, step = null, detail = null }) {
+    const index = job.phases.findIndex(phase => phase.name === name);
+    if (index === -1) return;
+    const phase = job.phases[index];
+    const now = new Date().toISOString();
+
+    if (status === 'running') {
+      job.phases.slice(0, index)
+        .filter(earlier => earlier.status === 'running')
+        .forEach((earlier) => {
+          earlier.status = 'done';
+          earlier.finishedAt = now;
+        });
+      phase.startedAt = phase.startedAt || now;
+      phase.step = step;
+    } else {
+      phase.finishedAt = now;
+      phase.step = null;
+    }
+    phase.status = status;
+    if (detail !== null) phase.detail = detail;
+  }
+
+  finish(job, state, { error = null } = {}) {
+    job.state = state;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.task = null;
+    job.phases.filter(phase => phase.status === 'running').forEach((phase) => {
+      phase.status = state === 'completed' ? 'done' : state;
+      phase.finishedAt = job.finishedAt;
+    });
+    this.emitEvent(job, 'state', { state, error });
+  }
+
+  emitEvent(job, type, data) {
+    const event = { id: ++job.lastEventId, type, data };
+    job.events.push(event);
+    if (job.events.length > this.options.maxEvents) {
+      // Keep state changes and results; drop the oldest progress events
+      const dropAt = job.events.findIndex(logged => !['state', 'result'].includes(logged.type));
+      job.events.splice(dropAt === -1 ? 0 : dropAt, 1);
+    }
+    this.emit(`job:${job.id}`, event);
+  }
+
+  /**
+   * Forget finished jobs older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.options.retention;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+        this.removeAllListeners(`job:${id}`);
+      }
+    }
+  }
+}
+
+// Shared queue for the server
+let _instance = null;
+
+/**
+ * Get or create the shared job queue
+ * @param {Object} options - Configuration options (first call only)
+ * @returns {JobQueue}
+ */
+export const getJobQueue = (options = {}) => {
+  if (!_instance) {
+    _instance = new JobQueue({
+      concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+      ...options,
+    });
+  }
+  return _instance;
+};
+
+export default JobQueue;
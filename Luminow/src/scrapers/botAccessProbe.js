@@ -0,0 +1,265 @@
+/**
+ * Bot Access Probe Module
+ *
+ * Re-requests a page with real AI crawler user agents to find out what those
+ * crawlers are actually served. robots.txt only says what a site *asks* bots
+ * to do - CDNs and bot managers (Cloudflare Bot Fight Mode, Akamai, DataDome,
+ * PerimeterX, Imperva) often answer AI user agents with a 403 or a challenge
+ * page, and some sites cloak content per user agent.
+ *
+ * Each bot fetch is compared with a baseline fetch using a browser user agent
+ * over the same transport (plain HTTP, no JavaScript), so the only difference
+ * between requests is the User-Agent header. When the baseline itself is not
+ * a 2xx page (or is a challenge), the probe is inconclusive and unavailable.
+ *
+ * Per bot:
+ * - reachable: 2xx response that isn't a bot challenge page
+ * - differentContent: status, content length or key fields (title, H1,
+ *   product name, price) differ from the browser fetch
+ */
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Published user-agent strings of the AI crawlers we probe
+ *
+ * Google-Extended is a robots.txt token only - Google's AI products fetch with
+ * the regular Googlebot user agent, so that is what we send. Bot managers
+ * verify Googlebot by reverse DNS, so a block here may only affect spoofed
+ * Googlebot traffic (flagged in the result note).
+ */
+export const AI_BOT_USER_AGENTS = {
+  'GPTBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)',
+  'OAI-SearchBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot',
+  'ClaudeBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+  'PerplexityBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+  'Google-Extended': 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+};
+
+// Bot-management challenge / block pages, matched against headers and HTML
+// Only markers of the challenge page itself - sensor scripts on normal pages
+// (e.g. Cloudflare's /cdn-cgi/challenge-platform/ JS detections) don't count
+const CHALLENGE_SIGNATURES = [
+  { provider: 'Cloudflare', header: ['cf-mitigated', /challenge/i] },
+  { provider: 'Cloudflare', html: /<title>\s*(Just a moment\.\.\.|Attention Required! \| Cloudflare)|window\._cf_chl_opt/i },
+  { provider: 'Akamai', html: /<title>\s*Access Denied\s*<\/title>[\s\S]*errors\.edgesuite\.net/i },
+  { provider: 'Imperva', html: /_Incapsula_Resource|Incapsula incident ID/i },
+  { provider: 'DataDome', html: /captcha-delivery\.com|geo\.captcha-delivery/i },
+  { provider: 'PerimeterX', html: /id="px-captcha"|_pxCaptcha/i },
+  { provider: 'Generic', html: /<title>[^<]*(captcha|are you a robot|verify you are human|bot detection)[^<]*<\/title>/i },
+];
+
+export class BotAccessProbe {
+  /**
+   * Create a new BotAccessProbe
+   * @param {Object} options - Configuration options
+   * @param {Object} options.scraper - WebScraper (for fetchStatic and the extractors)
+   */
+  constructor(options = {}) {
+    this.options = {
+      bots: Object.keys(AI_BOT_USER_AGENTS),
+      lengthTolerance: 0.3, // Relative content length difference treated as "different"
+      ...options,
+    };
+    this.scraper = options.scraper;
+  }
+
+  /**
+   * Fetch the page as each AI bot and compare with a browser-UA fetch
+   *
+   * @param {string} url - Page URL
+   * @returns {Object} { available, baseline, bots: { [botName]: result }, summary }
+   */
+  async probe(url) {
+    let baseline;
+    try {
+      baseline = this.summarizeResponse(await this.scraper.fetchStatic(url));
+    } catch (error) {
+      return { available: false, reason: `Baseline fetch failed: ${error.message}` };
+    }
+
+    // A browser that is refused or challenged itself leaves nothing to compare
+    // with - every bot would look blocked at the edge
+    const baselineRefused = baseline.challenge
+      ? `a ${baseline.challenge} challenge`
+      : (baseline.statusCode < 200 || baseline.statusCode >= 300 ? `HTTP ${baseline.statusCode}` : null);
+    if (baselineRefused) {
+      return {
+        available: false,
+        reason: `Inconclusive: the browser baseline fetch got ${baselineRefused}`,
+        baseline: {
+          statusCode: baseline.statusCode,
+          challenge: baseline.challenge,
+        },
+      };
+    }
+
+    // Sequential on purpose - bursts of bot traffic can trip rate limits and skew results
+    const bots = {};
+    for (const botName of this.options.bots) {
+      bots[botName] = await this.probeBot(url, botName, baseline);
+    }
+
+    const results = Object.values(bots);
+    return {
+      available: true,
+      baseline: {
+        statusCode: baseline.statusCode,
+        contentLength: baseline.contentLength,
+        wordCount: baseline.fields.wordCount,
+      },
+      bots,
+      unreachable: results.filter(r => !r.reachable).map(r => r.bot),
+      differentContent: results.filter(r => r.differentContent).map(r => r.bot),
+      summary: this.generateSummary(results),
+    };
+  }
+
+  /**
+   * Fetch as one bot and compare with the baseline
+   */
+  async probeBot(url, botName, baseline) {
+    const result = {
+      bot: botName,
+      userAgent: AI_BOT_USER_AGENTS[botName],
+      statusCode: null,
+      reachable: false,
+      blockedBy: null,
+      challenge: null,
+      contentLength: 0,
+      lengthRatio: null,
+      differentContent: false,
+      differences: [],
+      note: botName === 'Google-Extended'
+        ? 'Sent as Googlebot (Google-Extended has no user agent); real Googlebot is verified by reverse DNS'
+        : null,
+    };
+
+    let response;
+    try {
+      response = this.summarizeResponse(await this.scraper.fetchStatic(url, { userAgent: result.userAgent }));
+    } catch (error) {
+      return { ...result, blockedBy: 'error', error: error.message };
+    }
+
+    result.statusCode = response.statusCode;
+    result.contentLength = response.contentLength;
+    result.challenge = response.challenge;
+    result.lengthRatio = baseline.contentLength > 0
+      ? Number((response.contentLength / baseline.contentLength).toFixed(2))
+      : null;
+
+    if (response.challenge) {
+      result.blockedBy = 'challenge';
+    } else if (response.statusCode < 200 || response.statusCode >= 300) {
+      result.blockedBy = 'status';
+    }
+    result.reachable = !result.blockedBy;
+
+    // Only compare content the bot was actually given
+    if (result.reachable) {
+      result.differences = this.compareFields(baseline, response);
+      result.differentContent = result.differences.length > 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Reduce a fetch to what we compare: status, size, challenge and key fields
+   */
+  summarizeResponse(fetched) {
+    const $ = cheerio.load(fetched.html || '');
+    const { title } = this.scraper.extractMetadata($);
+    const { headings } = this.scraper.extractHeadings($);
+    const { wordCount } = this.scraper.extractContent($);
+    const { productData } = this.scraper.extractProductData($);
+
+    return {
+      statusCode: fetched.statusCode,
+      contentLength: Buffer.byteLength(fetched.html || ''),
+      challenge: this.detectChallenge(fetched),
+      fields: {
+        title: title || '',
+        h1: headings.h1[0] || '',
+        productName: productData?.name || '',
+        price: productData?.price ? String(productData.price) : '',
+        wordCount,
+      },
+    };
+  }
+
+  /**
+   * Identify bot-management challenge or block pages
+   * @returns {string|null} Provider name
+   */
+  detectChallenge(fetched) {
+    for (const signature of CHALLENGE_SIGNATURES) {
+      if (signature.header) {
+        const [name, pattern] = signature.header;
+        if (pattern.test(fetched.headers?.[name] || '')) return signature.provider;
+      }
+      if (signature.html && signature.html.test(fetched.html || '')) {
+        return signature.provider;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Differences between the browser and bot versions of the page
+   */
+  compareFields(baseline, response) {
+    const differences = [];
+    const normalize = value => String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+    if (response.statusCode !== baseline.statusCode) {
+      differences.push({ field: 'statusCode', browser: baseline.statusCode, bot: response.statusCode });
+    }
+
+    for (const field of ['title', 'h1', 'productName', 'price']) {
+      if (normalize(baseline.fields[field]) !== normalize(response.fields[field])) {
+        differences.push({ field, browser: baseline.fields[field], bot: response.fields[field] });
+      }
+    }
+
+    // Markup churn (nonces, timestamps) shifts byte length a little; only large gaps count
+    const { lengthTolerance } = this.options;
+    const baseWords = baseline.fields.wordCount;
+    const wordRatio = baseWords > 0 ? response.fields.wordCount / baseWords : 1;
+    if (Math.abs(1 - wordRatio) > lengthTolerance) {
+      differences.push({ field: 'wordCount', browser: baseWords, bot: response.fields.wordCount });
+    }
+    if (baseline.contentLength > 0
+      && Math.abs(1 - response.contentLength / baseline.contentLength) > lengthTolerance) {
+      differences.push({ field: 'contentLength', browser: baseline.contentLength, bot: response.contentLength });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Human-readable one-line summary
+   */
+  generateSummary(results) {
+    const parts = [];
+    const blocked = results.filter(r => !r.reachable);
+    const different = results.filter(r => r.differentContent);
+
+    for (const r of blocked) {
+      const reason = r.challenge
+        ? `${r.challenge} challenge`
+        : r.error ? r.error : `HTTP ${r.statusCode}`;
+      parts.push(`${r.bot} blocked (${reason})`);
+    }
+    if (different.length > 0) {
+      parts.push(`${different.map(r => r.bot).join(', ')} served different content`);
+    }
+
+    return parts.length > 0
+      ? parts.join('; ')
+      : `All ${results.length} AI bots receive the same page as browsers`;
+  }
+}
+
+export default BotAccessProbe;
@@ -0,0 +1,337 @@
+/**
+ * Browser Pool Module
+ *
+ * Shares a small number of headless Chromium processes across scrape jobs
+ * instead of launching a browser per WebScraper.scrape() call.
+ *
+ * - Up to `maxBrowsers` browsers, each serving up to `maxContextsPerBrowser`
+ *   concurrent jobs; further jobs wait in a FIFO queue
+ * - Every job runs in its own incognito context (no shared cookies/storage)
+ * - Browsers are recycled after `maxPagesPerBrowser` jobs to cap memory growth
+ * - Health checks drop browsers that crashed or stopped responding
+ *
+ * Configurable via environment variables:
+ * BROWSER_POOL_MAX_BROWSERS, BROWSER_POOL_MAX_CONTEXTS, BROWSER_POOL_MAX_PAGES
+ */
+
+import puppeteer from 'puppeteer';
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+  ],
+  ignoreHTTPSErrors: true,
+  timeout: 60000,
+};
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+export class BrowserPool {
+  /**
+   * Create a new BrowserPool
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxBrowsers: envInt('BROWSER_POOL_MAX_BROWSERS', 2),
+      maxContextsPerBrowser: envInt('BROWSER_POOL_MAX_CONTEXTS', 4),
+      maxPagesPerBrowser: envInt('BROWSER_POOL_MAX_PAGES', 100), // Recycle after this many jobs
+      acquireTimeout: 120000, // Max ms a job waits for a free slot
+      healthCheckInterval: 30000, // 0 disables periodic health checks
+      healthCheckTimeout: 5000,
+      launchOptions: DEFAULT_LAUNCH_OPTIONS,
+      launcher: puppeteer, // Anything with puppeteer's launch(options)
+      ...options,
+    };
+
+    this.browsers = []; // Array<{ id, browser, activeContexts, pagesServed, retiring }>
+    this.waiting = []; // Array<{ resolve, reject, timer }>
+    this.launching = 0;
+    this.nextId = 1;
+    this.closed = false;
+    this.stats = { launched: 0, recycled: 0, crashed: 0, jobs: 0, failedJobs: 0 };
+    this.healthTimer = null;
+  }
+
+  /**
+   * Run a job with a fresh page in its own incognito context
+   * The context (and its page) is always closed afterwards
+   *
+   * @param {Function} job - async (page) => result
+   * @returns {*} The job's result
+   */
+  async withPage(job) {
+    const entry = await this.acquire();
+    let context;
+
+    try {
+      context = await entry.browser.createIncognitoBrowserContext();
+      const page = await context.newPage();
+      const result = await job(page);
+      this.stats.jobs++;
+      return result;
+    } catch (error) {
+      this.stats.failedJobs++;
+      throw error;
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Reserve a context slot on a browser, launching or waiting as needed
+   * @returns {Object} Pool entry
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+
+    const available = this.findAvailable();
+    if (available) {
+      available.activeContexts++;
+      return available;
+    }
+
+    if (this.browsers.length + this.launching < this.options.maxBrowsers) {
+      const entry = await this.launch().catch((error) => {
+        // Jobs queued meanwhile may still get a browser of their own
+        this.dispatch();
+        throw error;
+      });
+      entry.activeContexts++;
+      // Jobs queued during the launch share the new browser's other slots
+      this.dispatch();
+      return entry;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        reject(new Error(`Timed out after ${this.options.acquireTimeout}ms waiting for a browser`));
+      }, this.options.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Return a context slot; recycles the browser once it has served enough jobs
+   */
+  release(entry) {
+    entry.activeContexts--;
+    entry.pagesServed++;
+
+    if (entry.pagesServed >= this.options.maxPagesPerBrowser && !entry.retiring) {
+      entry.retiring = true;
+      this.stats.recycled++;
+    }
+
+    if (entry.retiring && entry.activeContexts === 0) {
+      this.retire(entry);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Hand free capacity to queued jobs
+   */
+  dispatch() {
+    while (this.waiting.length > 0) {
+      const available = this.findAvailable();
+      if (available) {
+        const waiter = this.waiting.shift();
+        clearTimeout(waiter.timer);
+        available.activeContexts++;
+        waiter.resolve(available);
+        continue;
+      }
+
+      if (this.closed || this.browsers.length + this.launching >= this.options.maxBrowsers) return;
+
+      const waiter = this.waiting.shift();
+      clearTimeout(waiter.timer);
+      this.launch()
+        .then(entry => {
+          entry.activeContexts++;
+          waiter.resolve(entry);
+        }, waiter.reject)
+        .finally(() => this.dispatch());
+    }
+  }
+
+  /**
+   * Healthy browser with a free context slot (least loaded first)
+   */
+  findAvailable() {
+    return this.browsers
+      .filter(entry => !entry.retiring
+        && entry.browser.isConnected()
+        && entry.activeContexts < this.options.maxContextsPerBrowser)
+      .sort((a, b) => a.activeContexts - b.activeContexts)[0] || null;
+  }
+
+  /**
+   * Launch a browser and add it to the pool
+   */
+  async launch() {
+    this.launching++;
+    try {
+      const launchStart = Date.now();
+      const browser = await this.options.launcher.launch(this.options.launchOptions);
+      if (this.closed) {
+        await browser.close().catch(() => {});
+        throw new Error('Browser pool is closed');
+      }
+      const entry = {
+        id: this.nextId++,
+        browser,
+        activeContexts: 0,
+        pagesServed: 0,
+        retiring: false,
+      };
+
+      browser.on('disconnected', () => {
+        if (this.browsers.includes(entry) && !entry.retiring) {
+          console.warn(`[BrowserPool] Browser #${entry.id} disconnected unexpectedly`);
+          this.stats.crashed++;
+        }
+        this.remove(entry);
+      });
+
+      this.browsers.push(entry);
+      this.stats.launched++;
+      this.startHealthChecks();
+      console.log(`[BrowserPool] Browser #${entry.id} launched in ${Date.now() - launchStart}ms (PID ${browser.process()?.pid})`);
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * Close a browser and drop it from the pool
+   */
+  async retire(entry) {
+    entry.retiring = true;
+    this.remove(entry);
+    await entry.browser.close().catch(() => {});
+  }
+
+  remove(entry) {
+    const wasPooled = this.browsers.includes(entry);
+    this.browsers = this.browsers.filter(e => e !== entry);
+    // Freed capacity may let a queued job launch a replacement
+    if (wasPooled) this.dispatch();
+  }
+
+  /**
+   * Ping every browser; retire those that are disconnected or unresponsive
+   * @returns {Object} { healthy, retired }
+   */
+  async healthCheck() {
+    let retired = 0;
+
+    for (const entry of [...this.browsers]) {
+      const healthy = entry.browser.isConnected() && await Promise.race([
+        entry.browser.version().then(() => true, () => false),
+        new Promise(r => setTimeout(() => r(false), this.options.healthCheckTimeout)),
+      ]);
+
+      if (!healthy) {
+        console.warn(`[BrowserPool] Browser #${entry.id} failed health check, retiring`);
+        this.stats.crashed++;
+        retired++;
+        // Jobs still running on it will fail on their own; don't wait for them
+        await this.retire(entry);
+      }
+    }
+
+    return { healthy: this.browsers.length, retired };
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.options.healthCheckInterval) return;
+    this.healthTimer = setInterval(() => {
+      this.healthCheck().catch(error => console.error('[BrowserPool] Health check error:', error.message));
+    }, this.options.healthCheckInterval);
+    // Never keep the process alive just for health checks
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Current pool state (exposed on /api/health)
+   */
+  getStatus() {
+    return {
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        activeContexts: entry.activeContexts,
+        pagesServed: entry.pagesServed,
+        retiring: entry.retiring,
+      })),
+      launching: this.launching,
+      waiting: this.waiting.length,
+      limits: {
+        maxBrowsers: this.options.maxBrowsers,
+        maxContextsPerBrowser: this.options.maxContextsPerBrowser,
+        maxPagesPerBrowser: this.options.maxPagesPerBrowser,
+      },
+      stats: { ...this.stats },
+    };
+  }
+
+  /**
+   * Close all browsers and reject queued jobs
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+
+    await Promise.all([...this.browsers].map(entry => this.retire(entry)));
+  }
+}
+
+// Shared pool for the server process
+let _instance = null;
+
+/**
+ * Get or create the shared browser pool
+ * @param {Object} options - Configuration options
+ * @returns {BrowserPool}
+ */
+export const getBrowserPool = (options = {}) => {
+  if (!_instance || _instance.closed || options.forceNew) {
+    _instance = new BrowserPool(options);
+  }
+  return _instance;
+};
+
+/**
+ * Close the shared pool if one was created (graceful shutdown)
+ */
+export const closeBrowserPool = async () => {
+  if (_instance) {
+    await _instance.close();
+    _instance = null;
+  }
+};
+
+export default BrowserPool;
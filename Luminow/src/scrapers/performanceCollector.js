@@ -0,0 +1,296 @@
+/**
+ * Performance Collector Module
+ *
+ * Captures lab Core Web Vitals and page weight during a rendered scrape,
+ * under a throttled network/CPU profile (see config/performanceThresholds.js).
+ *
+ * Sources:
+ * - PerformanceObserver (injected before navigation): LCP, CLS, FCP
+ * - Navigation Timing: TTFB, DOMContentLoaded, load
+ * - Chrome trace (page.tracing): main-thread long tasks -> TBT and an INP
+ *   approximation, plus Chrome's own render-blocking classification
+ * - DevTools Network domain: transfer bytes by resource type
+ * - page.metrics(): script/layout/task durations and DOM size
+ *
+ * INP needs real user interactions, so in the lab it is approximated by the
+ * longest main-thread task after FCP (the worst input delay a user could hit).
+ */
+
+import { NETWORK_PROFILES, DEFAULT_NETWORK_PROFILE, METRIC_THRESHOLDS, rateMetric } from '../config/performanceThresholds.js';
+
+const LONG_TASK_MS = 50;
+
+const TRACE_CATEGORIES = [
+  'devtools.timeline',
+  'disabled-by-default-devtools.timeline',
+  'loading',
+  'blink.user_timing',
+];
+
+// Installed via evaluateOnNewDocument so entries from the very first paint are observed
+const OBSERVER_SCRIPT = () => {
+  const vitals = { lcp: null, cls: 0, fcp: null };
+  window.__luminowVitals = vitals;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported in this browser
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.startTime;
+    vitals.lcpElement = entry.element
+      ? `${entry.element.tagName.toLowerCase()}${entry.element.id ? `#${entry.element.id}` : ''}`
+      : null;
+  });
+  observe('layout-shift', entry => {
+    // Shifts right after user input are expected and excluded from CLS
+    if (!entry.hadRecentInput) vitals.cls += entry.value;
+  });
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+};
+
+export class PerformanceCollector {
+  /**
+   * Create a new PerformanceCollector
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      networkProfile: DEFAULT_NETWORK_PROFILE,
+      trace: true, // Chrome tracing for TBT/INP; costs some overhead per page
+      settleTimeout: 15000, // Max ms to wait for the load event before measuring
+      ...options,
+    };
+
+    this.profile = NETWORK_PROFILES[this.options.networkProfile] || NETWORK_PROFILES.slow4g;
+    this.requests = new Map(); // requestId -> { url, type, transferSize }
+    this.client = null;
+    this.tracing = false;
+  }
+
+  /**
+   * Prepare a page before navigation: throttling, observers, network capture, tracing
+   * @param {Object} page - Puppeteer page
+   */
+  async start(page) {
+    const { download, upload, latency, cpuSlowdown } = this.profile;
+    await page.emulateNetworkConditions(download < 0 ? null : { download, upload, latency });
+    await page.emulateCPUThrottling(cpuSlowdown > 1 ? cpuSlowdown : null);
+    await page.evaluateOnNewDocument(OBSERVER_SCRIPT);
+
+    this.client = await page.target().createCDPSession();
+    await this.client.send('Network.enable');
+    this.client.on('Network.responseReceived', ({ requestId, type, response }) => {
+      this.requests.set(requestId, { url: response.url, type, transferSize: 0 });
+    });
+    this.client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+      const request = this.requests.get(requestId);
+      if (request) request.transferSize = encodedDataLength;
+    });
+
+    if (this.options.trace) {
+      await page.tracing.start({ categories: TRACE_CATEGORIES });
+      this.tracing = true;
+    }
+  }
+
+  /**
+   * Finish measurement after navigation and build the performance report
+   * @param {Object} page - Puppeteer page
+   * @returns {Object} Performance metrics (see buildReport)
+   */
+  async collect(page) {
+    // LCP and CLS keep changing until the page has finished loading
+    await page.waitForFunction(() => document.readyState === 'complete', {
+      timeout: this.options.settleTimeout,
+    }).catch(() => {});
+
+    const timings = await page.evaluate(() => {
+      const nav = performance.getEntriesByType('navigation')[0];
+      return {
+        vitals: window.__luminowVitals || null,
+        ttfb: nav ? nav.responseStart - nav.startTime : null,
+        domContentLoaded: nav?.domContentLoadedEventEnd || null,
+        load: nav?.loadEventEnd || null,
+      };
+    });
+
+    const runtime = await page.metrics();
+
+    let trace = null;
+    if (this.tracing) {
+      this.tracing = false;
+      const buffer = await page.tracing.stop();
+      trace = this.parseTrace(buffer);
+    }
+
+    // Render-blocking fallback when the trace doesn't classify requests
+    const domRenderBlocking = trace?.renderBlocking.length ? null : await page.evaluate(() => {
+      const blocking = [];
+      document.querySelectorAll('head script[src]').forEach(el => {
+        if (!el.async && !el.defer && el.type !== 'module') blocking.push({ url: el.src, type: 'script' });
+      });
+      document.querySelectorAll('head link[rel="stylesheet"]').forEach(el => {
+        const media = (el.media || 'all').toLowerCase();
+        if (!el.disabled && (media === 'all' || media === 'screen' || matchMedia(media).matches)) {
+          blocking.push({ url: el.href, type: 'stylesheet' });
+        }
+      });
+      return blocking;
+    });
+
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+
+    return this.buildReport(timings, runtime, trace, domRenderBlocking);
+  }
+
+  /**
+   * Abort measurement (navigation failed) so tracing doesn't leak into the next scrape
+   */
+  async abort(page) {
+    if (this.tracing) {
+      this.tracing = false;
+      await page.tracing.stop().catch(() => {});
+    }
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+
+  /**
+   * Extract long tasks and render-blocking requests from a Chrome trace
+   *
+   * @param {Buffer} buffer - Trace JSON from page.tracing.stop()
+   * @returns {Object|null} { longTasks: [{ start, duration, afterFcp }], renderBlocking: [{ url, type }] }
+   */
+  parseTrace(buffer) {
+    let events;
+    try {
+      const parsed = JSON.parse(buffer.toString('utf-8'));
+      events = Array.isArray(parsed) ? parsed : parsed.traceEvents || [];
+    } catch {
+      return null;
+    }
+
+    // The page's main thread is the renderer thread with the most task time
+    const mainThreads = new Set(events
+      .filter(e => e.name === 'thread_name' && e.args?.name === 'CrRendererMain')
+      .map(e => `${e.pid}:${e.tid}`));
+
+    const taskTime = new Map();
+    for (const e of events) {
+      const key = `${e.pid}:${e.tid}`;
+      if (e.name === 'RunTask' && e.dur && mainThreads.has(key)) {
+        taskTime.set(key, (taskTime.get(key) || 0) + e.dur);
+      }
+    }
+    const mainThread = [...taskTime.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const [mainPid] = mainThread ? mainThread.split(':') : [];
+
+    const navigationStart = events.find(e => e.name === 'navigationStart' && String(e.pid) === mainPid)?.ts;
+    const fcpTs = events.find(e => e.name === 'firstContentfulPaint' && String(e.pid) === mainPid)?.ts;
+
+    const longTasks = events
+      .filter(e => e.name === 'RunTask' && `${e.pid}:${e.tid}` === mainThread && e.dur / 1000 > LONG_TASK_MS)
+      .map(e => ({
+        start: navigationStart ? (e.ts - navigationStart) / 1000 : null,
+        duration: e.dur / 1000,
+        afterFcp: !fcpTs || e.ts >= fcpTs,
+      }));
+
+    const renderBlocking = events
+      .filter(e => e.name === 'ResourceSendRequest'
+        && ['blocking', 'in_body_parser_blocking'].includes(e.args?.data?.renderBlocking))
+      .map(e => ({
+        url: e.args.data.url,
+        type: (e.args.data.resourceType || '').toLowerCase() || null,
+      }))
+      .filter(r => r.type !== 'document');
+
+    return { longTasks, renderBlocking };
+  }
+
+  /**
+   * Assemble the performance report attached to pageData.performance
+   */
+  buildReport(timings, runtime, trace, domRenderBlocking) {
+    const round = (value, digits = 0) => (value === null || value === undefined
+      ? null
+      : Number(Number(value).toFixed(digits)));
+
+    const vitals = timings.vitals || {};
+    const blockingTasks = (trace?.longTasks || []).filter(t => t.afterFcp);
+    const tbt = trace ? blockingTasks.reduce((sum, t) => sum + (t.duration - LONG_TASK_MS), 0) : null;
+    const inp = trace ? Math.max(0, ...blockingTasks.map(t => t.duration)) : null;
+
+    // Transfer bytes by DevTools resource type
+    const byType = {};
+    let totalBytes = 0;
+    for (const request of this.requests.values()) {
+      const type = (request.type || 'Other').toLowerCase();
+      byType[type] = byType[type] || { requests: 0, bytes: 0 };
+      byType[type].requests++;
+      byType[type].bytes += request.transferSize;
+      totalBytes += request.transferSize;
+    }
+
+    const sizeOf = (url) => [...this.requests.values()].find(r => r.url === url)?.transferSize ?? null;
+    const renderBlocking = (trace?.renderBlocking.length ? trace.renderBlocking : domRenderBlocking || [])
+      .map(resource => ({ ...resource, transferSize: sizeOf(resource.url) }));
+
+    const metrics = {
+      lcp: round(vitals.lcp),
+      cls: round(vitals.cls, 3),
+      fcp: round(vitals.fcp),
+      ttfb: round(timings.ttfb),
+      tbt: round(tbt),
+      inp: round(inp),
+    };
+
+    const ratings = {};
+    for (const [metric, value] of Object.entries(metrics)) {
+      ratings[metric] = rateMetric(metric, value, METRIC_THRESHOLDS);
+    }
+
+    return {
+      source: 'lab',
+      profile: {
+        key: Object.keys(NETWORK_PROFILES).find(key => NETWORK_PROFILES[key] === this.profile),
+        ...this.profile,
+      },
+      ...metrics,
+      ratings,
+      inpApproximation: 'Longest main-thread task after FCP (no real interactions in lab)',
+      lcpElement: vitals.lcpElement || null,
+      domContentLoaded: round(timings.domContentLoaded),
+      load: round(timings.load),
+      longTasks: blockingTasks.length,
+      transfer: {
+        totalBytes,
+        requests: this.requests.size,
+        byType,
+      },
+      renderBlocking,
+      runtime: {
+        scriptDuration: round((runtime.ScriptDuration || 0) * 1000),
+        layoutDuration: round((runtime.LayoutDuration || 0) * 1000),
+        taskDuration: round((runtime.TaskDuration || 0) * 1000),
+        domNodes: runtime.Nodes || null,
+        jsHeapUsedBytes: runtime.JSHeapUsedSize || null,
+      },
+    };
+  }
+}
+
+export default PerformanceCollector;
@@ -0,0 +1,220 @@
+/**
+ * Replay Bundle Module
+ *
+ * Record / replay support for WebScraper, so audits can be reproduced
+ * without network access (bug reports, deterministic tests).
+ *
+ * A bundle holds two kinds of records:
+ * - captures: the exact input of WebScraper.buildPageData (HTML + acquire
+ *   data such as status, headers, redirects, timings, performance) for each
+ *   document pass - 'rendered', 'mobile' and 'static'. Replaying a capture
+ *   produces identical pageData.
+ * - exchanges: plain HTTP request/response pairs made through
+ *   WebScraper.httpFetch - robots.txt, llms.txt/ai.txt, the AI bot probe,
+ *   link checks. Matched on method + URL + user agent.
+ *
+ * Bundles are plain JSON (HAR-like, but only what the scraper needs).
+ * A saved HTML file can be turned into a bundle with fromHtml().
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const BUNDLE_VERSION = 1;
+
+// Exchanges recorded with this user agent match requests from any user agent
+const ANY_USER_AGENT = '*';
+
+// Statuses whose responses can't carry a body (Response constructor rejects one)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+export class ReplayBundle {
+  /**
+   * Create a bundle (empty for recording, or from saved JSON for replay)
+   * @param {Object} data - Bundle JSON (see toJSON)
+   */
+  constructor(data = {}) {
+    if (data.version && data.version > BUNDLE_VERSION) {
+      throw new Error(`Unsupported replay bundle version: ${data.version}`);
+    }
+
+    this.url = data.url || null;
+    this.recordedAt = data.recordedAt || new Date().toISOString();
+    this.captures = data.captures || []; // Array<{ kind, url, html, acquireData }>
+    this.exchanges = data.exchanges || []; // Array<{ request: { method, url, userAgent }, response: { status, headers, body } }>
+  }
+
+  /**
+   * Build a bundle from a saved HTML document
+   * The document is used for every pass (rendered, static) and is also served
+   * to the bot probe, so a single file is enough for a full analysis.
+   *
+   * @param {string} html - Document HTML
+   * @param {Object} options - Options
+   * @param {string} options.url - URL the document was saved from
+   * @param {number} options.statusCode - HTTP status (default 200)
+   * @param {Object} options.headers - Response headers (lowercase names)
+   * @param {string|null} options.robotsTxt - robots.txt content (null = not found)
+   * @param {Object} options.resources - Other responses by URL (absolute or relative
+   *   to the page): { status, headers, body } or { json } for JSON endpoints
+   * @returns {ReplayBundle}
+   */
+  static fromHtml(html, options = {}) {
+    const { url, statusCode = 200, headers = {}, robotsTxt = null, resources = {} } = options;
+    if (!url) throw new Error('fromHtml requires the original page URL');
+
+    const bundle = new ReplayBundle({ url });
+    bundle.captures.push({
+      kind: 'document',
+      url,
+      html,
+      acquireData: {
+        url,
+        originalUrl: url,
+        finalUrl: url,
+        statusCode,
+        loadTime: 0,
+        redirects: [],
+        redirectCount: 0,
+        headers: {
+          contentType: headers['content-type'] || 'text/html; charset=utf-8',
+          xRobotsTag: headers['x-robots-tag'] || '',
+          cacheControl: headers['cache-control'] || '',
+        },
+      },
+    });
+
+    bundle.addExchange({ method: 'GET', url, userAgent: ANY_USER_AGENT }, {
+      status: statusCode,
+      headers: { 'content-type': 'text/html; charset=utf-8', ...headers },
+      body: html,
+    });
+
+    const robotsUrl = new URL('/robots.txt', url).href;
+    bundle.addExchange({ method: 'GET', url: robotsUrl, userAgent: ANY_USER_AGENT }, robotsTxt === null
+      ? { status: 404, headers: {}, body: '' }
+      : { status: 200, headers: { 'content-type': 'text/plain' }, body: robotsTxt });
+
+    for (const [resourceUrl, resource] of Object.entries(resources)) {
+      const response = resource.json !== undefined
+        ? { status: resource.status || 200, headers: { 'content-type': 'application/json', ...resource.headers }, body: JSON.stringify(resource.json) }
+        : { status: resource.status || 200, headers: resource.headers || {}, body: resource.body || '' };
+      bundle.addExchange({ method: 'GET', url: new URL(resourceUrl, url).href, userAgent: ANY_USER_AGENT }, response);
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Load a bundle file (.json) or a saved HTML document (.html / .htm)
+   * @param {string} filePath - File path
+   * @param {Object} options - fromHtml options when loading HTML
+   * @returns {Promise<ReplayBundle>}
+   */
+  static async fromFile(filePath, options = {}) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    if (/\.html?$/i.test(filePath)) {
+      return ReplayBundle.fromHtml(content, options);
+    }
+    return new ReplayBundle(JSON.parse(content));
+  }
+
+  /**
+   * Save the bundle as JSON
+   * @param {string} filePath - Destination path
+   */
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON()));
+  }
+
+  toJSON() {
+    return {
+      version: BUNDLE_VERSION,
+      url: this.url,
+      recordedAt: this.recordedAt,
+      captures: this.captures,
+      exchanges: this.exchanges,
+    };
+  }
+
+  /**
+   * Record the buildPageData input of a document pass
+   * @param {string} kind - 'rendered' | 'mobile' | 'static'
+   * @param {string} url - Requested URL
+   * @param {string} html - Document HTML
+   * @param {Object} acquireData - Phase 1 data
+   */
+  recordCapture(kind, url, html, acquireData) {
+    if (!this.url) this.url = url;
+    this.captures = this.captures.filter(c => !(c.kind === kind && c.url === url));
+    // JSON round trip so replayed data has exactly the recorded shape
+    this.captures.push({ kind, url, html, acquireData: JSON.parse(JSON.stringify(acquireData)) });
+  }
+
+  /**
+   * Find a capture for a document pass
+   * Bundles made from a single HTML file hold one 'document' capture used for
+   * the rendered and static passes; the mobile pass has no fallback
+   *
+   * @returns {Object|null} { kind, url, html, acquireData }
+   */
+  getCapture(kind, url) {
+    const matches = this.captures.filter(c => c.url === url);
+    return matches.find(c => c.kind === kind)
+      || (kind !== 'mobile' ? matches.find(c => c.kind === 'document') : null)
+      || null;
+  }
+
+  /**
+   * Store a request/response pair (replaces an earlier one for the same request)
+   */
+  addExchange(request, response) {
+    this.exchanges = this.exchanges.filter(e => !this.sameRequest(e.request, request));
+    this.exchanges.push({ request, response });
+  }
+
+  /**
+   * Record a live response and hand back an equivalent unread Response
+   * @param {Object} request - { method, url, userAgent }
+   * @param {Response} response - fetch() response
+   * @returns {Promise<Response>}
+   */
+  async recordExchange(request, response) {
+    const body = await response.text();
+    const recorded = {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body,
+    };
+    this.addExchange(request, recorded);
+    return this.toResponse(recorded);
+  }
+
+  /**
+   * Answer a request from the bundle
+   * @param {Object} request - { method, url, userAgent }
+   * @returns {Response}
+   * @throws {Error} When the request wasn't recorded (replay never touches the network)
+   */
+  replayExchange(request) {
+    const exchange = this.exchanges.find(e => this.sameRequest(e.request, request))
+      || this.exchanges.find(e => e.request.userAgent === ANY_USER_AGENT
+        && this.sameRequest({ ...e.request, userAgent: request.userAgent }, request));
+
+    if (!exchange) {
+      throw new Error(`Not in replay bundle: ${request.method} ${request.url}`);
+    }
+    return this.toResponse(exchange.response);
+  }
+
+  sameRequest(a, b) {
+    return a.method === b.method && a.url === b.url && a.userAgent === b.userAgent;
+  }
+
+  toResponse({ status, headers, body }) {
+    return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+  }
+}
+
+export default ReplayBundle;
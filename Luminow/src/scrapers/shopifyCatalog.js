@@ -0,0 +1,211 @@
+/**
+ * Shopify Catalog Module
+ *
+ * Shopify storefronts expose their catalog as public JSON next to every
+ * product and collection page, so on Shopify we don't have to guess from
+ * the theme's DOM and JSON-LD:
+ *
+ * - /products/<handle>.js   AJAX API: prices in cents, `available` per variant,
+ *                           tags, images, options with their values
+ * - /products/<handle>.json Product JSON: decimal prices, barcodes, product_type
+ * - /collections/<handle>/products.json  The collection's products
+ *
+ * These are what the store's checkout uses, so CatalogConsistencyAnalyzer
+ * treats them as the source of truth when comparing with the theme's
+ * structured data and visible content. Market / locale prefixes
+ * (/en-ca/products/...) are kept, so prices come back in the page's market.
+ */
+
+import { variantsFromShopifyJson, mergeVariants, priceValue } from '../utils/productVariants.js';
+
+// Products per collection request (Shopify's maximum page size)
+const COLLECTION_LIMIT = 250;
+
+/**
+ * Catalog resource behind a storefront URL
+ * @param {string} url - Page URL
+ * @returns {Object|null} { kind: 'product' | 'collection', handle, base } - base is origin + market prefix
+ */
+export const shopifyResource = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  // /products/<handle>, /collections/<c>/products/<handle>, /<market>/products/<handle>
+  const product = parsed.pathname.match(/^((?:\/[a-z]{2}(?:-[a-z]{2})?)?)\/(?:collections\/[^/]+\/)?products\/([^/.?#]+)\/?$/i);
+  if (product) return { kind: 'product', handle: decodeURIComponent(product[2]), base: `${parsed.origin}${product[1]}` };
+
+  const collection = parsed.pathname.match(/^((?:\/[a-z]{2}(?:-[a-z]{2})?)?)\/collections\/([^/.?#]+)\/?$/i);
+  if (collection) return { kind: 'collection', handle: decodeURIComponent(collection[2]), base: `${parsed.origin}${collection[1]}` };
+
+  return null;
+};
+
+// Shopify CDN URLs are often protocol-relative
+const absoluteUrl = src => (typeof src === 'string' && src.startsWith('//') ? `https:${src}` : src || '');
+
+const imageUrls = images => (Array.isArray(images) ? images : [])
+  .map(image => absoluteUrl(typeof image === 'object' && image !== null ? image.src : image))
+  .filter(Boolean);
+
+// .js gives tags as an array, .json as a comma-separated string
+const tagList = tags => (Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map(tag => String(tag).trim())
+  .filter(Boolean);
+
+const priceRange = (variants) => {
+  const prices = variants.map(variant => priceValue(variant.price)).filter(price => price !== null);
+  return prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null;
+};
+
+export class ShopifyCatalog {
+  /**
+   * Create a new ShopifyCatalog
+   * @param {Object} options - Configuration options
+   * @param {Object} options.scraper - WebScraper (requests go through httpFetch for record / replay)
+   * @param {number} options.timeout - Per-request timeout in ms
+   */
+  constructor(options = {}) {
+    this.scraper = options.scraper;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Fetch the catalog entry behind a product or collection page
+   *
+   * @param {string} url - Page URL
+   * @param {Object} options - Options
+   * @param {string} options.currency - Page currency (the catalog JSON has none)
+   * @returns {Object} { available, kind, handle, endpoints, product | collection } or
+   *   { available: false, reason, endpoints }
+   */
+  async fetch(url, options = {}) {
+    const resource = shopifyResource(url);
+    if (!resource) {
+      return { available: false, reason: 'Not a product or collection URL', endpoints: [] };
+    }
+
+    const endpoints = [];
+    const { kind, handle, base } = resource;
+
+    if (kind === 'collection') {
+      const list = await this.fetchJson(`${base}/collections/${encodeURIComponent(handle)}/products.json?limit=${COLLECTION_LIMIT}`, endpoints);
+      if (!Array.isArray(list?.products)) {
+        return { available: false, reason: this.failureReason(endpoints), endpoints };
+      }
+      return {
+        available: true,
+        kind,
+        handle,
+        endpoints,
+        collection: {
+          handle,
+          products: list.products.map(product => this.summarizeProduct(product, options.currency)),
+          truncated: list.products.length >= COLLECTION_LIMIT,
+        },
+      };
+    }
+
+    // Sequential - two small requests to the same host
+    const ajax = await this.fetchJson(`${base}/products/${encodeURIComponent(handle)}.js`, endpoints);
+    const json = await this.fetchJson(`${base}/products/${encodeURIComponent(handle)}.json`, endpoints);
+    const ajaxProduct = ajax && Array.isArray(ajax.variants) ? ajax : null;
+    const jsonProduct = json?.product && Array.isArray(json.product.variants) ? json.product : null;
+
+    if (!ajaxProduct && !jsonProduct) {
+      return { available: false, reason: this.failureReason(endpoints), endpoints };
+    }
+
+    return {
+      available: true,
+      kind,
+      handle,
+      endpoints,
+      product: this.normalizeProduct(ajaxProduct, jsonProduct, options.currency),
+    };
+  }
+
+  /**
+   * GET a catalog endpoint; records the outcome in `endpoints`
+   * @returns {Object|null} Parsed JSON
+   */
+  async fetchJson(endpointUrl, endpoints) {
+    const entry = { url: endpointUrl, statusCode: null, ok: false, reason: null };
+    endpoints.push(entry);
+    try {
+      const response = await this.scraper.httpFetch(endpointUrl, {
+        headers: {
+          'User-Agent': this.scraper.userAgent,
+          'Accept': 'application/json',
+        },
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      entry.statusCode = response.status;
+      if (!response.ok) {
+        entry.reason = `HTTP ${response.status}`;
+        return null;
+      }
+      const data = JSON.parse(await response.text());
+      entry.ok = true;
+      return data;
+    } catch (error) {
+      // Password-protected stores and non-Shopify sites answer with HTML
+      entry.reason = error instanceof SyntaxError ? 'Not JSON' : error.message;
+      return null;
+    }
+  }
+
+  failureReason(endpoints) {
+    return endpoints.map(entry => `${new URL(entry.url).pathname}: ${entry.reason || 'unexpected JSON'}`).join('; ');
+  }
+
+  /**
+   * One product from the .js and .json endpoints
+   * .js wins where both have a value (it carries availability); .json adds
+   * what .js leaves out (product_type, decimal prices)
+   */
+  normalizeProduct(ajaxProduct, jsonProduct, currency) {
+    const primary = ajaxProduct || jsonProduct;
+    const variants = mergeVariants(
+      variantsFromShopifyJson(ajaxProduct, { currency }).variants,
+      variantsFromShopifyJson(jsonProduct, { currency }).variants,
+    ).map(({ sources, ...variant }) => variant);
+    const { options } = variantsFromShopifyJson(ajaxProduct || jsonProduct, { currency });
+
+    return {
+      id: String(primary.id ?? ''),
+      handle: primary.handle || jsonProduct?.handle || '',
+      title: primary.title || '',
+      vendor: primary.vendor || jsonProduct?.vendor || '',
+      productType: ajaxProduct?.type || jsonProduct?.product_type || '',
+      tags: tagList(ajaxProduct?.tags ?? jsonProduct?.tags),
+      images: [...new Set([...imageUrls(ajaxProduct?.images), ...imageUrls(jsonProduct?.images)])],
+      options,
+      variants,
+      priceRange: priceRange(variants),
+      currency: currency || '',
+    };
+  }
+
+  /**
+   * Collection entry: enough to compare with the page's product list
+   */
+  summarizeProduct(product, currency) {
+    const { variants } = variantsFromShopifyJson(product, { currency });
+    return {
+      handle: product.handle || '',
+      title: product.title || '',
+      vendor: product.vendor || '',
+      productType: product.product_type || '',
+      tags: tagList(product.tags),
+      variantCount: variants.length,
+      available: variants.some(variant => variant.availability === 'InStock'),
+      priceRange: priceRange(variants),
+      image: imageUrls(product.images)[0] || '',
+    };
+  }
+}
+
+export default ShopifyCatalog;
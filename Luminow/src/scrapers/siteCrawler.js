@@ -0,0 +1,439 @@
+/**
+ * Site Crawler Module
+ *
+ * Audits a whole site instead of a single URL. Built around WebScraper:
+ *
+ * 1. Discover - the start URL and homepage, robots.txt `Sitemap:` lines,
+ *    /sitemap.xml (indexes and .gz), /llms.txt links, and internal links found
+ *    by extractLinks on each crawled page
+ * 2. Crawl - breadth-first with depth, page-limit and concurrency controls,
+ *    honouring robots.txt rules and Crawl-delay
+ * 3. Link graph - PageRank, orphans, dead ends and click depth (LinkGraph);
+ *    llms.txt links are validated against the crawled pages
+ * 4. Analyze - SEO (0-100) and GEO (0-800) on every page
+ * 5. Roll up - site-level scores by page type (PageTypeDetector)
+ */
+
+import { WebScraper } from './webScraper.js';
+import { SitemapParser } from './sitemapParser.js';
+import { SEOAnalyzer } from '../analyzers/seoAnalyzer.js';
+import { GEOAnalyzer } from '../analyzers/geoAnalyzer.js';
+import { MerchantEligibilityAnalyzer } from '../analyzers/merchantEligibilityAnalyzer.js';
+import { LinkGraph } from '../analyzers/linkGraph.js';
+import { RobotsTxt } from '../utils/robotsTxt.js';
+import { toUrlKey, validateLlmsLinks } from '../utils/llmsTxt.js';
+
+// Links to these are never HTML pages worth auditing
+const NON_PAGE_EXTENSIONS = /\.(?:jpe?g|png|gif|webp|avif|svg|ico|pdf|zip|gz|mp4|mp3|webm|css|js|json|xml|txt|woff2?|ttf)$/i;
+
+export class SiteCrawler {
+  /**
+   * Create a new SiteCrawler
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxPages: 50,
+      maxDepth: 3, // Link hops from the start URL (sitemap URLs count as depth 0)
+      concurrency: 2,
+      mode: 'rendered', // WebScraper mode for each page
+      useSitemaps: true,
+      useLlmsTxt: true, // Fetch llms.txt/ai.txt once and seed the queue with llms.txt links
+      followLinks: true,
+      respectRobotsTxt: true,
+      robotsToken: 'LuminowBot', // robots.txt product token for our crawl (falls back to `*` groups)
+      requestDelay: 0, // Minimum ms between page fetches when robots.txt has no Crawl-delay
+      analyze: true, // Run SEO/GEO analyzers on each page
+      // Per-page extras. Each adds renders or fetches to every page (throttled
+      // lab vitals, a mobile re-render, four AI bot fetches, two Shopify catalog
+      // requests), so crawls opt in
+      collectPerformance: false,
+      mobileAudit: false,
+      botProbe: false,
+      shopifyCatalog: false,
+      onProgress: null, // Callback({ phase, url, crawled, queued, total })
+      onPage: null, // Callback({ url, depth, source, pageData }) with full pageData, before it's summarized
+      ...options,
+    };
+
+    this.scraper = options.scraper || new WebScraper({
+      mode: this.options.mode,
+      collectPerformance: this.options.collectPerformance,
+      mobileAudit: this.options.mobileAudit,
+      botProbe: this.options.botProbe,
+      shopifyCatalog: this.options.shopifyCatalog,
+    });
+    this.sitemapParser = options.sitemapParser || new SitemapParser();
+  }
+
+  /**
+   * Crawl a site starting from a URL
+   *
+   * @param {string} startUrl - Start URL (usually the homepage)
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops the crawl (pages in flight stop at their next step)
+   * @returns {Object} Crawl report with per-page results and site rollup
+   */
+  async crawl(startUrl, options = {}) {
+    const { signal } = options;
+    const startedAt = new Date();
+    const origin = new URL(startUrl).origin;
+
+    // Phase 1: robots.txt (fetched once, evaluated per page)
+    this.reportProgress({ phase: 'robots', url: `${origin}/robots.txt` });
+    const robots = await this.scraper.fetchRobotsTxt(startUrl);
+    const robotsContent = robots.found ? robots.content : null;
+    const robotsRules = RobotsTxt.fromResponse(robots.statusCode, robotsContent);
+    const crawlDelay = robotsRules.getCrawlDelay(this.options.robotsToken);
+    const crawlDelayMs = crawlDelay ? crawlDelay * 1000 : this.options.requestDelay;
+
+    // llms.txt / ai.txt are site-level too: fetched once, links validated after the crawl
+    let aiFiles = null;
+    if (this.options.useLlmsTxt) {
+      this.reportProgress({ phase: 'aiFiles', url: `${origin}/llms.txt` });
+      aiFiles = await this.scraper.fetchAiFiles(startUrl, { checkLinks: false });
+    }
+
+    // Phase 2: Seed the queue from the start URL, llms.txt and sitemaps
+    const state = {
+      origin,
+      robots,
+      robotsContent,
+      robotsRules,
+      aiFiles,
+      crawlDelayMs,
+      signal,
+      nextFetchAt: 0,
+      queue: [],
+      seen: new Set(),
+      inFlight: 0,
+      pages: [],
+      skipped: [],
+      errors: [],
+    };
+
+    this.enqueue(state, startUrl, 0, 'start');
+    // Click depth and orphans are measured from the homepage, so crawl it even
+    // when the crawl starts deeper in the site
+    this.enqueue(state, `${origin}/`, 0, 'homepage');
+    for (const section of aiFiles?.llmsTxt.sections || []) {
+      for (const link of section.links) {
+        this.enqueue(state, link.url, 0, 'llms.txt');
+      }
+    }
+
+    let discovery = { sitemaps: [], sitemapUrlCount: 0 };
+    if (this.options.useSitemaps) {
+      this.reportProgress({ phase: 'sitemaps', url: `${origin}/sitemap.xml` });
+      const sitemapResult = await this.sitemapParser.discover(startUrl, robotsRules.getSitemaps());
+      for (const entry of sitemapResult.urls) {
+        this.enqueue(state, entry.loc, 0, 'sitemap');
+      }
+      discovery = {
+        sitemaps: sitemapResult.sitemaps,
+        sitemapUrlCount: sitemapResult.urls.length,
+      };
+    }
+
+    // Phase 3: Crawl with bounded concurrency
+    const workers = Array.from(
+      { length: Math.max(1, this.options.concurrency) },
+      () => this.runWorker(state)
+    );
+    await Promise.all(workers);
+    signal?.throwIfAborted();
+
+    // Phase 4: Link graph over the crawled pages, attached before analysis
+    // so SEOAnalyzer.analyzeIndexability can use real link equity
+    const linkGraph = this.buildLinkGraph(state);
+    this.validateLlmsTxt(state);
+
+    // Phase 5: Analyze every page
+    const pages = state.pages.map(page => this.summarizePage(page, state));
+
+    const completedAt = new Date();
+    return {
+      startUrl,
+      origin,
+      startedAt: startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      durationMs: completedAt - startedAt,
+      settings: {
+        maxPages: this.options.maxPages,
+        maxDepth: this.options.maxDepth,
+        concurrency: this.options.concurrency,
+        mode: this.options.mode,
+        crawlDelayMs,
+      },
+      discovery: {
+        ...discovery,
+        robotsTxtFound: robots.found,
+        robotsCrawlDelay: crawlDelay,
+        llmsTxtFound: aiFiles?.llmsTxt.found || false,
+        llmsTxtLinks: aiFiles?.llmsTxt.linkValidation || null,
+        aiTxtFound: aiFiles?.aiTxt.found || false,
+      },
+      pages,
+      linkGraph: linkGraph.summary(),
+      skipped: state.skipped,
+      errors: state.errors,
+      rollup: this.buildRollup(pages),
+    };
+  }
+
+  /**
+   * Worker loop: pull URLs off the shared queue until the crawl is done
+   */
+  async runWorker(state) {
+    while (!state.signal?.aborted) {
+      if (state.pages.length + state.inFlight >= this.options.maxPages) return;
+
+      const item = state.queue.shift();
+      if (!item) {
+        // Other workers may still add links from pages in flight
+        if (state.inFlight === 0) return;
+        await new Promise(r => setTimeout(r, 50));
+        continue;
+      }
+
+      if (this.options.respectRobotsTxt && !this.isCrawlAllowed(item.url, state.robotsRules)) {
+        state.skipped.push({ url: item.url, reason: 'Disallowed by robots.txt' });
+        continue;
+      }
+
+      state.inFlight++;
+      try {
+        await this.throttle(state);
+        this.reportProgress({
+          phase: 'crawl',
+          url: item.url,
+          crawled: state.pages.length,
+          queued: state.queue.length,
+          total: this.options.maxPages,
+        });
+
+        const pageData = await this.scraper.scrape(item.url, {
+          mode: this.options.mode,
+          robotsTxtContent: state.robotsContent,
+          robotsTxtStatus: state.robots.statusCode,
+          aiFiles: state.aiFiles,
+          aiFilesAudit: Boolean(state.aiFiles),
+          mobileAudit: this.options.mobileAudit,
+          botProbe: this.options.botProbe,
+          shopifyCatalog: this.options.shopifyCatalog,
+          signal: state.signal,
+        });
+
+        state.pages.push({ ...item, pageData });
+
+        if (this.options.followLinks && item.depth < this.options.maxDepth) {
+          for (const link of pageData.links?.internal || []) {
+            this.enqueue(state, link.href, item.depth + 1, 'link', pageData.finalUrl || item.url);
+          }
+        }
+      } catch (error) {
+        if (state.signal?.aborted) return;
+        state.errors.push({ url: item.url, error: error.message });
+      } finally {
+        state.inFlight--;
+      }
+    }
+  }
+
+  /**
+   * Add a URL to the queue if it is a same-site page we haven't seen
+   */
+  enqueue(state, href, depth, source, baseUrl = state.origin) {
+    const url = this.normalizeUrl(href, baseUrl);
+    if (!url) return;
+    if (new URL(url).origin !== state.origin) return;
+    if (NON_PAGE_EXTENSIONS.test(new URL(url).pathname)) return;
+    if (state.seen.has(url)) return;
+
+    state.seen.add(url);
+    state.queue.push({ url, depth, source });
+  }
+
+  /**
+   * Resolve and normalize a URL for de-duplication (drops fragments)
+   */
+  normalizeUrl(href, baseUrl) {
+    try {
+      const url = new URL(href, baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) return null;
+      url.hash = '';
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Enforce Crawl-delay / requestDelay between page fetches across all workers
+   */
+  async throttle(state) {
+    if (!state.crawlDelayMs) return;
+
+    const now = Date.now();
+    const waitUntil = Math.max(now, state.nextFetchAt);
+    state.nextFetchAt = waitUntil + state.crawlDelayMs;
+
+    if (waitUntil > now) {
+      await new Promise(r => setTimeout(r, waitUntil - now));
+    }
+  }
+
+  /**
+   * Check robots.txt rules for our own crawl
+   */
+  isCrawlAllowed(url, robotsRules) {
+    return robotsRules.isAllowed(this.options.robotsToken, url);
+  }
+
+  /**
+   * Build the internal link graph and attach per-page metrics to pageData
+   */
+  buildLinkGraph(state) {
+    const graph = new LinkGraph();
+
+    for (const page of state.pages) {
+      const baseUrl = page.pageData.finalUrl || page.url;
+      const links = (page.pageData.links?.internal || [])
+        .map(link => ({ href: this.normalizeUrl(link.href, baseUrl), isNofollow: link.isNofollow }))
+        .filter(link => link.href);
+      graph.addPage(page.url, links, this.normalizeUrl(baseUrl, baseUrl));
+    }
+
+    graph.analyze(`${state.origin}/`);
+
+    for (const page of state.pages) {
+      page.pageData.linkGraph = graph.getMetrics(page.url);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Validate llms.txt links against the statuses of crawled pages
+   * (attached to the shared aiFiles object every pageData references)
+   */
+  validateLlmsTxt(state) {
+    const llmsTxt = state.aiFiles?.llmsTxt;
+    if (!llmsTxt?.found) return;
+
+    const statuses = new Map();
+    for (const page of state.pages) {
+      statuses.set(toUrlKey(page.url), page.pageData.statusCode);
+      if (page.pageData.finalUrl) statuses.set(toUrlKey(page.pageData.finalUrl), page.pageData.statusCode);
+    }
+    for (const error of state.errors) {
+      if (!statuses.has(toUrlKey(error.url))) statuses.set(toUrlKey(error.url), 0);
+    }
+
+    llmsTxt.linkValidation = validateLlmsLinks(llmsTxt, state.origin, statuses);
+  }
+
+  /**
+   * Run analyzers on a crawled page and reduce it to a summary
+   * Full pageData is dropped to keep crawl reports small. A page the analyzers
+   * fail on keeps its unscored summary and is recorded in state.errors, like
+   * a failed fetch, instead of ending the crawl.
+   */
+  summarizePage(page, state) {
+    const { pageData } = page;
+    if (this.options.onPage) this.options.onPage(page);
+
+    const summary = {
+      url: page.url,
+      finalUrl: pageData.finalUrl,
+      statusCode: pageData.statusCode,
+      depth: page.depth,
+      source: page.source,
+      title: pageData.title,
+      metaDescription: pageData.metaDescription,
+      pageType: pageData.pageType?.type || 'other',
+      wordCount: pageData.wordCount,
+      internalLinks: pageData.linkStats?.totalInternal || 0,
+      linkGraph: pageData.linkGraph,
+    };
+
+    if (!this.options.analyze) return summary;
+
+    this.reportProgress({ phase: 'analyze', url: page.url, crawled: state.pages.length });
+
+    let seo;
+    let geo;
+    let merchant;
+    try {
+      seo = new SEOAnalyzer().analyze(pageData);
+      geo = new GEOAnalyzer().analyze(pageData);
+      merchant = pageData.pageType?.isProductPage ? new MerchantEligibilityAnalyzer().analyze(pageData) : null;
+    } catch (error) {
+      console.error(`Analysis failed for ${page.url}:`, error.message);
+      state.errors.push({ url: page.url, error: `Analysis failed: ${error.message}` });
+      return { ...summary, analysisError: error.message };
+    }
+
+    return {
+      ...summary,
+      seoScore: seo.score,
+      geoScore: geo.score,
+      geoBand: geo.band?.band,
+      merchantListingEligible: merchant ? merchant.surfaces.merchantListings.eligible : null,
+      criticalIssues: seo.summary.criticalIssues + geo.summary.criticalIssues,
+      warnings: seo.summary.warnings + geo.summary.warnings,
+      topIssues: geo.issues.slice(0, 5).map(issue => ({
+        pillar: issue.pillar,
+        severity: issue.severity,
+        message: issue.message,
+      })),
+    };
+  }
+
+  /**
+   * Site-level rollup: averages overall and by page type
+   */
+  buildRollup(pages) {
+    const analyzed = pages.filter(p => typeof p.seoScore === 'number');
+    const average = (values) => values.length > 0
+      ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+      : null;
+
+    const byPageType = {};
+    for (const page of analyzed) {
+      const group = byPageType[page.pageType] || (byPageType[page.pageType] = { pages: [] });
+      group.pages.push(page);
+    }
+
+    for (const [type, group] of Object.entries(byPageType)) {
+      const geoScores = group.pages.map(p => p.geoScore);
+      byPageType[type] = {
+        count: group.pages.length,
+        avgSeoScore: average(group.pages.map(p => p.seoScore)),
+        avgGeoScore: average(geoScores),
+        minGeoScore: Math.min(...geoScores),
+        maxGeoScore: Math.max(...geoScores),
+        worstPage: group.pages.reduce((worst, p) => (p.geoScore < worst.geoScore ? p : worst)).url,
+      };
+    }
+
+    return {
+      pagesCrawled: pages.length,
+      pagesAnalyzed: analyzed.length,
+      avgSeoScore: average(analyzed.map(p => p.seoScore)),
+      avgGeoScore: average(analyzed.map(p => p.geoScore)),
+      byPageType,
+    };
+  }
+
+  /**
+   * Invoke the progress callback if one was provided
+   */
+  reportProgress(event) {
+    if (typeof this.options.onProgress === 'function') {
+      this.options.onProgress(event);
+    }
+  }
+}
+
+export default SiteCrawler;
@@ -0,0 +1,172 @@
+/**
+ * Sitemap Parser Module
+ *
+ * Discovers page URLs from XML sitemaps for site-level crawls.
+ *
+ * Supports:
+ * - <urlset> sitemaps and <sitemapindex> sitemap indexes (recursive)
+ * - Gzipped sitemaps (.xml.gz or gzip magic bytes)
+ * - Sitemap locations from robots.txt `Sitemap:` lines
+ * - The conventional /sitemap.xml fallback
+ *
+ * Sitemap URLs come from the site itself, so every fetch (and redirect) goes
+ * through the URL policy (security/urlPolicy.js), and downloads and gzip
+ * output stop at the protocol's 50 MB limit - a larger file (or a gzip bomb)
+ * is recorded as that sitemap's error.
+ */
+
+import { gunzipSync } from 'zlib';
+import * as cheerio from 'cheerio';
+import { getUrlPolicy } from '../security/urlPolicy.js';
+
+export class SitemapParser {
+  /**
+   * Create a new SitemapParser
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      userAgent: 'Mozilla/5.0 (compatible; LuminowBot/1.0; +https://github.com/abinashhuman/PageRankAI)',
+      timeout: 15000,
+      maxSitemaps: 25, // Cap on sitemap files fetched (indexes can fan out widely)
+      maxUrls: 5000, // Cap on URLs collected across all sitemaps
+      maxBytes: 50 * 1024 * 1024, // Per sitemap, downloaded and uncompressed (sitemap protocol limit)
+      ...options,
+    };
+    // Which sitemap URLs may be fetched (null = no checks)
+    this.urlPolicy = options.urlPolicy === undefined ? getUrlPolicy() : options.urlPolicy;
+  }
+
+  /**
+   * Discover URLs for a site from its sitemaps
+   *
+   * @param {string} siteUrl - Any URL on the site (origin is used)
+   * @param {Array<string>} robotsSitemaps - Sitemap URLs declared in robots.txt
+   * @returns {Object} { urls: [{ loc, lastmod }], sitemaps: [{ url, type, urlCount, error }] }
+   */
+  async discover(siteUrl, robotsSitemaps = []) {
+    const origin = new URL(siteUrl).origin;
+    const pending = [...new Set([...robotsSitemaps, `${origin}/sitemap.xml`])];
+    const visited = new Set();
+    const sitemaps = [];
+    const urls = new Map();
+
+    while (pending.length > 0 && visited.size < this.options.maxSitemaps) {
+      const sitemapUrl = pending.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      try {
+        const xml = await this.fetchSitemap(sitemapUrl);
+        const parsed = this.parse(xml);
+
+        sitemaps.push({ url: sitemapUrl, type: parsed.type, urlCount: parsed.urls.length });
+        pending.push(...parsed.sitemaps.filter(s => !visited.has(s)));
+
+        for (const entry of parsed.urls) {
+          if (urls.size >= this.options.maxUrls) break;
+          if (!urls.has(entry.loc)) urls.set(entry.loc, entry);
+        }
+      } catch (error) {
+        sitemaps.push({ url: sitemapUrl, type: null, urlCount: 0, error: error.message });
+      }
+    }
+
+    return {
+      urls: Array.from(urls.values()),
+      sitemaps,
+    };
+  }
+
+  /**
+   * Fetch a sitemap, transparently decompressing gzip
+   *
+   * @param {string} sitemapUrl - Sitemap URL
+   * @returns {string} Sitemap XML
+   */
+  async fetchSitemap(sitemapUrl) {
+    const init = {
+      headers: { 'User-Agent': this.options.userAgent },
+      signal: AbortSignal.timeout(this.options.timeout),
+    };
+    const response = this.urlPolicy ? await this.urlPolicy.fetch(sitemapUrl, init) : await fetch(sitemapUrl, init);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const buffer = await this.readBody(response);
+
+    // fetch() already decodes Content-Encoding: gzip, so only raw .gz files still carry the magic bytes
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        return gunzipSync(buffer, { maxOutputLength: this.options.maxBytes }).toString('utf-8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw this.tooLarge();
+        throw error;
+      }
+    }
+
+    return buffer.toString('utf-8');
+  }
+
+  /**
+   * Read a response body, giving up once it passes maxBytes
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Buffer>} Body
+   */
+  async readBody(response) {
+    if (Number(response.headers.get('content-length')) > this.options.maxBytes) {
+      await response.body?.cancel().catch(() => {});
+      throw this.tooLarge();
+    }
+    if (!response.body) return Buffer.alloc(0);
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > this.options.maxBytes) {
+        // Leaving the loop early cancels the stream
+        throw this.tooLarge();
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  tooLarge() {
+    return new Error(`Sitemap is larger than ${this.options.maxBytes} bytes`);
+  }
+
+  /**
+   * Parse sitemap XML
+   *
+   * @param {string} xml - Sitemap XML content
+   * @returns {Object} { type: 'urlset' | 'sitemapindex' | null, urls, sitemaps }
+   */
+  parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const sitemaps = $('sitemapindex > sitemap > loc')
+      .map((_, el) => $(el).text().trim())
+      .get()
+      .filter(Boolean);
+
+    const urls = $('urlset > url')
+      .map((_, el) => ({
+        loc: $(el).children('loc').text().trim(),
+        lastmod: $(el).children('lastmod').text().trim() || null,
+      }))
+      .get()
+      .filter(entry => entry.loc);
+
+    let type = null;
+    if ($('sitemapindex').length > 0) type = 'sitemapindex';
+    else if ($('urlset').length > 0) type = 'urlset';
+
+    return { type, urls, sitemaps };
+  }
+}
+
+export default SitemapParser;
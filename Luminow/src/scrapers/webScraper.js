@@ -6,17 +6,127 @@
  * v2.0 Update: Added robots.txt fetching for AI bot access verification
  * This is critical for GEO analysis as blocked AI crawlers = zero visibility
  * in AI-generated answers (RAG pipeline gating)
+ *
+ * v2.1 Update: Added static (plain HTTP, no JavaScript) fetch mode
+ * Most AI crawlers never execute JavaScript, so auditing the raw HTML shows
+ * exactly what they receive - and works on hosts where Chromium can't start
+ *
+ * v2.2 Update: Rendered scrapes use a shared BrowserPool (incognito context per
+ * scrape) instead of launching and closing Chromium on every call
+ *
+ * v2.3 Update: Mobile-first emulation pass - rendered scrapes are repeated on an
+ * emulated phone and compared with desktop (MobileParityAnalyzer)
+ *
+ * v2.4 Update: Fetch-as-AI-bot probe - the page is re-requested with real AI
+ * crawler user agents to detect CDN blocks, challenge pages and cloaking
+ *
+ * v2.5 Update: robots.txt is evaluated with the shared RFC 9309 engine
+ * (utils/robotsTxt.js) - per-bot group selection, longest-match precedence,
+ * wildcards, and a 5xx robots.txt treated as disallow-all
+ *
+ * v2.6 Update: llms.txt, llms-full.txt and ai.txt discovery - parsed, with
+ * llms.txt links validated against the site
+ *
+ * v2.7 Update: Record / replay (ReplayBundle) - live scrapes can be saved as
+ * bundles and re-run offline with identical pageData
+ *
+ * v2.8 Update: Microdata and RDFa are parsed alongside JSON-LD
+ * (utils/schemaMarkup.js) - every structuredData item records its '@syntax'
+ *
+ * v2.9 Update: Schema lookups go through the resolved EntityGraph
+ * (utils/entityGraph.js) - nested mainEntity / hasVariant, array types and
+ * @id references between graph nodes
+ *
+ * v2.10 Update: Shopify storefronts - the public /products/<handle>.js,
+ * .json and collection products.json endpoints are fetched (ShopifyCatalog)
+ * as the authoritative catalog to compare the theme's markup with; the
+ * comparison (CatalogConsistencyAnalyzer) is attached as catalogConsistency
+ *
+ * v2.11 Update: Progress and cancellation - scrape() reports each step
+ * ({ phase: 'acquire' | 'understand', step }) and stops between steps when
+ * its AbortSignal fires (analysis jobs, see jobs/analysisJob.js)
+ *
+ * v2.12 Update: URL policy (security/urlPolicy.js) - plain HTTP fetches check
+ * every redirect hop, and browser pages intercept every request (redirects and
+ * subresources included), aborting those to private, loopback or link-local
+ * addresses, disallowed ports and denied domains
+ *
+ * v2.13 Update: Lab Core Web Vitals come from a separate throttled navigation
+ * (measurePerformance) - the render used for extraction is never throttled, so
+ * a slow measurement can't time out or fail the analysis
  */
 
-import puppeteer from 'puppeteer';
+import { KnownDevices } from 'puppeteer';
 import * as cheerio from 'cheerio';
+import { getBrowserPool } from './browserPool.js';
+import { PerformanceCollector } from './performanceCollector.js';
+import { BotAccessProbe } from './botAccessProbe.js';
+import { ShopifyCatalog } from './shopifyCatalog.js';
+import { RobotsTxt } from '../utils/robotsTxt.js';
+import { getUrlPolicy, UrlPolicyError } from '../security/urlPolicy.js';
+import { isHtmlResponse, toUrlKey, parseLlmsTxt, parseLlmsFullTxt, parseAiTxt, validateLlmsLinks } from '../utils/llmsTxt.js';
+import { parseMicrodata, parseRdfa } from '../utils/schemaMarkup.js';
+import { EntityGraph, firstOffer } from '../utils/entityGraph.js';
+import { variantsFromSchema, variantsFromShopifyJson, mergeVariants, normalizeOptionName } from '../utils/productVariants.js';
 import { PageTypeDetector } from '../analyzers/pageTypeDetector.js';
+import { RenderDiffAnalyzer } from '../analyzers/renderDiffAnalyzer.js';
+import { MobileParityAnalyzer, MOBILE_THRESHOLDS, DEFAULT_MOBILE_DEVICE } from '../analyzers/mobileParityAnalyzer.js';
+import { CatalogConsistencyAnalyzer } from '../analyzers/catalogConsistencyAnalyzer.js';
+
+/**
+ * Supported scrape modes
+ * - static: plain HTTP fetch of the raw HTML (what non-JS AI crawlers see)
+ * - rendered: full Chromium render via Puppeteer
+ * - both: rendered scrape with the static extraction attached for comparison
+ */
+export const SCRAPE_MODES = ['static', 'rendered', 'both'];
+
+// Max llms.txt links HEAD-checked per scrape
+const LLMS_LINK_CHECK_LIMIT = 20;
+
+/**
+ * robots.txt product tokens of the AI bots reported in robotsTxt.aiBotAccess
+ */
+const AI_BOT_TOKENS = {
+  gptBot: 'GPTBot',
+  oaiSearchBot: 'OAI-SearchBot',
+  chatgptUser: 'ChatGPT-User',
+  perplexityBot: 'PerplexityBot',
+  claudeBot: 'ClaudeBot',
+  claudeWeb: 'Claude-Web',
+  amazonBot: 'Amazonbot',
+  anthropicAi: 'anthropic-ai',
+  bytespider: 'Bytespider',
+  googleExtended: 'Google-Extended',
+  ccBot: 'CCBot',
+};
 
 export class WebScraper {
   constructor(options = {}) {
     this.timeout = options.timeout || 30000;
     this.userAgent = options.userAgent ||
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.mode = options.mode || 'rendered';
+    // Rendered scrapes share browsers instead of launching one per call
+    this.browserPool = options.browserPool || getBrowserPool();
+    // Lab Core Web Vitals for rendered scrapes (own throttled load, see config/performanceThresholds.js)
+    this.collectPerformance = options.collectPerformance !== false;
+    this.networkProfile = options.networkProfile;
+    // The audits below each add renders or requests to the target site, so they are opt-in
+    // Mobile emulation pass for rendered scrapes (Google indexes mobile-first) - a second render
+    this.mobileAudit = options.mobileAudit === true;
+    this.mobileDevice = options.mobileDevice || DEFAULT_MOBILE_DEVICE;
+    // Re-request the page as GPTBot, ClaudeBot etc. (BotAccessProbe) - one fetch per bot
+    this.botProbe = options.botProbe === true;
+    // Fetch /llms.txt, /llms-full.txt and /ai.txt alongside robots.txt, plus llms.txt link checks
+    this.aiFilesAudit = options.aiFilesAudit === true;
+    // Fetch the public catalog JSON of Shopify product / collection pages - two requests
+    this.shopifyCatalog = options.shopifyCatalog === true;
+    // Record / replay (ReplayBundle): save everything fetched, or answer from a saved bundle offline
+    this.recordBundle = options.record || null;
+    this.replayBundle = options.replay || null;
+    // Which URLs live fetches and browser requests may reach (null = no checks)
+    this.urlPolicy = options.urlPolicy === undefined ? getUrlPolicy() : options.urlPolicy;
   }
 
   /**
@@ -24,43 +134,143 @@ export class WebScraper {
    * Phase 1: Acquire - fetch, render, and validate access
    * Phase 2: Understand - classify and extract the product entity
    * @param {string} url - URL to scrape
+   * @param {Object} options - Per-call options
+   * @param {string} options.mode - 'static' | 'rendered' | 'both' (defaults to constructor mode)
+   * @param {string|null} options.robotsTxtContent - Pre-fetched robots.txt content (null = not found);
+   *   skips the per-page robots.txt fetch during site crawls
+   * @param {number|null} options.robotsTxtStatus - HTTP status of the pre-fetched robots.txt
+   * @param {boolean} options.mobileAudit - Run the mobile emulation pass (defaults to constructor setting)
+   * @param {boolean} options.botProbe - Fetch the page as each AI bot (defaults to constructor setting)
+   * @param {boolean} options.aiFilesAudit - Fetch llms.txt / ai.txt (defaults to constructor setting)
+   * @param {Object} options.aiFiles - Pre-fetched fetchAiFiles() result; skips the per-page fetch during site crawls
+   * @param {boolean} options.shopifyCatalog - Fetch Shopify catalog JSON on Shopify pages (defaults to constructor setting)
+   * @param {Function} options.onProgress - Callback({ phase: 'acquire' | 'understand', step }) before each step
+   * @param {AbortSignal} options.signal - Stops the scrape between steps (a navigation in flight finishes first)
    * @returns {Object} - Scraped page data
    */
-  async scrape(url) {
-    let browser;
-    const startTime = Date.now();
+  async scrape(url, options = {}) {
+    const mode = options.mode || this.mode;
+    if (!SCRAPE_MODES.includes(mode)) {
+      throw new Error(`Unknown scrape mode: ${mode} (expected one of ${SCRAPE_MODES.join(', ')})`);
+    }
+
+    const step = (phase, name) => {
+      options.signal?.throwIfAborted();
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({ phase, step: name });
+      }
+    };
 
     try {
-      // Launch browser in headless mode for reliability
-      console.log('[Puppeteer] Starting browser launch...');
-      console.log('[Puppeteer] Timestamp:', new Date().toISOString());
-      console.log('[Puppeteer] Checking puppeteer executable path...');
-
-      const launchOptions = {
-        headless: true, // Headless mode
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-        ],
-        ignoreHTTPSErrors: true,
-        timeout: 60000,
-      };
+      let pageData;
+
+      if (mode === 'static') {
+        step('acquire', 'fetch');
+        pageData = await this.scrapeStatic(url);
+      } else {
+        step('acquire', 'render');
+        pageData = await this.scrapeRendered(url);
+
+        // In 'both' mode a failed static fetch should not discard the rendered result
+        if (mode === 'both') {
+          step('acquire', 'static');
+          try {
+            pageData.staticPageData = await this.scrapeStatic(url);
+            // What AI bots can't see: content that only exists after JS rendering
+            pageData.renderDiff = new RenderDiffAnalyzer().analyze(pageData.staticPageData, pageData);
+          } catch (staticError) {
+            console.warn('Static fetch failed:', staticError.message);
+            pageData.staticPageData = null;
+            pageData.staticError = staticError.message;
+          }
+        }
+
+        // Mobile-first indexing: re-render on an emulated phone and compare with desktop
+        if (options.mobileAudit ?? this.mobileAudit) {
+          step('acquire', 'mobile');
+          try {
+            const mobileData = await this.scrapeMobile(url);
+            pageData.mobile = new MobileParityAnalyzer().analyze(pageData, mobileData);
+          } catch (mobileError) {
+            console.warn('Mobile emulation failed:', mobileError.message);
+            pageData.mobile = { available: false, reason: mobileError.message };
+          }
+        }
+      }
+
+      // Live fetch as each AI bot: edge blocks and cloaking that robots.txt can't show
+      if (options.botProbe ?? this.botProbe) {
+        step('acquire', 'botProbe');
+        try {
+          pageData.botAccess = await new BotAccessProbe({ scraper: this }).probe(url);
+        } catch (probeError) {
+          console.warn('AI bot probe failed:', probeError.message);
+          pageData.botAccess = { available: false, reason: probeError.message };
+        }
+      }
+
+      // Phase 1.5: Fetch robots.txt for AI bot access verification
+      // This is critical for GEO - if AI bots are blocked, the page has zero visibility
+      step('acquire', 'robotsTxt');
+      const robotsData = options.robotsTxtContent !== undefined
+        ? this.analyzeRobotsTxt(options.robotsTxtContent, url, options.robotsTxtStatus ?? null)
+        : await this.fetchRobotsTxt(url);
+
+      // llms.txt / ai.txt: site-level guidance files for AI systems
+      let aiFiles = options.aiFiles || null;
+      if (!aiFiles && (options.aiFilesAudit ?? this.aiFilesAudit)) {
+        step('acquire', 'aiFiles');
+        try {
+          aiFiles = await this.fetchAiFiles(url);
+        } catch (aiFilesError) {
+          console.warn('Could not fetch llms.txt/ai.txt:', aiFilesError.message);
+        }
+      }
 
-      console.log('[Puppeteer] Launch options:', JSON.stringify(launchOptions, null, 2));
-      console.log('[Puppeteer] Calling puppeteer.launch() now...');
+      // Shopify: the storefront's own catalog JSON is the source of truth for
+      // titles, variants and prices the theme's markup should agree with
+      step('understand', 'classify');
+      let shopifyCatalog = null;
+      if ((options.shopifyCatalog ?? this.shopifyCatalog) && pageData.technologies?.includes('Shopify')) {
+        step('understand', 'shopifyCatalog');
+        shopifyCatalog = await new ShopifyCatalog({ scraper: this })
+          .fetch(pageData.finalUrl || url, { currency: pageData.productData?.currency });
+      }
 
-      const launchStart = Date.now();
-      browser = await puppeteer.launch(launchOptions);
-      const launchEnd = Date.now();
+      const result = {
+        ...pageData,
+        fetchMode: mode,
+        robotsTxt: robotsData,
+        ...(aiFiles ? { aiFiles } : {}),
+        ...(shopifyCatalog ? { shopifyCatalog } : {}),
+      };
+      // Compared once here, like renderDiff - GEOAnalyzer and the results both read it
+      if (shopifyCatalog) {
+        result.catalogConsistency = new CatalogConsistencyAnalyzer().analyze(result);
+      }
+      return result;
+    } catch (error) {
+      // Cancelled: pass the abort reason through unwrapped
+      if (options.signal?.aborted) throw options.signal.reason;
+      // Refused by the URL policy: keep the error (and its 4xx status) for the caller
+      if (error instanceof UrlPolicyError) throw error;
+      console.error('Scraping error:', error);
+      throw new Error(`Failed to scrape URL: ${error.message}`);
+    }
+  }
 
-      console.log(`[Puppeteer] Browser launched successfully in ${launchEnd - launchStart}ms`);
-      console.log('[Puppeteer] Browser PID:', browser.process()?.pid);
+  /**
+   * Render the page in headless Chromium and extract data from the final DOM
+   * @param {string} url - URL to scrape
+   * @returns {Object} - Page data extracted from the rendered HTML
+   */
+  async scrapeRendered(url) {
+    if (this.replayBundle) return this.replayCapture('rendered', url);
 
-      const page = await browser.newPage();
-      console.log('[Puppeteer] New page created');
+    const startTime = Date.now();
 
+    // Pages come from the shared pool - each scrape gets its own incognito context
+    const capture = await this.browserPool.withPage(async (page) => {
       // Set longer timeouts for complex pages
       page.setDefaultNavigationTimeout(60000);
       page.setDefaultTimeout(60000);
@@ -73,6 +283,9 @@ export class WebScraper {
       // Set viewport
       await page.setViewport({ width: 1920, height: 1080 });
 
+      // Every request (redirects and subresources too) is checked against the URL policy
+      const guard = await this.guardPage(page);
+
       // Track redirects
       const redirects = [];
       page.on('response', response => {
@@ -98,6 +311,10 @@ export class WebScraper {
           // If we get here, navigation succeeded
           break;
         } catch (navError) {
+          // A navigation the URL policy refused is not transient
+          const blockedError = guard.navigationError();
+          if (blockedError) throw blockedError;
+
           lastError = navError;
           const errorMsg = navError.message || '';
 
@@ -129,9 +346,7 @@ export class WebScraper {
 
       // Get HTML content
       const html = await page.content();
-
-      // Parse with Cheerio for detailed extraction
-      const $ = cheerio.load(html);
+      const visibleContent = await this.collectVisibleContent(page);
 
       // Phase 1: Acquire data
       const acquireData = {
@@ -147,43 +362,426 @@ export class WebScraper {
           xRobotsTag: headers['x-robots-tag'] || '',
           cacheControl: headers['cache-control'] || '',
         },
+        performance: null,
+        visibleContent,
+        ...(guard.blocked.length > 0 ? { blockedRequests: guard.blocked } : {}),
       };
+      return { html, acquireData };
+    });
 
-      // Phase 2: Understand - extract all data
-      const pageData = {
-        ...acquireData,
-        ...this.extractMetadata($),
-        ...this.extractRobotsDirectives($),
-        ...this.extractHeadings($),
-        ...this.extractContent($),
-        ...this.extractImages($),
-        ...this.extractLinks($, url),
-        ...this.extractStructuredData($),
-        ...this.extractTechnicalData($),
-        ...this.extractSocialMeta($),
-        ...this.extractProductData($),
-        ...this.extractPolicies($),
-        ...this.extractBreadcrumbs($),
-        pageType: this.detectPageType($),
-        htmlSize: html.length,
+    if (this.collectPerformance) {
+      capture.acquireData.performance = await this.measurePerformance(url);
+    }
+
+    const { html, acquireData } = capture;
+    this.recordBundle?.recordCapture('rendered', url, html, acquireData);
+    // Parse with Cheerio for detailed extraction
+    return this.buildPageData(cheerio.load(html), html, acquireData, url);
+  }
+
+  /**
+   * Load the page again under the throttled network / CPU profile and take lab
+   * Core Web Vitals. Runs on its own page after the extraction render, so its
+   * slower load never holds up or fails the analysis.
+   * @param {string} url - URL to measure
+   * @returns {Object|null} - PerformanceCollector results, null when the measurement failed
+   */
+  async measurePerformance(url) {
+    try {
+      return await this.browserPool.withPage(async (page) => {
+        page.setDefaultNavigationTimeout(60000);
+        page.setDefaultTimeout(60000);
+        await page.setUserAgent(this.userAgent);
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        // Throttling, vitals observers and tracing must be in place before navigation
+        const collector = new PerformanceCollector({ networkProfile: this.networkProfile });
+        try {
+          await collector.start(page);
+          const guard = await this.guardPage(page);
+          try {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+          } catch (navError) {
+            throw guard.navigationError() || navError;
+          }
+          // Wait briefly for dynamic content, as the extraction render does
+          await new Promise(r => setTimeout(r, 1000));
+          return await collector.collect(page);
+        } catch (perfError) {
+          await collector.abort(page);
+          throw perfError;
+        }
+      });
+    } catch (perfError) {
+      console.warn('Performance capture failed:', perfError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Render the page on an emulated phone and extract data plus mobile layout measurements
+   * @param {string} url - URL to scrape
+   * @returns {Object} - Mobile page data with `visibleContent` and `mobileLayout`
+   */
+  async scrapeMobile(url) {
+    if (this.replayBundle) return this.replayCapture('mobile', url);
+
+    const device = KnownDevices[this.mobileDevice];
+    if (!device) {
+      throw new Error(`Unknown mobile device: ${this.mobileDevice}`);
+    }
+
+    const startTime = Date.now();
+
+    return this.browserPool.withPage(async (page) => {
+      page.setDefaultNavigationTimeout(60000);
+      page.setDefaultTimeout(60000);
+
+      // Device descriptor sets the mobile user agent, viewport, scale factor and touch
+      await page.emulate(device);
+      const guard = await this.guardPage(page);
+
+      let response;
+      try {
+        response = await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: 45000,
+        });
+      } catch (navError) {
+        throw guard.navigationError() || navError;
+      }
+
+      // Wait briefly for dynamic content
+      await new Promise(r => setTimeout(r, 1000));
+
+      const headers = response?.headers() || {};
+      const html = await page.content();
+      const $ = cheerio.load(html);
+
+      const acquireData = {
+        url: page.url(),
+        originalUrl: url,
+        finalUrl: page.url(),
+        statusCode: response?.status() || 200,
+        loadTime: Date.now() - startTime,
+        redirects: [],
+        redirectCount: 0,
+        headers: {
+          contentType: headers['content-type'] || '',
+          xRobotsTag: headers['x-robots-tag'] || '',
+          cacheControl: headers['cache-control'] || '',
+        },
+        mobileDevice: this.mobileDevice,
+        visibleContent: await this.collectVisibleContent(page),
+        mobileLayout: await this.measureMobileLayout(page),
       };
 
-      // Phase 1.5: Fetch robots.txt for AI bot access verification
-      // This is critical for GEO - if AI bots are blocked, the page has zero visibility
-      const robotsData = await this.fetchRobotsTxt(url);
+      this.recordBundle?.recordCapture('mobile', url, html, acquireData);
+      return this.buildPageData($, html, acquireData, url);
+    });
+  }
+
+  /**
+   * Check every request a page makes against the URL policy, aborting refused ones
+   * Must be called before navigation
+   * @param {Object} page - Puppeteer page
+   * @returns {Object} { blocked: [{ url, resourceType, code, reason }], navigationError() -
+   *   UrlPolicyError when the main frame's navigation (or one of its redirects) was refused }
+   */
+  async guardPage(page) {
+    const blocked = [];
+    let navigationVerdict = null;
+    const guard = {
+      blocked,
+      navigationError: () => (navigationVerdict ? new UrlPolicyError(navigationVerdict) : null),
+    };
+    if (!this.urlPolicy) return guard;
+
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      try {
+        const verdict = await this.urlPolicy.checkRequest(request.url());
+        if (verdict.allowed) {
+          await request.continue();
+          return;
+        }
 
+        blocked.push({ url: request.url(), resourceType: request.resourceType(), code: verdict.code, reason: verdict.reason });
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          navigationVerdict = verdict;
+        }
+        await request.abort('blockedbyclient');
+      } catch {
+        // Page closed (or request already handled) while the check was running
+      }
+    });
+
+    return guard;
+  }
+
+  /**
+   * Text and headings actually visible in the rendered page (innerText skips CSS-hidden content)
+   * @param {Object} page - Puppeteer page
+   * @returns {Object} { wordCount, headings }
+   */
+  async collectVisibleContent(page) {
+    const visible = await page.evaluate(() => {
+      const isVisible = el => el.offsetParent !== null || getComputedStyle(el).position === 'fixed';
       return {
-        ...pageData,
-        robotsTxt: robotsData,
+        text: document.body?.innerText || '',
+        headings: Array.from(document.querySelectorAll('h1, h2, h3'))
+          .filter(isVisible)
+          .map(h => h.innerText.trim())
+          .filter(Boolean),
       };
-    } catch (error) {
-      console.error('Scraping error:', error);
-      throw new Error(`Failed to scrape URL: ${error.message}`);
-    } finally {
-      if (browser) {
-        await browser.close();
+    });
+
+    return {
+      wordCount: visible.text.split(/\s+/).filter(Boolean).length,
+      headings: visible.headings,
+    };
+  }
+
+  /**
+   * Measure mobile usability in the emulated page: tap target sizes,
+   * font legibility and horizontal overflow
+   * @param {Object} page - Puppeteer page
+   * @returns {Object} { viewport, tapTargets, fonts, overflow }
+   */
+  async measureMobileLayout(page) {
+    return page.evaluate(({ minTapTargetPx, minFontSizePx }) => {
+      const viewportWidth = window.innerWidth;
+      const describe = el => {
+        const id = el.id ? `#${el.id}` : '';
+        const cls = !id && el.classList.length > 0 ? `.${el.classList[0]}` : '';
+        const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').trim().slice(0, 40);
+        return `${el.tagName.toLowerCase()}${id}${cls}${text ? ` "${text}"` : ''}`;
+      };
+      const isVisible = el => {
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+      };
+
+      // Tap targets - links inside running text are exempt (as in Lighthouse)
+      const isInlineTextLink = el => el.tagName === 'A'
+        && getComputedStyle(el).display === 'inline'
+        && el.parentElement
+        && el.parentElement.innerText.trim().length > el.innerText.trim().length;
+      const targets = Array.from(document.querySelectorAll(
+        'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]'
+      )).filter(el => isVisible(el) && !isInlineTextLink(el));
+      const tooSmall = targets.filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width < minTapTargetPx || rect.height < minTapTargetPx;
+      });
+
+      // Font legibility - share of visible characters at or above the minimum size
+      let totalChars = 0;
+      let legibleChars = 0;
+      const smallText = new Map();
+      const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const text = walker.currentNode.textContent.trim();
+        const parent = walker.currentNode.parentElement;
+        if (!text || !parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName) || !isVisible(parent)) continue;
+        const fontSize = parseFloat(getComputedStyle(parent).fontSize);
+        totalChars += text.length;
+        if (fontSize >= minFontSizePx) {
+          legibleChars += text.length;
+        } else if (smallText.size < 10 && !smallText.has(parent)) {
+          smallText.set(parent, { element: describe(parent), fontSize });
+        }
+      }
+
+      // Horizontal overflow - elements sticking out past the viewport
+      const scrollWidth = document.documentElement.scrollWidth;
+      const offenders = [];
+      if (scrollWidth > viewportWidth + 1) {
+        for (const el of Array.from(document.body?.querySelectorAll('*') || []).slice(0, 5000)) {
+          const rect = el.getBoundingClientRect();
+          if (rect.right > viewportWidth + 1 && rect.width > 0 && getComputedStyle(el).position !== 'fixed') {
+            offenders.push({ element: describe(el), width: Math.round(rect.width) });
+            if (offenders.length >= 10) break;
+          }
+        }
+      }
+
+      return {
+        viewport: {
+          width: viewportWidth,
+          meta: document.querySelector('meta[name="viewport"]')?.getAttribute('content') || null,
+        },
+        tapTargets: {
+          total: targets.length,
+          tooSmall: tooSmall.length,
+          percentage: targets.length > 0 ? Math.round((tooSmall.length / targets.length) * 100) : 0,
+          minSizePx: minTapTargetPx,
+          examples: tooSmall.slice(0, 10).map(el => {
+            const rect = el.getBoundingClientRect();
+            return { element: describe(el), width: Math.round(rect.width), height: Math.round(rect.height) };
+          }),
+        },
+        fonts: {
+          legiblePercentage: totalChars > 0 ? Math.round((legibleChars / totalChars) * 100) : 100,
+          minSizePx: minFontSizePx,
+          smallText: Array.from(smallText.values()),
+        },
+        overflow: {
+          hasHorizontalOverflow: scrollWidth > viewportWidth + 1,
+          scrollWidth,
+          viewportWidth,
+          offenders,
+        },
+      };
+    }, MOBILE_THRESHOLDS);
+  }
+
+  /**
+   * Fetch the raw HTML over plain HTTP (no JavaScript execution) and extract data
+   * This is what GPTBot, ClaudeBot, PerplexityBot and other non-rendering crawlers see
+   * @param {string} url - URL to scrape
+   * @returns {Object} - Page data extracted from the raw HTML
+   */
+  async scrapeStatic(url) {
+    if (this.replayBundle) return this.replayCapture('static', url);
+
+    const startTime = Date.now();
+    const fetched = await this.fetchStatic(url);
+    const loadTime = Date.now() - startTime;
+
+    const $ = cheerio.load(fetched.html);
+
+    const acquireData = {
+      url: fetched.finalUrl,
+      originalUrl: url,
+      finalUrl: fetched.finalUrl,
+      statusCode: fetched.statusCode,
+      loadTime,
+      redirects: fetched.redirects,
+      redirectCount: fetched.redirects.length,
+      headers: {
+        contentType: fetched.headers['content-type'] || '',
+        xRobotsTag: fetched.headers['x-robots-tag'] || '',
+        cacheControl: fetched.headers['cache-control'] || '',
+      },
+    };
+
+    this.recordBundle?.recordCapture('static', url, fetched.html, acquireData);
+    return this.buildPageData($, fetched.html, acquireData, url);
+  }
+
+  /**
+   * Rebuild page data from a recorded document pass (replay mode)
+   * @param {string} kind - 'rendered' | 'mobile' | 'static'
+   * @param {string} url - Requested URL
+   * @returns {Object} - Page data identical to the recorded scrape
+   */
+  replayCapture(kind, url) {
+    const capture = this.replayBundle.getCapture(kind, url);
+    if (!capture) {
+      throw new Error(`No ${kind} capture for ${url} in replay bundle`);
+    }
+    return this.buildPageData(cheerio.load(capture.html), capture.html, capture.acquireData, url);
+  }
+
+  /**
+   * fetch() for every plain HTTP request the scraper makes, so record/replay
+   * sees robots.txt, llms.txt, bot probes and link checks (and the URL policy
+   * checks them)
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch() options
+   * @returns {Promise<Response>}
+   */
+  async httpFetch(url, init = {}) {
+    const request = {
+      method: init.method || 'GET',
+      url,
+      userAgent: init.headers?.['User-Agent'] || this.userAgent,
+    };
+
+    if (this.replayBundle) return this.replayBundle.replayExchange(request);
+
+    // The policy checks the URL and every redirect it follows
+    const response = this.urlPolicy ? await this.urlPolicy.fetch(url, init) : await fetch(url, init);
+    return this.recordBundle ? this.recordBundle.recordExchange(request, response) : response;
+  }
+
+  /**
+   * Fetch a URL over plain HTTP, following redirects manually so each hop is recorded
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {string} options.userAgent - User-Agent header (defaults to this.userAgent)
+   * @param {number} options.maxRedirects - Maximum redirects to follow
+   * @returns {Object} - { statusCode, headers, finalUrl, redirects, html }
+   */
+  async fetchStatic(url, options = {}) {
+    const userAgent = options.userAgent || this.userAgent;
+    const maxRedirects = options.maxRedirects ?? 10;
+    const redirects = [];
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      const response = await this.httpFetch(currentUrl, {
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout),
+      });
+
+      const headers = Object.fromEntries(response.headers.entries());
+      const status = response.status;
+
+      if (status >= 300 && status < 400 && headers['location']) {
+        const nextUrl = new URL(headers['location'], currentUrl).href;
+        redirects.push({ from: currentUrl, to: nextUrl, status });
+        currentUrl = nextUrl;
+        continue;
       }
+
+      return {
+        statusCode: status,
+        headers,
+        finalUrl: currentUrl,
+        redirects,
+        html: await response.text(),
+      };
     }
+
+    throw new Error(`Too many redirects (>${maxRedirects})`);
+  }
+
+  /**
+   * Run the Phase 2 extraction pipeline over parsed HTML
+   * Shared by the static and rendered fetch paths so both produce the same shape
+   * @param {Object} $ - Cheerio instance
+   * @param {string} html - Raw HTML string
+   * @param {Object} acquireData - Phase 1 data (status, headers, redirects, timing)
+   * @param {string} url - Originally requested URL (base for link resolution)
+   * @returns {Object} - Page data
+   */
+  buildPageData($, html, acquireData, url) {
+    const structured = this.extractStructuredData($, acquireData.finalUrl || url);
+
+    return {
+      ...acquireData,
+      ...this.extractMetadata($),
+      ...this.extractRobotsDirectives($),
+      ...this.extractHeadings($),
+      ...this.extractContent($),
+      ...this.extractImages($),
+      ...this.extractLinks($, url),
+      ...structured,
+      ...this.extractTechnicalData($),
+      ...this.extractSocialMeta($),
+      ...this.extractProductData($, structured.productSchema),
+      ...this.extractPolicies($),
+      ...this.extractBreadcrumbs($),
+      pageType: this.detectPageType($, { schemaTypes: structured.schemaTypes }),
+      htmlSize: html.length,
+    };
   }
 
   /**
@@ -211,31 +809,11 @@ export class WebScraper {
    * @returns {Object} - robots.txt data and AI bot access status
    */
   async fetchRobotsTxt(url) {
-    const result = {
-      found: false,
-      content: '',
-      aiBotAccess: {
-        gptBot: { allowed: true, rules: [] },
-        oaiSearchBot: { allowed: true, rules: [] },
-        chatgptUser: { allowed: true, rules: [] },
-        perplexityBot: { allowed: true, rules: [] },
-        claudeBot: { allowed: true, rules: [] },
-        claudeWeb: { allowed: true, rules: [] },
-        amazonBot: { allowed: true, rules: [] },
-        anthropicAi: { allowed: true, rules: [] },
-        bytespider: { allowed: true, rules: [] },
-        googleExtended: { allowed: true, rules: [] },
-        ccBot: { allowed: true, rules: [] },
-      },
-      globalDisallow: false,
-      crawlDelay: null,
-    };
-
     try {
       const urlObj = new URL(url);
       const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
 
-      const response = await fetch(robotsUrl, {
+      const response = await this.httpFetch(robotsUrl, {
         headers: {
           'User-Agent': this.userAgent,
         },
@@ -243,197 +821,181 @@ export class WebScraper {
       });
 
       if (response.ok) {
-        result.found = true;
-        result.content = await response.text();
-        result.aiBotAccess = this.parseRobotsTxtForAiBots(result.content, url);
-
-        // Check for global disallow (User-agent: * with Disallow: /)
-        result.globalDisallow = this.checkGlobalDisallow(result.content);
-
-        // Extract crawl delay if present
-        const crawlDelayMatch = result.content.match(/Crawl-delay:\s*(\d+)/i);
-        if (crawlDelayMatch) {
-          result.crawlDelay = parseInt(crawlDelayMatch[1], 10);
-        }
+        return this.analyzeRobotsTxt(await response.text(), url, response.status);
       }
+      // 4xx = no robots.txt (allow all); 5xx = crawlers must assume disallow all (RFC 9309)
+      return this.analyzeRobotsTxt(null, url, response.status);
     } catch (error) {
-      // robots.txt not found or error - assume access allowed
+      // Network errors are treated as "not found": we can't tell a site outage from our own
       console.warn('Could not fetch robots.txt:', error.message);
     }
 
-    return result;
+    return this.analyzeRobotsTxt(null, url);
   }
 
   /**
-   * Parse robots.txt content to check AI bot access
+   * Build robots.txt access data for a page from already-fetched content
+   * Lets site crawls fetch robots.txt once and evaluate it for every page
    *
-   * @param {string} robotsContent - The robots.txt file content
-   * @param {string} pageUrl - The page URL to check against rules
-   * @returns {Object} - AI bot access status for each bot
+   * @param {string|null} content - robots.txt content, or null if not found
+   * @param {string} url - The page URL to check
+   * @param {number|null} statusCode - HTTP status of the robots.txt fetch
+   * @returns {Object} - robots.txt data and AI bot access status
    */
-  parseRobotsTxtForAiBots(robotsContent, pageUrl) {
-    const aiBots = {
-      gptBot: { patterns: ['GPTBot'], allowed: true, rules: [] },
-      oaiSearchBot: { patterns: ['OAI-SearchBot'], allowed: true, rules: [] },
-      chatgptUser: { patterns: ['ChatGPT-User'], allowed: true, rules: [] },
-      perplexityBot: { patterns: ['PerplexityBot'], allowed: true, rules: [] },
-      claudeBot: { patterns: ['ClaudeBot', 'claudebot'], allowed: true, rules: [] },
-      claudeWeb: { patterns: ['Claude-Web', 'claude-web'], allowed: true, rules: [] },
-      amazonBot: { patterns: ['Amazonbot'], allowed: true, rules: [] },
-      anthropicAi: { patterns: ['anthropic-ai', 'Anthropic'], allowed: true, rules: [] },
-      bytespider: { patterns: ['Bytespider'], allowed: true, rules: [] },
-      googleExtended: { patterns: ['Google-Extended'], allowed: true, rules: [] },
-      ccBot: { patterns: ['CCBot'], allowed: true, rules: [] },
-    };
+  analyzeRobotsTxt(content, url, statusCode = null) {
+    const found = content !== null && content !== undefined;
+    const robots = RobotsTxt.fromResponse(statusCode, content);
 
-    const lines = robotsContent.split('\n');
-    let currentUserAgents = [];
-    let inRelevantBlock = false;
-    let wildcardRules = { allow: [], disallow: [] };
-
-    // First pass: collect wildcard rules
-    let inWildcardBlock = false;
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.startsWith('#') || trimmedLine === '') continue;
-
-      const [directive, ...valueParts] = trimmedLine.split(':');
-      const value = valueParts.join(':').trim();
-
-      if (directive.toLowerCase() === 'user-agent') {
-        inWildcardBlock = value === '*';
-      } else if (inWildcardBlock) {
-        if (directive.toLowerCase() === 'disallow' && value) {
-          wildcardRules.disallow.push(value);
-        } else if (directive.toLowerCase() === 'allow' && value) {
-          wildcardRules.allow.push(value);
-        }
-      }
-    }
-
-    // Second pass: check each AI bot
-    for (const [botKey, botInfo] of Object.entries(aiBots)) {
-      let botRules = { allow: [], disallow: [] };
-      let foundSpecificRules = false;
-
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine.startsWith('#') || trimmedLine === '') continue;
-
-        const [directive, ...valueParts] = trimmedLine.split(':');
-        const value = valueParts.join(':').trim();
-
-        if (directive.toLowerCase() === 'user-agent') {
-          const isRelevantBot = botInfo.patterns.some(
-            pattern => value.toLowerCase() === pattern.toLowerCase()
-          );
-          inRelevantBlock = isRelevantBot;
-          if (isRelevantBot) foundSpecificRules = true;
-        } else if (inRelevantBlock) {
-          if (directive.toLowerCase() === 'disallow' && value) {
-            botRules.disallow.push(value);
-            botInfo.rules.push(`Disallow: ${value}`);
-          } else if (directive.toLowerCase() === 'allow' && value) {
-            botRules.allow.push(value);
-            botInfo.rules.push(`Allow: ${value}`);
-          }
-        }
-      }
+    return {
+      found,
+      statusCode,
+      serverError: statusCode >= 500,
+      content: found ? content : '',
+      aiBotAccess: this.evaluateAiBotAccess(robots, url),
+      // User-agent: * blocks the homepage
+      globalDisallow: !robots.isAllowed('*', '/'),
+      crawlDelay: robots.getCrawlDelay('*'),
+      sitemaps: robots.getSitemaps(),
+    };
+  }
 
-      // If no specific rules found, use wildcard rules
-      if (!foundSpecificRules) {
-        botRules = wildcardRules;
-      }
+  /**
+   * Evaluate each AI bot's access to the page with RFC 9309 group selection
+   * and longest-match precedence
+   *
+   * @param {RobotsTxt} robots - Parsed robots.txt
+   * @param {string} pageUrl - The page URL to check against rules
+   * @returns {Object} - { [botKey]: { allowed, rules, matchedRule, group } }
+   */
+  evaluateAiBotAccess(robots, pageUrl) {
+    const result = {};
 
-      // Check if the page URL is blocked
-      const pagePath = new URL(pageUrl).pathname;
-      botInfo.allowed = this.isPathAllowed(pagePath, botRules);
+    for (const [botKey, token] of Object.entries(AI_BOT_TOKENS)) {
+      const decision = robots.evaluate(token, pageUrl);
+      result[botKey] = {
+        allowed: decision.allowed,
+        // Rules from groups naming this bot (wildcard rules are not listed)
+        rules: decision.match === 'specific' ? robots.getRules(token).map(RobotsTxt.formatRule) : [],
+        matchedRule: RobotsTxt.formatRule(decision.rule),
+        group: decision.match,
+      };
     }
 
-    // Return clean result without patterns
-    const result = {};
-    for (const [key, value] of Object.entries(aiBots)) {
-      result[key] = { allowed: value.allowed, rules: value.rules };
-    }
     return result;
   }
 
   /**
-   * Check if a path is allowed based on robots.txt rules
-   * Implements standard robots.txt matching (longer rules take precedence)
+   * Fetch and parse the site's AI guidance files
+   * - /llms.txt: curated Markdown index of the site for LLMs (llmstxt.org)
+   * - /llms-full.txt: the same content inlined in one file
+   * - /ai.txt: AI training permissions per media type (Spawning)
+   *
+   * @param {string} url - Any URL on the site
+   * @param {Object} options - Options
+   * @param {boolean} options.checkLinks - HEAD-check same-origin llms.txt links (site crawls
+   *   validate against crawled pages instead)
+   * @returns {Object} - { llmsTxt, llmsFullTxt, aiTxt }
    */
-  isPathAllowed(path, rules) {
-    // If Disallow: / is present and no specific Allow rule matches, blocked
-    let longestMatch = { length: 0, allowed: true };
-
-    for (const disallowRule of rules.disallow) {
-      if (this.pathMatchesRule(path, disallowRule)) {
-        if (disallowRule.length > longestMatch.length) {
-          longestMatch = { length: disallowRule.length, allowed: false };
-        }
-      }
-    }
-
-    for (const allowRule of rules.allow) {
-      if (this.pathMatchesRule(path, allowRule)) {
-        if (allowRule.length > longestMatch.length) {
-          longestMatch = { length: allowRule.length, allowed: true };
-        }
-      }
+  async fetchAiFiles(url, options = {}) {
+    const { origin } = new URL(url);
+    const checkLinks = options.checkLinks ?? true;
+
+    // Sequential - three small requests, no need to burst the host
+    const llms = await this.fetchTextFile(`${origin}/llms.txt`);
+    const llmsFull = await this.fetchTextFile(`${origin}/llms-full.txt`);
+    const ai = await this.fetchTextFile(`${origin}/ai.txt`);
+
+    const llmsTxt = { found: llms.found, url: llms.url, statusCode: llms.statusCode, reason: llms.reason };
+    if (llms.found) {
+      Object.assign(llmsTxt, parseLlmsTxt(llms.content, llms.url));
+      const statuses = checkLinks ? await this.checkLinkStatuses(llmsTxt, origin) : new Map();
+      llmsTxt.linkValidation = validateLlmsLinks(llmsTxt, url, statuses);
     }
 
-    return longestMatch.allowed;
+    return {
+      llmsTxt,
+      llmsFullTxt: {
+        found: llmsFull.found,
+        url: llmsFull.url,
+        statusCode: llmsFull.statusCode,
+        reason: llmsFull.reason,
+        ...(llmsFull.found ? parseLlmsFullTxt(llmsFull.content) : {}),
+      },
+      aiTxt: {
+        found: ai.found,
+        url: ai.url,
+        statusCode: ai.statusCode,
+        reason: ai.reason,
+        ...(ai.found ? parseAiTxt(ai.content) : {}),
+      },
+    };
   }
 
   /**
-   * Check if a path matches a robots.txt rule pattern
-   * Supports * and $ wildcards
+   * Fetch a plain-text site file, treating HTML responses as missing
+   * (SPAs and catch-all routes often answer any path with the app shell)
+   *
+   * @param {string} fileUrl - File URL
+   * @returns {Object} - { found, url, statusCode, content, reason }
    */
-  pathMatchesRule(path, rule) {
-    if (rule === '' || rule === '/') return true;
+  async fetchTextFile(fileUrl) {
+    try {
+      const response = await this.httpFetch(fileUrl, {
+        headers: {
+          'User-Agent': this.userAgent,
+        },
+        signal: AbortSignal.timeout(10000),
+      });
 
-    // Convert rule to regex
-    let pattern = rule
-      .replace(/[.+^${}()|[\]\\]/g, '\\$&') // Escape regex special chars except * and $
-      .replace(/\*/g, '.*') // * matches anything
-      .replace(/\\\$$/, '$'); // $ at end means end of string
+      if (!response.ok) {
+        return { found: false, url: fileUrl, statusCode: response.status, reason: `HTTP ${response.status}` };
+      }
 
-    if (!pattern.endsWith('$')) {
-      pattern = pattern + '.*'; // Rule matches prefix
-    }
+      const content = await response.text();
+      if (isHtmlResponse(content, response.headers.get('content-type') || '')) {
+        return { found: false, url: fileUrl, statusCode: response.status, reason: 'Served an HTML page instead of a text file' };
+      }
+      if (!content.trim()) {
+        return { found: false, url: fileUrl, statusCode: response.status, reason: 'Empty file' };
+      }
 
-    try {
-      const regex = new RegExp('^' + pattern, 'i');
-      return regex.test(path);
-    } catch {
-      return path.startsWith(rule);
+      return { found: true, url: fileUrl, statusCode: response.status, content };
+    } catch (error) {
+      return { found: false, url: fileUrl, statusCode: null, reason: error.message };
     }
   }
 
   /**
-   * Check if robots.txt has a global disallow for all bots
+   * HEAD-check same-origin llms.txt links (capped; the rest stay unchecked)
+   *
+   * @param {Object} llmsTxt - parseLlmsTxt result
+   * @param {string} origin - Site origin
+   * @returns {Map<string, number>} - toUrlKey(url) -> HTTP status (0 = request failed)
    */
-  checkGlobalDisallow(robotsContent) {
-    const lines = robotsContent.split('\n');
-    let inWildcardBlock = false;
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.startsWith('#') || trimmedLine === '') continue;
-
-      const [directive, ...valueParts] = trimmedLine.split(':');
-      const value = valueParts.join(':').trim();
-
-      if (directive.toLowerCase() === 'user-agent') {
-        inWildcardBlock = value === '*';
-      } else if (inWildcardBlock && directive.toLowerCase() === 'disallow') {
-        if (value === '/' || value === '/*') {
-          return true;
-        }
+  async checkLinkStatuses(llmsTxt, origin) {
+    const statuses = new Map();
+    const urls = [...new Set(llmsTxt.sections
+      .flatMap(section => section.links.map(link => link.url))
+      .filter(link => new URL(link).origin === origin))]
+      .slice(0, LLMS_LINK_CHECK_LIMIT);
+
+    for (const link of urls) {
+      const request = method => this.httpFetch(link, {
+        method,
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(5000),
+      });
+      try {
+        let response = await request('HEAD');
+        // Some servers don't implement HEAD
+        if (response.status === 405 || response.status === 501) response = await request('GET');
+        statuses.set(toUrlKey(link), response.status);
+      } catch {
+        statuses.set(toUrlKey(link), 0);
       }
     }
 
-    return false;
+    return statuses;
   }
 
   /**
@@ -728,49 +1290,65 @@ export class WebScraper {
   }
 
   /**
-   * Extract JSON-LD structured data
+   * Extract structured data (JSON-LD, microdata and RDFa)
+   * Microdata / RDFa items are normalized to the JSON-LD shape; every item
+   * records the syntax it came from in '@syntax'. The specific schemas are
+   * looked up in the resolved EntityGraph (nested entities, array types,
+   * @id references)
+   * @param {Object} $ - Cheerio instance
+   * @param {string} baseUrl - Page URL (resolves URL values and relative @id references)
    */
-  extractStructuredData($) {
+  extractStructuredData($, baseUrl) {
     const structuredData = [];
-    const schemaTypes = new Set();
+
+    const addItem = (item, syntax) => {
+      if (Array.isArray(item)) {
+        item.forEach(member => addItem(member, syntax));
+        return;
+      }
+      if (!item || typeof item !== 'object') return;
+      // Handle @graph arrays (a wrapper with only @context carries no entity)
+      if (Array.isArray(item['@graph'])) {
+        item['@graph'].forEach(member => addItem(member, syntax));
+        if (Object.keys(item).every(key => key === '@graph' || key === '@context')) return;
+      }
+      item['@syntax'] = syntax;
+      structuredData.push(item);
+    };
 
     $('script[type="application/ld+json"]').each((_, el) => {
       try {
         const content = $(el).html();
         if (content) {
-          const parsed = JSON.parse(content);
-          // Handle @graph arrays
-          if (parsed['@graph']) {
-            parsed['@graph'].forEach(item => {
-              structuredData.push(item);
-              if (item['@type']) {
-                const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
-                types.forEach(t => schemaTypes.add(t));
-              }
-            });
-          } else {
-            structuredData.push(parsed);
-            if (parsed['@type']) {
-              const types = Array.isArray(parsed['@type']) ? parsed['@type'] : [parsed['@type']];
-              types.forEach(t => schemaTypes.add(t));
-            }
-          }
+          addItem(JSON.parse(content), 'json-ld');
         }
       } catch (e) {
         console.warn('Failed to parse JSON-LD:', e.message);
       }
     });
 
+    try {
+      parseMicrodata($, baseUrl).forEach(item => addItem(item, 'microdata'));
+      parseRdfa($, baseUrl).forEach(item => addItem(item, 'rdfa'));
+    } catch (e) {
+      console.warn('Failed to parse microdata/RDFa:', e.message);
+    }
+
+    const structuredDataSyntaxes = { 'json-ld': 0, microdata: 0, rdfa: 0 };
+    structuredData.forEach(sd => structuredDataSyntaxes[sd['@syntax']]++);
+
     // Extract specific schema data
-    const productSchema = structuredData.find(sd => sd['@type'] === 'Product');
-    const organizationSchema = structuredData.find(sd => sd['@type'] === 'Organization');
-    const faqSchema = structuredData.find(sd => sd['@type'] === 'FAQPage');
-    const breadcrumbSchema = structuredData.find(sd => sd['@type'] === 'BreadcrumbList');
-    const articleSchema = structuredData.find(sd => ['Article', 'NewsArticle', 'BlogPosting'].includes(sd['@type']));
+    const graph = new EntityGraph(structuredData, { baseUrl });
+    const productSchema = graph.getPrimaryProduct();
+    const organizationSchema = graph.getEntities('Organization')[0] || null;
+    const faqSchema = graph.getEntities('FAQPage')[0] || null;
+    const breadcrumbSchema = graph.getEntities('BreadcrumbList')[0] || null;
+    const articleSchema = graph.getEntities(['Article', 'NewsArticle', 'BlogPosting'])[0] || null;
 
     return {
       structuredData,
-      schemaTypes: Array.from(schemaTypes),
+      structuredDataSyntaxes,
+      schemaTypes: graph.getMainTypes(),
       hasProductSchema: !!productSchema,
       hasOrganizationSchema: !!organizationSchema,
       hasFAQSchema: !!faqSchema,
@@ -864,8 +1442,11 @@ export class WebScraper {
 
   /**
    * Extract product-specific data (for e-commerce pages)
+   * @param {Object} $ - Cheerio instance
+   * @param {Object|null} productSchema - Product item from extractStructuredData (any syntax);
+   *   parsed from the page when omitted
    */
-  extractProductData($) {
+  extractProductData($, productSchema) {
     const product = {
       name: '',
       price: '',
@@ -882,59 +1463,154 @@ export class WebScraper {
     };
 
     // Try to extract from structured data first (more reliable)
-    const productLd = $('script[type="application/ld+json"]').toArray()
-      .map(el => {
-        try { return JSON.parse($(el).html()); } catch { return null; }
-      })
-      .filter(Boolean)
-      .find(sd => sd['@type'] === 'Product' || (sd['@graph'] && sd['@graph'].some(item => item['@type'] === 'Product')));
-
-    if (productLd) {
-      const pd = productLd['@type'] === 'Product' ? productLd : productLd['@graph']?.find(item => item['@type'] === 'Product');
-      if (pd) {
-        product.name = pd.name || '';
-        product.description = pd.description || '';
-        product.brand = pd.brand?.name || pd.brand || '';
-        product.sku = pd.sku || '';
-        product.gtin = pd.gtin || pd.gtin13 || pd.gtin12 || pd.gtin14 || pd.gtin8 || '';
-        product.mpn = pd.mpn || '';
-
-        if (pd.offers) {
-          const offer = Array.isArray(pd.offers) ? pd.offers[0] : pd.offers;
-          product.price = offer.price || '';
-          product.currency = offer.priceCurrency || '';
-          product.availability = offer.availability || '';
-        }
+    const pd = productSchema !== undefined ? productSchema : this.extractStructuredData($).productSchema;
+    if (pd) {
+      const offer = firstOffer(pd);
+      product.name = pd.name || '';
+      product.description = pd.description || '';
+      product.brand = pd.brand?.name || pd.brand || '';
+      product.sku = pd.sku || '';
+      product.gtin = pd.gtin || pd.gtin13 || pd.gtin12 || pd.gtin14 || pd.gtin8 || '';
+      product.mpn = pd.mpn || '';
+
+      if (offer) {
+        product.price = offer.price || offer.lowPrice || '';
+        product.currency = offer.priceCurrency || '';
+        product.availability = offer.availability || '';
+      }
 
-        if (pd.aggregateRating) {
-          product.rating = pd.aggregateRating.ratingValue;
-          product.reviewCount = pd.aggregateRating.reviewCount || pd.aggregateRating.ratingCount || 0;
-        }
+      if (pd.aggregateRating) {
+        product.rating = pd.aggregateRating.ratingValue;
+        product.reviewCount = pd.aggregateRating.reviewCount || pd.aggregateRating.ratingCount || 0;
       }
     }
 
-    // Fallback: try to extract from visible DOM
-    if (!product.name) {
-      product.name = $('[class*="product-name"], [class*="product-title"], h1[class*="title"]').first().text().trim();
-    }
+    // What a shopper sees, kept apart from the structured data values so
+    // analyzers can compare the two
+    const titleText = $('[class*="product-name"], [class*="product-title"], h1[class*="title"]').first().text().trim();
+    product.visibleName = titleText || $('h1').first().text().trim();
+    const priceMatch = $('[class*="price"], [data-price]').first().text().trim().match(/[\$\£\€]?\s*\d(?:[\d.,]*\d)?/);
+    product.visiblePrice = priceMatch ? priceMatch[0] : '';
 
-    if (!product.price) {
-      const priceText = $('[class*="price"], [data-price]').first().text().trim();
-      const priceMatch = priceText.match(/[\$\£\€]?\s*[\d,]+\.?\d*/);
-      if (priceMatch) {
-        product.price = priceMatch[0];
-      }
-    }
+    // Fallback: try to extract from visible DOM
+    if (!product.name) product.name = titleText;
+    if (!product.price) product.price = product.visiblePrice;
 
     // Check for add-to-cart button
     product.hasAddToCart = $('[class*="add-to-cart"], [id*="add-to-cart"], button:contains("Add to Cart"), button:contains("Buy")').length > 0;
 
+    // Variants from structured data, embedded product JSON and option pickers
+    const currency = product.currency || $('meta[property="og:price:currency"], meta[property="product:price:currency"]').attr('content') || '';
+    Object.assign(product, this.extractVariants($, pd, currency));
+
     // Check for variant selectors
-    product.hasVariants = $('[class*="variant"], [class*="option"], select[name*="size"], select[name*="color"]').length > 0;
+    product.hasVariants = product.variants.length > 1
+      || $('[class*="variant"], [class*="option"], select[name*="size"], select[name*="color"]').length > 0;
 
     return { productData: product };
   }
 
+  /**
+   * Extract product variants
+   *
+   * Sources, in priority order when they describe the same variant:
+   * 1. Structured data - ProductGroup.hasVariant or several Offers
+   * 2. Shopify's embedded product JSON (ProductJson-* / data-product-json
+   *    scripts, then the ShopifyAnalytics `var meta` object)
+   * 3. Option pickers - Shopify's no-JS <select name="id"> lists every
+   *    variant; other selects and radio groups only give option values
+   *
+   * @param {Object} $ - Cheerio instance
+   * @param {Object|null} productSchema - Product item from extractStructuredData
+   * @param {string} currency - Currency for sources that don't state one
+   * @returns {Object} { variants, pageVariants, variantOptions }
+   *   variants: every source merged; pageVariants: only what the page itself
+   *   offers for selection (for comparison with the structured data)
+   */
+  extractVariants($, productSchema, currency) {
+    let shopify = { variants: [], options: [] };
+    $('script[type="application/json"]').each((_, el) => {
+      const $script = $(el);
+      if (shopify.variants.length > 0) return;
+      if (!/^ProductJson/i.test($script.attr('id') || '') && $script.attr('data-product-json') === undefined) return;
+      try {
+        shopify = variantsFromShopifyJson(JSON.parse($script.html()), { currency });
+      } catch {
+        // Malformed theme JSON - fall through to the other sources
+      }
+    });
+    if (shopify.variants.length === 0) {
+      $('script:not([src])').each((_, el) => {
+        const meta = ($(el).html() || '').match(/var meta = (\{.*?\});/s);
+        if (!meta || shopify.variants.length > 0) return;
+        try {
+          shopify = variantsFromShopifyJson(JSON.parse(meta[1]), { currency });
+        } catch {
+          // Not JSON after all
+        }
+      });
+    }
+
+    // Shopify's fallback select: one <option> per variant, "S / Navy - $68.00"
+    const selectVariants = [];
+    $('select[name="id"] option').each((_, el) => {
+      const $option = $(el);
+      const [title, priceText] = $option.text().trim().split(/\s+-\s+(?=\D?[\d.,]+)/);
+      if (!$option.attr('value') || !title) return;
+      selectVariants.push({
+        id: $option.attr('value'),
+        name: '',
+        title: title.replace(/\s*(?:-\s*)?\(?(?:sold out|unavailable)\)?\s*$/i, ''),
+        sku: $option.attr('data-sku') || '',
+        gtin: '',
+        price: priceText ? priceText.replace(/[^\d.,]/g, '') : '',
+        currency,
+        availability: $option.attr('disabled') !== undefined || /sold out|unavailable/i.test(title) ? 'OutOfStock' : '',
+        image: '',
+        url: '',
+        options: {},
+        source: 'selector',
+      });
+    });
+
+    // Option pickers: value lists only
+    const pickerOptions = new Map();
+    const addOptionValue = (name, value) => {
+      const key = normalizeOptionName(name);
+      const label = String(value || '').trim();
+      if (!key || !label || /^(select|choose|pick)\b/i.test(label)) return;
+      if (!pickerOptions.has(key)) pickerOptions.set(key, new Set());
+      pickerOptions.get(key).add(label);
+    };
+    const pickerName = /option|size|colou?r|material|style|width|length/i;
+    $('select[name]').not('[name="id"]').each((_, el) => {
+      const name = $(el).attr('name');
+      if (!pickerName.test(name)) return;
+      $(el).find('option').each((_, option) => {
+        if ($(option).attr('value') === '') return;
+        addOptionValue(name, $(option).text());
+      });
+    });
+    $('input[type="radio"][name]').each((_, el) => {
+      const name = $(el).attr('name');
+      if (pickerName.test(name)) addOptionValue(name, $(el).attr('value'));
+    });
+
+    const variantOptions = shopify.options.map(option => ({ name: option.name, values: [...option.values] }));
+    for (const [name, values] of pickerOptions) {
+      const existing = variantOptions.find(option => option.name === name);
+      if (existing) existing.values = [...new Set([...existing.values, ...values])];
+      else variantOptions.push({ name, values: [...values] });
+    }
+
+    const pageVariants = mergeVariants(shopify.variants, selectVariants);
+    return {
+      variants: mergeVariants(variantsFromSchema(productSchema), shopify.variants, selectVariants),
+      pageVariants,
+      variantOptions,
+    };
+  }
+
   /**
    * Extract shipping/returns/warranty policies
    */
@@ -1000,7 +1676,7 @@ export class WebScraper {
       url: pageData.url || $('link[rel="canonical"]').attr('href') || '',
       textContent: pageData.textContent || $('body').text(),
       html: $.html(),
-      schemas: pageData.schemaTypes || this.extractSchemaTypes($),
+      schemas: pageData.schemaTypes || this.extractStructuredData($).schemaTypes,
       ...pageData,
     };
 
@@ -1031,33 +1707,6 @@ export class WebScraper {
     };
   }
 
-  /**
-   * Extract schema types from page
-   * @param {Object} $ - Cheerio instance
-   * @returns {Array} Schema types found
-   */
-  extractSchemaTypes($) {
-    const types = [];
-    $('script[type="application/ld+json"]').each((_, el) => {
-      try {
-        const content = $(el).html();
-        if (content) {
-          const parsed = JSON.parse(content);
-          if (parsed['@graph']) {
-            parsed['@graph'].forEach(item => {
-              if (item['@type']) types.push({ '@type': item['@type'] });
-            });
-          } else if (parsed['@type']) {
-            types.push({ '@type': parsed['@type'] });
-          }
-        }
-      } catch {
-        // Ignore parse errors
-      }
-    });
-    return types;
-  }
-
   /**
    * Convert new detection format to legacy signals format for compatibility
    * @param {Object} detection - New detection result
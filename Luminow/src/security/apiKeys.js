@@ -0,0 +1,299 @@
+/**
+ * API Key Store Module
+ *
+ * API keys for the Luminow server, kept in a local JSON file. Only a SHA-256
+ * hash of each key is stored - the key itself is shown once, when it is
+ * issued (scripts/apiKeys.js). Keys are long random strings, so a plain
+ * hash is enough; there is no password to brute-force.
+ *
+ * Each key carries:
+ * - scopes: what it may call ('analyze', 'results:read', 'results:delete', 'llm')
+ * - rateLimit: requests per window, for any API call (see rateLimiter.js)
+ * - dailyQuota: units per UTC day for metered calls - one per analysis or LLM
+ *   request, one per URL in a batch, up to maxPages for a crawl
+ *
+ * Daily usage is kept in a second file so issuing or revoking keys (CLI)
+ * never races with usage writes (server). The server picks up key changes
+ * without a restart.
+ *
+ * Configurable via environment variables: API_KEYS_FILE, API_KEY_USAGE_FILE,
+ * API_RATE_LIMIT (requests per minute), API_DAILY_QUOTA
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const API_SCOPES = ['analyze', 'results:read', 'results:delete', 'llm'];
+
+// Issued keys start with this, so they are recognizable in configs and logs
+const KEY_PREFIX = 'lmn_';
+
+/**
+ * @param {string} key - Raw API key
+ * @returns {string} Hex SHA-256 hash
+ */
+export const hashApiKey = key => createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Current UTC day ('2026-01-31') - daily quotas reset at UTC midnight
+ */
+const utcDay = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (now = Date.now()) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+// Write to a temporary file and rename, so readers never see half a file
+const writeJson = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(temp, file);
+};
+
+export class ApiKeyStore {
+  /**
+   * Create a new ApiKeyStore
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    const dataDir = path.join(__dirname, '../../data');
+    this.options = {
+      keysFile: process.env.API_KEYS_FILE || path.join(dataDir, 'api-keys.json'),
+      usageFile: process.env.API_KEY_USAGE_FILE || path.join(dataDir, 'api-key-usage.json'),
+      defaultRateLimit: { requests: Number(process.env.API_RATE_LIMIT) || 60, windowMs: 60 * 1000 },
+      defaultDailyQuota: Number(process.env.API_DAILY_QUOTA) || 500,
+      reloadInterval: 5000, // How often the server checks the keys file for changes
+      usageFlushDelay: 2000, // Usage writes are batched
+      ...options,
+    };
+
+    this.keys = null;
+    this.keysMtime = 0;
+    this.lastReload = 0;
+    this.usage = null;
+    this.usageTimer = null;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options - Key settings
+   * @param {string} options.name - Who or what the key is for
+   * @param {Array<string>} options.scopes - Granted scopes (default: all)
+   * @param {Object} options.rateLimit - { requests, windowMs } (default: API_RATE_LIMIT per minute)
+   * @param {number} options.dailyQuota - Metered units per UTC day, 0 = unlimited (default: API_DAILY_QUOTA)
+   * @returns {Promise<Object>} { key, record } - the raw key is not stored and can't be shown again
+   */
+  async create(options = {}) {
+    const scopes = options.scopes || API_SCOPES;
+    const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s): ${unknown.join(', ')} (expected ${API_SCOPES.join(', ')})`);
+    }
+
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: randomBytes(6).toString('hex'),
+      name: options.name || 'unnamed',
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimit: options.rateLimit || this.options.defaultRateLimit,
+      dailyQuota: options.dailyQuota ?? this.options.defaultDailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+
+    const keys = await this.load({ force: true });
+    keys.push(record);
+    await this.saveKeys(keys);
+    return { key, record };
+  }
+
+  /**
+   * All keys, revoked ones included (hashes only)
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    return this.load({ force: true });
+  }
+
+  /**
+   * Revoke a key by ID or its display prefix
+   * @param {string} idOrPrefix - Key ID or prefix
+   * @returns {Promise<Object|null>} Revoked record, null when no key matches
+   */
+  async revoke(idOrPrefix) {
+    const keys = await this.load({ force: true });
+    const record = keys.find(key => key.id === idOrPrefix || key.prefix === idOrPrefix);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    await this.saveKeys(keys);
+    return record;
+  }
+
+  /**
+   * Look up an active key
+   * @param {string} key - Raw API key from the request
+   * @returns {Promise<Object|null>} Key record, null when unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key) return null;
+    const hash = hashApiKey(key);
+    const record = (await this.load()).find(candidate => candidate.hash === hash);
+    return record && !record.revokedAt ? record : null;
+  }
+
+  /**
+   * Whether any active key has been issued
+   * @returns {Promise<boolean>}
+   */
+  async hasKeys() {
+    return (await this.load()).some(key => !key.revokedAt);
+  }
+
+  /**
+   * Whether a key has ever been issued, revoked ones included (auth is enforced
+   * from then on unless API_AUTH says otherwise - revoking every key doesn't
+   * reopen the API)
+   * @returns {Promise<boolean>}
+   */
+  async hasIssuedKeys() {
+    return (await this.load()).length > 0;
+  }
+
+  /**
+   * Take units from a key's daily quota
+   * Nothing is taken when the quota can't cover all of them
+   * @param {Object} record - Key record
+   * @param {number} units - Units to take
+   * @returns {Promise<Object>} { allowed, limit, used, remaining, resetAt }
+   */
+  async consume(record, units = 1) {
+    const usage = await this.loadUsage();
+    const now = Date.now();
+    const day = utcDay(now);
+    const entry = usage[record.id]?.day === day ? usage[record.id] : { day, used: 0 };
+    const limit = record.dailyQuota || 0;
+    const resetAt = nextUtcMidnight(now);
+
+    if (limit > 0 && entry.used + units > limit) {
+      return { allowed: false, limit, used: entry.used, remaining: Math.max(0, limit - entry.used), resetAt };
+    }
+
+    entry.used += units;
+    usage[record.id] = entry;
+    this.scheduleUsageFlush();
+    return { allowed: true, limit, used: entry.used, remaining: limit > 0 ? limit - entry.used : null, resetAt };
+  }
+
+  /**
+   * Give back units taken today (the request they paid for was rejected)
+   * @param {Object} record - Key record
+   * @param {number} units - Units to give back
+   */
+  async refund(record, units = 1) {
+    const usage = await this.loadUsage();
+    const entry = usage[record.id];
+    if (!entry || entry.day !== utcDay()) return;
+
+    entry.used = Math.max(0, entry.used - units);
+    this.scheduleUsageFlush();
+  }
+
+  /**
+   * Units used today per key ID
+   * @returns {Promise<Object>} { [id]: used }
+   */
+  async usageToday() {
+    const usage = await this.loadUsage();
+    const day = utcDay();
+    return Object.fromEntries(Object.entries(usage)
+      .filter(([, entry]) => entry.day === day)
+      .map(([id, entry]) => [id, entry.used]));
+  }
+
+  /**
+   * Keys from disk, re-read when the file changed (checked every reloadInterval)
+   */
+  async load({ force = false } = {}) {
+    const now = Date.now();
+    if (this.keys && !force && now - this.lastReload < this.options.reloadInterval) return this.keys;
+    this.lastReload = now;
+
+    let mtime = 0;
+    try {
+      mtime = (await fs.stat(this.options.keysFile)).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.keys || force || mtime !== this.keysMtime) {
+      this.keys = (await readJson(this.options.keysFile, { keys: [] })).keys;
+      this.keysMtime = mtime;
+    }
+    return this.keys;
+  }
+
+  async saveKeys(keys) {
+    await writeJson(this.options.keysFile, { keys });
+    this.keys = keys;
+    this.keysMtime = (await fs.stat(this.options.keysFile)).mtimeMs;
+  }
+
+  async loadUsage() {
+    if (!this.usage) {
+      this.usage = await readJson(this.options.usageFile, {});
+    }
+    return this.usage;
+  }
+
+  scheduleUsageFlush() {
+    if (this.usageTimer) return;
+    this.usageTimer = setTimeout(() => {
+      this.flushUsage().catch(error => console.error('Failed to save API key usage:', error));
+    }, this.options.usageFlushDelay);
+    this.usageTimer.unref();
+  }
+
+  /**
+   * Write pending usage to disk (also called on shutdown)
+   */
+  async flushUsage() {
+    clearTimeout(this.usageTimer);
+    this.usageTimer = null;
+    if (this.usage) await writeJson(this.options.usageFile, this.usage);
+  }
+}
+
+// Shared store for the server
+let _instance = null;
+
+/**
+ * Get or create the shared API key store
+ * @returns {ApiKeyStore}
+ */
+export const getApiKeyStore = () => {
+  if (!_instance) {
+    _instance = new ApiKeyStore();
+  }
+  return _instance;
+};
+
+export default ApiKeyStore;
@@ -0,0 +1,53 @@
+/**
+ * Rate Limiter Module
+ *
+ * Fixed-window request counting per client (API key ID): at most `requests`
+ * calls per `windowMs`, with the time until the window resets for
+ * Retry-After. Counts live in memory - a restart starts every window afresh,
+ * which is fine for burst control (daily quotas are persisted, see apiKeys.js).
+ */
+
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxClients: 10000, // Expired windows are swept once this many are tracked
+      ...options,
+    };
+    this.windows = new Map();
+  }
+
+  /**
+   * Count one request
+   * @param {string} client - Client ID
+   * @param {Object} limit - { requests, windowMs }
+   * @returns {Object} { allowed, limit, remaining, resetAt }
+   */
+  hit(client, { requests, windowMs }) {
+    const now = Date.now();
+    let window = this.windows.get(client);
+    if (!window || window.resetAt <= now || window.windowMs !== windowMs) {
+      if (this.windows.size >= this.options.maxClients) this.sweep(now);
+      window = { count: 0, resetAt: now + windowMs, windowMs };
+      this.windows.set(client, window);
+    }
+
+    if (window.count >= requests) {
+      return { allowed: false, limit: requests, remaining: 0, resetAt: window.resetAt };
+    }
+
+    window.count++;
+    return { allowed: true, limit: requests, remaining: requests - window.count, resetAt: window.resetAt };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [client, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(client);
+    }
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,377 @@
+/**
+ * URL Policy Module
+ *
+ * Decides which URLs the server may fetch on a user's behalf. Analyses drive
+ * a real browser (and plain HTTP fetches) at user-supplied URLs, so without a
+ * policy anyone could make the server load cloud metadata
+ * (http://169.254.169.254/), admin panels on localhost or file:// URLs.
+ *
+ * A URL is allowed when:
+ * - its scheme is allowed (http / https) and it carries no credentials
+ * - its port is allowed (80, 443, 8080, 8443 by default)
+ * - its host passes the domain deny-list and, when one is set, the allow-list
+ *   (an entry matches the domain and its subdomains)
+ * - every address the host resolves to is public - loopback, private,
+ *   link-local, CGNAT, multicast, documentation and reserved ranges are
+ *   blocked, including IPv4 embedded in IPv6 (::ffff:10.0.0.1, NAT64, 6to4) -
+ *   unless it falls in an explicitly allowed network
+ *
+ * The check runs on the submitted URL (routes answer 4xx), on every hop of
+ * plain HTTP redirects (UrlPolicy.fetch) and on every browser request,
+ * redirects and subresources included (WebScraper request interception).
+ * The browser resolves hosts again after our lookup, so a DNS answer that
+ * changes in between (rebinding) is narrowed, not ruled out; WebSocket
+ * connections are not intercepted.
+ *
+ * Configurable via environment variables (comma-separated lists):
+ * URL_POLICY_ALLOWED_PORTS ('*' for any), URL_POLICY_ALLOW_DOMAINS,
+ * URL_POLICY_DENY_DOMAINS, URL_POLICY_ALLOW_NETWORKS (CIDRs, e.g. a staging
+ * subnet), URL_POLICY_ALLOW_PRIVATE=true (local development only)
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+
+export const DEFAULT_ALLOWED_PORTS = [80, 443, 8080, 8443];
+
+// Hostnames refused before any DNS lookup
+const RESERVED_HOSTNAMES = ['localhost', 'metadata.google.internal', 'metadata'];
+const RESERVED_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+// Schemes the browser may load without a network request
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * Non-public address ranges with the label used in error messages
+ */
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', 'unspecified'],
+  ['10.0.0.0', 8, 'ipv4', 'private'],
+  ['100.64.0.0', 10, 'ipv4', 'shared (CGNAT)'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local'],
+  ['172.16.0.0', 12, 'ipv4', 'private'],
+  ['192.0.0.0', 24, 'ipv4', 'reserved'],
+  ['192.0.2.0', 24, 'ipv4', 'documentation'],
+  ['192.88.99.0', 24, 'ipv4', 'reserved'],
+  ['192.168.0.0', 16, 'ipv4', 'private'],
+  ['198.18.0.0', 15, 'ipv4', 'benchmarking'],
+  ['198.51.100.0', 24, 'ipv4', 'documentation'],
+  ['203.0.113.0', 24, 'ipv4', 'documentation'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved'],
+  ['::', 128, 'ipv6', 'unspecified'],
+  ['::1', 128, 'ipv6', 'loopback'],
+  ['100::', 64, 'ipv6', 'discard'],
+  ['2001:db8::', 32, 'ipv6', 'documentation'],
+  ['fc00::', 7, 'ipv6', 'private'],
+  ['fe80::', 10, 'ipv6', 'link-local'],
+  ['fec0::', 10, 'ipv6', 'site-local'],
+  ['ff00::', 8, 'ipv6', 'multicast'],
+].map(([address, prefix, type, label]) => {
+  const list = new net.BlockList();
+  list.addSubnet(address, prefix, type);
+  return { list, type, label };
+});
+
+const envList = (name) => {
+  const value = process.env[name];
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+};
+
+/**
+ * Expand an IPv6 address to eight 16-bit groups (a trailing dotted quad counts as two)
+ * @param {string} address - IPv6 address
+ * @returns {Array<number>|null}
+ */
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = text.slice(0, quad.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const headGroups = parse(head);
+  const tailGroups = tail === undefined ? [] : parse(tail);
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+
+  return groups.length === 8 && groups.every(group => Number.isInteger(group) && group >= 0 && group <= 0xffff)
+    ? groups
+    : null;
+};
+
+const ipv4FromGroups = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+/**
+ * IPv4 address carried inside an IPv6 one: mapped (::ffff:a.b.c.d),
+ * compatible (::a.b.c.d), NAT64 (64:ff9b::/96) or 6to4 (2002::/16)
+ * @param {string} address - IPv6 address
+ * @returns {string|null}
+ */
+const embeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  if (!groups) return null;
+  const zeros = count => groups.slice(0, count).every(group => group === 0);
+
+  if (zeros(5) && groups[5] === 0xffff) return ipv4FromGroups(groups[6], groups[7]);
+  if (zeros(6) && (groups[6] !== 0 || groups[7] > 1)) return ipv4FromGroups(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return ipv4FromGroups(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return ipv4FromGroups(groups[1], groups[2]);
+  return null;
+};
+
+/**
+ * Why an IP address is not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} Range label ('loopback', 'private', ...) or null for public addresses
+ */
+export const blockedAddressReason = (address) => {
+  const type = net.isIP(address) === 6 ? 'ipv6' : net.isIP(address) === 4 ? 'ipv4' : null;
+  if (!type) return 'invalid';
+
+  if (type === 'ipv6') {
+    const inner = embeddedIpv4(address);
+    if (inner) return blockedAddressReason(inner);
+  }
+
+  return BLOCKED_RANGES.find(range => range.type === type && range.list.check(address, type))?.label || null;
+};
+
+/**
+ * A URL the policy refused; `status` is the HTTP status routes should answer with
+ */
+export class UrlPolicyError extends Error {
+  constructor(verdict) {
+    super(verdict.reason);
+    this.name = 'UrlPolicyError';
+    this.code = verdict.code;
+    this.status = verdict.status;
+    this.url = verdict.url;
+  }
+}
+
+export class UrlPolicy {
+  /**
+   * Create a new UrlPolicy
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    const ports = envList('URL_POLICY_ALLOWED_PORTS');
+    this.options = {
+      allowedSchemes: ['http:', 'https:'],
+      allowedPorts: ports?.includes('*') ? null : (ports?.map(Number) || DEFAULT_ALLOWED_PORTS), // null = any port
+      allowDomains: envList('URL_POLICY_ALLOW_DOMAINS') || [], // Empty = any domain not denied
+      denyDomains: envList('URL_POLICY_DENY_DOMAINS') || [],
+      allowNetworks: envList('URL_POLICY_ALLOW_NETWORKS') || [], // CIDRs exempt from address blocking
+      allowPrivateNetworks: process.env.URL_POLICY_ALLOW_PRIVATE === 'true',
+      lookup: hostname => dns.lookup(hostname, { all: true, verbatim: true }),
+      dnsCacheTtl: 60000,
+      maxRedirects: 10,
+      ...options,
+    };
+
+    this.allowedNetworks = new net.BlockList();
+    for (const cidr of this.options.allowNetworks) {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+      this.allowedNetworks.addSubnet(address, Number(prefix ?? (type === 'ipv6' ? 128 : 32)), type);
+    }
+
+    this.dnsCache = new Map();
+  }
+
+  /**
+   * Checks that need no DNS: scheme, credentials, port, domain lists, IP literals
+   * @param {string} url - URL to check
+   * @returns {Object} Verdict: { allowed, url, hostname, code, status, reason }
+   */
+  checkSyntax(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return this.deny(url, 'invalid-url', 400, 'Invalid URL format');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+    const verdict = { allowed: true, url: parsed.href, hostname, code: null, status: 200, reason: null };
+
+    if (!this.options.allowedSchemes.includes(parsed.protocol)) {
+      return this.deny(url, 'scheme-not-allowed', 400,
+        `Scheme ${parsed.protocol} is not allowed (allowed: ${this.options.allowedSchemes.join(', ')})`);
+    }
+
+    if (parsed.username || parsed.password) {
+      return this.deny(url, 'credentials-not-allowed', 400, 'URLs with embedded credentials are not allowed');
+    }
+
+    const port = Number(parsed.port || (parsed.protocol === 'https:' ? 443 : 80));
+    if (this.options.allowedPorts && !this.options.allowedPorts.includes(port)) {
+      return this.deny(url, 'port-not-allowed', 400,
+        `Port ${port} is not allowed (allowed: ${this.options.allowedPorts.join(', ')})`);
+    }
+
+    const matches = domain => hostname === domain.toLowerCase() || hostname.endsWith(`.${domain.toLowerCase()}`);
+    if (this.options.denyDomains.some(matches)) {
+      return this.deny(url, 'domain-denied', 403, `${hostname} is on the domain deny-list`);
+    }
+    if (this.options.allowDomains.length > 0 && !this.options.allowDomains.some(matches)) {
+      return this.deny(url, 'domain-not-allowed', 403, `${hostname} is not on the domain allow-list`);
+    }
+
+    if (!this.options.allowPrivateNetworks) {
+      if (RESERVED_HOSTNAMES.includes(hostname) || RESERVED_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+        return this.deny(url, 'blocked-address', 403, `${hostname} is a local or internal hostname`);
+      }
+      if (net.isIP(hostname)) {
+        const blocked = this.addressVerdict(url, hostname, hostname);
+        if (blocked) return blocked;
+      }
+    }
+
+    return verdict;
+  }
+
+  /**
+   * Full check: syntax, then every address the host resolves to
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} Verdict, with `addresses` when resolved
+   */
+  async check(url) {
+    const verdict = this.checkSyntax(url);
+    if (!verdict.allowed || this.options.allowPrivateNetworks || net.isIP(verdict.hostname)) return verdict;
+
+    let addresses;
+    try {
+      addresses = await this.resolve(verdict.hostname);
+    } catch (error) {
+      return this.deny(url, 'dns-failure', 422, `Could not resolve ${verdict.hostname} (${error.code || error.message})`);
+    }
+
+    for (const address of addresses) {
+      const blocked = this.addressVerdict(url, verdict.hostname, address);
+      if (blocked) return blocked;
+    }
+    return { ...verdict, addresses };
+  }
+
+  /**
+   * Check a URL and throw when it is refused
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} Verdict
+   * @throws {UrlPolicyError}
+   */
+  async assertAllowed(url) {
+    const verdict = await this.check(url);
+    if (!verdict.allowed) throw new UrlPolicyError(verdict);
+    return verdict;
+  }
+
+  /**
+   * Check for a browser request: local schemes (data:, blob:, about:) need no network
+   * @param {string} url - Request URL
+   * @returns {Promise<Object>} Verdict
+   */
+  async checkRequest(url) {
+    if (LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) {
+      return { allowed: true, url, code: null, status: 200, reason: null };
+    }
+    return this.check(url);
+  }
+
+  /**
+   * fetch() that checks the URL and every redirect hop
+   * With init.redirect === 'manual' the 3xx is returned for the caller to follow
+   * (and check) itself
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch() options
+   * @returns {Promise<Response>}
+   * @throws {UrlPolicyError}
+   */
+  async fetch(url, init = {}) {
+    let currentUrl = url;
+    let method = init.method || 'GET';
+
+    for (let hop = 0; hop <= this.options.maxRedirects; hop++) {
+      await this.assertAllowed(currentUrl);
+      const response = await fetch(currentUrl, { ...init, method, redirect: 'manual' });
+      const location = response.headers.get('location');
+
+      if (init.redirect === 'manual' || response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+
+      await response.body?.cancel();
+      if (init.redirect === 'error') throw new TypeError(`Unexpected redirect to ${location}`);
+      if (response.status === 303 && method !== 'HEAD') method = 'GET';
+      currentUrl = new URL(location, currentUrl).href;
+    }
+
+    throw new TypeError(`Too many redirects (>${this.options.maxRedirects})`);
+  }
+
+  async resolve(hostname) {
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expires > Date.now()) return cached.addresses;
+
+    const addresses = (await this.options.lookup(hostname)).map(entry => (typeof entry === 'string' ? entry : entry.address));
+    if (addresses.length === 0) {
+      throw Object.assign(new Error('No addresses'), { code: 'ENODATA' });
+    }
+    this.dnsCache.set(hostname, { addresses, expires: Date.now() + this.options.dnsCacheTtl });
+    return addresses;
+  }
+
+  /**
+   * Refusal for a non-public address, or null when it is public or in an allowed network
+   */
+  addressVerdict(url, hostname, address) {
+    const reason = blockedAddressReason(address);
+    if (!reason) return null;
+
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (reason !== 'invalid' && this.allowedNetworks.check(address, type)) return null;
+
+    const target = hostname === address ? address : `${hostname} (${address})`;
+    return this.deny(url, 'blocked-address', 403, `${target} is a ${reason} address`);
+  }
+
+  deny(url, code, status, reason) {
+    return { allowed: false, url, code, status, reason };
+  }
+}
+
+/**
+ * JSON error body for a refused URL
+ * @param {Object|UrlPolicyError} verdict - Verdict or error
+ * @returns {Object}
+ */
+export const urlPolicyErrorBody = verdict => ({
+  error: 'URL not allowed',
+  code: verdict.code,
+  message: verdict.reason ?? verdict.message,
+  url: verdict.url,
+});
+
+// Shared policy for the server
+let _instance = null;
+
+/**
+ * Get or create the shared URL policy (configured from the environment)
+ * @returns {UrlPolicy}
+ */
+export const getUrlPolicy = () => {
+  if (!_instance) {
+    _instance = new UrlPolicy();
+  }
+  return _instance;
+};
+
+export default UrlPolicy;
@@ -0,0 +1,335 @@
+/**
+ * JSON File Storage Module
+ * Stores analysis results locally in JSON files - the default ResultsStorage
+ * backend (see resultsStorage.js)
+ *
+ * One file per result plus index.json with the latest 100 summaries, which
+ * is all getAll() and query() search; replay bundles and batches are files
+ * under bundles/ and batches/. Fine for a single user - use the SQLite
+ * backend to query the full history.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ReplayBundle } from '../scrapers/replayBundle.js';
+import { summarizeResult, matchesResultQuery } from './resultQuery.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pending index updates per index file: concurrent saves (batches, jobs) must
+// not interleave their read-modify-write, whichever instance makes them
+const indexLocks = new Map();
+
+// Summaries kept in index.json
+const INDEX_SIZE = 100;
+
+// JSON files in the data directory that are not analysis results
+const RESERVED_FILES = ['index.json', 'api-keys.json', 'api-key-usage.json'];
+
+export class JsonFileStorage {
+  constructor(storagePath = null) {
+    this.storagePath = storagePath || path.join(__dirname, '../../data');
+    this.indexFile = path.join(this.storagePath, 'index.json');
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize storage directory
+   */
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.storagePath, { recursive: true });
+
+      // Check if index exists
+      try {
+        await fs.access(this.indexFile);
+      } catch {
+        // Create empty index
+        await fs.writeFile(this.indexFile, JSON.stringify({ results: [] }, null, 2));
+      }
+
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save analysis results
+   * @param {Object} results - Analysis results to save
+   * @returns {string} - ID of saved results
+   */
+  async save(results) {
+    await this.init();
+
+    const id = results.id || crypto.randomUUID();
+    const filepath = this.getResultPath(id);
+
+    // Save full results to file
+    await fs.writeFile(filepath, JSON.stringify(results, null, 2));
+
+    // Update index
+    await this.updateIndex((index) => {
+      const indexEntry = { ...summarizeResult(results), id };
+
+      // Remove existing entry if any
+      index.results = index.results.filter(r => r.id !== id);
+
+      // Add new entry at beginning
+      index.results.unshift(indexEntry);
+
+      // Keep only last 100 results in index
+      index.results = index.results.slice(0, INDEX_SIZE);
+    });
+
+    return id;
+  }
+
+  /**
+   * Get all results (from index)
+   * @returns {Array} - List of results summaries
+   */
+  async getAll() {
+    await this.init();
+
+    const index = await this.loadIndex();
+    return index.results;
+  }
+
+  /**
+   * Search the index (the latest 100 results)
+   * @param {Object} query - parseResultQuery() query
+   * @returns {Object} { results: summaries, newest first, total }
+   */
+  async query(query) {
+    await this.init();
+
+    const matches = (await this.loadIndex()).results.filter(entry => matchesResultQuery(entry, query));
+    return {
+      results: matches.slice(query.offset, query.offset + query.limit),
+      total: matches.length,
+    };
+  }
+
+  /**
+   * IDs of every result file in the data directory, indexed or not (for migrations)
+   * @returns {Array<string>}
+   */
+  async listResultIds() {
+    await this.init();
+
+    const files = await fs.readdir(this.storagePath);
+    return files
+      .filter(file => file.endsWith('.json') && !RESERVED_FILES.includes(file))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  /**
+   * IDs of every saved batch
+   * @returns {Array<string>}
+   */
+  async listBatchIds() {
+    await this.init();
+
+    try {
+      const files = await fs.readdir(path.join(this.storagePath, 'batches'));
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get a specific result by ID
+   * @param {string} id - Result ID
+   * @returns {Object|null} - Full results or null if not found
+   */
+  async getById(id) {
+    await this.init();
+
+    const filepath = this.getResultPath(id);
+
+    try {
+      const content = await fs.readFile(filepath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a result
+   * @param {string} id - Result ID to delete
+   */
+  async delete(id) {
+    await this.init();
+
+    const filepath = this.getResultPath(id);
+
+    // Delete file (and its replay bundle, if one was recorded)
+    for (const file of [filepath, this.getBundlePath(id)]) {
+      try {
+        await fs.unlink(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    // Update index
+    await this.updateIndex((index) => {
+      index.results = index.results.filter(r => r.id !== id);
+    });
+  }
+
+  /**
+   * Save a replay bundle recorded during an analysis
+   * @param {string} id - Result ID the bundle belongs to
+   * @param {ReplayBundle} bundle - Recorded bundle
+   */
+  async saveBundle(id, bundle) {
+    await this.init();
+    await bundle.save(this.getBundlePath(id));
+  }
+
+  /**
+   * Save analysis results and their replay bundle - the bundle is written
+   * first and removed again if the results can't be saved
+   * @param {Object} results - Analysis results to save (with an `id`)
+   * @param {ReplayBundle} bundle - Recorded bundle
+   * @returns {string} - ID of saved results
+   */
+  async saveWithBundle(results, bundle) {
+    await this.saveBundle(results.id, bundle);
+    try {
+      return await this.save(results);
+    } catch (error) {
+      await fs.rm(this.getBundlePath(results.id), { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved replay bundle
+   * @param {string} id - Result ID
+   * @returns {ReplayBundle|null} - Bundle or null if not found
+   */
+  async getBundle(id) {
+    await this.init();
+
+    try {
+      return await ReplayBundle.fromFile(this.getBundlePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getResultPath(id) {
+    return path.join(this.storagePath, `${path.basename(id)}.json`);
+  }
+
+  getBundlePath(id) {
+    return path.join(this.storagePath, 'bundles', `${path.basename(id)}.json`);
+  }
+
+  /**
+   * Save a batch record (POST /api/analyze/batch) - per-URL rows and summary
+   * @param {Object} batch - Batch record with an `id`
+   */
+  async saveBatch(batch) {
+    await this.init();
+    await fs.mkdir(path.dirname(this.getBatchPath(batch.id)), { recursive: true });
+    await fs.writeFile(this.getBatchPath(batch.id), JSON.stringify(batch, null, 2));
+  }
+
+  /**
+   * Get a saved batch record
+   * @param {string} id - Batch ID
+   * @returns {Object|null} - Batch or null if not found
+   */
+  async getBatch(id) {
+    await this.init();
+
+    try {
+      return JSON.parse(await fs.readFile(this.getBatchPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getBatchPath(id) {
+    return path.join(this.storagePath, 'batches', `${path.basename(id)}.json`);
+  }
+
+  /**
+   * Read, modify and write the index, one update at a time
+   * @param {Function} update - Mutates the loaded index
+   */
+  async updateIndex(update) {
+    const previous = indexLocks.get(this.indexFile) || Promise.resolve();
+    const current = previous.then(async () => {
+      const index = await this.loadIndex();
+      update(index);
+      await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+    });
+    // Later updates wait for this one whether or not it fails
+    indexLocks.set(this.indexFile, current.catch(() => {}));
+    return current;
+  }
+
+  /**
+   * Load the index file
+   */
+  async loadIndex() {
+    try {
+      const content = await fs.readFile(this.indexFile, 'utf-8');
+      return JSON.parse(content);
+    } catch {
+      return { results: [] };
+    }
+  }
+
+  /**
+   * Clear all results
+   */
+  async clear() {
+    await this.init();
+
+    const index = await this.loadIndex();
+
+    // Delete all result files
+    for (const result of index.results) {
+      try {
+        await fs.unlink(path.join(this.storagePath, `${result.id}.json`));
+      } catch {
+        // Ignore errors
+      }
+    }
+
+    // Reset index
+    await fs.writeFile(this.indexFile, JSON.stringify({ results: [] }, null, 2));
+  }
+
+  /**
+   * Nothing to release (files are opened per call)
+   */
+  async close() {}
+}
+
+export default JsonFileStorage;
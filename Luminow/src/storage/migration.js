@@ -0,0 +1,75 @@
+/**
+ * Storage Migration Module
+ *
+ * Copies results, their replay bundles and batch records from a JSON data
+ * directory into another backend - `npm run storage:migrate` imports
+ * data/*.json into SQLite. Every result file is read, not just the ones in
+ * index.json. Records are upserted by ID, so re-running (say, after more
+ * analyses were saved as JSON) only adds what is new.
+ */
+
+/**
+ * Copy everything from a JSON backend into a target backend
+ *
+ * @param {JsonFileStorage} source - Backend to read (needs listResultIds / listBatchIds)
+ * @param {Object} target - Backend to write
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Read and validate only
+ * @param {Function} options.onProgress - Called with { type: 'result' | 'batch', id } per record copied
+ * @returns {Promise<Object>} { results, bundles, batches, skipped: [{ id, reason }] }
+ */
+export async function migrateStorage(source, target, options = {}) {
+  const { dryRun = false } = options;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  const report = { results: 0, bundles: 0, batches: 0, skipped: [] };
+
+  for (const id of await source.listResultIds()) {
+    let results;
+    try {
+      results = await source.getById(id);
+    } catch (error) {
+      report.skipped.push({ id, reason: `Unreadable: ${error.message}` });
+      continue;
+    }
+
+    if (!results || typeof results.url !== 'string' || !results.analyzedAt) {
+      report.skipped.push({ id, reason: 'Not an analysis result' });
+      continue;
+    }
+    // The file name is the ID results are looked up by
+    if (results.id !== id) results = { ...results, id };
+
+    let bundle = null;
+    try {
+      bundle = await source.getBundle(id);
+    } catch (error) {
+      report.skipped.push({ id: `bundles/${id}`, reason: `Unreadable: ${error.message}` });
+    }
+
+    if (!dryRun) {
+      await target.save(results);
+      if (bundle) await target.saveBundle(id, bundle);
+    }
+    report.results++;
+    if (bundle) report.bundles++;
+    onProgress({ type: 'result', id });
+  }
+
+  for (const id of await source.listBatchIds()) {
+    let batch;
+    try {
+      batch = await source.getBatch(id);
+    } catch (error) {
+      report.skipped.push({ id: `batches/${id}`, reason: `Unreadable: ${error.message}` });
+      continue;
+    }
+
+    if (!dryRun) await target.saveBatch({ ...batch, id });
+    report.batches++;
+    onProgress({ type: 'batch', id });
+  }
+
+  return report;
+}
+
+export default migrateStorage;
@@ -0,0 +1,123 @@
+/**
+ * Result Query Module
+ *
+ * What storage backends share: the summary kept per result (the JSON index
+ * entry / the SQLite row columns) and parsing of result queries
+ * (GET /api/results?domain=...&minScore=...).
+ */
+
+export const SCORE_TYPES = ['overall', 'seo', 'geo'];
+
+// Summary field each scoreType filters on
+export const SCORE_FIELDS = { overall: 'overallScore', seo: 'seoScore', geo: 'geoScore' };
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Host without a leading www., lowercased - shop.example and www.shop.example are one domain
+ * @param {string} value - URL or hostname
+ * @returns {string|null}
+ */
+export const domainOf = (value) => {
+  if (!value) return null;
+  let hostname;
+  try {
+    hostname = new URL(value).hostname;
+  } catch {
+    hostname = String(value);
+  }
+  return hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '') || null;
+};
+
+/**
+ * Summary of a stored result, as listed by getAll() and query()
+ * @param {Object} results - Analysis results
+ * @returns {Object}
+ */
+export const summarizeResult = results => ({
+  id: results.id,
+  url: results.url,
+  analyzedAt: results.analyzedAt,
+  overallScore: results.overallScore?.score,
+  seoScore: results.seo?.score,
+  geoScore: results.geo?.score,
+  pageType: results.pageInfo?.pageType?.type || null,
+  batchId: results.batch?.id,
+});
+
+const parseScore = (value, name, errors) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) errors.push(`${name} must be a number`);
+  return number;
+};
+
+const parseDate = (value, name, errors, { endOfDay = false } = {}) => {
+  if (value === undefined || value === '') return null;
+  const text = String(value);
+  // A bare date as the upper bound includes that whole day
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+    return null;
+  }
+  return date.toISOString();
+};
+
+/**
+ * Parse query parameters into a result query
+ *
+ * @param {Object} params - { url, domain, from, to, pageType, batchId, scoreType, minScore, maxScore, limit, offset }
+ * @returns {Object} { query, error } - error is a message when a parameter is invalid
+ */
+export const parseResultQuery = (params = {}) => {
+  const errors = [];
+  const scoreType = params.scoreType || 'overall';
+  if (!SCORE_TYPES.includes(scoreType)) {
+    errors.push(`scoreType must be one of ${SCORE_TYPES.join(', ')}`);
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  const offset = params.offset === undefined ? 0 : Number(params.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be a non-negative integer');
+  }
+
+  const query = {
+    url: params.url || null,
+    domain: params.domain ? domainOf(params.domain) : null,
+    from: parseDate(params.from, 'from', errors),
+    to: parseDate(params.to, 'to', errors, { endOfDay: true }),
+    pageType: params.pageType || null,
+    batchId: params.batchId || null,
+    scoreType,
+    minScore: parseScore(params.minScore, 'minScore', errors),
+    maxScore: parseScore(params.maxScore, 'maxScore', errors),
+    limit,
+    offset,
+  };
+
+  return { query, error: errors.length > 0 ? errors.join('; ') : null };
+};
+
+/**
+ * Whether a summary matches a parsed query (for backends that filter in memory)
+ * @param {Object} summary - summarizeResult() output
+ * @param {Object} query - parseResultQuery() query
+ * @returns {boolean}
+ */
+export const matchesResultQuery = (summary, query) => {
+  const score = summary[SCORE_FIELDS[query.scoreType]];
+  return (!query.url || summary.url === query.url)
+    && (!query.domain || domainOf(summary.url) === query.domain)
+    && (!query.from || summary.analyzedAt >= query.from)
+    && (!query.to || summary.analyzedAt <= query.to)
+    && (!query.pageType || summary.pageType === query.pageType)
+    && (!query.batchId || summary.batchId === query.batchId)
+    && (query.minScore === null || (score ?? -Infinity) >= query.minScore)
+    && (query.maxScore === null || (score ?? Infinity) <= query.maxScore);
+};
@@ -1,172 +1,172 @@
 /**
  * Results Storage Module
- * Stores analysis results locally in JSON files
+ * Stores analysis results, replay bundles and batch records through a
+ * pluggable backend:
+ *
+ * - json (default): one JSON file per result plus index.json (jsonFileStorage.js)
+ * - sqlite: one database with indexed queries over the full history (sqliteStorage.js)
+ *
+ * A backend implements init, save, getAll, query, getById, delete, saveBundle,
+ * saveWithBundle, getBundle, saveBatch, getBatch, clear and close. Instances for the same
+ * location share one backend, so every route writes through one connection
+ * (SQLite) or one index lock (JSON).
+ *
+ * Configurable via environment variables: STORAGE_BACKEND ('json' | 'sqlite'),
+ * SQLITE_PATH (default data/luminow.db)
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { JsonFileStorage } from './jsonFileStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
 
-export class ResultsStorage {
-  constructor(storagePath = null) {
-    this.storagePath = storagePath || path.join(__dirname, '../../data');
-    this.indexFile = path.join(this.storagePath, 'index.json');
-    this.initialized = false;
+// Open backends by type and location
+const backends = new Map();
+
+/**
+ * Get the shared backend for a type and location
+ * @param {string} type - 'json' | 'sqlite'
+ * @param {string|null} location - Data directory (json) or database file (sqlite); null = default
+ * @returns {JsonFileStorage|SqliteStorage}
+ */
+export const getStorageBackend = (type, location = null) => {
+  if (!STORAGE_BACKENDS.includes(type)) {
+    throw new Error(`Unknown storage backend: ${type} (expected one of ${STORAGE_BACKENDS.join(', ')})`);
   }
 
+  const key = `${type}:${location || ''}`;
+  if (!backends.has(key)) {
+    backends.set(key, type === 'sqlite' ? new SqliteStorage(location) : new JsonFileStorage(location));
+  }
+  return backends.get(key);
+};
+
+/**
+ * Close every open backend (server shutdown)
+ */
+export const closeStorageBackends = async () => {
+  const open = [...backends.values()];
+  backends.clear();
+  await Promise.all(open.map(backend => backend.close()));
+};
+
+export class ResultsStorage {
   /**
-   * Initialize storage directory
+   * Create a new ResultsStorage
+   * @param {Object|string} options - Configuration options, or a JSON data directory
+   * @param {string} options.backend - 'json' | 'sqlite' (default: STORAGE_BACKEND or 'json')
+   * @param {string} options.storagePath - JSON data directory
+   * @param {string} options.dbPath - SQLite database file (default: SQLITE_PATH or data/luminow.db)
    */
-  async init() {
-    if (this.initialized) return;
-
-    try {
-      await fs.mkdir(this.storagePath, { recursive: true });
-
-      // Check if index exists
-      try {
-        await fs.access(this.indexFile);
-      } catch {
-        // Create empty index
-        await fs.writeFile(this.indexFile, JSON.stringify({ results: [] }, null, 2));
-      }
-
-      this.initialized = true;
-    } catch (error) {
-      console.error('Failed to initialize storage:', error);
-      throw error;
-    }
+  constructor(options = {}) {
+    const settings = typeof options === 'string' ? { storagePath: options } : options;
+    this.options = {
+      backend: process.env.STORAGE_BACKEND || 'json',
+      storagePath: null,
+      dbPath: process.env.SQLITE_PATH || null,
+      ...settings,
+    };
+    this.backend = getStorageBackend(
+      this.options.backend,
+      this.options.backend === 'sqlite' ? this.options.dbPath : this.options.storagePath,
+    );
   }
 
   /**
    * Save analysis results
    * @param {Object} results - Analysis results to save
-   * @returns {string} - ID of saved results
+   * @returns {Promise<string>} - ID of saved results
    */
-  async save(results) {
-    await this.init();
-
-    const id = results.id || crypto.randomUUID();
-    const filename = `${id}.json`;
-    const filepath = path.join(this.storagePath, filename);
-
-    // Save full results to file
-    await fs.writeFile(filepath, JSON.stringify(results, null, 2));
-
-    // Update index
-    const index = await this.loadIndex();
-    const indexEntry = {
-      id,
-      url: results.url,
-      analyzedAt: results.analyzedAt,
-      overallScore: results.overallScore?.score,
-      seoScore: results.seo?.score,
-      geoScore: results.geo?.score,
-    };
-
-    // Remove existing entry if any
-    index.results = index.results.filter(r => r.id !== id);
+  save(results) {
+    return this.backend.save(results);
+  }
 
-    // Add new entry at beginning
-    index.results.unshift(indexEntry);
+  /**
+   * Latest results
+   * @returns {Promise<Array>} - Up to 100 result summaries, newest first
+   */
+  getAll() {
+    return this.backend.getAll();
+  }
 
-    // Keep only last 100 results in index
-    index.results = index.results.slice(0, 100);
+  /**
+   * Search results by URL, domain, date, page type, batch and score
+   * @param {Object} query - parseResultQuery() query
+   * @returns {Promise<Object>} { results: summaries, newest first, total }
+   */
+  query(query) {
+    return this.backend.query(query);
+  }
 
-    await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+  /**
+   * Get a specific result by ID
+   * @param {string} id - Result ID
+   * @returns {Promise<Object|null>} - Full results or null if not found
+   */
+  getById(id) {
+    return this.backend.getById(id);
+  }
 
-    return id;
+  /**
+   * Delete a result (and its replay bundle)
+   * @param {string} id - Result ID to delete
+   */
+  delete(id) {
+    return this.backend.delete(id);
   }
 
   /**
-   * Get all results (from index)
-   * @returns {Array} - List of results summaries
+   * Save a replay bundle recorded during an analysis
+   * @param {string} id - Result ID the bundle belongs to
+   * @param {ReplayBundle} bundle - Recorded bundle
    */
-  async getAll() {
-    await this.init();
+  saveBundle(id, bundle) {
+    return this.backend.saveBundle(id, bundle);
+  }
 
-    const index = await this.loadIndex();
-    return index.results;
+  /**
+   * Save analysis results together with their replay bundle, so neither is
+   * stored without the other
+   * @param {Object} results - Analysis results to save (with an `id`)
+   * @param {ReplayBundle} bundle - Recorded bundle
+   * @returns {Promise<string>} - ID of saved results
+   */
+  saveWithBundle(results, bundle) {
+    return this.backend.saveWithBundle(results, bundle);
   }
 
   /**
-   * Get a specific result by ID
+   * Get a saved replay bundle
    * @param {string} id - Result ID
-   * @returns {Object|null} - Full results or null if not found
+   * @returns {Promise<ReplayBundle|null>} - Bundle or null if not found
    */
-  async getById(id) {
-    await this.init();
-
-    const filepath = path.join(this.storagePath, `${id}.json`);
-
-    try {
-      const content = await fs.readFile(filepath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
-      }
-      throw error;
-    }
+  getBundle(id) {
+    return this.backend.getBundle(id);
   }
 
   /**
-   * Delete a result
-   * @param {string} id - Result ID to delete
+   * Save a batch record (POST /api/analyze/batch)
+   * @param {Object} batch - Batch record with an `id`
    */
-  async delete(id) {
-    await this.init();
-
-    const filepath = path.join(this.storagePath, `${id}.json`);
-
-    // Delete file
-    try {
-      await fs.unlink(filepath);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-    }
-
-    // Update index
-    const index = await this.loadIndex();
-    index.results = index.results.filter(r => r.id !== id);
-    await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+  saveBatch(batch) {
+    return this.backend.saveBatch(batch);
   }
 
   /**
-   * Load the index file
+   * Get a saved batch record
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object|null>} - Batch or null if not found
    */
-  async loadIndex() {
-    try {
-      const content = await fs.readFile(this.indexFile, 'utf-8');
-      return JSON.parse(content);
-    } catch {
-      return { results: [] };
-    }
+  getBatch(id) {
+    return this.backend.getBatch(id);
   }
 
   /**
    * Clear all results
    */
-  async clear() {
-    await this.init();
-
-    const index = await this.loadIndex();
-
-    // Delete all result files
-    for (const result of index.results) {
-      try {
-        await fs.unlink(path.join(this.storagePath, `${result.id}.json`));
-      } catch {
-        // Ignore errors
-      }
-    }
-
-    // Reset index
-    await fs.writeFile(this.indexFile, JSON.stringify({ results: [] }, null, 2));
+  clear() {
+    return this.backend.clear();
   }
 }
+
+export default ResultsStorage;
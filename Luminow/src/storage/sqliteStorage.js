@@ -0,0 +1,344 @@
+/**
+ * SQLite Storage Module
+ * Stores analysis results, replay bundles and batches in one SQLite database
+ * (better-sqlite3) - the ResultsStorage backend for STORAGE_BACKEND=sqlite
+ *
+ * Every result is a row with its summary columns indexed - URL, domain,
+ * analysis date, page type, scores, batch - so query() searches the full
+ * history without loading it; the full results are stored as JSON next to
+ * them. Writes that touch several rows run in one transaction, and WAL mode
+ * lets readers continue while an analysis is being saved.
+ *
+ * better-sqlite3 is an optional dependency, loaded on first use.
+ * Import existing JSON data with `npm run storage:migrate`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ReplayBundle } from '../scrapers/replayBundle.js';
+import { summarizeResult, domainOf } from './resultQuery.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Summaries returned by getAll(), as with the JSON backend's index
+const GET_ALL_LIMIT = 100;
+
+/**
+ * Schema migrations, applied in order; PRAGMA user_version records how many ran
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE results (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    domain TEXT,
+    analyzed_at TEXT NOT NULL,
+    page_type TEXT,
+    overall_score REAL,
+    seo_score REAL,
+    geo_score REAL,
+    batch_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX results_analyzed_at ON results (analyzed_at);
+  CREATE INDEX results_url ON results (url, analyzed_at);
+  CREATE INDEX results_domain ON results (domain, analyzed_at);
+  CREATE INDEX results_page_type ON results (page_type, analyzed_at);
+  CREATE INDEX results_overall_score ON results (overall_score);
+  CREATE INDEX results_seo_score ON results (seo_score);
+  CREATE INDEX results_geo_score ON results (geo_score);
+  CREATE INDEX results_batch_id ON results (batch_id);
+
+  CREATE TABLE bundles (
+    result_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE batches (
+    id TEXT PRIMARY KEY,
+    created_at TEXT,
+    state TEXT,
+    data TEXT NOT NULL
+  );
+  `,
+];
+
+// Summary columns, in the shape summarizeResult() returns
+const SUMMARY_COLUMNS = `
+  id, url, analyzed_at AS analyzedAt, overall_score AS overallScore, seo_score AS seoScore,
+  geo_score AS geoScore, page_type AS pageType, batch_id AS batchId
+`;
+
+// Column each scoreType filters on
+const SCORE_COLUMNS = { overall: 'overall_score', seo: 'seo_score', geo: 'geo_score' };
+
+const loadDriver = async () => {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new Error(`The SQLite storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+};
+
+// Summary rows keep the JSON index's shape: no batchId key unless there is one
+const toSummary = ({ batchId, ...row }) => (batchId ? { ...row, batchId } : row);
+
+export class SqliteStorage {
+  constructor(dbPath = null) {
+    this.dbPath = dbPath || path.join(__dirname, '../../data/luminow.db');
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * Open the database and apply pending schema migrations
+   */
+  async init() {
+    if (this.db) return;
+    // A failed open is retried on the next call rather than cached
+    this.opening = this.opening || this.open().catch((error) => {
+      this.opening = null;
+      throw error;
+    });
+    await this.opening;
+  }
+
+  async open() {
+    const Database = await loadDriver();
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+    const db = new Database(this.dbPath);
+    // A failed setup must not leave the handle (and its WAL lock) open - init() retries
+    try {
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      db.pragma('busy_timeout = 5000');
+
+      const version = db.pragma('user_version', { simple: true });
+      db.transaction(() => {
+        MIGRATIONS.slice(version).forEach(migration => db.exec(migration));
+        db.pragma(`user_version = ${MIGRATIONS.length}`);
+      })();
+
+      this.statements = {
+        upsertResult: db.prepare(`
+          INSERT INTO results (id, url, domain, analyzed_at, page_type, overall_score, seo_score, geo_score, batch_id, data)
+          VALUES (@id, @url, @domain, @analyzedAt, @pageType, @overallScore, @seoScore, @geoScore, @batchId, @data)
+          ON CONFLICT (id) DO UPDATE SET
+            url = excluded.url, domain = excluded.domain, analyzed_at = excluded.analyzed_at,
+            page_type = excluded.page_type, overall_score = excluded.overall_score,
+            seo_score = excluded.seo_score, geo_score = excluded.geo_score,
+            batch_id = excluded.batch_id, data = excluded.data
+        `),
+        getResult: db.prepare('SELECT data FROM results WHERE id = ?'),
+        deleteResult: db.prepare('DELETE FROM results WHERE id = ?'),
+        upsertBundle: db.prepare(`
+          INSERT INTO bundles (result_id, data) VALUES (?, ?)
+          ON CONFLICT (result_id) DO UPDATE SET data = excluded.data
+        `),
+        getBundle: db.prepare('SELECT data FROM bundles WHERE result_id = ?'),
+        deleteBundle: db.prepare('DELETE FROM bundles WHERE result_id = ?'),
+        upsertBatch: db.prepare(`
+          INSERT INTO batches (id, created_at, state, data) VALUES (@id, @createdAt, @state, @data)
+          ON CONFLICT (id) DO UPDATE SET state = excluded.state, data = excluded.data
+        `),
+        getBatch: db.prepare('SELECT data FROM batches WHERE id = ?'),
+      };
+    } catch (error) {
+      this.statements = null;
+      db.close();
+      throw error;
+    }
+    this.db = db;
+  }
+
+  /**
+   * Save analysis results
+   * @param {Object} results - Analysis results to save
+   * @returns {string} - ID of saved results
+   */
+  async save(results) {
+    await this.init();
+    return this.writeResult(results);
+  }
+
+  /**
+   * Save analysis results and their replay bundle in one transaction
+   * @param {Object} results - Analysis results to save (with an `id`)
+   * @param {ReplayBundle} bundle - Recorded bundle
+   * @returns {string} - ID of saved results
+   */
+  async saveWithBundle(results, bundle) {
+    await this.init();
+
+    return this.db.transaction(() => {
+      const id = this.writeResult(results);
+      this.statements.upsertBundle.run(id, JSON.stringify(bundle.toJSON()));
+      return id;
+    })();
+  }
+
+  writeResult(results) {
+    const id = results.id || crypto.randomUUID();
+    const summary = summarizeResult(results);
+    this.statements.upsertResult.run({
+      ...summary,
+      id,
+      domain: domainOf(results.url),
+      pageType: summary.pageType,
+      overallScore: summary.overallScore ?? null,
+      seoScore: summary.seoScore ?? null,
+      geoScore: summary.geoScore ?? null,
+      batchId: summary.batchId ?? null,
+      data: JSON.stringify(results),
+    });
+    return id;
+  }
+
+  /**
+   * Latest results (summaries)
+   * @returns {Array} - List of results summaries, newest first
+   */
+  async getAll() {
+    await this.init();
+
+    return this.db
+      .prepare(`SELECT ${SUMMARY_COLUMNS} FROM results ORDER BY analyzed_at DESC LIMIT ?`)
+      .all(GET_ALL_LIMIT)
+      .map(toSummary);
+  }
+
+  /**
+   * Search all results through the indexed summary columns
+   * @param {Object} query - parseResultQuery() query
+   * @returns {Object} { results: summaries, newest first, total }
+   */
+  async query(query) {
+    await this.init();
+
+    const conditions = [];
+    const params = {};
+    const add = (condition, name, value) => {
+      if (value === null || value === undefined) return;
+      conditions.push(condition);
+      params[name] = value;
+    };
+
+    const scoreColumn = SCORE_COLUMNS[query.scoreType] || SCORE_COLUMNS.overall;
+    add('url = @url', 'url', query.url);
+    add('domain = @domain', 'domain', query.domain);
+    add('analyzed_at >= @from', 'from', query.from);
+    add('analyzed_at <= @to', 'to', query.to);
+    add('page_type = @pageType', 'pageType', query.pageType);
+    add('batch_id = @batchId', 'batchId', query.batchId);
+    add(`${scoreColumn} >= @minScore`, 'minScore', query.minScore);
+    add(`${scoreColumn} <= @maxScore`, 'maxScore', query.maxScore);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM results ${where}`).get(params);
+    const results = this.db
+      .prepare(`SELECT ${SUMMARY_COLUMNS} FROM results ${where} ORDER BY analyzed_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: query.limit, offset: query.offset })
+      .map(toSummary);
+
+    return { results, total };
+  }
+
+  /**
+   * Get a specific result by ID
+   * @param {string} id - Result ID
+   * @returns {Object|null} - Full results or null if not found
+   */
+  async getById(id) {
+    await this.init();
+
+    const row = this.statements.getResult.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Delete a result and its replay bundle
+   * @param {string} id - Result ID to delete
+   */
+  async delete(id) {
+    await this.init();
+
+    this.db.transaction(() => {
+      this.statements.deleteResult.run(id);
+      this.statements.deleteBundle.run(id);
+    })();
+  }
+
+  /**
+   * Save a replay bundle recorded during an analysis
+   * @param {string} id - Result ID the bundle belongs to
+   * @param {ReplayBundle} bundle - Recorded bundle
+   */
+  async saveBundle(id, bundle) {
+    await this.init();
+    this.statements.upsertBundle.run(id, JSON.stringify(bundle.toJSON()));
+  }
+
+  /**
+   * Get a saved replay bundle
+   * @param {string} id - Result ID
+   * @returns {ReplayBundle|null} - Bundle or null if not found
+   */
+  async getBundle(id) {
+    await this.init();
+
+    const row = this.statements.getBundle.get(id);
+    return row ? new ReplayBundle(JSON.parse(row.data)) : null;
+  }
+
+  /**
+   * Save a batch record (POST /api/analyze/batch) - per-URL rows and summary
+   * @param {Object} batch - Batch record with an `id`
+   */
+  async saveBatch(batch) {
+    await this.init();
+    this.statements.upsertBatch.run({
+      id: batch.id,
+      createdAt: batch.createdAt || null,
+      state: batch.state || null,
+      data: JSON.stringify(batch),
+    });
+  }
+
+  /**
+   * Get a saved batch record
+   * @param {string} id - Batch ID
+   * @returns {Object|null} - Batch or null if not found
+   */
+  async getBatch(id) {
+    await this.init();
+
+    const row = this.statements.getBatch.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Clear all results and their bundles
+   */
+  async clear() {
+    await this.init();
+
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM results; DELETE FROM bundles;');
+    })();
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.opening) await this.opening.catch(() => {});
+    this.db?.close();
+    this.db = null;
+    this.opening = null;
+  }
+}
+
+export default SqliteStorage;
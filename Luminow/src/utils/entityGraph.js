@@ -0,0 +1,280 @@
+/**
+ * Entity Graph Utility Module
+ *
+ * Normalizes a page's structured data (JSON-LD, microdata and RDFa items from
+ * WebScraper.extractStructuredData) into one resolved graph of entities, so
+ * analyzers never have to walk raw JSON-LD themselves:
+ *
+ * - Every node is indexed however deeply it is nested (@graph members,
+ *   WebPage.mainEntity, ProductGroup.hasVariant, Offer.seller...)
+ * - Types are matched as sets, so ["Product", "Thing"] is a Product
+ * - Nodes sharing an @id are merged (JSON-LD node merging) and
+ *   { "@id": "#org" } references are resolved - relative ids against the
+ *   page URL
+ *
+ * Lookups return embedded copies: references are replaced by the node they
+ * point to and cycles are cut by leaving the { "@id" } reference in place,
+ * so results are plain JSON-serializable objects that read like inline JSON-LD.
+ *
+ *   const graph = new EntityGraph(pageData.structuredData, { baseUrl });
+ *   graph.getEntities('Product');   // Products anywhere on the page
+ *   graph.resolve('#organization'); // The merged Organization node
+ */
+
+import { schemaTermName } from './schemaMarkup.js';
+
+// Keys that describe the document rather than the entity
+const DOCUMENT_KEYS = ['@context', '@syntax'];
+
+// Page-level types whose mainEntity is what the page is about
+const PAGE_TYPES = ['WebPage', 'ItemPage', 'ProductPage', 'CollectionPage', 'AboutPage', 'FAQPage', 'ContactPage'];
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup'];
+
+// Graphs built by fromPageData, keyed by the structuredData array they came from
+const pageGraphs = new WeakMap();
+
+/**
+ * Wrap a single value in an array (null / undefined -> [])
+ */
+export const asArray = value => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Types of an embedded entity as short names
+ * @param {Object} entity - Entity or raw JSON-LD node
+ * @returns {Array<string>}
+ */
+export const typesOf = entity => asArray(entity?.['@type']).map(type => schemaTermName(type));
+
+/**
+ * First offer of a product: its own offers (Offer or AggregateOffer), else the
+ * first variant offer of a ProductGroup
+ * @param {Object|null} product - Embedded Product / ProductGroup
+ * @returns {Object|null}
+ */
+export const firstOffer = (product) => {
+  if (!product) return null;
+  const own = asArray(product.offers).find(offer => offer && typeof offer === 'object');
+  if (own) return own;
+  for (const variant of asArray(product.hasVariant)) {
+    const offer = asArray(variant?.offers).find(o => o && typeof o === 'object');
+    if (offer) return offer;
+  }
+  return null;
+};
+
+export class EntityGraph {
+  /**
+   * Build a graph from structured data items
+   * @param {Array<Object>} items - Top-level items (JSON-LD blocks, microdata / RDFa items)
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - Page URL (resolves relative @id values)
+   */
+  constructor(items = [], options = {}) {
+    this.baseUrl = options.baseUrl || null;
+    this.nodes = new Map(); // @id -> flattened node (nested nodes replaced by { '@id' } links)
+    this.syntax = new Map(); // @id -> syntax of the item the node was first seen in
+    this.roots = []; // @ids of top-level items and @graph members, in document order
+    this.blankNodes = 0;
+
+    asArray(items).forEach(item => this.addItem(item, item?.['@syntax'] || null));
+  }
+
+  /**
+   * Graph for a scraped page (cached per structuredData array)
+   * @param {Object} pageData - WebScraper page data
+   * @returns {EntityGraph}
+   */
+  static fromPageData(pageData) {
+    const items = pageData?.structuredData;
+    if (!Array.isArray(items)) return new EntityGraph([]);
+    if (!pageGraphs.has(items)) {
+      pageGraphs.set(items, new EntityGraph(items, { baseUrl: pageData.finalUrl || pageData.url }));
+    }
+    return pageGraphs.get(items);
+  }
+
+  /**
+   * Add a top-level item: a node, an array of nodes, or a @graph wrapper
+   */
+  addItem(item, syntax) {
+    if (Array.isArray(item)) {
+      item.forEach(member => this.addItem(member, syntax));
+      return;
+    }
+    if (!item || typeof item !== 'object') return;
+
+    if (Array.isArray(item['@graph'])) {
+      item['@graph'].forEach(member => this.addItem(member, syntax));
+      // A wrapper with its own properties is an entity too
+      const ownKeys = Object.keys(item).filter(key => key !== '@graph' && !DOCUMENT_KEYS.includes(key));
+      if (ownKeys.length === 0) return;
+    }
+
+    const link = this.flatten(item, syntax);
+    if (link && !this.roots.includes(link['@id'])) this.roots.push(link['@id']);
+  }
+
+  /**
+   * Flatten a value: nested objects become nodes, replaced by { '@id' } links
+   */
+  flatten(value, syntax) {
+    if (Array.isArray(value)) return value.map(item => this.flatten(item, syntax));
+    if (!value || typeof value !== 'object') return value;
+    if (value['@value'] !== undefined) return value['@value'];
+    if (Array.isArray(value['@list'])) return this.flatten(value['@list'], syntax);
+
+    const id = value['@id'] ? this.normalizeId(value['@id']) : `_:b${this.blankNodes++}`;
+    let node = this.nodes.get(id);
+    if (!node) {
+      node = { '@id': id };
+      this.nodes.set(id, node);
+      this.syntax.set(id, syntax);
+    }
+
+    for (const [key, raw] of Object.entries(value)) {
+      if (key === '@id' || DOCUMENT_KEYS.includes(key)) continue;
+      if (key === '@graph') {
+        this.addItem(raw, syntax);
+        continue;
+      }
+      if (key === '@type') {
+        node['@type'] = [...new Set([...(node['@type'] || []), ...typesOf(value)])];
+        continue;
+      }
+      node[key] = this.mergeValues(node[key], this.flatten(raw, syntax));
+    }
+
+    return { '@id': id };
+  }
+
+  /**
+   * Combine property values of merged nodes (set semantics, like JSON-LD)
+   */
+  mergeValues(existing, incoming) {
+    if (existing === undefined) return incoming;
+    const merged = [...asArray(existing)];
+    for (const value of asArray(incoming)) {
+      const key = JSON.stringify(value);
+      if (!merged.some(item => JSON.stringify(item) === key)) merged.push(value);
+    }
+    return merged.length === 1 ? merged[0] : merged;
+  }
+
+  normalizeId(id) {
+    const value = String(id).trim();
+    if (value.startsWith('_:') || !this.baseUrl) return value;
+    try {
+      return new URL(value, this.baseUrl).href;
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Resolve an @id (string or { '@id' } reference) to its merged, embedded node
+   * @param {string|Object} ref - @id or reference object
+   * @returns {Object|null}
+   */
+  resolve(ref) {
+    const id = typeof ref === 'object' && ref !== null ? ref['@id'] : ref;
+    if (!id) return null;
+    const key = this.normalizeId(id);
+    return this.nodes.has(key) ? this.embed(key) : null;
+  }
+
+  /**
+   * All entities of the given type(s), in document order
+   * @param {string|Array<string>} types - e.g. 'Product' or ['Article', 'BlogPosting']; omit for every typed entity
+   * @returns {Array<Object>} Embedded entities
+   */
+  getEntities(types) {
+    return this.matchIds([...this.nodes.keys()], types).map(id => this.embed(id));
+  }
+
+  /**
+   * What the page is about: top-level entities, plus the mainEntity of
+   * top-level WebPage nodes; variants of a ProductGroup are left out
+   * @param {string|Array<string>} types - Optional type filter
+   * @returns {Array<Object>} Embedded entities
+   */
+  getMainEntities(types) {
+    return this.matchIds(this.getMainIds(), types).map(id => this.embed(id));
+  }
+
+  /**
+   * Short type names of the main entities
+   * @returns {Array<string>}
+   */
+  getMainTypes() {
+    return [...new Set(this.getMainIds().flatMap(id => this.nodes.get(id)['@type'] || []))];
+  }
+
+  /**
+   * The page's product: the first main Product or ProductGroup
+   * @returns {Object|null}
+   */
+  getPrimaryProduct() {
+    return this.getMainEntities(PRODUCT_TYPES)[0] || null;
+  }
+
+  getMainIds() {
+    const variants = new Set();
+    for (const node of this.nodes.values()) {
+      asArray(node.hasVariant).forEach(link => variants.add(link?.['@id']));
+      if (node.isVariantOf) variants.add(node['@id']);
+    }
+
+    const ids = [];
+    const add = (id) => {
+      if (id && this.nodes.has(id) && !variants.has(id) && !ids.includes(id)) ids.push(id);
+    };
+    for (const id of this.roots) {
+      add(id);
+      const node = this.nodes.get(id);
+      if ((node['@type'] || []).some(type => PAGE_TYPES.includes(type))) {
+        asArray(node.mainEntity).forEach(link => add(link?.['@id']));
+      }
+    }
+    return ids;
+  }
+
+  matchIds(ids, types) {
+    const wanted = types === undefined ? null : asArray(types);
+    return ids.filter((id) => {
+      const nodeTypes = this.nodes.get(id)['@type'] || [];
+      return wanted ? nodeTypes.some(type => wanted.includes(type)) : nodeTypes.length > 0;
+    });
+  }
+
+  /**
+   * Copy a node with links replaced by their (embedded) targets
+   * `ancestors` cuts cycles (Product.offers.itemOffered -> Product)
+   */
+  embed(id, ancestors = new Set()) {
+    const node = this.nodes.get(id);
+    const entity = id.startsWith('_:') ? {} : { '@id': id };
+    const types = node['@type'] || [];
+    if (types.length > 0) entity['@type'] = types.length === 1 ? types[0] : [...types];
+
+    const path = new Set(ancestors).add(id);
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@id' || key === '@type') continue;
+      entity[key] = this.embedValue(value, path);
+    }
+
+    if (ancestors.size === 0 && this.syntax.get(id)) entity['@syntax'] = this.syntax.get(id);
+    return entity;
+  }
+
+  embedValue(value, ancestors) {
+    if (Array.isArray(value)) return value.map(item => this.embedValue(item, ancestors));
+    if (!value || typeof value !== 'object') return value;
+
+    const id = value['@id'];
+    if (ancestors.has(id)) return id.startsWith('_:') ? {} : { '@id': id };
+    return this.embed(id, ancestors);
+  }
+}
+
+export default EntityGraph;
@@ -0,0 +1,40 @@
+/**
+ * Issue ID Utility Module
+ *
+ * Stable identifiers for analyzer issues, so reports, dashboards and the
+ * golden-corpus regression tests can track an issue across runs even though
+ * messages embed page-specific numbers, URLs and names.
+ *
+ * Issues may set an explicit `id`; otherwise one is derived from the pillar /
+ * category key and the message with variable parts (numbers, URLs,
+ * parentheticals, quoted values) removed:
+ *
+ *   aiCrawlAccess + "HTTP 404 - AI crawlers cannot access page content"
+ *   -> "aiCrawlAccess.http-ai-crawlers-cannot-access-page"
+ */
+
+const MAX_ID_WORDS = 6;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'is', 'are', 'be', 'by', 'with']);
+
+/**
+ * Derive an issue ID from its group and message
+ * @param {string} group - Pillar (GEO) or category (SEO) key
+ * @param {string} message - Issue message
+ * @returns {string} e.g. "indexability.missing-canonical-tag"
+ */
+export const deriveIssueId = (group, message) => {
+  const words = String(message || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/"[^"]*"|`[^`]*`/g, ' ')
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .slice(0, MAX_ID_WORDS);
+
+  return `${group}.${words.join('-') || 'issue'}`;
+};
+
+export default deriveIssueId;
@@ -0,0 +1,221 @@
+/**
+ * llms.txt / ai.txt Utility Module
+ *
+ * Parsers for the site-level files some sites publish for AI systems:
+ *
+ * - /llms.txt (llmstxt.org): Markdown with an H1 title, an optional
+ *   blockquote summary, free-form details, then H2 sections of link lists
+ *   (`- [Title](url): notes`). A section named "Optional" marks links that
+ *   can be skipped when context is short.
+ * - /llms-full.txt: the same idea with the full content inlined - only its
+ *   size and title are recorded.
+ * - /ai.txt (Spawning): robots.txt syntax describing which media types may
+ *   be used for AI training; evaluated with the shared robots.txt engine.
+ *
+ * Link validation compares llms.txt links with known page statuses (HEAD
+ * checks for a single page, crawled pages for a site crawl).
+ */
+
+import { RobotsTxt } from './robotsTxt.js';
+
+/**
+ * Sample paths per media type for ai.txt permission checks
+ */
+const AI_TXT_MEDIA_SAMPLES = {
+  text: ['/page.html', '/document.txt', '/document.pdf'],
+  images: ['/image.jpg', '/image.png', '/image.webp'],
+  audio: ['/audio.mp3', '/audio.wav'],
+  video: ['/video.mp4', '/video.webm'],
+  code: ['/script.js', '/source.py'],
+};
+
+// `- [Title](url)` with optional `: notes`
+const LINK_ITEM = /^[-*+]\s+\[([^\]]+)\]\(([^)\s]+)\)(?:\s*:\s*(.*))?$/;
+
+/**
+ * Detect HTML served in place of a text file (SPA catch-all routes, soft 404s)
+ * @param {string} content - Response body
+ * @param {string} contentType - Content-Type header
+ * @returns {boolean}
+ */
+export const isHtmlResponse = (content, contentType = '') => {
+  if (/text\/html/i.test(contentType)) return true;
+  return /^\s*(<!doctype html|<html|<head|<body)/i.test(content || '');
+};
+
+/**
+ * Comparable form of a URL: no fragment, no trailing slash (except the root)
+ * @param {string} url - Absolute URL
+ * @returns {string|null}
+ */
+export const toUrlKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    const key = parsed.href;
+    return parsed.pathname !== '/' && key.endsWith('/') && !parsed.search ? key.slice(0, -1) : key;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse an llms.txt file
+ *
+ * @param {string} content - File content
+ * @param {string} fileUrl - URL the file was fetched from (resolves relative links)
+ * @returns {Object} { title, summary, details, sections, linkCount, errors, warnings }
+ */
+export const parseLlmsTxt = (content, fileUrl) => {
+  const result = {
+    title: null,
+    summary: null,
+    details: '',
+    sections: [],
+    linkCount: 0,
+    errors: [],
+    warnings: [],
+  };
+
+  const summaryLines = [];
+  const detailLines = [];
+  let section = null;
+  let h1Count = 0;
+  let invalidItems = 0;
+
+  (content || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    if (heading && heading[1].length === 1) {
+      h1Count++;
+      if (h1Count === 1 && !section && result.title === null) result.title = heading[2].trim();
+      return;
+    }
+    if (heading && heading[1].length === 2) {
+      section = { name: heading[2].trim(), optional: /^optional$/i.test(heading[2].trim()), links: [] };
+      result.sections.push(section);
+      return;
+    }
+
+    if (!section) {
+      // The summary is the blockquote right after the title
+      if (line.startsWith('>') && detailLines.length === 0) {
+        summaryLines.push(line.replace(/^>\s?/, ''));
+      } else {
+        detailLines.push(line);
+      }
+      return;
+    }
+
+    const item = line.match(LINK_ITEM);
+    if (item) {
+      let url;
+      try {
+        url = new URL(item[2], fileUrl).href;
+      } catch {
+        invalidItems++;
+        return;
+      }
+      section.links.push({ title: item[1].trim(), url, notes: item[3]?.trim() || null });
+      result.linkCount++;
+    } else if (/^[-*+]\s/.test(line)) {
+      invalidItems++;
+    }
+  });
+
+  result.summary = summaryLines.length > 0 ? summaryLines.join(' ').trim() : null;
+  result.details = detailLines.join('\n');
+
+  if (!result.title) result.errors.push('Missing H1 title (first line should be "# Site or project name")');
+  if (h1Count > 1) result.warnings.push(`${h1Count} H1 headings - only one title is expected`);
+  if (!result.summary) result.warnings.push('No blockquote summary ("> ...") after the title');
+  if (result.sections.length === 0) result.errors.push('No H2 sections with link lists');
+  const emptySections = result.sections.filter(s => s.links.length === 0).map(s => s.name);
+  if (emptySections.length > 0) result.warnings.push(`Sections without links: ${emptySections.join(', ')}`);
+  if (invalidItems > 0) result.warnings.push(`${invalidItems} list item(s) are not "[title](url)" links`);
+
+  return result;
+};
+
+/**
+ * Summarize an llms-full.txt file
+ * @param {string} content - File content
+ * @returns {Object} { title, bytes, wordCount }
+ */
+export const parseLlmsFullTxt = (content) => {
+  const text = content || '';
+  const title = text.match(/^\s*#\s+(.+)$/m);
+  return {
+    title: title ? title[1].trim() : null,
+    bytes: Buffer.byteLength(text),
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+  };
+};
+
+/**
+ * Parse an ai.txt file into AI training permissions per media type
+ * @param {string} content - File content
+ * @returns {Object} { permissions: { text, images, audio, video, code }, disallowsAll, allowsAll, ruleCount }
+ */
+export const parseAiTxt = (content) => {
+  const robots = new RobotsTxt(content);
+  const permissions = {};
+
+  for (const [media, samples] of Object.entries(AI_TXT_MEDIA_SAMPLES)) {
+    permissions[media] = samples.every(path => robots.isAllowed('*', path));
+  }
+
+  const values = Object.values(permissions);
+  return {
+    permissions,
+    disallowsAll: values.every(allowed => !allowed),
+    allowsAll: values.every(Boolean),
+    ruleCount: robots.getRules('*').length,
+  };
+};
+
+/**
+ * Validate llms.txt links against known page statuses
+ *
+ * @param {Object} parsed - parseLlmsTxt result
+ * @param {string} siteUrl - Any URL on the audited site
+ * @param {Map<string, number>} statuses - toUrlKey(url) -> HTTP status (0 = request failed)
+ * @returns {Object} { total, sameOrigin, external, ok, broken, unchecked }
+ */
+export const validateLlmsLinks = (parsed, siteUrl, statuses = new Map()) => {
+  const origin = new URL(siteUrl).origin;
+  const result = { total: 0, sameOrigin: 0, external: 0, ok: 0, broken: [], unchecked: 0 };
+
+  for (const section of parsed.sections) {
+    for (const link of section.links) {
+      result.total++;
+      if (new URL(link.url).origin !== origin) {
+        result.external++;
+        continue;
+      }
+
+      result.sameOrigin++;
+      const statusCode = statuses.get(toUrlKey(link.url));
+      if (statusCode === undefined) {
+        result.unchecked++;
+      } else if (statusCode >= 200 && statusCode < 400) {
+        result.ok++;
+      } else {
+        result.broken.push({ url: link.url, title: link.title, section: section.name, statusCode });
+      }
+    }
+  }
+
+  return result;
+};
+
+export default {
+  isHtmlResponse,
+  toUrlKey,
+  parseLlmsTxt,
+  parseLlmsFullTxt,
+  parseAiTxt,
+  validateLlmsLinks,
+};
@@ -0,0 +1,405 @@
+/**
+ * Product Identifier Utility Module
+ *
+ * Validates the identifiers AI shopping engines use to match a product across
+ * retailers:
+ * - GTIN-8/12/13/14 (EAN, UPC, ITF-14) check digits and lengths
+ * - ISBN-10 / ISBN-13 for books
+ * - GS1 company prefix -> country of the issuing GS1 member organization
+ *   (where the brand licensed the number, not where the product was made)
+ * - MPN + brand pairing (an MPN is only unique within a manufacturer)
+ * - Identifiers shared by several variants of a ProductGroup
+ *
+ * Values are normalized before checking: whitespace and dashes are removed
+ * and GS1 Digital Link URLs (https://id.gs1.org/01/<gtin>) are unwrapped.
+ */
+
+import { asArray } from './entityGraph.js';
+
+// schema.org properties holding a GTIN, with the length each one implies
+export const GTIN_PROPERTIES = {
+  gtin: null,
+  gtin8: 8,
+  gtin12: 12,
+  gtin13: 13,
+  gtin14: 14,
+};
+
+const GTIN_FORMATS = {
+  8: 'GTIN-8 (EAN-8)',
+  12: 'GTIN-12 (UPC-A)',
+  13: 'GTIN-13 (EAN-13)',
+  14: 'GTIN-14',
+};
+
+// ProductGroup properties that describe the group, not each variant
+const GROUP_ONLY_PROPERTIES = ['hasVariant', 'productGroupID', 'variesBy'];
+
+/**
+ * GS1 prefixes (first three digits of the 13-digit form), from GS1's list of
+ * member organization prefixes. `restricted` ranges are for in-store or
+ * internal numbering and never identify a product globally.
+ */
+const GS1_PREFIXES = [
+  [0, 19, 'United States & Canada'],
+  [20, 29, 'Restricted circulation (in-store numbers)', 'restricted'],
+  [30, 39, 'United States (drugs)'],
+  [40, 49, 'Restricted circulation (company internal)', 'restricted'],
+  [50, 59, 'Coupons', 'restricted'],
+  [60, 139, 'United States & Canada'],
+  [200, 299, 'Restricted circulation (in-store numbers)', 'restricted'],
+  [300, 379, 'France & Monaco'],
+  [380, 380, 'Bulgaria'],
+  [383, 383, 'Slovenia'],
+  [385, 385, 'Croatia'],
+  [387, 387, 'Bosnia and Herzegovina'],
+  [389, 389, 'Montenegro'],
+  [400, 440, 'Germany'],
+  [450, 459, 'Japan'],
+  [460, 469, 'Russia'],
+  [470, 470, 'Kyrgyzstan'],
+  [471, 471, 'Taiwan'],
+  [474, 474, 'Estonia'],
+  [475, 475, 'Latvia'],
+  [476, 476, 'Azerbaijan'],
+  [477, 477, 'Lithuania'],
+  [478, 478, 'Uzbekistan'],
+  [479, 479, 'Sri Lanka'],
+  [480, 480, 'Philippines'],
+  [481, 481, 'Belarus'],
+  [482, 482, 'Ukraine'],
+  [484, 484, 'Moldova'],
+  [485, 485, 'Armenia'],
+  [486, 486, 'Georgia'],
+  [487, 487, 'Kazakhstan'],
+  [488, 488, 'Tajikistan'],
+  [489, 489, 'Hong Kong'],
+  [490, 499, 'Japan'],
+  [500, 509, 'United Kingdom'],
+  [520, 521, 'Greece'],
+  [528, 528, 'Lebanon'],
+  [529, 529, 'Cyprus'],
+  [530, 530, 'Albania'],
+  [531, 531, 'North Macedonia'],
+  [535, 535, 'Malta'],
+  [539, 539, 'Ireland'],
+  [540, 549, 'Belgium & Luxembourg'],
+  [560, 560, 'Portugal'],
+  [569, 569, 'Iceland'],
+  [570, 579, 'Denmark, Faroe Islands & Greenland'],
+  [590, 590, 'Poland'],
+  [594, 594, 'Romania'],
+  [599, 599, 'Hungary'],
+  [600, 601, 'South Africa'],
+  [603, 603, 'Ghana'],
+  [604, 604, 'Senegal'],
+  [608, 608, 'Bahrain'],
+  [609, 609, 'Mauritius'],
+  [611, 611, 'Morocco'],
+  [613, 613, 'Algeria'],
+  [615, 615, 'Nigeria'],
+  [616, 616, 'Kenya'],
+  [618, 618, 'Ivory Coast'],
+  [619, 619, 'Tunisia'],
+  [620, 620, 'Tanzania'],
+  [621, 621, 'Syria'],
+  [622, 622, 'Egypt'],
+  [624, 624, 'Libya'],
+  [625, 625, 'Jordan'],
+  [626, 626, 'Iran'],
+  [627, 627, 'Kuwait'],
+  [628, 628, 'Saudi Arabia'],
+  [629, 629, 'United Arab Emirates'],
+  [640, 649, 'Finland'],
+  [690, 699, 'China'],
+  [700, 709, 'Norway'],
+  [729, 729, 'Israel'],
+  [730, 739, 'Sweden'],
+  [740, 740, 'Guatemala'],
+  [741, 741, 'El Salvador'],
+  [742, 742, 'Honduras'],
+  [743, 743, 'Nicaragua'],
+  [744, 744, 'Costa Rica'],
+  [745, 745, 'Panama'],
+  [746, 746, 'Dominican Republic'],
+  [750, 750, 'Mexico'],
+  [754, 755, 'Canada'],
+  [759, 759, 'Venezuela'],
+  [760, 769, 'Switzerland & Liechtenstein'],
+  [770, 771, 'Colombia'],
+  [773, 773, 'Uruguay'],
+  [775, 775, 'Peru'],
+  [777, 777, 'Bolivia'],
+  [778, 779, 'Argentina'],
+  [780, 780, 'Chile'],
+  [784, 784, 'Paraguay'],
+  [786, 786, 'Ecuador'],
+  [789, 790, 'Brazil'],
+  [800, 839, 'Italy, San Marino & Vatican City'],
+  [840, 849, 'Spain & Andorra'],
+  [850, 850, 'Cuba'],
+  [858, 858, 'Slovakia'],
+  [859, 859, 'Czechia'],
+  [860, 860, 'Serbia'],
+  [865, 865, 'Mongolia'],
+  [867, 867, 'North Korea'],
+  [868, 869, 'Turkey'],
+  [870, 879, 'Netherlands'],
+  [880, 880, 'South Korea'],
+  [884, 884, 'Cambodia'],
+  [885, 885, 'Thailand'],
+  [888, 888, 'Singapore'],
+  [890, 890, 'India'],
+  [893, 893, 'Vietnam'],
+  [896, 896, 'Pakistan'],
+  [899, 899, 'Indonesia'],
+  [900, 919, 'Austria'],
+  [930, 939, 'Australia'],
+  [940, 949, 'New Zealand'],
+  [950, 950, 'GS1 Global Office'],
+  [955, 955, 'Malaysia'],
+  [958, 958, 'Macau'],
+  [977, 977, 'Serial publications (ISSN)'],
+  [978, 979, 'Bookland (ISBN)'],
+  [980, 980, 'Refund receipts', 'restricted'],
+  [981, 984, 'Coupons', 'restricted'],
+  [990, 999, 'Coupons', 'restricted'],
+];
+
+/**
+ * Strip whitespace and dashes; unwrap GS1 Digital Link URLs
+ * @param {*} value - Raw identifier value
+ * @returns {string}
+ */
+export const normalizeIdentifier = (value) => {
+  const text = String(value ?? '').trim();
+  const digitalLink = text.match(/^https?:\/\/\S*?\/01\/(\d{8,14})(?:[/?#]|$)/);
+  if (digitalLink) return digitalLink[1];
+  return text.replace(/[\s-]/g, '');
+};
+
+/**
+ * GS1 mod-10 check digit for a GTIN without its check digit
+ * Weights alternate 3, 1, 3... from the rightmost digit, so the same
+ * function serves every GTIN length
+ * @param {string} body - Digits preceding the check digit
+ * @returns {number}
+ */
+export const gtinCheckDigit = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validate a GTIN-8/12/13/14
+ * @param {*} value - Identifier value (string, number or Digital Link URL)
+ * @returns {Object} { value, normalized, valid, format, reason, expectedCheckDigit }
+ */
+export const validateGtin = (value) => {
+  const normalized = normalizeIdentifier(value);
+  const result = { value, normalized, valid: false, format: null, reason: null, expectedCheckDigit: null };
+
+  if (!/^\d+$/.test(normalized)) {
+    result.reason = 'contains non-digit characters';
+    return result;
+  }
+  if (!GTIN_FORMATS[normalized.length]) {
+    result.reason = `wrong length (${normalized.length} digits; GTINs have 8, 12, 13 or 14)`;
+    // JSON numbers lose the leading zero of most UPCs
+    if (typeof value === 'number') result.reason += ' - written as a JSON number, leading zeros are lost';
+    return result;
+  }
+  if (/^0+$/.test(normalized)) {
+    result.reason = 'all zeros';
+    return result;
+  }
+
+  result.format = GTIN_FORMATS[normalized.length];
+  const expected = gtinCheckDigit(normalized.slice(0, -1));
+  if (Number(normalized.slice(-1)) !== expected) {
+    result.reason = `check digit should be ${expected}`;
+    result.expectedCheckDigit = expected;
+    return result;
+  }
+
+  result.valid = true;
+  return result;
+};
+
+/**
+ * Validate an ISBN-10 (mod 11, X = 10) or ISBN-13 (Bookland GTIN-13)
+ * @param {*} value - ISBN with or without dashes
+ * @returns {Object} { value, normalized, valid, format, reason }
+ */
+export const validateIsbn = (value) => {
+  const normalized = normalizeIdentifier(value).replace(/^ISBN(?:-?1[03])?:?/i, '').toUpperCase();
+  const result = { value, normalized, valid: false, format: null, reason: null };
+
+  if (/^\d{9}[\dX]$/.test(normalized)) {
+    result.format = 'ISBN-10';
+    const sum = [...normalized].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+    result.valid = sum % 11 === 0;
+    if (!result.valid) result.reason = 'check digit does not match';
+    return result;
+  }
+
+  if (/^\d{13}$/.test(normalized)) {
+    result.format = 'ISBN-13';
+    if (!/^97[89]/.test(normalized)) {
+      result.reason = 'ISBN-13 must start with 978 or 979';
+      return result;
+    }
+    const gtin = validateGtin(normalized);
+    result.valid = gtin.valid;
+    result.reason = gtin.reason;
+    return result;
+  }
+
+  result.reason = 'not 10 or 13 characters';
+  return result;
+};
+
+/**
+ * GS1 prefix lookup for a valid GTIN
+ * GTIN-12 and GTIN-14 are read in their 13-digit form; GTIN-8 uses a
+ * separate prefix space and isn't mapped
+ * @param {string} gtin - Normalized GTIN
+ * @returns {Object|null} { prefix, country, restricted }
+ */
+export const gs1Prefix = (gtin) => {
+  let digits = String(gtin || '');
+  if (digits.length === 12) digits = `0${digits}`;
+  else if (digits.length === 14) digits = digits.slice(1);
+  if (digits.length !== 13) return null;
+
+  const prefix = Number(digits.slice(0, 3));
+  const match = GS1_PREFIXES.find(([start, end]) => prefix >= start && prefix <= end);
+  if (!match) return { prefix: digits.slice(0, 3), country: null, restricted: false };
+  return { prefix: digits.slice(0, 3), country: match[2], restricted: match[3] === 'restricted' };
+};
+
+/**
+ * Identifier values of an entity, flattened to { property, value } pairs
+ */
+const identifierValues = (entity, properties) => properties.flatMap(property =>
+  asArray(entity?.[property])
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .filter(value => String(value).trim() !== '')
+    .map(value => ({ property, value })),
+);
+
+/**
+ * Identifiers shared by more than one variant
+ * GTINs are compared in their 14-digit form (a UPC and its zero-padded
+ * EAN are the same number)
+ * @param {Array<Object>} variants - Variant products
+ * @returns {Array<Object>} [{ identifier, value, variants }] - variants are indexes
+ */
+export const findDuplicateIdentifiers = (variants) => {
+  const seen = new Map();
+  asArray(variants).forEach((variant, index) => {
+    const values = [
+      ...identifierValues(variant, Object.keys(GTIN_PROPERTIES)).map(({ value }) => {
+        const normalized = normalizeIdentifier(value);
+        const key = /^\d+$/.test(normalized) ? normalized.padStart(14, '0') : normalized;
+        return { identifier: 'gtin', key, value: normalized };
+      }),
+      ...identifierValues(variant, ['sku']).map(({ value }) => ({ identifier: 'sku', key: String(value).trim(), value: String(value).trim() })),
+    ];
+    for (const { identifier, key: id, value } of values) {
+      const key = `${identifier}:${id}`;
+      if (!seen.has(key)) seen.set(key, { identifier, value, variants: [] });
+      const entry = seen.get(key);
+      if (!entry.variants.includes(index)) entry.variants.push(index);
+    }
+  });
+  return [...seen.values()].filter(entry => entry.variants.length > 1);
+};
+
+/**
+ * Validate every identifier of a product and its variants
+ * Variants inherit the group's brand; `extracted` adds identifiers the
+ * scraper found outside structured data
+ *
+ * @param {Object|null} product - Embedded Product / ProductGroup
+ * @param {Object} options - Options
+ * @param {Object} options.extracted - WebScraper productData ({ gtin, sku, mpn, brand })
+ * @returns {Object} Identifier report
+ */
+export const analyzeProductIdentifiers = (product, options = {}) => {
+  const extracted = options.extracted || {};
+  const variants = asArray(product?.hasVariant).filter(variant => variant && typeof variant === 'object');
+  const group = {};
+  for (const [key, value] of Object.entries(product || {})) {
+    if (!GROUP_ONLY_PROPERTIES.includes(key)) group[key] = value;
+  }
+  const products = product ? [{ entity: product, path: '' }] : [];
+  variants.forEach((variant, i) => products.push({ entity: { ...group, ...variant }, path: `hasVariant[${i}].` }));
+
+  const gtins = [];
+  const isbns = [];
+  const mpnWithoutBrand = [];
+  let hasSku = Boolean(extracted.sku);
+  let hasMpn = Boolean(extracted.mpn);
+
+  for (const { entity, path } of products) {
+    for (const { property, value } of identifierValues(entity, Object.keys(GTIN_PROPERTIES))) {
+      // Inherited group values are reported once, on the group
+      if (path && variants.length && product[property] === entity[property]) continue;
+      const result = validateGtin(value);
+      const declaredLength = GTIN_PROPERTIES[property];
+      gtins.push({
+        ...result,
+        path: `${path}${property}`,
+        lengthMismatch: Boolean(result.valid && declaredLength && result.normalized.length !== declaredLength),
+        gs1: result.valid ? gs1Prefix(result.normalized) : null,
+      });
+    }
+    for (const { property, value } of identifierValues(entity, ['isbn'])) {
+      isbns.push({ ...validateIsbn(value), path: `${path}${property}` });
+    }
+    if (identifierValues(entity, ['sku']).length) hasSku = true;
+    if (identifierValues(entity, ['mpn']).length) {
+      hasMpn = true;
+      if (!entity.brand && !extracted.brand) mpnWithoutBrand.push(`${path}mpn`);
+    }
+  }
+
+  // The scraper's GTIN comes from structured data too; only add it when it's new
+  if (extracted.gtin && !gtins.some(gtin => gtin.normalized === normalizeIdentifier(extracted.gtin))) {
+    const result = validateGtin(extracted.gtin);
+    gtins.push({ ...result, path: 'page', lengthMismatch: false, gs1: result.valid ? gs1Prefix(result.normalized) : null });
+  }
+
+  const validGtins = gtins.filter(gtin => gtin.valid && !gtin.gs1?.restricted);
+
+  return {
+    gtins,
+    isbns,
+    validGtins,
+    invalidGtins: gtins.filter(gtin => !gtin.valid),
+    restrictedGtins: gtins.filter(gtin => gtin.gs1?.restricted),
+    invalidIsbns: isbns.filter(isbn => !isbn.valid),
+    hasGtin: validGtins.length > 0,
+    hasSku,
+    hasMpn,
+    mpnWithoutBrand,
+    duplicates: findDuplicateIdentifiers(variants),
+    countries: [...new Set(validGtins.map(gtin => gtin.gs1?.country).filter(Boolean))],
+  };
+};
+
+export default {
+  GTIN_PROPERTIES,
+  normalizeIdentifier,
+  gtinCheckDigit,
+  validateGtin,
+  validateIsbn,
+  gs1Prefix,
+  findDuplicateIdentifiers,
+  analyzeProductIdentifiers,
+};
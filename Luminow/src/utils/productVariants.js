@@ -0,0 +1,316 @@
+/**
+ * Product Variant Utility Module
+ *
+ * Normalizes product variants from every place a page can describe them into
+ * one shape, so the scraper can merge them and analyzers can compare what the
+ * structured data claims with what a shopper can actually select:
+ *
+ * - schema.org ProductGroup.hasVariant (or a Product with several Offers)
+ * - Shopify's embedded product JSON ({{ product | json }}, ShopifyAnalytics meta)
+ * - <select> / radio option pickers in the page
+ *
+ *   {
+ *     id: '40119', name: 'Merino Crew Tee – S / Navy', title: 'S / Navy',
+ *     sku: 'MCT-S-NVY', gtin: '7312345000014', price: '68.00', currency: 'USD',
+ *     availability: 'InStock', image: 'https://...', url: 'https://...',
+ *     options: { size: 'S', color: 'Navy' }, source: 'schema'
+ *   }
+ *
+ * Option names are lowercased ("Size", "options[Size]" and schema.org/size all
+ * become "size"); availability is the short ItemAvailability name.
+ */
+
+import { asArray } from './entityGraph.js';
+import { schemaTermName } from './schemaMarkup.js';
+import { normalizeIdentifier } from './productIdentifiers.js';
+
+// Product properties variants commonly differ by, when variesBy is missing
+const DEFAULT_VARIES_BY = ['color', 'size', 'material', 'pattern', 'suggestedAge', 'suggestedGender'];
+
+const GTIN_FIELDS = ['gtin', 'gtin13', 'gtin12', 'gtin14', 'gtin8'];
+
+/**
+ * Lowercased option name: "options[Size]" / "https://schema.org/size" -> "size"
+ * @param {string} name - Option label, form field name or schema.org property
+ * @returns {string}
+ */
+export const normalizeOptionName = (name) => {
+  const text = String(name || '').trim();
+  const bracketed = text.match(/\[([^\]]+)\]\s*$/);
+  // Themes number radio groups by option position ("Size-1")
+  return schemaTermName(bracketed ? bracketed[1] : text).replace(/-\d+$/, '').toLowerCase().replace(/^colour$/, 'color');
+};
+
+/**
+ * Short ItemAvailability name: "https://schema.org/InStock" -> "InStock"
+ * Booleans (Shopify's `available`) map to InStock / OutOfStock
+ * @param {*} value - Availability value
+ * @returns {string}
+ */
+export const normalizeAvailability = (value) => {
+  if (value === true) return 'InStock';
+  if (value === false) return 'OutOfStock';
+  return value ? schemaTermName(value) : '';
+};
+
+// ItemAvailability values a shopper can buy
+const PURCHASABLE = ['InStock', 'LimitedAvailability', 'OnlineOnly', 'InStoreOnly', 'PreOrder', 'PreSale', 'BackOrder'];
+
+/**
+ * Whether a shopper can buy the variant (compared as a group: a schema
+ * PreOrder and Shopify's `available: true` agree)
+ * @param {string} availability - Short ItemAvailability name
+ * @returns {boolean}
+ */
+export const isPurchasable = availability => PURCHASABLE.includes(availability);
+
+/**
+ * Numeric price for comparisons ("$1,249.00" -> 1249, "1.299,00 €" -> 1299)
+ * When both separators appear the last one is the decimal point; a lone comma
+ * is decimal ("49,90") unless it groups thousands ("1,299")
+ * @param {*} value - Price as extracted
+ * @returns {number|null}
+ */
+export const priceValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const digits = String(value).replace(/[^0-9.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  const decimal = lastComma > lastDot && (lastDot !== -1 || !/^\d{1,3}(,\d{3})+$/.test(digits)) ? ',' : '.';
+  let normalized = digits.split(decimal === ',' ? '.' : ',').join('');
+  // "1.299.000": a repeated separator groups thousands
+  if (normalized.split(decimal).length > 2) normalized = normalized.split(decimal).join('');
+
+  const number = Number(normalized.replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+const firstUrl = (image) => {
+  const first = asArray(image)[0];
+  return text(typeof first === 'object' && first !== null ? first.url || first.contentUrl || first.src : first);
+};
+
+const firstGtin = entity => text(GTIN_FIELDS.map(field => asArray(entity?.[field])[0]).find(Boolean));
+
+/**
+ * Option values of a schema.org variant, keyed by the group's variesBy
+ * properties (or the common ones when variesBy is missing)
+ */
+const schemaOptions = (variant, variesBy) => {
+  const properties = variesBy.length > 0 ? variesBy : DEFAULT_VARIES_BY;
+  const options = {};
+  for (const property of properties) {
+    const value = asArray(variant?.[property])[0];
+    const name = typeof value === 'object' && value !== null ? value.name : value;
+    if (text(name)) options[normalizeOptionName(property)] = text(name);
+  }
+  return options;
+};
+
+const offerFields = (offer) => {
+  const spec = asArray(offer?.priceSpecification)[0];
+  return {
+    price: text(offer?.price ?? offer?.lowPrice ?? spec?.price),
+    currency: text(offer?.priceCurrency || spec?.priceCurrency),
+    availability: normalizeAvailability(offer?.availability),
+  };
+};
+
+/**
+ * Variants declared in structured data: ProductGroup.hasVariant, or a
+ * Product with more than one Offer (one offer per variant)
+ * @param {Object|null} product - Embedded Product / ProductGroup
+ * @returns {Array<Object>} Variants (source 'schema')
+ */
+export const variantsFromSchema = (product) => {
+  if (!product || typeof product !== 'object') return [];
+  const variesBy = asArray(product.variesBy).map(property => schemaTermName(property));
+
+  const variants = asArray(product.hasVariant).filter(variant => variant && typeof variant === 'object');
+  if (variants.length > 0) {
+    return variants.map((variant) => {
+      const offer = asArray(variant.offers).find(o => o && typeof o === 'object');
+      return {
+        id: text(variant['@id']),
+        name: text(variant.name),
+        title: '',
+        sku: text(variant.sku),
+        gtin: firstGtin(variant),
+        ...offerFields(offer),
+        image: firstUrl(variant.image) || firstUrl(product.image),
+        url: text(offer?.url || variant.url),
+        options: schemaOptions(variant, variesBy),
+        source: 'schema',
+      };
+    });
+  }
+
+  const offers = asArray(product.offers).filter(offer => offer && typeof offer === 'object' && offer.price !== undefined);
+  if (offers.length < 2) return [];
+  return offers.map((offer) => {
+    const item = typeof offer.itemOffered === 'object' && offer.itemOffered !== null ? offer.itemOffered : {};
+    return {
+      id: text(offer['@id'] || item['@id']),
+      name: text(item.name || offer.name),
+      title: '',
+      sku: text(offer.sku || item.sku),
+      gtin: firstGtin(offer) || firstGtin(item),
+      ...offerFields(offer),
+      image: firstUrl(item.image || offer.image) || firstUrl(product.image),
+      url: text(offer.url),
+      options: schemaOptions(item, variesBy),
+      source: 'schema',
+    };
+  });
+};
+
+/**
+ * Shopify money: Liquid's `| json` and ShopifyAnalytics give integer cents,
+ * the Storefront API gives decimal strings
+ */
+const shopifyPrice = value => (Number.isInteger(value) ? (value / 100).toFixed(2) : text(value));
+
+/**
+ * Variants from Shopify's product JSON ({{ product | json }}, /products/x.js
+ * or the `product` of ShopifyAnalytics.meta)
+ * @param {Object} json - Parsed JSON (a product, or an object with a `product`)
+ * @param {Object} options - Options
+ * @param {string} options.currency - Shop currency (the product JSON has none)
+ * @returns {Object} { variants, options: [{ name, values }] }
+ */
+export const variantsFromShopifyJson = (json, options = {}) => {
+  const product = json?.product && typeof json.product === 'object' ? json.product : json;
+  const rawVariants = asArray(product?.variants).filter(variant => variant && typeof variant === 'object');
+  if (rawVariants.length === 0) return { variants: [], options: [] };
+
+  // options are strings in Liquid output, { name, values } objects in the AJAX API
+  const optionNames = asArray(product.options).map(option => normalizeOptionName(typeof option === 'object' ? option?.name : option));
+
+  const variants = rawVariants.map((variant) => {
+    const values = [variant.option1, variant.option2, variant.option3];
+    const variantOptions = {};
+    optionNames.forEach((name, i) => {
+      if (name && text(values[i])) variantOptions[name] = text(values[i]);
+    });
+    const title = text(variant.public_title ?? variant.title);
+    return {
+      id: text(variant.id),
+      name: text(variant.name),
+      title: title === 'Default Title' ? '' : title,
+      sku: text(variant.sku),
+      gtin: text(variant.barcode),
+      price: shopifyPrice(variant.price),
+      currency: options.currency || '',
+      availability: variant.available === undefined ? '' : normalizeAvailability(variant.available),
+      image: text(variant.featured_image?.src || variant.featured_image),
+      url: '',
+      options: variantOptions,
+      source: 'shopify',
+    };
+  });
+
+  const optionValues = optionNames.map((name, i) => ({
+    name,
+    values: [...new Set(rawVariants.map(variant => text(variant[`option${i + 1}`])).filter(Boolean))],
+  })).filter(option => option.name && option.values.length > 0);
+
+  return { variants, options: optionValues };
+};
+
+/**
+ * Option values as a comparable signature ("color=navy|size=s")
+ */
+const optionSignature = variant => Object.entries(variant?.options || {})
+  .map(([name, value]) => `${name}=${String(value).toLowerCase()}`)
+  .sort()
+  .join('|');
+
+/**
+ * Platform variant ID: Shopify's numeric id, also found as ?variant= in
+ * structured data offer URLs and @ids
+ */
+const variantId = (variant) => {
+  const param = `${text(variant?.url)} ${text(variant?.id)}`.match(/[?&]variant=(\d+)/);
+  return param ? param[1] : text(variant?.id);
+};
+
+/**
+ * Find the variant describing the same item: by variant ID, SKU, GTIN,
+ * option values, then title
+ * @param {Object} variant - Variant to look up
+ * @param {Array<Object>} candidates - Variants from another source
+ * @returns {Object|null}
+ */
+export const findMatchingVariant = (variant, candidates) => {
+  const list = asArray(candidates);
+  const id = variantId(variant);
+  const sku = text(variant?.sku).toLowerCase();
+  const gtin = normalizeIdentifier(variant?.gtin).replace(/^0+/, '');
+  const signature = optionSignature(variant);
+  const title = text(variant?.title || variant?.name).toLowerCase();
+
+  return (id && list.find(candidate => variantId(candidate) === id))
+    || (sku && list.find(candidate => text(candidate.sku).toLowerCase() === sku))
+    || (gtin && list.find(candidate => normalizeIdentifier(candidate.gtin).replace(/^0+/, '') === gtin))
+    || (signature && list.find(candidate => optionSignature(candidate) === signature))
+    || (title && list.find(candidate => {
+      const other = text(candidate.title || candidate.name).toLowerCase();
+      return other && (other === title || other.endsWith(` ${title}`) || title.endsWith(` ${other}`));
+    }))
+    || null;
+};
+
+/**
+ * Merge variant lists: the first list's entries win, later ones fill in
+ * missing fields or are appended when they match nothing
+ * @param {...Array<Object>} lists - Variant lists in priority order
+ * @returns {Array<Object>} Merged variants with `sources`
+ */
+export const mergeVariants = (...lists) => {
+  const merged = [];
+  for (const list of lists) {
+    for (const variant of asArray(list)) {
+      const existing = findMatchingVariant(variant, merged);
+      if (!existing) {
+        const { source, ...fields } = variant;
+        merged.push({ ...fields, options: { ...variant.options }, sources: [source] });
+        continue;
+      }
+      for (const [key, value] of Object.entries(variant)) {
+        if (key === 'source' || key === 'options') continue;
+        if (!existing[key] && value) existing[key] = value;
+      }
+      existing.options = { ...variant.options, ...existing.options };
+      if (!existing.sources.includes(variant.source)) existing.sources.push(variant.source);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Human-readable variant label for issue messages
+ * @param {Object} variant - Variant
+ * @returns {string}
+ */
+export const variantLabel = variant => text(variant?.title)
+  || Object.values(variant?.options || {}).join(' / ')
+  || text(variant?.sku)
+  || text(variant?.name)
+  || text(variant?.id)
+  || 'variant';
+
+export default {
+  normalizeOptionName,
+  normalizeAvailability,
+  isPurchasable,
+  priceValue,
+  variantsFromSchema,
+  variantsFromShopifyJson,
+  findMatchingVariant,
+  mergeVariants,
+  variantLabel,
+};
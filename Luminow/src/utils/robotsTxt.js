@@ -0,0 +1,295 @@
+/**
+ * robots.txt Utility Module
+ *
+ * RFC 9309 (Robots Exclusion Protocol) parser and matcher, shared by
+ * WebScraper (AI bot access), GEOAnalyzer (per-bot checks) and SiteCrawler.
+ *
+ * Implements:
+ * - Groups: one or more consecutive `user-agent` lines followed by rules;
+ *   rules before the first user-agent line are ignored
+ * - Group selection by case-insensitive product token match; all groups for
+ *   a token are merged; `*` groups apply only when no group matches
+ * - Longest match (most octets in the pattern) wins; Allow wins ties
+ * - `*` wildcard and `$` end-of-path anchor
+ * - Case-sensitive path matching against path + query
+ * - Percent-encoding normalization (unreserved characters decoded,
+ *   non-ASCII encoded as UTF-8) before comparing
+ * - /robots.txt itself is always allowed
+ * - Parsing capped at 500 KiB (the minimum RFC 9309 requires)
+ *
+ * Also exposes the non-group `Sitemap` lines and the de facto `Crawl-delay`
+ * extension (per group).
+ */
+
+const MAX_PARSE_BYTES = 500 * 1024;
+
+// RFC 3986 unreserved characters - the only escapes that are decoded before matching
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+/**
+ * Normalize a path or rule pattern for comparison (RFC 9309 section 2.2.2)
+ * @param {string} value - Path or pattern
+ * @returns {string} Normalized value
+ */
+export const normalizePath = (value) => {
+  // Encode non-ASCII characters as UTF-8 percent-escapes
+  let encoded = '';
+  for (const char of value) {
+    encoded += char.charCodeAt(0) > 0x7f ? encodeURIComponent(char) : char;
+  }
+
+  // Decode escaped unreserved characters, uppercase the hex of the rest
+  return encoded.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return UNRESERVED.test(char) ? char : `%${hex.toUpperCase()}`;
+  });
+};
+
+/**
+ * Match a path against a rule pattern with `*` and trailing `$` support
+ * Tracks every position the pattern could have reached, so it runs in
+ * O(pattern x path) time without backtracking regexes
+ *
+ * @param {string} path - Normalized path (+ query)
+ * @param {string} pattern - Normalized rule pattern
+ * @returns {boolean}
+ */
+export const matchesPattern = (path, pattern) => {
+  let positions = [0];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '$' && i === pattern.length - 1) {
+      return positions.includes(path.length);
+    }
+
+    if (char === '*') {
+      // Wildcard: any position from the earliest reachable one onwards
+      const first = positions[0];
+      positions = [];
+      for (let p = first; p <= path.length; p++) positions.push(p);
+      continue;
+    }
+
+    const next = [];
+    for (const p of positions) {
+      if (p < path.length && path[p] === char) next.push(p + 1);
+    }
+    if (next.length === 0) return false;
+    positions = next;
+  }
+
+  return true;
+};
+
+/**
+ * Reduce a `user-agent` line value to its product token ("FooBot/1.2" -> "foobot")
+ */
+const toProductToken = (value) => value.trim().split(/[\s/]/)[0].toLowerCase();
+
+export class RobotsTxt {
+  /**
+   * Parse robots.txt content
+   * @param {string|null} content - robots.txt body (null/empty = everything allowed)
+   */
+  constructor(content = '') {
+    this.groups = []; // Array<{ userAgents: string[], rules: Array<{ type, pattern, line }>, crawlDelay }>
+    this.sitemaps = [];
+    this.parse(content || '');
+  }
+
+  /**
+   * Robots rules that disallow everything (RFC 9309 section 2.3.1.4: robots.txt
+   * unreachable / 5xx means the crawler should assume complete disallow)
+   */
+  static disallowAll() {
+    return new RobotsTxt('User-agent: *\nDisallow: /');
+  }
+
+  /**
+   * Rules for a robots.txt fetch result (RFC 9309 section 2.3.1)
+   * - 2xx: parse the body
+   * - 4xx / not found: everything allowed
+   * - 5xx: everything disallowed
+   *
+   * @param {number|null} statusCode - HTTP status (null when unknown)
+   * @param {string|null} content - Response body, or null if not found
+   * @returns {RobotsTxt}
+   */
+  static fromResponse(statusCode, content) {
+    if (statusCode >= 500) return RobotsTxt.disallowAll();
+    if (statusCode >= 400 || content === null || content === undefined) return new RobotsTxt('');
+    return new RobotsTxt(content);
+  }
+
+  parse(content) {
+    const text = Buffer.from(content, 'utf-8').subarray(0, MAX_PARSE_BYTES).toString('utf-8')
+      .replace(/^\uFEFF/, '');
+
+    let current = null;
+    let lastWasUserAgent = false;
+
+    text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      const lineNumber = index + 1;
+
+      switch (key) {
+        case 'user-agent':
+          // Consecutive user-agent lines share one group
+          if (!lastWasUserAgent || !current) {
+            current = { userAgents: [], rules: [], crawlDelay: null };
+            this.groups.push(current);
+          }
+          current.userAgents.push(value === '*' ? '*' : toProductToken(value));
+          lastWasUserAgent = true;
+          return;
+
+        case 'allow':
+        case 'disallow':
+          // Empty values match nothing; rules outside a group are ignored
+          if (current && value) {
+            current.rules.push({ type: key, pattern: normalizePath(value), line: lineNumber });
+          }
+          break;
+
+        case 'crawl-delay': {
+          const delay = parseFloat(value);
+          if (current && Number.isFinite(delay) && delay >= 0 && current.crawlDelay === null) {
+            current.crawlDelay = delay;
+          }
+          break;
+        }
+
+        case 'sitemap':
+          // Not part of any group, and doesn't end the current one
+          if (value) this.sitemaps.push(value);
+          return;
+
+        default:
+          // Unknown keys are ignored
+          return;
+      }
+
+      lastWasUserAgent = false;
+    });
+  }
+
+  /**
+   * Groups that apply to a crawler: every group naming its product token,
+   * otherwise every `*` group
+   *
+   * @param {string} userAgent - Product token, e.g. 'GPTBot'
+   * @returns {Object} { groups, match: 'specific' | 'wildcard' | 'none' }
+   */
+  getMatchingGroups(userAgent) {
+    const token = toProductToken(userAgent || '*');
+
+    if (token !== '*') {
+      const specific = this.groups.filter(group => group.userAgents.includes(token));
+      if (specific.length > 0) return { groups: specific, match: 'specific' };
+    }
+
+    const wildcard = this.groups.filter(group => group.userAgents.includes('*'));
+    return wildcard.length > 0
+      ? { groups: wildcard, match: 'wildcard' }
+      : { groups: [], match: 'none' };
+  }
+
+  /**
+   * Merged rules for a crawler
+   * @param {string} userAgent - Product token
+   * @returns {Array<{ type, pattern, line }>}
+   */
+  getRules(userAgent) {
+    return this.getMatchingGroups(userAgent).groups.flatMap(group => group.rules);
+  }
+
+  /**
+   * Evaluate a path for a crawler and explain the decision
+   *
+   * @param {string} userAgent - Product token, e.g. 'GPTBot'
+   * @param {string} pathOrUrl - Absolute URL or path (+ query)
+   * @returns {Object} { allowed, rule: { type, pattern, line } | null, match }
+   */
+  evaluate(userAgent, pathOrUrl) {
+    const path = this.toPath(pathOrUrl);
+    const { groups, match } = this.getMatchingGroups(userAgent);
+
+    if (path === '/robots.txt') {
+      return { allowed: true, rule: null, match };
+    }
+
+    let best = null;
+    for (const rule of groups.flatMap(group => group.rules)) {
+      if (!matchesPattern(path, rule.pattern)) continue;
+      if (!best
+        || rule.pattern.length > best.pattern.length
+        || (rule.pattern.length === best.pattern.length && rule.type === 'allow')) {
+        best = rule;
+      }
+    }
+
+    return {
+      allowed: !best || best.type === 'allow',
+      rule: best,
+      match,
+    };
+  }
+
+  /**
+   * @param {string} userAgent - Product token, e.g. 'GPTBot'
+   * @param {string} pathOrUrl - Absolute URL or path (+ query)
+   * @returns {boolean}
+   */
+  isAllowed(userAgent, pathOrUrl) {
+    return this.evaluate(userAgent, pathOrUrl).allowed;
+  }
+
+  /**
+   * Crawl-delay (seconds) from the groups that apply to a crawler
+   * @param {string} userAgent - Product token
+   * @returns {number|null}
+   */
+  getCrawlDelay(userAgent) {
+    const delays = this.getMatchingGroups(userAgent).groups
+      .map(group => group.crawlDelay)
+      .filter(delay => delay !== null);
+    return delays.length > 0 ? delays[0] : null;
+  }
+
+  /**
+   * Sitemap URLs declared anywhere in the file
+   * @returns {Array<string>}
+   */
+  getSitemaps() {
+    return [...this.sitemaps];
+  }
+
+  /**
+   * Format a rule the way it appears in robots.txt
+   */
+  static formatRule(rule) {
+    return rule ? `${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.pattern}` : null;
+  }
+
+  /**
+   * Path + query of a URL (or a path as given), normalized for matching
+   */
+  toPath(pathOrUrl) {
+    let path = pathOrUrl || '/';
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(path)) {
+      const url = new URL(path);
+      path = url.pathname + url.search;
+    }
+    if (!path.startsWith('/')) path = `/${path}`;
+    return normalizePath(path);
+  }
+}
+
+export default RobotsTxt;
@@ -0,0 +1,285 @@
+/**
+ * Schema Markup Utility Module
+ *
+ * Parsers for the HTML-attribute structured data syntaxes that many Shopify
+ * and WooCommerce themes still emit instead of (or next to) JSON-LD:
+ *
+ * - Microdata (WHATWG): itemscope / itemtype / itemprop / itemid / itemref
+ * - RDFa 1.1 (RDFa Lite plus the common Core attributes): vocab / typeof /
+ *   property / resource / about / prefix / content / datatype
+ *
+ * Both are normalized into the shape JSON.parse gives for JSON-LD, so
+ * analyzers can treat every syntax alike:
+ *
+ *   <div itemscope itemtype="https://schema.org/Product">
+ *     <span itemprop="name">Trail 2</span>
+ *     <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+ *       <meta itemprop="price" content="249.00">
+ *
+ *   -> { '@context': 'https://schema.org', '@type': 'Product', name: 'Trail 2',
+ *        offers: { '@type': 'Offer', price: '249.00' } }
+ *
+ * Repeated properties become arrays, as they would be in JSON-LD. Only
+ * schema.org terms are read from RDFa - Open Graph `property="og:..."` meta
+ * tags use the same attribute and are ignored.
+ */
+
+const SCHEMA_ORG = /^https?:\/\/schema\.org\/?/i;
+
+/**
+ * Display names for the '@syntax' recorded on structuredData items
+ */
+export const SYNTAX_NAMES = {
+  'json-ld': 'JSON-LD',
+  microdata: 'microdata',
+  rdfa: 'RDFa',
+};
+
+// RDFa initial context prefixes relevant here (the full list is mostly non-schema.org vocabularies)
+const RDFA_DEFAULT_PREFIXES = { schema: 'http://schema.org/' };
+
+// Microdata elements whose property value is a URL attribute
+const MICRODATA_URL_ATTRIBUTES = {
+  a: 'href',
+  area: 'href',
+  link: 'href',
+  audio: 'src',
+  embed: 'src',
+  iframe: 'src',
+  img: 'src',
+  source: 'src',
+  track: 'src',
+  video: 'src',
+  object: 'data',
+};
+
+/**
+ * Short name of a vocabulary term
+ * "https://schema.org/Product", "schema:Product" and "Product" all give "Product"
+ * @param {string} term - Type or property IRI, CURIE or name
+ * @returns {string}
+ */
+export const schemaTermName = (term) => String(term).trim().replace(/^.*[/#:]/, '');
+
+const resolveUrl = (value, baseUrl) => {
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch {
+    return value.trim();
+  }
+};
+
+const textOf = $el => $el.text().replace(/\s+/g, ' ').trim();
+
+/**
+ * Add a property value, turning repeated properties into arrays
+ */
+const addValue = (item, name, value) => {
+  if (item[name] === undefined) {
+    item[name] = value;
+  } else if (Array.isArray(item[name])) {
+    item[name].push(value);
+  } else {
+    item[name] = [item[name], value];
+  }
+};
+
+const typeValue = types => (types.length === 1 ? types[0] : types);
+
+/**
+ * Parse all top-level microdata items
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {string} baseUrl - Page URL (resolves src/href values)
+ * @returns {Array<Object>} JSON-LD shaped items
+ */
+export const parseMicrodata = ($, baseUrl) => {
+  const items = [];
+
+  $('[itemscope]').each((_, el) => {
+    // Items with itemprop are property values of another item
+    if ($(el).attr('itemprop') !== undefined) return;
+    const item = readMicrodataItem($, el, baseUrl, new Set());
+    items.push(SCHEMA_ORG.test($(el).attr('itemtype') || '') ? { '@context': 'https://schema.org', ...item } : item);
+  });
+
+  return items;
+};
+
+/**
+ * Read one microdata item: its own subtree (stopping at nested items) plus itemref targets
+ * `seen` guards against itemref cycles
+ */
+const readMicrodataItem = ($, el, baseUrl, seen) => {
+  seen.add(el);
+  const $el = $(el);
+  const item = {};
+
+  const types = ($el.attr('itemtype') || '').split(/\s+/).filter(Boolean).map(schemaTermName);
+  if (types.length > 0) item['@type'] = typeValue(types);
+  const itemid = $el.attr('itemid');
+  if (itemid) item['@id'] = resolveUrl(itemid, baseUrl);
+
+  const collect = (node) => {
+    const $node = $(node);
+    const itemprop = $node.attr('itemprop');
+
+    if (itemprop !== undefined) {
+      let value;
+      if ($node.attr('itemscope') !== undefined) {
+        value = seen.has(node) ? null : readMicrodataItem($, node, baseUrl, seen);
+      } else {
+        value = readMicrodataValue($, node, baseUrl);
+      }
+      if (value !== null) {
+        itemprop.split(/\s+/).filter(Boolean).forEach(name => addValue(item, schemaTermName(name), value));
+      }
+    }
+
+    if ($node.attr('itemscope') === undefined) {
+      $node.children().each((_, child) => collect(child));
+    }
+  };
+
+  $el.children().each((_, child) => collect(child));
+
+  const refs = ($el.attr('itemref') || '').split(/\s+/).filter(Boolean);
+  for (const id of refs) {
+    const target = $('[id]').filter((_, candidate) => $(candidate).attr('id') === id).get(0);
+    if (target && !seen.has(target)) {
+      seen.add(target);
+      collect(target);
+    }
+  }
+
+  return item;
+};
+
+/**
+ * Property value of a non-item microdata element
+ * `content` on other elements isn't in the spec but Google reads it, and themes
+ * rely on it for machine-readable prices (<span itemprop="price" content="249.00">)
+ */
+const readMicrodataValue = ($, node, baseUrl) => {
+  const $node = $(node);
+  const tag = (node.name || '').toLowerCase();
+
+  if (tag === 'meta') return ($node.attr('content') || '').trim();
+  const urlAttribute = MICRODATA_URL_ATTRIBUTES[tag];
+  if (urlAttribute) {
+    const value = $node.attr(urlAttribute);
+    return value ? resolveUrl(value, baseUrl) : '';
+  }
+  if (tag === 'data' || tag === 'meter') return ($node.attr('value') || '').trim();
+  if (tag === 'time' && $node.attr('datetime')) return $node.attr('datetime').trim();
+
+  const content = $node.attr('content');
+  return content !== undefined ? content.trim() : textOf($node);
+};
+
+/**
+ * Parse `prefix="og: https://ogp.me/ns# schema: https://schema.org/"`
+ */
+const parsePrefixes = (value) => {
+  const prefixes = {};
+  const pattern = /([\w-]+):\s+(\S+)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    prefixes[match[1].toLowerCase()] = match[2];
+  }
+  return prefixes;
+};
+
+/**
+ * schema.org term names from a typeof / property attribute
+ * Terms from other vocabularies (og:, dc:, a non-schema.org vocab) are dropped
+ */
+const rdfaSchemaTerms = (value, vocab, prefixes) => {
+  const names = [];
+
+  for (const term of (value || '').split(/\s+/).filter(Boolean)) {
+    if (/^https?:\/\//i.test(term)) {
+      if (SCHEMA_ORG.test(term)) names.push(schemaTermName(term));
+    } else if (term.includes(':')) {
+      const [prefix, reference] = [term.slice(0, term.indexOf(':')), term.slice(term.indexOf(':') + 1)];
+      if (SCHEMA_ORG.test(prefixes[prefix.toLowerCase()] || '') && reference) names.push(reference);
+    } else if (SCHEMA_ORG.test(vocab || '')) {
+      names.push(term);
+    }
+  }
+
+  return names;
+};
+
+/**
+ * Parse all top-level RDFa items (schema.org vocabulary)
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {string} baseUrl - Page URL (resolves href/src/resource values)
+ * @returns {Array<Object>} JSON-LD shaped items
+ */
+export const parseRdfa = ($, baseUrl) => {
+  const items = [];
+
+  const walk = (el, context) => {
+    const $el = $(el);
+    let { vocab, prefixes, subject } = context;
+
+    if ($el.attr('vocab') !== undefined) vocab = $el.attr('vocab') || null;
+    if ($el.attr('prefix')) prefixes = { ...prefixes, ...parsePrefixes($el.attr('prefix')) };
+
+    const properties = rdfaSchemaTerms($el.attr('property'), vocab, prefixes);
+    const typeofAttr = $el.attr('typeof');
+    const types = rdfaSchemaTerms(typeofAttr, vocab, prefixes);
+
+    // typeof="" is an untyped item; typeof="og:Thing" is another vocabulary
+    if (typeofAttr !== undefined && (types.length > 0 || !typeofAttr.trim())) {
+      const isPropertyValue = properties.length > 0 && subject;
+      const item = isPropertyValue ? {} : { '@context': 'https://schema.org' };
+      if (types.length > 0) item['@type'] = typeValue(types);
+      // A typed element's own href/src names the resource unless about/resource does
+      const id = $el.attr('about') ?? $el.attr('resource') ?? $el.attr('href') ?? $el.attr('src');
+      if (id) item['@id'] = resolveUrl(id, baseUrl);
+
+      if (isPropertyValue) {
+        properties.forEach(name => addValue(subject, name, item));
+      } else {
+        items.push(item);
+      }
+      subject = item;
+    } else if (properties.length > 0 && subject) {
+      const value = readRdfaValue($el, baseUrl);
+      properties.forEach(name => addValue(subject, name, value));
+    }
+
+    $el.children().each((_, child) => walk(child, { vocab, prefixes, subject }));
+  };
+
+  $.root().children().each((_, el) => walk(el, { vocab: null, prefixes: RDFA_DEFAULT_PREFIXES, subject: null }));
+
+  return items;
+};
+
+/**
+ * Property value of a non-item RDFa element
+ * content > IRI (resource/href/src, unless a datatype makes it a literal) > datetime > text
+ */
+const readRdfaValue = ($el, baseUrl) => {
+  const content = $el.attr('content');
+  if (content !== undefined) return content.trim();
+
+  if ($el.attr('datatype') === undefined) {
+    const iri = $el.attr('resource') ?? $el.attr('href') ?? $el.attr('src');
+    if (iri !== undefined) return resolveUrl(iri, baseUrl);
+  }
+
+  if ($el.is('time') && $el.attr('datetime')) return $el.attr('datetime').trim();
+  return textOf($el);
+};
+
+export default {
+  SYNTAX_NAMES,
+  schemaTermName,
+  parseMicrodata,
+  parseRdfa,
+};
@@ -0,0 +1,193 @@
+/**
+ * URL List Utility Module
+ *
+ * Turns what people paste or export into a clean list of URLs for batch
+ * analysis:
+ *
+ * - JSON: ["https://...", { url: "https://...", tags: ["shoes", "sale"] }]
+ * - CSV:  with a header row naming a `url` column (and optionally `tags`),
+ *         or headerless - first column the URL, any other columns tags
+ *
+ * Tags may be an array or one string separated by `;`, `|` or `,`.
+ * Rows that aren't http(s) URLs are returned as `rejected` with their row
+ * number; repeated URLs are merged (their tags combined).
+ */
+
+// Column names accepted for the URL and tags in a CSV header
+const URL_COLUMNS = ['url', 'urls', 'link', 'address', 'page', 'page url', 'product url'];
+const TAG_COLUMNS = ['tags', 'tag', 'labels', 'label', 'category', 'group'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * Semicolon-delimited files (spreadsheet exports in many locales) are detected
+ * from the first line
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of trimmed cells (blank rows dropped)
+ */
+export const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Normalize tags from an array or a separated string
+ * @param {*} tags - Tags as given
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[;|,]/);
+  return [...new Set(list.map(tag => String(tag ?? '').trim()).filter(Boolean))];
+};
+
+/**
+ * Entries from parsed CSV rows
+ * @param {Array<Array<string>>} rows - parseCsv() output
+ * @returns {Array<Object>} [{ url, tags, row }]
+ */
+const entriesFromRows = (rows) => {
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const urlColumn = header.findIndex(cell => URL_COLUMNS.includes(cell));
+  const hasHeader = urlColumn !== -1;
+  const tagColumns = hasHeader
+    ? header.map((cell, i) => (TAG_COLUMNS.includes(cell) ? i : -1)).filter(i => i !== -1)
+    : null;
+
+  return rows.slice(hasHeader ? 1 : 0).map((cells, i) => ({
+    url: cells[hasHeader ? urlColumn : 0] || '',
+    // Headerless: every other column is a tag
+    tags: hasHeader
+      ? tagColumns.flatMap(column => normalizeTags(cells[column]))
+      : cells.slice(1).flatMap(normalizeTags),
+    row: i + (hasHeader ? 2 : 1), // 1-based, as shown in a spreadsheet
+  }));
+};
+
+/**
+ * Build a validated, de-duplicated URL list
+ *
+ * @param {Object} input - Input
+ * @param {Array} input.urls - JSON list of URL strings or { url, tags } objects
+ * @param {string} input.csv - CSV text
+ * @param {Object} options - Options
+ * @param {number} options.maxUrls - Reject the rest beyond this many URLs
+ * @returns {Object} { entries: [{ url, tags, row }], rejected: [{ row, value, reason }], duplicates }
+ *   (row: 1-based CSV row or list position of the URL's first occurrence)
+ */
+export const parseUrlList = (input = {}, options = {}) => {
+  const maxUrls = options.maxUrls || Infinity;
+
+  const raw = input.csv !== undefined && input.csv !== null
+    ? entriesFromRows(parseCsv(input.csv))
+    : (Array.isArray(input.urls) ? input.urls : []).map((item, i) => ({
+      url: typeof item === 'object' && item !== null ? item.url : item,
+      tags: normalizeTags(typeof item === 'object' && item !== null ? item.tags : []),
+      row: i + 1,
+    }));
+
+  const entries = [];
+  const byUrl = new Map();
+  const rejected = [];
+  let duplicates = 0;
+
+  for (const { url, tags, row } of raw) {
+    const value = typeof url === 'string' ? url.trim() : '';
+    let parsed = null;
+    try {
+      parsed = new URL(value);
+    } catch {
+      // Reported below
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      rejected.push({ row, value: value || String(url ?? ''), reason: value ? 'Not an http(s) URL' : 'Missing URL' });
+      continue;
+    }
+
+    const existing = byUrl.get(parsed.href);
+    if (existing) {
+      duplicates++;
+      existing.tags = normalizeTags([...existing.tags, ...tags]);
+      continue;
+    }
+
+    if (entries.length >= maxUrls) {
+      rejected.push({ row, value, reason: `Over the ${maxUrls} URL limit` });
+      continue;
+    }
+
+    const entry = { url: parsed.href, tags, row };
+    byUrl.set(parsed.href, entry);
+    entries.push(entry);
+  }
+
+  return { entries, rejected, duplicates };
+};
+
+/**
+ * Extract the first uploaded file (or `csv` field) from a multipart/form-data body
+ * @param {string} body - Raw request body
+ * @param {string} contentType - Content-Type header (carries the boundary)
+ * @returns {string|null} File content
+ */
+export const csvFromMultipart = (body, contentType) => {
+  const boundary = String(contentType || '').match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary || typeof body !== 'string') return null;
+
+  const parts = body.split(`--${boundary[1] || boundary[2]}`).slice(1, -1);
+  for (const part of parts) {
+    const split = part.indexOf('\r\n\r\n');
+    if (split === -1) continue;
+    const headers = part.slice(0, split);
+    if (/filename=|name="?csv"?/i.test(headers)) {
+      return part.slice(split + 4).replace(/\r\n$/, '');
+    }
+  }
+  return null;
+};
+
+export default {
+  parseCsv,
+  normalizeTags,
+  parseUrlList,
+  csvFromMultipart,
+};
@@ -0,0 +1,207 @@
+/**
+ * API keys: hashed storage, revocation, daily quotas, rate limits, and the
+ * auth middleware's 401 / 403 / 429 responses
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { ApiKeyStore, hashApiKey } from '../src/security/apiKeys.js';
+import { RateLimiter } from '../src/security/rateLimiter.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luminow-keys-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const storeIn = (name, options = {}) => new ApiKeyStore({
+  keysFile: path.join(tempDir, `${name}-keys.json`),
+  usageFile: path.join(tempDir, `${name}-usage.json`),
+  defaultRateLimit: { requests: 60, windowMs: 60000 },
+  defaultDailyQuota: 500,
+  ...options,
+});
+
+describe('ApiKeyStore', () => {
+  test('stores only the hash and authenticates the raw key', async () => {
+    const store = storeIn('hash');
+    const { key, record } = await store.create({ name: 'agency', scopes: ['analyze'] });
+
+    const file = await fs.readFile(store.options.keysFile, 'utf-8');
+    assert.ok(!file.includes(key));
+    assert.ok(file.includes(hashApiKey(key)));
+    assert.ok(key.startsWith(record.prefix));
+
+    assert.equal((await store.authenticate(key)).id, record.id);
+    assert.equal(await store.authenticate(`${key}x`), null);
+    assert.equal(await store.authenticate(''), null);
+  });
+
+  test('rejects unknown scopes', async () => {
+    await assert.rejects(storeIn('scopes').create({ name: 'x', scopes: ['analyze', 'admin'] }), /Unknown scope\(s\): admin/);
+  });
+
+  test('revoked keys no longer authenticate, including in another instance', async () => {
+    const server = storeIn('revoke', { reloadInterval: 0 });
+    const cli = storeIn('revoke');
+    const { key, record } = await cli.create({ name: 'temp' });
+    assert.ok(await server.authenticate(key));
+
+    await cli.revoke(record.prefix);
+    assert.equal(await server.authenticate(key), null);
+    assert.equal(await server.hasKeys(), false);
+    assert.equal(await server.hasIssuedKeys(), true);
+  });
+
+  test('daily quota takes all requested units or none', async () => {
+    const store = storeIn('quota');
+    const { record } = await store.create({ name: 'small', dailyQuota: 5 });
+
+    assert.equal((await store.consume(record, 3)).remaining, 2);
+    const refused = await store.consume(record, 3);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 2);
+    assert.ok(refused.resetAt > Date.now());
+    assert.equal((await store.consume(record, 2)).allowed, true);
+
+    await store.flushUsage();
+    const reloaded = storeIn('quota');
+    assert.deepEqual(await reloaded.usageToday(), { [record.id]: 5 });
+    assert.equal((await reloaded.consume(record, 1)).allowed, false);
+  });
+
+  test('refunds give back units taken today', async () => {
+    const store = storeIn('refund');
+    const { record } = await store.create({ name: 'refund', dailyQuota: 2 });
+    await store.consume(record, 2);
+    await store.refund(record, 1);
+    assert.equal((await store.consume(record, 1)).remaining, 0);
+    await store.refund(record, 5);
+    assert.deepEqual(await store.usageToday(), { [record.id]: 0 });
+  });
+
+  test('a quota of 0 is unlimited', async () => {
+    const store = storeIn('unlimited');
+    const { record } = await store.create({ name: 'internal', dailyQuota: 0 });
+    const result = await store.consume(record, 10000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, null);
+  });
+});
+
+describe('RateLimiter', () => {
+  test('allows `requests` per window, then reports when it resets', () => {
+    const limiter = new RateLimiter();
+    const limit = { requests: 2, windowMs: 60000 };
+    assert.equal(limiter.hit('a', limit).remaining, 1);
+    assert.equal(limiter.hit('a', limit).remaining, 0);
+    const refused = limiter.hit('a', limit);
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.resetAt > Date.now());
+    // Other clients have their own window
+    assert.equal(limiter.hit('b', limit).allowed, true);
+  });
+
+  test('starts a new window once the old one has passed', async () => {
+    const limiter = new RateLimiter();
+    const limit = { requests: 1, windowMs: 20 };
+    limiter.hit('a', limit);
+    assert.equal(limiter.hit('a', limit).allowed, false);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(limiter.hit('a', limit).allowed, true);
+  });
+});
+
+describe('auth middleware', () => {
+  let server;
+  let baseUrl;
+  let keys;
+  let store;
+
+  before(async () => {
+    process.env.API_KEYS_FILE = path.join(tempDir, 'server-keys.json');
+    process.env.API_KEY_USAGE_FILE = path.join(tempDir, 'server-usage.json');
+    delete process.env.API_AUTH;
+
+    const { authenticate, requireScope, chargeQuota } = await import('../server/middleware/auth.js');
+    const { getApiKeyStore } = await import('../src/security/apiKeys.js');
+    store = getApiKeyStore();
+
+    const app = express();
+    app.use('/api', authenticate);
+    app.post('/api/analyze', requireScope('analyze', { quota: 1 }), (req, res) => res.json({ ok: true }));
+    app.get('/api/results', requireScope('results:read'), (req, res) => res.json({ ok: true }));
+    app.post('/api/invalid', requireScope('analyze', { quota: 1 }), (req, res) => res.status(400).json({ error: 'Invalid' }));
+    app.post('/api/busy', requireScope('analyze'), async (req, res) => {
+      if (await chargeQuota(req, res, 1)) res.status(503).json({ error: 'Job queue is full' });
+    });
+    await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Open until the first key is issued
+    assert.equal((await fetch(`${baseUrl}/api/results`)).status, 200);
+
+    keys = {
+      analyst: (await store.create({ name: 'analyst', scopes: ['analyze'], dailyQuota: 2 })).key,
+      reader: (await store.create({ name: 'reader', scopes: ['results:read'], rateLimit: { requests: 2, windowMs: 60000 } })).key,
+      checker: (await store.create({ name: 'checker', scopes: ['analyze'], dailyQuota: 1 })).key,
+    };
+  });
+
+  after(() => {
+    server?.close();
+    delete process.env.API_KEYS_FILE;
+    delete process.env.API_KEY_USAGE_FILE;
+  });
+
+  test('answers 401 without a valid key', async () => {
+    const missing = await fetch(`${baseUrl}/api/results`);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+
+    const wrong = await fetch(`${baseUrl}/api/results`, { headers: { 'X-API-Key': 'lmn_nope' } });
+    assert.equal((await wrong.json()).error, 'Invalid API key');
+  });
+
+  test('answers 403 when the key lacks the scope', async () => {
+    const response = await fetch(`${baseUrl}/api/results`, { headers: { Authorization: `Bearer ${keys.analyst}` } });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).required, 'results:read');
+  });
+
+  test('answers 429 with Retry-After past the rate limit', async () => {
+    const get = () => fetch(`${baseUrl}/api/results`, { headers: { 'X-API-Key': keys.reader } });
+    assert.equal((await get()).headers.get('ratelimit-remaining'), '1');
+    assert.equal((await get()).status, 200);
+    const limited = await get();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await limited.json()).error, 'Rate limit exceeded');
+  });
+
+  test('answers 429 once the daily quota is used up', async () => {
+    const post = () => fetch(`${baseUrl}/api/analyze`, { method: 'POST', headers: { 'X-API-Key': keys.analyst } });
+    assert.equal((await post()).headers.get('x-quota-remaining'), '1');
+    assert.equal((await post()).status, 200);
+    const exhausted = await post();
+    assert.equal(exhausted.status, 429);
+    assert.equal((await exhausted.json()).error, 'Daily quota exceeded');
+    assert.ok(Number(exhausted.headers.get('retry-after')) <= 24 * 60 * 60);
+  });
+
+  test('gives back the quota of requests that fail', async () => {
+    const post = route => fetch(`${baseUrl}/api/${route}`, { method: 'POST', headers: { 'X-API-Key': keys.checker } });
+    assert.equal((await post('invalid')).status, 400);
+    assert.equal((await post('invalid')).status, 400);
+    assert.equal((await post('busy')).status, 503);
+    const accepted = await post('analyze');
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.headers.get('x-quota-remaining'), '0');
+  });
+
+  test('stays closed once every key has been revoked', async () => {
+    for (const record of await store.list()) await store.revoke(record.id);
+    assert.equal((await fetch(`${baseUrl}/api/results`)).status, 401);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * BotAccessProbe: edge blocks, challenge pages and cloaking per AI bot, an
+ * inconclusive probe when the browser baseline is refused too, and how
+ * GEOAnalyzer scores each case
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotAccessProbe, AI_BOT_USER_AGENTS } from '../src/scrapers/botAccessProbe.js';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+
+const PAGE_URL = 'https://shop.example/products/shirt';
+const PAGE = '<html><head><title>Linen Shirt</title></head><body><h1>Linen Shirt</h1><p>Breathable linen, cut for summer.</p></body></html>';
+const CHALLENGE = '<html><head><title>Just a moment...</title></head><body>Checking your browser</body></html>';
+
+/**
+ * Scraper whose fetchStatic answers per user agent
+ * @param {Function} respond - (botName | 'browser') => { statusCode, html, headers }
+ */
+const scraperFor = (respond) => {
+  const scraper = new WebScraper({ urlPolicy: null });
+  scraper.fetchStatic = async (url, options = {}) => {
+    const bot = options.userAgent
+      ? Object.entries(AI_BOT_USER_AGENTS).find(([, agent]) => agent === options.userAgent)[0]
+      : 'browser';
+    return { headers: {}, finalUrl: url, redirects: [], ...respond(bot) };
+  };
+  return scraper;
+};
+
+const probe = respond => new BotAccessProbe({ scraper: scraperFor(respond) }).probe(PAGE_URL);
+
+// robots.txt allows everything, so only the live fetch can block a bot
+const crawlAccess = botAccess => new GEOAnalyzer().analyzeAICrawlAccess({
+  url: PAGE_URL,
+  statusCode: 200,
+  robotsTxt: { found: true, statusCode: 200, content: 'User-agent: *\nAllow: /', aiBotAccess: {} },
+  botAccess,
+});
+
+describe('BotAccessProbe', () => {
+  test('finds bots refused at the edge and bots served different content', async () => {
+    const result = await probe((bot) => {
+      if (bot === 'GPTBot') return { statusCode: 403, html: 'Forbidden' };
+      if (bot === 'ClaudeBot') return { statusCode: 200, html: CHALLENGE };
+      if (bot === 'PerplexityBot') return { statusCode: 200, html: PAGE.replaceAll('Linen Shirt', 'Cotton Shirt') };
+      return { statusCode: 200, html: PAGE };
+    });
+
+    assert.equal(result.available, true);
+    assert.deepEqual(result.unreachable, ['GPTBot', 'ClaudeBot']);
+    assert.equal(result.bots.GPTBot.blockedBy, 'status');
+    assert.equal(result.bots.ClaudeBot.challenge, 'Cloudflare');
+    assert.deepEqual(result.differentContent, ['PerplexityBot']);
+    assert.deepEqual(result.bots.PerplexityBot.differences.map(d => d.field), ['title', 'h1']);
+    assert.match(result.summary, /GPTBot blocked \(HTTP 403\); ClaudeBot blocked \(Cloudflare challenge\); PerplexityBot served different content/);
+  });
+
+  test('is inconclusive when the browser baseline is challenged', async () => {
+    let botFetches = 0;
+    const result = await probe((bot) => {
+      if (bot !== 'browser') botFetches++;
+      return { statusCode: 403, html: CHALLENGE, headers: { 'cf-mitigated': 'challenge' } };
+    });
+
+    assert.equal(result.available, false);
+    assert.match(result.reason, /^Inconclusive: the browser baseline fetch got a Cloudflare challenge/);
+    assert.equal(botFetches, 0);
+  });
+
+  test('is inconclusive when the browser baseline is not 2xx', async () => {
+    const result = await probe(() => ({ statusCode: 503, html: 'Maintenance' }));
+    assert.equal(result.available, false);
+    assert.match(result.reason, /HTTP 503/);
+  });
+});
+
+describe('GEOAnalyzer live bot fetch', () => {
+  test('zeroes bots refused at the edge despite robots.txt', async () => {
+    const botAccess = await probe(bot => (bot === 'OAI-SearchBot'
+      ? { statusCode: 403, html: 'Forbidden' }
+      : { statusCode: 200, html: PAGE }));
+    const result = crawlAccess(botAccess);
+    assert.equal(result.checks.oaiSearchBot.passed, false);
+    assert.match(result.checks.oaiSearchBot.value, /OAI-SearchBot gets HTTP 403/);
+    assert.equal(result.checks.perplexityBot.passed, true);
+  });
+
+  test('ignores an inconclusive probe', async () => {
+    const botAccess = await probe(() => ({ statusCode: 200, html: CHALLENGE }));
+    const withProbe = crawlAccess(botAccess);
+    const without = crawlAccess(undefined);
+
+    assert.equal(withProbe.score, without.score);
+    for (const check of ['oaiSearchBot', 'perplexityBot', 'claudeBot']) {
+      assert.equal(withProbe.checks[check].passed, true);
+    }
+    assert.equal(withProbe.checks.liveBotFetch.points, 0);
+    assert.match(withProbe.checks.liveBotFetch.value, /^Inconclusive/);
+  });
+});
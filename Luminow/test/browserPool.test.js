@@ -0,0 +1,130 @@
+/**
+ * BrowserPool: slot sharing, queued jobs, recycling and launch failures,
+ * with a fake launcher in place of Chromium
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { BrowserPool } from '../src/scrapers/browserPool.js';
+
+const fakeBrowser = () => {
+  const browser = new EventEmitter();
+  let connected = true;
+  browser.isConnected = () => connected;
+  browser.process = () => null;
+  browser.version = async () => 'HeadlessChrome/fake';
+  browser.createIncognitoBrowserContext = async () => ({
+    newPage: async () => ({ browser }),
+    close: async () => {},
+  });
+  browser.close = async () => {
+    connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+};
+
+// Launcher whose launches finish when the test says so
+const controlledLauncher = () => {
+  const pending = [];
+  return {
+    launches: 0,
+    launch() {
+      this.launches++;
+      return new Promise((resolve, reject) => pending.push({ resolve, reject }));
+    },
+    succeed: () => pending.shift().resolve(fakeBrowser()),
+    fail: message => pending.shift().reject(new Error(message)),
+  };
+};
+
+const poolWith = (launcher, options = {}) => new BrowserPool({
+  launcher,
+  maxBrowsers: 1,
+  maxContextsPerBrowser: 3,
+  healthCheckInterval: 0,
+  acquireTimeout: 1000,
+  ...options,
+});
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BrowserPool', () => {
+  test('jobs queued during a launch share the new browser at once', async () => {
+    const launcher = controlledLauncher();
+    const pool = poolWith(launcher);
+
+    const acquired = [pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()];
+    await tick();
+    assert.equal(launcher.launches, 1);
+    assert.equal(pool.getStatus().waiting, 3);
+
+    launcher.succeed();
+    const [first, second, third] = await Promise.all(acquired.slice(0, 3));
+    assert.equal(first, second);
+    assert.equal(second, third);
+    assert.equal(first.activeContexts, 3);
+    // The fourth job waits for a free slot
+    assert.equal(pool.getStatus().waiting, 1);
+
+    pool.release(first);
+    assert.equal(await acquired[3], first);
+    await pool.close();
+  });
+
+  test('runs each job in its own context and releases the slot', async () => {
+    const pool = poolWith({ launch: async () => fakeBrowser() });
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.withPage(async () => n * 2)));
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+
+    const { browsers, stats } = pool.getStatus();
+    assert.equal(browsers.length, 1);
+    assert.equal(browsers[0].activeContexts, 0);
+    assert.equal(stats.jobs, 5);
+    await pool.close();
+  });
+
+  test('a failed launch rejects the job and lets queued jobs launch their own', async () => {
+    const launcher = controlledLauncher();
+    const pool = poolWith(launcher);
+
+    const first = pool.acquire();
+    const second = pool.acquire();
+    await tick();
+
+    launcher.fail('Chromium not found');
+    await assert.rejects(first, /Chromium not found/);
+    await tick();
+    assert.equal(launcher.launches, 2);
+
+    launcher.succeed();
+    assert.equal((await second).activeContexts, 1);
+    assert.equal(pool.getStatus().launching, 0);
+    await pool.close();
+  });
+
+  test('recycles a browser after maxPagesPerBrowser jobs', async () => {
+    let launches = 0;
+    const pool = poolWith({ launch: async () => { launches++; return fakeBrowser(); } }, { maxPagesPerBrowser: 2 });
+    for (let i = 0; i < 3; i++) await pool.withPage(async () => {});
+    assert.equal(launches, 2);
+    assert.equal(pool.getStatus().stats.recycled, 1);
+    await pool.close();
+  });
+
+  test('times out waiting jobs and rejects them on close', async () => {
+    const launcher = controlledLauncher();
+    const pool = poolWith(launcher, { acquireTimeout: 20 });
+    const launching = pool.acquire();
+    await assert.rejects(pool.acquire(), /Timed out after 20ms waiting for a browser/);
+
+    const queued = pool.acquire();
+    await pool.close();
+    await assert.rejects(queued, /Browser pool is closed/);
+    // A launch that finishes after close() doesn't join the pool
+    launcher.succeed();
+    await assert.rejects(launching, /Browser pool is closed/);
+    assert.equal(pool.getStatus().browsers.length, 0);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Golden-corpus scoring regression tests
+ *
+ * Replays recorded pages (test/corpus/corpus.json) through WebScraper,
+ * SEOAnalyzer, GEOAnalyzer and MerchantEligibilityAnalyzer, and compares page
+ * type, scores, pillar / category scores, issue IDs and merchant eligibility
+ * verdicts with test/corpus/expected.json. Any change
+ * to patternMatchers, scoring profiles or analyzer weights shows up as a
+ * score-drift report that has to be reviewed and committed with the change.
+ *
+ * Fixtures are saved HTML documents (with URL, robots.txt, headers and any
+ * other fetched resources in the manifest) or ReplayBundle JSON files saved
+ * with `record: true`.
+ *
+ *   npm run test:corpus          Check the corpus and print the drift report
+ *   npm run test:corpus:update   Accept the current output as the new baseline
+ */
+
+import { test, describe, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+import { ReplayBundle } from '../src/scrapers/replayBundle.js';
+import { SEOAnalyzer } from '../src/analyzers/seoAnalyzer.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+import { MerchantEligibilityAnalyzer } from '../src/analyzers/merchantEligibilityAnalyzer.js';
+
+const CORPUS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'corpus');
+const EXPECTED_PATH = path.join(CORPUS_DIR, 'expected.json');
+const UPDATE = process.env.UPDATE_CORPUS === '1';
+
+const manifest = JSON.parse(await fs.readFile(path.join(CORPUS_DIR, 'corpus.json'), 'utf-8'));
+const expected = await fs.readFile(EXPECTED_PATH, 'utf-8').then(JSON.parse).catch(() => ({}));
+
+const actuals = {};
+const drift = [];
+
+/**
+ * Scrape and score a fixture offline, with the clock frozen at recording time
+ * (freshness checks compare dates with now)
+ */
+const scoreFixture = async (fixture) => {
+  const bundle = await ReplayBundle.fromFile(path.join(CORPUS_DIR, fixture.file), {
+    url: fixture.url,
+    statusCode: fixture.statusCode,
+    headers: fixture.headers,
+    robotsTxt: fixture.robotsTxt ?? null,
+    resources: fixture.resources,
+  });
+
+  mock.timers.enable({ apis: ['Date'], now: new Date(fixture.recordedAt || bundle.recordedAt) });
+  try {
+    // Every audit on, so the whole scored surface is pinned down
+    const scraper = new WebScraper({
+      mode: fixture.mode || 'static',
+      replay: bundle,
+      mobileAudit: true,
+      botProbe: true,
+      aiFilesAudit: true,
+      shopifyCatalog: true,
+    });
+    const pageData = await scraper.scrape(fixture.url || bundle.url);
+    const merchant = pageData.pageType?.isProductPage ? new MerchantEligibilityAnalyzer().analyze(pageData) : null;
+    return toSnapshot(pageData, new SEOAnalyzer().analyze(pageData), new GEOAnalyzer().analyze(pageData), merchant);
+  } finally {
+    mock.timers.reset();
+  }
+};
+
+/**
+ * The scored surface of a page - what expected.json pins down
+ */
+const toSnapshot = (pageData, seo, geo, merchant) => ({
+  pageType: pageData.pageType?.type || null,
+  seo: {
+    score: seo.score,
+    categories: Object.fromEntries(Object.entries(seo.categories).map(([key, c]) => [key, c.score])),
+  },
+  geo: {
+    profile: geo.pageType,
+    score: geo.score,
+    rawScore: geo.rawScore,
+    gateMultiplier: geo.gateMultiplier,
+    band: geo.band?.band || null,
+    pillars: Object.fromEntries(Object.entries(geo.pillars).map(([key, p]) => [key, p.score])),
+  },
+  eligibility: merchant
+    ? Object.fromEntries(Object.entries(merchant.surfaces).map(([key, surface]) => [key, surface.eligible]))
+    : null,
+  issues: [...new Set([...seo.issues, ...geo.issues].map(issue => issue.id))].sort(),
+});
+
+/**
+ * Flatten a snapshot into { 'geo.pillars.answerability': 72, ... } (issues excluded)
+ */
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, item] of Object.entries(value)) {
+    if (key === 'issues' && !prefix) continue;
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object') {
+      flatten(item, name, out);
+    } else {
+      out[name] = item;
+    }
+  }
+  return out;
+};
+
+/**
+ * Differences between an expected and an actual snapshot
+ * @returns {Object} { metrics: [{ name, expected, actual, delta }], addedIssues, removedIssues }
+ */
+const diffSnapshots = (before, now) => {
+  const was = flatten(before);
+  const is = flatten(now);
+  const metrics = [];
+
+  for (const name of new Set([...Object.keys(was), ...Object.keys(is)])) {
+    if (was[name] === is[name]) continue;
+    const delta = typeof was[name] === 'number' && typeof is[name] === 'number'
+      ? Math.round((is[name] - was[name]) * 100) / 100
+      : null;
+    metrics.push({ name, expected: was[name], actual: is[name], delta });
+  }
+
+  const issuesBefore = new Set(before.issues || []);
+  const issuesNow = new Set(now.issues);
+  return {
+    metrics,
+    addedIssues: now.issues.filter(id => !issuesBefore.has(id)),
+    removedIssues: [...issuesBefore].filter(id => !issuesNow.has(id)),
+  };
+};
+
+const hasDrift = diff => diff.metrics.length + diff.addedIssues.length + diff.removedIssues.length > 0;
+
+/**
+ * Readable drift table for one fixture
+ */
+const formatDrift = (name, diff) => {
+  const show = value => (value === undefined ? '-' : String(value));
+  const width = Math.max(6, ...diff.metrics.map(m => m.name.length));
+  const lines = [`${name}:`];
+
+  for (const m of diff.metrics) {
+    const delta = m.delta === null ? '' : `  (${m.delta > 0 ? '+' : ''}${m.delta})`;
+    lines.push(`  ${m.name.padEnd(width)}  ${show(m.expected).padStart(8)} -> ${show(m.actual).padEnd(8)}${delta}`);
+  }
+  for (const id of diff.addedIssues) lines.push(`  + issue ${id}`);
+  for (const id of diff.removedIssues) lines.push(`  - issue ${id}`);
+
+  return lines.join('\n');
+};
+
+describe('golden corpus', () => {
+  for (const fixture of manifest.fixtures) {
+    test(fixture.name, async () => {
+      const actual = await scoreFixture(fixture);
+      actuals[fixture.name] = actual;
+      if (UPDATE) return;
+
+      assert.ok(expected[fixture.name], `No expectations for "${fixture.name}" - run npm run test:corpus:update`);
+      const diff = diffSnapshots(expected[fixture.name], actual);
+      if (hasDrift(diff)) {
+        const report = formatDrift(fixture.name, diff);
+        drift.push(report);
+        assert.fail(`Score drift (review, then run npm run test:corpus:update to accept)\n${report}`);
+      }
+    });
+  }
+
+  after(async () => {
+    if (UPDATE) {
+      // Keep manifest order so expected.json diffs stay readable
+      const updated = Object.fromEntries(manifest.fixtures
+        .filter(f => actuals[f.name])
+        .map(f => [f.name, actuals[f.name]]));
+      await fs.writeFile(EXPECTED_PATH, `${JSON.stringify(updated, null, 2)}\n`);
+      console.log(`Corpus expectations updated for ${Object.keys(updated).length} fixture(s): ${EXPECTED_PATH}`);
+    } else if (drift.length > 0) {
+      console.log(`\nScore drift report (${drift.length} of ${manifest.fixtures.length} fixtures)\n\n${drift.join('\n\n')}\n`);
+    }
+  });
+});
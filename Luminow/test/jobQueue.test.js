@@ -0,0 +1,248 @@
+/**
+ * JobQueue: bounded concurrency (multi-worker jobs take a slot per worker),
+ * phase progress, event replay, cancellation, and job routes that only show
+ * a job to the API key that queued it
+ *
+ * Tasks are plain async functions here - the analysis pipeline itself is
+ * covered by the corpus test.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { JobQueue, getJobQueue } from '../src/jobs/jobQueue.js';
+
+// Task that waits until released (or aborted)
+const gate = () => {
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  const task = async ({ signal }) => {
+    await new Promise((resolve, reject) => {
+      released.then(resolve);
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    return { ok: true };
+  };
+  return { task, release };
+};
+
+const finished = (queue, job) => new Promise((resolve) => {
+  const unsubscribe = queue.subscribe(job.id, (event) => {
+    if (event.type === 'state' && ['completed', 'failed', 'cancelled'].includes(event.data.state)) {
+      setImmediate(() => unsubscribe?.());
+      resolve(job);
+    }
+  });
+});
+
+describe('JobQueue', () => {
+  test('runs at most `concurrency` jobs at once, in FIFO order', async () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    const gates = [gate(), gate(), gate()];
+    const jobs = gates.map(({ task }) => queue.add(task));
+
+    assert.deepEqual(jobs.map(job => job.state), ['running', 'running', 'queued']);
+    assert.equal(queue.toJSON(jobs[2]).position, 1);
+
+    gates[0].release();
+    await finished(queue, jobs[0]);
+    assert.equal(jobs[0].state, 'completed');
+    assert.equal(jobs[2].state, 'running');
+
+    gates[1].release();
+    gates[2].release();
+    await Promise.all([finished(queue, jobs[1]), finished(queue, jobs[2])]);
+    assert.deepEqual(queue.getStatus(), { concurrency: 2, running: 0, queued: 0, jobs: 3 });
+  });
+
+  test('jobs with several workers take a slot each, capped at concurrency', async () => {
+    const queue = new JobQueue({ concurrency: 3 });
+    const single = gate();
+    const batch = gate();
+    const later = gate();
+    let granted = null;
+
+    const first = queue.add(single.task);
+    const wide = queue.add((context) => {
+      granted = context.slots;
+      return batch.task(context);
+    }, { slots: 5 });
+    const last = queue.add(later.task);
+
+    // Two slots are free, the batch needs three - and later jobs don't overtake it
+    assert.deepEqual([first.state, wide.state, last.state], ['running', 'queued', 'queued']);
+
+    single.release();
+    await finished(queue, first);
+    assert.equal(wide.state, 'running');
+    assert.equal(granted, 3);
+    assert.equal(last.state, 'queued');
+    assert.equal(queue.getStatus().running, 3);
+
+    batch.release();
+    await finished(queue, wide);
+    assert.equal(last.state, 'running');
+    later.release();
+    await finished(queue, last);
+  });
+
+  test('tracks phases and progress from reported events', async () => {
+    const queue = new JobQueue();
+    const job = queue.add(async ({ report }) => {
+      report('phase', { phase: 'acquire', status: 'running', step: 'fetch' });
+      report('phase', { phase: 'understand', status: 'running', step: 'classify' });
+      report('phase', { phase: 'understand', status: 'done', detail: { pageType: 'product' } });
+      report('phase', { phase: 'llm', status: 'skipped' });
+      return { score: 42 };
+    }, { type: 'analysis', phases: ['acquire', 'understand', 'seo', 'llm'] });
+
+    await finished(queue, job);
+    const view = queue.toJSON(job);
+    assert.equal(view.state, 'completed');
+    assert.equal(view.progress, 100);
+    assert.deepEqual(view.phases.map(phase => phase.status), ['done', 'done', 'skipped', 'skipped']);
+    assert.deepEqual(view.phases[1].detail, { pageType: 'product' });
+    assert.deepEqual(view.result, { score: 42 });
+  });
+
+  test('replays logged events after Last-Event-ID', async () => {
+    const queue = new JobQueue();
+    const job = queue.add(async ({ report }) => {
+      report('phase', { phase: 'seo', status: 'running' });
+      return null;
+    }, { phases: ['seo'] });
+    await finished(queue, job);
+
+    const all = [];
+    queue.subscribe(job.id, event => all.push(event))();
+    assert.deepEqual(all.map(event => event.type), ['state', 'state', 'phase', 'result', 'state']);
+    assert.deepEqual(all.map(event => event.id), [1, 2, 3, 4, 5]);
+
+    const resumed = [];
+    queue.subscribe(job.id, event => resumed.push(event), { after: '3' })();
+    assert.deepEqual(resumed.map(event => event.id), [4, 5]);
+  });
+
+  test('cancels queued jobs at once and aborts running ones', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const running = queue.add(gate().task);
+    const queued = queue.add(gate().task);
+
+    queue.cancel(queued.id);
+    assert.equal(queued.state, 'cancelled');
+    assert.equal(queue.getStatus().queued, 0);
+
+    queue.cancel(running.id);
+    await finished(queue, running);
+    assert.equal(running.state, 'cancelled');
+    assert.equal(queue.toJSON(running).result, undefined);
+  });
+
+  test('reports failures and refuses work when the queue is full', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const failing = queue.add(async () => { throw new Error('Navigation timeout'); });
+      const waiting = queue.add(gate().task);
+      assert.equal(queue.add(gate().task), null);
+
+      await finished(queue, failing);
+      assert.equal(failing.state, 'failed');
+      assert.equal(failing.error, 'Navigation timeout');
+      queue.cancel(waiting.id);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  test('returns null for unknown jobs', () => {
+    const queue = new JobQueue();
+    assert.equal(queue.get('missing'), null);
+    assert.equal(queue.cancel('missing'), null);
+    assert.equal(queue.subscribe('missing', () => {}), null);
+  });
+});
+
+describe('jobs routes', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let keys;
+  let store;
+  let analyst;
+  let job;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luminow-jobs-'));
+    process.env.API_KEYS_FILE = path.join(tempDir, 'keys.json');
+    process.env.API_KEY_USAGE_FILE = path.join(tempDir, 'usage.json');
+    delete process.env.API_AUTH;
+
+    const { authenticate } = await import('../server/middleware/auth.js');
+    const { jobsRouter } = await import('../server/routes/jobs.js');
+    const { getApiKeyStore } = await import('../src/security/apiKeys.js');
+    store = getApiKeyStore();
+    const owner = await store.create({ name: 'owner' });
+    const other = await store.create({ name: 'other' });
+    analyst = await store.create({ name: 'analyst', scopes: ['analyze'], dailyQuota: 5 });
+    keys = { owner: owner.key, other: other.key, analyst: analyst.key };
+
+    job = getJobQueue().add(gate().task, { type: 'analysis', owner: owner.record.id });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authenticate);
+    app.use('/api/jobs', jobsRouter);
+    await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    getJobQueue().cancel(job.id);
+    server?.close();
+    delete process.env.API_KEYS_FILE;
+    delete process.env.API_KEY_USAGE_FILE;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const request = (key, route = '', init = {}) => fetch(`${baseUrl}/api/jobs/${job.id}${route}`, {
+    ...init,
+    headers: { 'X-API-Key': key },
+  });
+
+  test('answer 404 to other keys for the job, its events and cancel', async () => {
+    assert.equal((await request(keys.other)).status, 404);
+    assert.equal((await request(keys.other, '/events')).status, 404);
+    assert.equal((await request(keys.other, '/cancel', { method: 'POST' })).status, 404);
+    assert.equal(job.state, 'running');
+  });
+
+  test('serve and cancel the job for the key that queued it', async () => {
+    const response = await request(keys.owner);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).owner, undefined);
+
+    assert.equal((await request(keys.owner, '/cancel', { method: 'POST' })).status, 202);
+    await finished(getJobQueue(), job);
+    assert.equal(job.state, 'cancelled');
+  });
+
+  test('llm: true needs the llm scope; rejected requests take no quota', async () => {
+    const post = body => fetch(`${baseUrl}/api/jobs`, {
+      method: 'POST',
+      headers: { 'X-API-Key': keys.analyst, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const denied = await post({ url: 'https://93.184.215.14/', llm: true });
+    assert.equal(denied.status, 403);
+    assert.equal((await denied.json()).required, 'llm');
+    assert.equal((await post({ mode: 'static' })).status, 400);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal((await store.usageToday())[analyst.record.id] ?? 0, 0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * LinkGraph: PageRank, click depth, orphans and dead ends, and graphs without
+ * the homepage; SiteCrawler always crawls the homepage to measure from
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkGraph } from '../src/analyzers/linkGraph.js';
+import { SEOAnalyzer } from '../src/analyzers/seoAnalyzer.js';
+import { SiteCrawler } from '../src/scrapers/siteCrawler.js';
+
+const ORIGIN = 'https://shop.example';
+const links = (...paths) => paths.map(path => ({ href: `${ORIGIN}${path}`, isNofollow: false }));
+
+// / -> /collections -> /products/a -> /products/b, plus a sitemap-only page
+const siteGraph = () => {
+  const graph = new LinkGraph();
+  graph.addPage(`${ORIGIN}/`, links('/collections', '/'));
+  graph.addPage(`${ORIGIN}/collections`, links('/', '/products/a'));
+  graph.addPage(`${ORIGIN}/products/a`, links('/', '/products/b', '/not-crawled'));
+  graph.addPage(`${ORIGIN}/products/b`, []);
+  graph.addPage(`${ORIGIN}/sitemap-only`, links('/'));
+  return graph.analyze(`${ORIGIN}/`);
+};
+
+describe('LinkGraph', () => {
+  test('PageRank sums to 1 and is scored relative to the strongest page', () => {
+    const graph = siteGraph();
+    const total = [...graph.pageRank.values()].reduce((sum, rank) => sum + rank, 0);
+    assert.ok(Math.abs(total - 1) < 1e-6);
+
+    const { topPages } = graph.summary();
+    assert.equal(graph.getMetrics(topPages[0].url).pageRankScore, 100);
+    // The page nothing links to ranks last
+    assert.equal(topPages.at(-1).url, `${ORIGIN}/sitemap-only`);
+  });
+
+  test('ignores nofollow links for PageRank but not for click depth', () => {
+    const graph = new LinkGraph();
+    graph.addPage(`${ORIGIN}/`, [{ href: `${ORIGIN}/login`, isNofollow: true }]);
+    graph.addPage(`${ORIGIN}/login`, []);
+    graph.analyze(`${ORIGIN}/`);
+    assert.equal(graph.getMetrics(`${ORIGIN}/login`).clickDepth, 1);
+    assert.equal(graph.pageRank.get(`${ORIGIN}/`), graph.pageRank.get(`${ORIGIN}/login`));
+  });
+
+  test('measures click depth and finds orphans, dead ends and unreachable pages', () => {
+    const graph = siteGraph();
+    assert.equal(graph.getMetrics(`${ORIGIN}/products/b`).clickDepth, 3);
+
+    // Self-links and links outside the crawl don't count
+    assert.equal(graph.getMetrics(`${ORIGIN}/`).outlinks, 1);
+    assert.equal(graph.getMetrics(`${ORIGIN}/products/a`).outlinks, 2);
+
+    const summary = graph.summary();
+    assert.equal(summary.homepage, `${ORIGIN}/`);
+    assert.equal(summary.maxClickDepth, 3);
+    assert.deepEqual(summary.orphans, [`${ORIGIN}/sitemap-only`]);
+    assert.deepEqual(summary.deadEnds, [`${ORIGIN}/products/b`]);
+    assert.deepEqual(summary.unreachable, [`${ORIGIN}/sitemap-only`]);
+  });
+
+  test('resolves links to redirected pages through their final URL', () => {
+    const graph = new LinkGraph();
+    graph.addPage(`${ORIGIN}/`, links('/en/'), `${ORIGIN}/en/`);
+    graph.addPage(`${ORIGIN}/about`, links('/en/'));
+    graph.analyze(`${ORIGIN}/en/`);
+    assert.equal(graph.summary().homepage, `${ORIGIN}/`);
+    assert.equal(graph.getMetrics(`${ORIGIN}/`).inlinks, 1);
+  });
+
+  test('leaves click depth and orphans unknown without the homepage', () => {
+    const graph = new LinkGraph();
+    graph.addPage(`${ORIGIN}/products/a`, links('/products/b'));
+    graph.addPage(`${ORIGIN}/products/b`, links('/products/a'));
+    graph.addPage(`${ORIGIN}/products/c`, []);
+    graph.analyze(`${ORIGIN}/`);
+
+    const metrics = graph.getMetrics(`${ORIGIN}/products/c`);
+    assert.equal(metrics.hasHomepage, false);
+    assert.equal(metrics.clickDepth, null);
+    assert.equal(metrics.isOrphan, null);
+
+    const summary = graph.summary();
+    assert.equal(summary.homepage, null);
+    assert.deepEqual(summary.orphans, []);
+    assert.deepEqual(summary.unreachable, []);
+  });
+
+  test('getMetrics returns null for pages outside the crawl', () => {
+    assert.equal(siteGraph().getMetrics(`${ORIGIN}/not-crawled`), null);
+  });
+});
+
+describe('SEOAnalyzer internal linking from the link graph', () => {
+  const internalLinking = linkGraph => new SEOAnalyzer().analyzeIndexability({ statusCode: 200, linkGraph }).checks.internalLinking;
+
+  test('deducts for orphans and pages unreachable from the homepage', () => {
+    const graph = siteGraph();
+    assert.equal(internalLinking(graph.getMetrics(`${ORIGIN}/sitemap-only`)).points, 0);
+    assert.equal(internalLinking(graph.getMetrics(`${ORIGIN}/collections`)).points, 3);
+  });
+
+  test('does not deduct for depth when the homepage was not crawled', () => {
+    const graph = new LinkGraph();
+    graph.addPage(`${ORIGIN}/products/a`, links('/products/b'));
+    graph.addPage(`${ORIGIN}/products/b`, links('/products/a'));
+    graph.analyze(`${ORIGIN}/`);
+
+    const check = internalLinking(graph.getMetrics(`${ORIGIN}/products/a`));
+    assert.equal(check.points, 3);
+    assert.match(check.value, /depth unknown/);
+  });
+});
+
+describe('SiteCrawler link graph', () => {
+  // Pages link in a chain; nothing links back to the homepage
+  const PAGES = {
+    '/': ['/collections'],
+    '/collections': ['/products/a'],
+    '/products/a': [],
+  };
+  const scraper = {
+    fetchRobotsTxt: async () => ({ found: false, statusCode: 404 }),
+    scrape: async url => ({
+      url,
+      finalUrl: url,
+      statusCode: 200,
+      links: { internal: PAGES[new URL(url).pathname].map(path => ({ href: `${ORIGIN}${path}` })) },
+    }),
+  };
+
+  test('crawls the homepage even when starting deeper in the site', async () => {
+    const crawler = new SiteCrawler({ scraper, useSitemaps: false, useLlmsTxt: false, followLinks: false, analyze: false });
+    const report = await crawler.crawl(`${ORIGIN}/products/a`);
+
+    assert.deepEqual(report.pages.map(page => page.url).sort(), [`${ORIGIN}/`, `${ORIGIN}/products/a`]);
+    assert.equal(report.linkGraph.homepage, `${ORIGIN}/`);
+    assert.equal(report.pages.find(page => page.url === `${ORIGIN}/`).linkGraph.isOrphan, false);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * llms.txt, llms-full.txt and ai.txt: parsing, link validation, discovery
+ * (HTML catch-all pages count as missing) and the informational GEO checks
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLlmsTxt, parseLlmsFullTxt, parseAiTxt, validateLlmsLinks, toUrlKey, isHtmlResponse } from '../src/utils/llmsTxt.js';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+
+const SITE = 'https://shop.example';
+
+const LLMS_TXT = `# Example Shop
+
+> Linen clothing made in Portugal.
+
+We ship worldwide.
+
+## Products
+- [Linen Shirt](/products/linen-shirt): Our best seller
+- [Gone](${SITE}/products/discontinued)
+- [Partner](https://partner.example/)
+
+## Optional
+- [Blog](/blogs/news)
+- not a link
+`;
+
+describe('parseLlmsTxt', () => {
+  const parsed = parseLlmsTxt(LLMS_TXT, `${SITE}/llms.txt`);
+
+  test('reads title, summary, details and sections of links', () => {
+    assert.equal(parsed.title, 'Example Shop');
+    assert.equal(parsed.summary, 'Linen clothing made in Portugal.');
+    assert.equal(parsed.details, 'We ship worldwide.');
+    assert.deepEqual(parsed.sections.map(({ name, optional }) => [name, optional]), [['Products', false], ['Optional', true]]);
+    assert.deepEqual(parsed.sections[0].links[0], {
+      title: 'Linen Shirt',
+      url: `${SITE}/products/linen-shirt`,
+      notes: 'Our best seller',
+    });
+    assert.equal(parsed.linkCount, 4);
+  });
+
+  test('reports list items that are not links', () => {
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.warnings, ['1 list item(s) are not "[title](url)" links']);
+  });
+
+  test('reports a missing title, summary and sections', () => {
+    const bare = parseLlmsTxt('Just some text\n', `${SITE}/llms.txt`);
+    assert.equal(bare.errors.length, 2);
+    assert.match(bare.errors[0], /Missing H1 title/);
+    assert.match(bare.errors[1], /No H2 sections/);
+    assert.match(bare.warnings[0], /No blockquote summary/);
+  });
+});
+
+describe('validateLlmsLinks', () => {
+  test('checks same-origin links against known statuses', () => {
+    const parsed = parseLlmsTxt(LLMS_TXT, `${SITE}/llms.txt`);
+    const statuses = new Map([
+      [toUrlKey(`${SITE}/products/linen-shirt/`), 200],
+      [toUrlKey(`${SITE}/products/discontinued`), 404],
+    ]);
+    const result = validateLlmsLinks(parsed, `${SITE}/`, statuses);
+    assert.deepEqual({ ...result, broken: result.broken.map(link => link.url) }, {
+      total: 4,
+      sameOrigin: 3,
+      external: 1,
+      ok: 1,
+      broken: [`${SITE}/products/discontinued`],
+      unchecked: 1,
+    });
+  });
+});
+
+describe('parseLlmsFullTxt and parseAiTxt', () => {
+  test('summarizes llms-full.txt', () => {
+    assert.deepEqual(parseLlmsFullTxt('# Example Shop\n\nAll our products.'), { title: 'Example Shop', bytes: 33, wordCount: 6 });
+  });
+
+  test('evaluates ai.txt permissions per media type', () => {
+    const parsed = parseAiTxt('User-agent: *\nDisallow: *.jpg\nDisallow: *.png\nDisallow: *.webp\n');
+    assert.deepEqual(parsed.permissions, { text: true, images: false, audio: true, video: true, code: true });
+    assert.equal(parsed.allowsAll, false);
+    assert.equal(parsed.disallowsAll, false);
+    assert.equal(parseAiTxt('User-agent: *\nDisallow: /').disallowsAll, true);
+  });
+
+  test('recognizes HTML served in place of a text file', () => {
+    assert.equal(isHtmlResponse('<!DOCTYPE html><html></html>'), true);
+    assert.equal(isHtmlResponse('# Title', 'text/html; charset=utf-8'), true);
+    assert.equal(isHtmlResponse('# Title', 'text/plain'), false);
+  });
+});
+
+describe('WebScraper.fetchAiFiles', () => {
+  // llms.txt exists; llms-full.txt is an SPA catch-all page; ai.txt is missing
+  const scraper = new WebScraper({ urlPolicy: null });
+  scraper.httpFetch = async (url) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/llms.txt') return new Response(LLMS_TXT, { headers: { 'content-type': 'text/plain' } });
+    if (pathname === '/llms-full.txt') return new Response('<!doctype html><html></html>', { headers: { 'content-type': 'text/html' } });
+    if (pathname === '/products/discontinued') return new Response(null, { status: 404 });
+    if (pathname.startsWith('/products/') || pathname.startsWith('/blogs/')) return new Response(null, { status: 200 });
+    return new Response('Not found', { status: 404 });
+  };
+
+  test('fetches, parses and link-checks the files', async () => {
+    const aiFiles = await scraper.fetchAiFiles(`${SITE}/products/linen-shirt`);
+
+    assert.equal(aiFiles.llmsTxt.found, true);
+    assert.equal(aiFiles.llmsTxt.title, 'Example Shop');
+    assert.equal(aiFiles.llmsTxt.linkValidation.ok, 2);
+    assert.deepEqual(aiFiles.llmsTxt.linkValidation.broken.map(link => link.statusCode), [404]);
+
+    assert.equal(aiFiles.llmsFullTxt.found, false);
+    assert.equal(aiFiles.llmsFullTxt.reason, 'Served an HTML page instead of a text file');
+    assert.deepEqual([aiFiles.aiTxt.found, aiFiles.aiTxt.reason], [false, 'HTTP 404']);
+  });
+
+  test('reports the files as informational GEO checks', async () => {
+    const aiFiles = await scraper.fetchAiFiles(`${SITE}/`);
+    const result = new GEOAnalyzer().analyzeAICrawlAccess({ statusCode: 200, aiFiles });
+    const without = new GEOAnalyzer().analyzeAICrawlAccess({ statusCode: 200 });
+
+    assert.equal(result.score, without.score);
+    assert.equal(result.checks.llmsTxt.points, 0);
+    assert.equal(result.checks.llmsTxt.passed, false);
+    assert.match(result.checks.llmsTxt.value, /^Found: 2 section\(s\), 4 link\(s\) - 1 broken link\(s\)/);
+    assert.equal(result.checks.aiTxt.value, 'Not found (training permissions unspecified)');
+    assert.ok(result.recommendations.some(text => /llms-full\.txt/.test(text)));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * LlmsTxtGenerator: section classification (page type before policy URLs and
+ * titles), ordering, the byte budget and the llms-full.txt page blocks
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LlmsTxtGenerator } from '../src/generators/llmsTxtGenerator.js';
+
+const SITE = 'https://shop.example';
+
+const page = (path, fields = {}) => ({
+  finalUrl: `${SITE}${path}`,
+  statusCode: 200,
+  title: '',
+  metaDescription: '',
+  paragraphs: [],
+  pageType: { type: 'other' },
+  ...fields,
+});
+
+const classify = (path, type, title = '') => new LlmsTxtGenerator().classify({ url: `${SITE}${path}`, type, title });
+
+describe('LlmsTxtGenerator.classify', () => {
+  test('uses the detected page type before policy keywords', () => {
+    assert.equal(classify('/products/returns-tote', 'product', 'Returns Tote'), 'products');
+    assert.equal(classify('/blogs/news/our-shipping-update', 'article', 'Shipping Policy'), 'articles');
+    assert.equal(classify('/collections/terms-and-lines', 'category', 'Terms & Lines'), 'collections');
+  });
+
+  test('finds policies under /policies/ and /pages/ or by their exact title', () => {
+    assert.equal(classify('/policies/refund-policy', 'other'), 'policies');
+    assert.equal(classify('/pages/shipping-and-delivery', 'landing'), 'policies');
+    assert.equal(classify('/help/legal', 'other', 'Terms of Service'), 'policies');
+    assert.equal(classify('/help/returns', 'other', 'Returns & Exchanges'), 'policies');
+  });
+
+  test('does not treat keyword mentions elsewhere as policies', () => {
+    assert.equal(classify('/free-shipping-offers', 'other', 'Free shipping on all orders'), 'optional');
+    assert.equal(classify('/pages/about', 'landing', 'About our returns process'), 'pages');
+  });
+
+  test('falls back to Shopify URL conventions', () => {
+    assert.equal(classify('/products/linen-shirt', 'other'), 'products');
+    assert.equal(classify('/collections/summer', 'other'), 'collections');
+    assert.equal(classify('/blogs/news/launch', 'other'), 'articles');
+    assert.equal(classify('/pages/about', 'other'), 'pages');
+    assert.equal(classify('/search', 'other'), 'optional');
+  });
+});
+
+describe('LlmsTxtGenerator.generate', () => {
+  const build = (options = {}) => {
+    const generator = new LlmsTxtGenerator(options);
+    generator.addPage(`${SITE}/`, page('/', {
+      title: 'Example Shop | Linen clothing',
+      metaDescription: 'Linen clothing made in Portugal.',
+      pageType: { type: 'homepage' },
+    }));
+    generator.addPage(`${SITE}/products/a`, page('/products/a', {
+      pageType: { type: 'product' },
+      productData: { name: 'Linen Shirt', price: '49.00', currency: 'EUR', availability: 'https://schema.org/InStock' },
+      metaDescription: 'Breathable linen shirt.',
+      linkGraph: { pageRank: 0.1 },
+    }));
+    generator.addPage(`${SITE}/products/b`, page('/products/b', {
+      pageType: { type: 'product' },
+      productData: { name: 'Linen [Trousers]' },
+      linkGraph: { pageRank: 0.3 },
+    }));
+    generator.addPage(`${SITE}/policies/shipping-policy`, page('/policies/shipping-policy', { title: 'Shipping policy' }));
+    generator.addPage(`${SITE}/missing`, page('/missing', { statusCode: 404 }));
+    generator.addPage(`${SITE}/private`, page('/private', { noindex: true }));
+    return generator.generate(`${SITE}/`);
+  };
+
+  test('writes the homepage summary and sections in priority order', () => {
+    const { llmsTxt, stats } = build();
+    assert.equal(llmsTxt, [
+      '# Example Shop',
+      '',
+      '> Linen clothing made in Portugal.',
+      '',
+      '## Policies',
+      '',
+      `- [Shipping policy](${SITE}/policies/shipping-policy)`,
+      '',
+      '## Products',
+      '',
+      `- [Linen \\[Trousers\\]](${SITE}/products/b)`,
+      `- [Linen Shirt](${SITE}/products/a): Breathable linen shirt.`,
+      '',
+    ].join('\n'));
+    assert.equal(stats.pages, 4);
+    assert.deepEqual(stats.sections.Products, { pages: 2, included: 2, omitted: 0 });
+  });
+
+  test('adds product facts to llms-full.txt', () => {
+    const { llmsFullTxt } = build();
+    assert.match(llmsFullTxt, /### Linen Shirt\n\nURL: https:\/\/shop\.example\/products\/a\nPrice: 49\.00 EUR\nAvailability: InStock\n\nBreathable linen shirt\./);
+  });
+
+  test('omits pages that do not fit the byte budget and reports them', () => {
+    const { llmsTxt, stats } = build({ maxBytes: 140 });
+    assert.ok(Buffer.byteLength(llmsTxt) <= 140);
+    assert.equal(stats.truncated, true);
+    assert.equal(stats.sections.Products.omitted, 2);
+  });
+});
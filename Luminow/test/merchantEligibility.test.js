@@ -0,0 +1,197 @@
+/**
+ * MerchantEligibilityAnalyzer: each merchant listing and product snippet rule,
+ * ProductGroup variants, page-level blockers and priceValidUntil against a
+ * fixed clock
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MerchantEligibilityAnalyzer } from '../src/analyzers/merchantEligibilityAnalyzer.js';
+
+const PAGE_URL = 'https://shop.example/products/shirt';
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+
+// A product that qualifies for both surfaces with no warnings
+const complete = (overrides = {}, offerOverrides = {}) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Product',
+  name: 'Linen Shirt',
+  description: 'Breathable linen shirt.',
+  image: 'https://shop.example/shirt.jpg',
+  brand: { '@type': 'Brand', name: 'Example' },
+  gtin13: '4006381333931',
+  aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.6', reviewCount: '12' },
+  offers: {
+    '@type': 'Offer',
+    price: '49.00',
+    priceCurrency: 'EUR',
+    availability: 'https://schema.org/InStock',
+    itemCondition: 'https://schema.org/NewCondition',
+    shippingDetails: { '@type': 'OfferShippingDetails' },
+    hasMerchantReturnPolicy: { '@type': 'MerchantReturnPolicy' },
+    ...offerOverrides,
+  },
+  ...overrides,
+});
+
+const analyze = (product, page = {}) => new MerchantEligibilityAnalyzer({ now: () => NOW }).analyze({
+  url: PAGE_URL,
+  statusCode: 200,
+  structuredData: product ? [product] : [],
+  ...page,
+});
+
+const codes = surface => surface.reasons.map(reason => `${reason.severity}:${reason.code}`);
+
+describe('MerchantEligibilityAnalyzer merchant listings', () => {
+  test('a complete product is eligible for both surfaces', () => {
+    const { applicable, product, surfaces } = analyze(complete());
+    assert.equal(applicable, true);
+    assert.equal(product.name, 'Linen Shirt');
+    assert.deepEqual(codes(surfaces.merchantListings), []);
+    assert.deepEqual(codes(surfaces.productSnippets), []);
+    assert.equal(surfaces.merchantListings.eligible, true);
+  });
+
+  const blockers = [
+    ['missing-name', complete({ name: undefined })],
+    ['missing-image', complete({ image: undefined })],
+    ['inline-image', complete({ image: 'data:image/png;base64,AAAA' })],
+    ['missing-offer', complete({ offers: undefined })],
+    ['aggregate-offer', complete({ offers: { '@type': 'AggregateOffer', lowPrice: '10', priceCurrency: 'EUR' } })],
+    ['missing-price', complete({}, { price: undefined })],
+    ['invalid-price', complete({}, { price: '€49' })],
+    ['zero-price', complete({}, { price: '0' })],
+    ['missing-currency', complete({}, { priceCurrency: undefined })],
+    ['invalid-currency', complete({}, { priceCurrency: 'euro' })],
+    ['invalid-availability', complete({}, { availability: 'Available' })],
+    ['invalid-condition', complete({}, { itemCondition: 'Mint' })],
+  ];
+  for (const [code, product] of blockers) {
+    test(`${code} blocks the listing`, () => {
+      const verdict = analyze(product).surfaces.merchantListings;
+      assert.equal(verdict.eligible, false);
+      assert.ok(codes(verdict).includes(`critical:${code}`), codes(verdict).join(', '));
+    });
+  }
+
+  const recommendations = [
+    ['missing-availability', complete({}, { availability: undefined })],
+    ['missing-shipping', complete({}, { shippingDetails: undefined })],
+    ['missing-return-policy', complete({}, { hasMerchantReturnPolicy: undefined })],
+    ['missing-gtin', complete({ gtin13: undefined })],
+    ['missing-brand', complete({ brand: undefined })],
+    ['missing-description', complete({ description: undefined })],
+  ];
+  for (const [code, product] of recommendations) {
+    test(`${code} is only a warning`, () => {
+      const verdict = analyze(product).surfaces.merchantListings;
+      assert.equal(verdict.eligible, true);
+      assert.deepEqual(codes(verdict), [`warning:${code}`]);
+    });
+  }
+
+  test('shipping and return policy on the Organization count', () => {
+    const organization = {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: 'Example',
+      hasShippingService: { '@type': 'ShippingService' },
+      hasMerchantReturnPolicy: { '@type': 'MerchantReturnPolicy' },
+    };
+    const product = complete({}, { shippingDetails: undefined, hasMerchantReturnPolicy: undefined });
+    const verdict = analyze(null, { structuredData: [organization, product] }).surfaces.merchantListings;
+    assert.deepEqual(codes(verdict), []);
+  });
+});
+
+describe('MerchantEligibilityAnalyzer priceValidUntil', () => {
+  test('an expired price blocks the listing', () => {
+    const verdict = analyze(complete({}, { priceValidUntil: '2026-06-14' })).surfaces.merchantListings;
+    assert.equal(verdict.eligible, false);
+    assert.equal(verdict.reasons[0].code, 'expired-price');
+    assert.equal(verdict.reasons[0].path, 'offers.priceValidUntil');
+  });
+
+  test('a future or unparseable date does not', () => {
+    for (const priceValidUntil of ['2026-06-16', 'soon']) {
+      assert.equal(analyze(complete({}, { priceValidUntil })).surfaces.merchantListings.eligible, true);
+    }
+  });
+});
+
+describe('MerchantEligibilityAnalyzer product snippets', () => {
+  test('needs offers, a review or a rating', () => {
+    const verdict = analyze(complete({ offers: undefined, aggregateRating: undefined })).surfaces.productSnippets;
+    assert.deepEqual(codes(verdict), ['critical:missing-offer-or-review', 'warning:no-ratings']);
+  });
+
+  test('accepts an AggregateOffer with a lowPrice', () => {
+    const product = complete({ offers: { '@type': 'AggregateOffer', lowPrice: '10.00', highPrice: '20.00', priceCurrency: 'EUR' } });
+    assert.equal(analyze(product).surfaces.productSnippets.eligible, true);
+  });
+
+  test('checks ratings and reviews', () => {
+    const product = complete({
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 'great' },
+      review: [{ '@type': 'Review', reviewRating: { '@type': 'Rating' } }],
+    });
+    assert.deepEqual(codes(analyze(product).surfaces.productSnippets), [
+      'critical:invalid-rating',
+      'critical:missing-rating-count',
+      'critical:review-missing-author',
+      'critical:review-missing-rating',
+    ]);
+  });
+
+  test('an invalid availability is only a warning', () => {
+    assert.deepEqual(codes(analyze(complete({}, { availability: 'Available' })).surfaces.productSnippets), ['warning:invalid-availability']);
+  });
+});
+
+describe('MerchantEligibilityAnalyzer ProductGroup variants', () => {
+  const group = variants => complete({
+    '@type': 'ProductGroup',
+    productGroupID: 'shirt',
+    variesBy: 'https://schema.org/size',
+    offers: undefined,
+    hasVariant: variants,
+  });
+  const variant = (name, offerOverrides = {}) => ({
+    '@type': 'Product',
+    name,
+    offers: complete({}, offerOverrides).offers,
+  });
+
+  test('variants inherit the group fields and a failing variant only warns', () => {
+    const verdict = analyze(group([variant('Shirt S'), variant('Shirt M', { price: undefined })])).surfaces.merchantListings;
+    assert.equal(verdict.eligible, true);
+    assert.deepEqual(verdict.products, { eligible: 1, total: 2 });
+    assert.deepEqual(verdict.reasons.map(({ severity, message, path }) => [severity, message, path]), [
+      ['warning', 'Shirt M: Offer has no price', 'hasVariant[1].offers.price'],
+    ]);
+  });
+
+  test('no qualifying variant blocks the listing', () => {
+    const verdict = analyze(group([variant('Shirt S', { price: '0' })])).surfaces.merchantListings;
+    assert.equal(verdict.eligible, false);
+    assert.deepEqual(verdict.products, { eligible: 0, total: 1 });
+  });
+});
+
+describe('MerchantEligibilityAnalyzer page checks', () => {
+  test('a page without Product markup is not applicable', () => {
+    const result = analyze(null);
+    assert.equal(result.applicable, false);
+    assert.equal(result.surfaces.productSnippets.reasons[0].code, 'no-product-schema');
+  });
+
+  test('non-200 status, noindex and a robots.txt block for Googlebot are blockers', () => {
+    const verdict = analyze(complete(), {
+      statusCode: 404,
+      noindex: true,
+      robotsTxt: { found: true, statusCode: 200, content: 'User-agent: Googlebot\nDisallow: /products/' },
+    }).surfaces.merchantListings;
+    assert.deepEqual(codes(verdict), ['critical:not-200', 'critical:noindex', 'critical:googlebot-blocked']);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Product identifiers: GTIN-8/12/13/14 check digits, ISBN-10/13, GS1 prefix
+ * countries and identifiers shared by several variants
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateGtin,
+  validateIsbn,
+  gs1Prefix,
+  findDuplicateIdentifiers,
+  normalizeIdentifier,
+  analyzeProductIdentifiers,
+} from '../src/utils/productIdentifiers.js';
+
+describe('validateGtin', () => {
+  const valid = [
+    ['96385074', 'GTIN-8 (EAN-8)'],
+    ['036000291452', 'GTIN-12 (UPC-A)'],
+    ['4006381333931', 'GTIN-13 (EAN-13)'],
+    ['10012345678902', 'GTIN-14'],
+    ['400-6381 333931', 'GTIN-13 (EAN-13)'],
+    ['https://id.gs1.org/01/04006381333931/21/123', 'GTIN-14'],
+  ];
+  for (const [value, format] of valid) {
+    test(`accepts ${value}`, () => {
+      const result = validateGtin(value);
+      assert.equal(result.valid, true, result.reason);
+      assert.equal(result.format, format);
+    });
+  }
+
+  const invalid = [
+    ['96385075', 'check digit should be 4', 4],
+    ['036000291450', 'check digit should be 2', 2],
+    ['4006381333932', 'check digit should be 1', 1],
+    ['10012345678900', 'check digit should be 2', 2],
+    ['400638133393A', 'contains non-digit characters', null],
+    ['', 'contains non-digit characters', null],
+    ['1234567890', 'wrong length (10 digits; GTINs have 8, 12, 13 or 14)', null],
+    ['0000000000000', 'all zeros', null],
+    [36000291452, 'wrong length (11 digits; GTINs have 8, 12, 13 or 14) - written as a JSON number, leading zeros are lost', null],
+  ];
+  for (const [value, reason, expectedCheckDigit] of invalid) {
+    test(`rejects ${JSON.stringify(value)}`, () => {
+      const result = validateGtin(value);
+      assert.equal(result.valid, false);
+      assert.equal(result.reason, reason);
+      assert.equal(result.expectedCheckDigit, expectedCheckDigit);
+    });
+  }
+});
+
+describe('validateIsbn', () => {
+  const cases = [
+    ['0306406152', 'ISBN-10', true, null],
+    ['080442957X', 'ISBN-10', true, null],
+    ['0-306-40615-2', 'ISBN-10', true, null],
+    ['0306406153', 'ISBN-10', false, 'check digit does not match'],
+    ['9780306406157', 'ISBN-13', true, null],
+    ['ISBN 978-0-306-40615-7', 'ISBN-13', true, null],
+    ['ISBN-13: 979-10-90636-07-1', 'ISBN-13', true, null],
+    ['9780306406158', 'ISBN-13', false, 'check digit should be 7'],
+    ['9771234567003', 'ISBN-13', false, 'ISBN-13 must start with 978 or 979'],
+    ['12345', null, false, 'not 10 or 13 characters'],
+  ];
+  for (const [value, format, valid, reason] of cases) {
+    test(`${value} -> ${valid ? 'valid' : reason}`, () => {
+      const result = validateIsbn(value);
+      assert.deepEqual([result.format, result.valid, result.reason], [format, valid, reason]);
+    });
+  }
+});
+
+describe('gs1Prefix', () => {
+  const cases = [
+    ['4006381333931', { prefix: '400', country: 'Germany', restricted: false }],
+    ['036000291452', { prefix: '003', country: 'United States & Canada', restricted: false }],
+    ['10012345678902', { prefix: '001', country: 'United States & Canada', restricted: false }],
+    ['2001234567893', { prefix: '200', country: 'Restricted circulation (in-store numbers)', restricted: true }],
+    ['9780306406157', { prefix: '978', country: 'Bookland (ISBN)', restricted: false }],
+    ['1501234567890', { prefix: '150', country: null, restricted: false }],
+    ['96385074', null],
+    ['', null],
+  ];
+  for (const [gtin, expected] of cases) {
+    test(`${gtin || '(empty)'} -> ${expected?.country ?? expected}`, () => {
+      assert.deepEqual(gs1Prefix(gtin), expected);
+    });
+  }
+});
+
+describe('findDuplicateIdentifiers', () => {
+  test('finds GTINs and SKUs shared by variants', () => {
+    const duplicates = findDuplicateIdentifiers([
+      { sku: 'SHIRT-S', gtin12: '036000291452' },
+      { sku: 'SHIRT-M', gtin13: '0036000291452' }, // Same number as the UPC, zero-padded
+      { sku: 'SHIRT-M ', gtin13: '4006381333931' },
+      { sku: 'SHIRT-L', gtin: ['4006381333931', '4006381333931'] },
+    ]);
+    assert.deepEqual(duplicates, [
+      { identifier: 'gtin', value: '036000291452', variants: [0, 1] },
+      { identifier: 'sku', value: 'SHIRT-M', variants: [1, 2] },
+      { identifier: 'gtin', value: '4006381333931', variants: [2, 3] },
+    ]);
+  });
+
+  test('ignores empty and non-scalar values', () => {
+    assert.deepEqual(findDuplicateIdentifiers([
+      { sku: '', gtin: { '@id': '#x' } },
+      { sku: '', gtin: { '@id': '#x' } },
+    ]), []);
+    assert.deepEqual(findDuplicateIdentifiers(undefined), []);
+  });
+});
+
+describe('normalizeIdentifier and analyzeProductIdentifiers', () => {
+  test('unwraps GS1 Digital Link URLs', () => {
+    assert.equal(normalizeIdentifier('https://example.com/01/09506000134352?linkType=all'), '09506000134352');
+    assert.equal(normalizeIdentifier(' 4006-381 333931 '), '4006381333931');
+  });
+
+  test('reports variants against the group once and flags declared length mismatches', () => {
+    const report = analyzeProductIdentifiers({
+      '@type': 'ProductGroup',
+      brand: 'Example',
+      gtin13: '036000291452',
+      hasVariant: [
+        { sku: 'A', gtin8: '96385075' },
+        { sku: 'A', mpn: 'X-1' },
+      ],
+    });
+    assert.deepEqual(report.gtins.map(({ path, valid, lengthMismatch }) => [path, valid, lengthMismatch]), [
+      ['gtin13', true, true],
+      ['hasVariant[0].gtin8', false, false],
+    ]);
+    assert.deepEqual(report.countries, ['United States & Canada']);
+    assert.deepEqual(report.mpnWithoutBrand, []);
+    assert.deepEqual(report.duplicates.map(d => d.value), ['A']);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Product variant helpers: price parsing across number formats, purchasable
+ * availability, and the visible vs structured price check they feed
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { priceValue, isPurchasable, normalizeAvailability } from '../src/utils/productVariants.js';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+
+describe('priceValue', () => {
+  const cases = [
+    ['49.99', 49.99],
+    [49.5, 49.5],
+    ['$1,249.00', 1249],
+    ['1,299', 1299],
+    ['1,299,000', 1299000],
+    ['1.299,00 €', 1299],
+    ['49,90 €', 49.9],
+    ['1.299.000', 1299000],
+    ['12 345,50', 12345.5],
+    ['€', null],
+    ['', null],
+    [null, null],
+  ];
+  for (const [value, expected] of cases) {
+    test(`${JSON.stringify(value)} -> ${expected}`, () => {
+      assert.equal(priceValue(value), expected);
+    });
+  }
+});
+
+describe('isPurchasable', () => {
+  test('groups availabilities a shopper can buy', () => {
+    for (const value of ['https://schema.org/InStock', 'PreOrder', 'BackOrder', true]) {
+      assert.equal(isPurchasable(normalizeAvailability(value)), true, String(value));
+    }
+    for (const value of ['https://schema.org/OutOfStock', 'SoldOut', 'Discontinued', false, '']) {
+      assert.equal(isPurchasable(normalizeAvailability(value)), false, String(value));
+    }
+  });
+});
+
+describe('visible price with comma decimals', () => {
+  const html = `<html><body><h1>Sofa</h1><span class="price">1.299,00 €</span>
+<script type="application/ld+json">{"@context":"https://schema.org","@type":"Product","name":"Sofa","offers":{"@type":"Offer","price":"1299.00","priceCurrency":"EUR"}}</script>
+</body></html>`;
+
+  test('the scraper keeps the decimals and GEO finds no mismatch', () => {
+    const scraper = new WebScraper({ urlPolicy: null });
+    const $ = cheerio.load(html);
+    const { productSchema } = scraper.extractStructuredData($, 'https://shop.example/products/sofa');
+    const { productData } = scraper.extractProductData($, productSchema);
+    assert.equal(productData.visiblePrice, '1.299,00');
+
+    const consistency = new GEOAnalyzer().checkSchemaConsistency(productSchema, productData);
+    assert.deepEqual(consistency.mismatches, []);
+  });
+});
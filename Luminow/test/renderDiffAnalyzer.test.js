@@ -0,0 +1,110 @@
+/**
+ * Render diff: content that only exists after JavaScript runs, and the AI
+ * Crawl Access deduction for client-rendered key content
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RenderDiffAnalyzer } from '../src/analyzers/renderDiffAnalyzer.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+
+const STATIC = {
+  headings: { h1: ['Linen Shirt'], h2: ['Details'] },
+  productData: { name: 'Linen Shirt', price: '', currency: 'EUR' },
+  structuredData: [{ '@type': 'Organization', name: 'Shop' }],
+  schemaTypes: ['Organization'],
+  faqContent: [{ question: 'How does it fit?' }],
+  links: { internal: [{ href: 'https://shop.example/', text: 'Home' }], external: [] },
+  wordCount: 100,
+  hasProductSchema: false,
+};
+
+const RENDERED = {
+  headings: { h1: ['Linen  shirt'], h2: ['Details', 'Reviews'] },
+  productData: { name: 'Linen Shirt', price: '49.00', currency: 'USD' },
+  structuredData: [
+    { '@type': 'Organization', name: 'Shop' },
+    { '@type': 'Product', name: 'Linen Shirt' },
+  ],
+  schemaTypes: ['Organization', 'Product'],
+  faqContent: [{ question: 'How does it fit?' }, { question: 'Can I return it?' }],
+  hasFAQSchema: true,
+  links: {
+    internal: [{ href: 'https://shop.example/', text: 'Home' }, { href: 'https://shop.example/cart', text: 'Cart' }],
+    external: [{ href: 'https://reviews.example/', text: 'Reviews' }],
+  },
+  wordCount: 400,
+  hasProductSchema: true,
+};
+
+describe('RenderDiffAnalyzer', () => {
+  const diff = new RenderDiffAnalyzer().analyze(STATIC, RENDERED);
+
+  test('reports headings, FAQ items and links that only exist after rendering', () => {
+    // Whitespace and case differences are not client-rendered content
+    assert.deepEqual(diff.headings.renderedOnly, [{ level: 'h2', text: 'Reviews' }]);
+    assert.deepEqual(diff.faq.renderedOnly, ['Can I return it?']);
+    assert.equal(diff.faq.schemaRenderedOnly, true);
+    assert.deepEqual(diff.links.renderedOnly.map(link => link.href), ['https://shop.example/cart', 'https://reviews.example/']);
+    assert.equal(diff.links.internalCount, 1);
+  });
+
+  test('reports product fields and structured data injected by JavaScript', () => {
+    assert.deepEqual(diff.productData.renderedOnlyFields, ['price']);
+    assert.deepEqual(diff.productData.changedFields, [{ field: 'currency', static: 'EUR', rendered: 'USD' }]);
+    assert.deepEqual(diff.jsonLd.renderedOnlyTypes, ['Product']);
+    assert.equal(diff.jsonLd.renderedOnlyBlocks, 1);
+    assert.deepEqual(diff.text, { staticWordCount: 100, renderedWordCount: 400, hiddenWords: 300, hiddenPercentage: 75 });
+  });
+
+  test('flags key content that is client-rendered only', () => {
+    assert.deepEqual(diff.clientRenderedKeyContent, ['price', 'productSchema']);
+    assert.equal(diff.keyContent.name.clientRenderedOnly, false);
+    assert.match(diff.summary, /^Price, Product schema only visible after JavaScript/);
+  });
+
+  test('caps listed items but keeps the full count', () => {
+    const many = { ...RENDERED, headings: { h3: Array.from({ length: 5 }, (_, i) => `Heading ${i}`) } };
+    const capped = new RenderDiffAnalyzer({ maxListItems: 2 }).analyze(STATIC, many);
+    assert.equal(capped.headings.renderedOnly.length, 2);
+    assert.equal(capped.headings.count, 5);
+  });
+
+  test('is unavailable without both extractions', () => {
+    assert.deepEqual(new RenderDiffAnalyzer().analyze(STATIC, null), { available: false, reason: 'No rendered extraction' });
+    assert.equal(new RenderDiffAnalyzer().analyze(STATIC, STATIC).summary, 'Raw HTML contains the same content AI crawlers need');
+  });
+});
+
+describe('GEOAnalyzer raw HTML content check', () => {
+  const crawlAccess = renderDiff => new GEOAnalyzer().analyzeAICrawlAccess({ statusCode: 200, renderDiff });
+
+  test('deducts for client-rendered price, Product schema and mostly hidden text', () => {
+    const withDiff = crawlAccess(new RenderDiffAnalyzer().analyze(STATIC, RENDERED));
+    const without = crawlAccess(undefined);
+
+    // Price (10) + Product schema (7) + 75% hidden text (10)
+    assert.equal(withDiff.checks.rawHtmlContent.points, -27);
+    assert.equal(withDiff.checks.rawHtmlContent.passed, false);
+    assert.equal(without.score - withDiff.score, 27);
+    assert.ok(withDiff.issues.some(issue => issue.severity === 'critical' && /Price, Product schema only rendered by JavaScript/.test(issue.message)));
+  });
+
+  test('caps the deduction', () => {
+    // Name (8) + price (10) + Product schema (7) + hidden text (10) = 35
+    const bare = { ...STATIC, productData: {}, wordCount: 0 };
+    const result = crawlAccess(new RenderDiffAnalyzer().analyze(bare, RENDERED));
+    assert.equal(result.checks.rawHtmlContent.points, -30);
+  });
+
+  test('passes when the key content is in raw HTML', () => {
+    const result = crawlAccess(new RenderDiffAnalyzer().analyze(RENDERED, RENDERED));
+    assert.equal(result.checks.rawHtmlContent.value, 'Key content in raw HTML');
+    assert.equal(result.checks.rawHtmlContent.passed, true);
+    assert.equal(result.score, crawlAccess(undefined).score);
+  });
+
+  test('is skipped without a diff', () => {
+    assert.equal(crawlAccess({ available: false, reason: 'No static extraction' }).checks.rawHtmlContent, undefined);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * ReplayBundle: a recorded scrape replays to identical page data without the
+ * network, exchange matching per user agent, bundles made from saved HTML and
+ * the JSON file round trip
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ReplayBundle, BUNDLE_VERSION } from '../src/scrapers/replayBundle.js';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+
+const SITE = 'https://shop.example';
+const PAGE_URL = `${SITE}/products/shirt`;
+const PAGE = `<html><head><title>Linen Shirt</title><meta name="description" content="Breathable linen.">
+<script type="application/ld+json">{"@context":"https://schema.org","@type":"Product","name":"Linen Shirt","offers":{"@type":"Offer","price":"49.00","priceCurrency":"EUR"}}</script>
+</head><body><h1>Linen Shirt</h1><p>Breathable linen, cut for summer.</p><a href="/collections/shirts">Shirts</a></body></html>`;
+
+/**
+ * Stand-in for the network: the scraper's URL policy performs every live fetch
+ * /shirt redirects to /products/shirt; robots.txt and llms.txt exist
+ */
+const network = () => {
+  const requests = [];
+  return {
+    requests,
+    fetch: async (url, init = {}) => {
+      requests.push({ url, userAgent: init.headers?.['User-Agent'] });
+      const { pathname } = new URL(url);
+      if (pathname === '/shirt') return new Response(null, { status: 301, headers: { location: '/products/shirt' } });
+      if (pathname === '/products/shirt') return new Response(PAGE, { headers: { 'content-type': 'text/html; charset=utf-8' } });
+      if (pathname === '/robots.txt') return new Response('User-agent: *\nAllow: /', { headers: { 'content-type': 'text/plain' } });
+      if (pathname === '/llms.txt') return new Response('# Example Shop\n\n> Linen.\n\n## Products\n- [Shirt](/products/shirt)\n', { headers: { 'content-type': 'text/plain' } });
+      return new Response('Not found', { status: 404 });
+    },
+  };
+};
+
+const offline = {
+  fetch: async url => assert.fail(`Replay went to the network for ${url}`),
+};
+
+const SCRAPE = { mode: 'static', botProbe: true, aiFilesAudit: true };
+
+describe('ReplayBundle record / replay', () => {
+  test('a recorded scrape replays to identical page data offline', async () => {
+    const live = network();
+    const bundle = new ReplayBundle();
+    const recorded = await new WebScraper({ urlPolicy: live, record: bundle, shopifyCatalog: false }).scrape(`${SITE}/shirt`, SCRAPE);
+
+    assert.equal(bundle.url, `${SITE}/shirt`);
+    assert.deepEqual(bundle.captures.map(c => c.kind), ['static']);
+    // Each redirect hop and each bot user agent is its own exchange
+    assert.ok(bundle.exchanges.some(e => e.response.status === 301));
+    assert.ok(bundle.exchanges.some(e => /GPTBot/.test(e.request.userAgent)));
+
+    // Saved and reloaded as JSON, like a bundle file
+    const saved = new ReplayBundle(JSON.parse(JSON.stringify(bundle)));
+    const replayed = await new WebScraper({ urlPolicy: offline, replay: saved, shopifyCatalog: false }).scrape(`${SITE}/shirt`, SCRAPE);
+
+    assert.deepEqual(replayed, recorded);
+    assert.equal(replayed.finalUrl, PAGE_URL);
+    assert.equal(replayed.productData.price, '49.00');
+    assert.equal(replayed.aiFiles.llmsTxt.found, true);
+    assert.equal(replayed.botAccess.available, true);
+  });
+
+  test('replay fails on requests that were not recorded', async () => {
+    const bundle = new ReplayBundle();
+    await new WebScraper({ urlPolicy: network(), record: bundle }).scrape(PAGE_URL, { mode: 'static', botProbe: false, aiFilesAudit: false });
+
+    const scraper = new WebScraper({ urlPolicy: offline, replay: bundle });
+    await assert.rejects(scraper.scrape(`${SITE}/other`, { mode: 'static' }), /No static capture for https:\/\/shop\.example\/other/);
+    await assert.rejects(scraper.httpFetch(`${SITE}/llms.txt`), /Not in replay bundle: GET https:\/\/shop\.example\/llms\.txt/);
+  });
+
+  test('records a response and hands back an unread copy', async () => {
+    const bundle = new ReplayBundle();
+    const request = { method: 'GET', url: `${SITE}/robots.txt`, userAgent: 'test' };
+    const response = await bundle.recordExchange(request, new Response('User-agent: *', { status: 200, headers: { 'x-test': '1' } }));
+
+    assert.equal(await response.text(), 'User-agent: *');
+    assert.deepEqual(bundle.exchanges[0].response, { status: 200, headers: { 'content-type': 'text/plain;charset=UTF-8', 'x-test': '1' }, body: 'User-agent: *' });
+    // Recording the same request again replaces it
+    await bundle.recordExchange(request, new Response('', { status: 404 }));
+    assert.equal(bundle.exchanges.length, 1);
+    assert.equal(bundle.replayExchange(request).status, 404);
+  });
+
+  test('replays statuses that cannot carry a body', async () => {
+    const bundle = new ReplayBundle();
+    const request = { method: 'GET', url: PAGE_URL, userAgent: 'test' };
+    bundle.addExchange(request, { status: 304, headers: {}, body: '' });
+    assert.equal(bundle.replayExchange(request).status, 304);
+  });
+
+  test('rejects bundles from a newer format version', () => {
+    assert.throws(() => new ReplayBundle({ version: BUNDLE_VERSION + 1 }), /Unsupported replay bundle version/);
+  });
+});
+
+describe('ReplayBundle.fromHtml', () => {
+  const bundle = ReplayBundle.fromHtml(PAGE, {
+    url: PAGE_URL,
+    robotsTxt: 'User-agent: GPTBot\nDisallow: /',
+    resources: { '/products/shirt.js': { json: { id: 1, title: 'Linen Shirt' } } },
+  });
+
+  test('serves the document to every user agent and the static and rendered passes', async () => {
+    for (const userAgent of ['browser', 'GPTBot']) {
+      assert.equal(await bundle.replayExchange({ method: 'GET', url: PAGE_URL, userAgent }).text(), PAGE);
+    }
+    assert.equal(bundle.getCapture('static', PAGE_URL).kind, 'document');
+    assert.equal(bundle.getCapture('rendered', PAGE_URL).kind, 'document');
+    assert.equal(bundle.getCapture('mobile', PAGE_URL), null);
+  });
+
+  test('serves robots.txt and extra resources', async () => {
+    const robots = bundle.replayExchange({ method: 'GET', url: `${SITE}/robots.txt`, userAgent: 'x' });
+    assert.equal(await robots.text(), 'User-agent: GPTBot\nDisallow: /');
+    const json = bundle.replayExchange({ method: 'GET', url: `${SITE}/products/shirt.js`, userAgent: 'x' });
+    assert.deepEqual(await json.json(), { id: 1, title: 'Linen Shirt' });
+  });
+
+  test('analyzes a saved page without the network', async () => {
+    const pageData = await new WebScraper({ urlPolicy: offline, replay: bundle, shopifyCatalog: false })
+      .scrape(PAGE_URL, { mode: 'static', botProbe: true, aiFilesAudit: false });
+    assert.equal(pageData.title, 'Linen Shirt');
+    assert.equal(pageData.robotsTxt.found, true);
+    assert.equal(pageData.botAccess.available, true);
+    assert.deepEqual(pageData.botAccess.unreachable, []);
+  });
+
+  test('requires the page URL', () => {
+    assert.throws(() => ReplayBundle.fromHtml(PAGE), /requires the original page URL/);
+  });
+});
+
+describe('ReplayBundle files', () => {
+  test('saves and loads bundle JSON and saved HTML files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-bundle-'));
+    try {
+      const bundle = ReplayBundle.fromHtml(PAGE, { url: PAGE_URL });
+      const bundlePath = path.join(dir, 'nested', 'bundle.json');
+      await bundle.save(bundlePath);
+      const loaded = await ReplayBundle.fromFile(bundlePath);
+      assert.deepEqual(loaded.toJSON(), bundle.toJSON());
+
+      const htmlPath = path.join(dir, 'page.html');
+      await fs.writeFile(htmlPath, PAGE);
+      const fromHtml = await ReplayBundle.fromFile(htmlPath, { url: PAGE_URL });
+      assert.equal(fromHtml.getCapture('static', PAGE_URL).html, PAGE);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Results storage: the same contract against the JSON-file and SQLite
+ * backends (save, query filters, bundles, batches, delete, concurrent saves),
+ * query parsing, and importing a JSON data directory into SQLite
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonFileStorage } from '../src/storage/jsonFileStorage.js';
+import { SqliteStorage } from '../src/storage/sqliteStorage.js';
+import { ResultsStorage } from '../src/storage/resultsStorage.js';
+import { parseResultQuery, domainOf } from '../src/storage/resultQuery.js';
+import { migrateStorage } from '../src/storage/migration.js';
+import { ReplayBundle } from '../src/scrapers/replayBundle.js';
+
+// better-sqlite3 is an optional dependency
+const sqliteAvailable = await import('better-sqlite3').then(() => true, () => false);
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'luminow-storage-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const makeResult = (id, url, analyzedAt, { overall, seo = overall, geo = overall * 8, pageType = 'product', batchId } = {}) => ({
+  id,
+  url,
+  analyzedAt,
+  pageInfo: { pageType: { type: pageType } },
+  overallScore: { score: overall, grade: 'B' },
+  seo: { score: seo },
+  geo: { score: geo },
+  ...(batchId ? { batch: { id: batchId, tags: [] } } : {}),
+});
+
+const RESULTS = [
+  makeResult('r1', 'https://www.shop.example/products/a', '2026-01-10T10:00:00.000Z', { overall: 82 }),
+  makeResult('r2', 'https://shop.example/collections/all', '2026-01-12T10:00:00.000Z', { overall: 55, pageType: 'collection' }),
+  makeResult('r3', 'https://blog.example/post', '2026-01-15T10:00:00.000Z', { overall: 40, pageType: 'article', batchId: 'b1' }),
+  makeResult('r4', 'https://www.shop.example/products/a', '2026-01-20T10:00:00.000Z', { overall: 90, seo: 70 }),
+];
+
+const query = params => parseResultQuery(params).query;
+const ids = ({ results }) => results.map(result => result.id);
+
+const backends = [
+  ['JsonFileStorage', () => new JsonFileStorage(path.join(tempDir, `json-${crypto.randomUUID()}`)), true],
+  ['SqliteStorage', () => new SqliteStorage(path.join(tempDir, `${crypto.randomUUID()}.db`)), sqliteAvailable],
+];
+
+for (const [name, create, available] of backends) {
+  describe(name, { skip: !available && 'better-sqlite3 is not installed' }, () => {
+    const seeded = async () => {
+      const storage = create();
+      for (const result of RESULTS) await storage.save(result);
+      return storage;
+    };
+
+    test('saves and reads full results', async () => {
+      const storage = await seeded();
+      assert.deepEqual(await storage.getById('r3'), RESULTS[2]);
+      assert.equal(await storage.getById('missing'), null);
+      assert.deepEqual((await storage.getAll()).map(result => result.id), ['r4', 'r3', 'r2', 'r1']);
+      await storage.close();
+    });
+
+    test('lists summaries with page type and batch', async () => {
+      const storage = await seeded();
+      const [summary] = (await storage.query(query({ batchId: 'b1' }))).results;
+      assert.deepEqual(summary, {
+        id: 'r3',
+        url: 'https://blog.example/post',
+        analyzedAt: '2026-01-15T10:00:00.000Z',
+        overallScore: 40,
+        seoScore: 40,
+        geoScore: 320,
+        pageType: 'article',
+        batchId: 'b1',
+      });
+      await storage.close();
+    });
+
+    test('filters by URL, domain, date, page type and score', async () => {
+      const storage = await seeded();
+      assert.deepEqual(ids(await storage.query(query({ url: 'https://www.shop.example/products/a' }))), ['r4', 'r1']);
+      assert.deepEqual(ids(await storage.query(query({ domain: 'www.SHOP.example' }))), ['r4', 'r2', 'r1']);
+      assert.deepEqual(ids(await storage.query(query({ from: '2026-01-12', to: '2026-01-15' }))), ['r3', 'r2']);
+      assert.deepEqual(ids(await storage.query(query({ pageType: 'product' }))), ['r4', 'r1']);
+      assert.deepEqual(ids(await storage.query(query({ minScore: '55', maxScore: '85' }))), ['r2', 'r1']);
+      assert.deepEqual(ids(await storage.query(query({ scoreType: 'seo', maxScore: '75' }))), ['r4', 'r3', 'r2']);
+      await storage.close();
+    });
+
+    test('pages with limit / offset and reports the total', async () => {
+      const storage = await seeded();
+      const page = await storage.query(query({ limit: '2', offset: '1' }));
+      assert.deepEqual(ids(page), ['r3', 'r2']);
+      assert.equal(page.total, 4);
+      await storage.close();
+    });
+
+    test('re-saving a result replaces it', async () => {
+      const storage = await seeded();
+      await storage.save({ ...RESULTS[0], overallScore: { score: 10 } });
+      const { results, total } = await storage.query(query({ url: RESULTS[0].url }));
+      assert.equal(total, 2);
+      assert.equal(results.find(result => result.id === 'r1').overallScore, 10);
+      await storage.close();
+    });
+
+    test('keeps every entry when saves run concurrently', async () => {
+      const storage = create();
+      const many = Array.from({ length: 20 }, (_, i) => makeResult(`c${i}`, `https://c.example/${i}`,
+        new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(), { overall: i }));
+      await Promise.all(many.map(result => storage.save(result)));
+      assert.equal((await storage.query(query({ domain: 'c.example' }))).total, 20);
+      await storage.close();
+    });
+
+    test('stores bundles and batches, and deletes a result with its bundle', async () => {
+      const storage = await seeded();
+      const bundle = ReplayBundle.fromHtml('<html><title>Hi</title></html>', { url: 'https://shop.example/' });
+      await storage.saveBundle('r2', bundle);
+      assert.deepEqual((await storage.getBundle('r2')).toJSON(), bundle.toJSON());
+
+      const batch = { id: 'b1', state: 'completed', createdAt: '2026-01-15T09:00:00.000Z', pages: [{ url: 'https://blog.example/post' }] };
+      await storage.saveBatch(batch);
+      assert.deepEqual(await storage.getBatch('b1'), batch);
+      assert.equal(await storage.getBatch('missing'), null);
+
+      await storage.delete('r2');
+      assert.equal(await storage.getById('r2'), null);
+      assert.equal(await storage.getBundle('r2'), null);
+      assert.deepEqual(ids(await storage.query(query({}))), ['r4', 'r3', 'r1']);
+      await storage.close();
+    });
+
+    test('saves a result with its bundle, or neither', async () => {
+      const storage = create();
+      const bundle = ReplayBundle.fromHtml('<html><title>Hi</title></html>', { url: 'https://shop.example/' });
+      assert.equal(await storage.saveWithBundle(RESULTS[0], bundle), 'r1');
+      assert.deepEqual(await storage.getById('r1'), RESULTS[0]);
+      assert.deepEqual((await storage.getBundle('r1')).toJSON(), bundle.toJSON());
+
+      // BigInt can't be serialized, so saving the result fails
+      const unsaveable = { ...makeResult('bad', 'https://shop.example/bad', '2026-01-21T10:00:00.000Z', { overall: 1 }), size: 1n };
+      await assert.rejects(storage.saveWithBundle(unsaveable, bundle), TypeError);
+      assert.equal(await storage.getById('bad'), null);
+      assert.equal(await storage.getBundle('bad'), null);
+      await storage.close();
+    });
+  });
+}
+
+describe('SqliteStorage.init', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, () => {
+  test('retries opening after a failure', async () => {
+    // A directory where the database file should be makes the first open fail
+    const dbPath = path.join(tempDir, `${crypto.randomUUID()}.db`);
+    await fs.mkdir(dbPath);
+    const storage = new SqliteStorage(dbPath);
+    await assert.rejects(storage.init());
+
+    await fs.rmdir(dbPath);
+    await storage.init();
+    assert.deepEqual(await storage.getAll(), []);
+    await storage.close();
+  });
+
+  test('closes the database when setup fails after opening it', async (t) => {
+    const openFiles = () => fs.readdir('/proc/self/fd').then(fds => fds.length, () => null);
+    if ((await openFiles()) === null) return t.skip('needs /proc/self/fd');
+
+    // Opens fine, but the first pragma finds it isn't a database
+    const dbPath = path.join(tempDir, `${crypto.randomUUID()}.db`);
+    await fs.writeFile(dbPath, 'not a database'.repeat(100));
+    const storage = new SqliteStorage(dbPath);
+
+    await assert.rejects(storage.init());
+    const before = await openFiles();
+    await assert.rejects(storage.init());
+    await assert.rejects(storage.init());
+    assert.equal(await openFiles(), before);
+  });
+});
+
+describe('parseResultQuery', () => {
+  test('normalizes domains and bare upper-bound dates', () => {
+    const { query: parsed, error } = parseResultQuery({ domain: 'https://WWW.Shop.example/x', to: '2026-01-15' });
+    assert.equal(error, null);
+    assert.equal(parsed.domain, 'shop.example');
+    assert.equal(parsed.to, '2026-01-15T23:59:59.999Z');
+    assert.equal(parsed.limit, 100);
+    assert.equal(domainOf('shop.example.'), 'shop.example');
+  });
+
+  test('reports every invalid parameter', () => {
+    const { error } = parseResultQuery({ minScore: 'high', from: 'yesterday', scoreType: 'llm', limit: '5000' });
+    assert.match(error, /scoreType/);
+    assert.match(error, /limit/);
+    assert.match(error, /from must be a date/);
+    assert.match(error, /minScore must be a number/);
+  });
+});
+
+describe('ResultsStorage', () => {
+  test('shares one backend per location and rejects unknown backends', () => {
+    const dir = path.join(tempDir, 'shared');
+    assert.equal(new ResultsStorage(dir).backend, new ResultsStorage({ backend: 'json', storagePath: dir }).backend);
+    assert.throws(() => new ResultsStorage({ backend: 'mongo' }), /Unknown storage backend: mongo/);
+  });
+});
+
+describe('migrateStorage', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, () => {
+  test('imports every result file, bundle and batch, skipping non-results', async () => {
+    const dir = path.join(tempDir, 'legacy');
+    const source = new JsonFileStorage(dir);
+    for (const result of RESULTS) await source.save(result);
+    await source.saveBundle('r1', ReplayBundle.fromHtml('<html></html>', { url: RESULTS[0].url }));
+    await source.saveBatch({ id: 'b1', state: 'completed', pages: [] });
+    // Older data: a result file missing from index.json, and files that aren't results
+    await fs.writeFile(path.join(dir, 'old.json'), JSON.stringify(makeResult('old', 'https://old.example/', '2025-06-01T00:00:00.000Z', { overall: 60 })));
+    await fs.writeFile(path.join(dir, 'notes.json'), JSON.stringify({ hello: 'world' }));
+    await fs.writeFile(path.join(dir, 'api-keys.json'), JSON.stringify({ keys: [] }));
+
+    const target = new SqliteStorage(path.join(tempDir, 'migrated.db'));
+    const dryRun = await migrateStorage(source, target, { dryRun: true });
+    assert.equal(dryRun.results, 5);
+    assert.equal((await target.query(query({}))).total, 0);
+
+    const report = await migrateStorage(source, target);
+    assert.deepEqual({ ...report, skipped: report.skipped.map(skip => skip.id) }, {
+      results: 5, bundles: 1, batches: 1, skipped: ['notes'],
+    });
+    assert.equal((await target.query(query({ domain: 'old.example' }))).total, 1);
+    assert.ok(await target.getBundle('r1'));
+    assert.equal((await target.getBatch('b1')).state, 'completed');
+
+    // Re-running adds nothing new
+    await migrateStorage(source, target);
+    assert.equal((await target.query(query({}))).total, 5);
+    await target.close();
+  });
+});
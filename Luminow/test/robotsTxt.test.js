@@ -0,0 +1,213 @@
+/**
+ * RFC 9309 test vectors for the robots.txt engine
+ *
+ * Each vector is a robots.txt body plus the expected decision for
+ * (user agent, path) pairs. Cases follow the RFC's examples and the
+ * behaviour of Google's reference parser where the RFC leaves room.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotsTxt, normalizePath, matchesPattern } from '../src/utils/robotsTxt.js';
+
+const VECTORS = [
+  {
+    name: 'empty file allows everything',
+    robots: '',
+    cases: [['FooBot', '/', true], ['FooBot', '/anything?x=1', true]],
+  },
+  {
+    name: 'disallow all for wildcard',
+    robots: 'User-agent: *\nDisallow: /',
+    cases: [['FooBot', '/', false], ['FooBot', '/page', false]],
+  },
+  {
+    name: 'empty disallow matches nothing',
+    robots: 'User-agent: *\nDisallow:',
+    cases: [['FooBot', '/', true], ['FooBot', '/private', true]],
+  },
+  {
+    name: 'specific group replaces the wildcard group',
+    robots: 'User-agent: *\nDisallow: /\n\nUser-agent: FooBot\nDisallow: /private',
+    cases: [['FooBot', '/', true], ['FooBot', '/private/x', false], ['BarBot', '/', false]],
+  },
+  {
+    name: 'consecutive user-agent lines share a group',
+    robots: 'User-agent: FooBot\nUser-agent: BarBot\nDisallow: /shared',
+    cases: [['FooBot', '/shared', false], ['BarBot', '/shared', false], ['BazBot', '/shared', true]],
+  },
+  {
+    name: 'blank lines do not split user-agent lines from their rules',
+    robots: 'User-agent: FooBot\n\nUser-agent: BarBot\n\nDisallow: /x',
+    cases: [['FooBot', '/x', false], ['BarBot', '/x', false]],
+  },
+  {
+    name: 'groups for the same user agent are merged',
+    robots: 'User-agent: FooBot\nDisallow: /a\n\nUser-agent: BarBot\nDisallow: /b\n\nUser-agent: FooBot\nDisallow: /c',
+    cases: [['FooBot', '/a', false], ['FooBot', '/c', false], ['FooBot', '/b', true], ['BarBot', '/a', true]],
+  },
+  {
+    name: 'rules before the first user-agent line are ignored',
+    robots: 'Disallow: /\nUser-agent: FooBot\nDisallow: /private',
+    cases: [['FooBot', '/', true], ['BarBot', '/', true]],
+  },
+  {
+    name: 'user agent and keys are case-insensitive',
+    robots: 'USER-AGENT: foobot\nDISALLOW: /x',
+    cases: [['FooBot', '/x', false], ['FOOBOT', '/x', false]],
+  },
+  {
+    name: 'paths are case-sensitive',
+    robots: 'User-agent: *\nDisallow: /Private',
+    cases: [['FooBot', '/Private', false], ['FooBot', '/private', true]],
+  },
+  {
+    name: 'product token ignores version, no prefix matching',
+    robots: 'User-agent: FooBot/1.2\nDisallow: /\n\nUser-agent: Foo\nDisallow: /foo-only',
+    cases: [['FooBot', '/', false], ['Foo', '/', true], ['Foo', '/foo-only', false], ['FooBotExtra', '/', true]],
+  },
+  {
+    name: 'longest match wins regardless of order',
+    robots: 'User-agent: *\nAllow: /folder/page\nDisallow: /folder',
+    cases: [['FooBot', '/folder/page', true], ['FooBot', '/folder/other', false]],
+  },
+  {
+    name: 'longest match wins for disallow too',
+    robots: 'User-agent: *\nAllow: /folder\nDisallow: /folder/private',
+    cases: [['FooBot', '/folder/public', true], ['FooBot', '/folder/private/x', false]],
+  },
+  {
+    name: 'allow wins an equal-length tie',
+    robots: 'User-agent: *\nDisallow: /page\nAllow: /page',
+    cases: [['FooBot', '/page', true]],
+  },
+  {
+    name: 'wildcard matches any sequence',
+    robots: 'User-agent: *\nDisallow: /*/secret',
+    cases: [['FooBot', '/a/b/secret', false], ['FooBot', '/secret', true]],
+  },
+  {
+    name: 'end anchor',
+    robots: 'User-agent: *\nDisallow: /*.php$',
+    cases: [['FooBot', '/index.php', false], ['FooBot', '/index.php?x=1', true], ['FooBot', '/index.php5', true]],
+  },
+  {
+    name: 'rules match against path and query',
+    robots: 'User-agent: *\nDisallow: /*?sort=',
+    cases: [['FooBot', '/list?sort=asc', false], ['FooBot', '/list?page=2', true]],
+  },
+  {
+    name: 'non-ASCII and percent-encoded paths are equivalent',
+    robots: 'User-agent: *\nDisallow: /ツ\nDisallow: /%62%61%7A',
+    cases: [['FooBot', '/%E3%83%84', false], ['FooBot', '/ツ', false], ['FooBot', '/baz', false]],
+  },
+  {
+    name: 'escaped reserved characters stay escaped',
+    robots: 'User-agent: *\nDisallow: /a%2Fb',
+    cases: [['FooBot', '/a%2fb', false], ['FooBot', '/a/b', true]],
+  },
+  {
+    name: '/robots.txt is always allowed',
+    robots: 'User-agent: *\nDisallow: /',
+    cases: [['FooBot', '/robots.txt', true]],
+  },
+  {
+    name: 'comments and unknown lines are ignored',
+    robots: '# header\nUser-agent: * # everyone\nFoo: bar\nDisallow: /x # no x\n',
+    cases: [['FooBot', '/x', false], ['FooBot', '/y', true]],
+  },
+  {
+    name: 'byte order mark is stripped',
+    robots: '\uFEFFUser-agent: *\nDisallow: /',
+    cases: [['FooBot', '/', false]],
+  },
+  {
+    name: 'CRLF and CR line endings',
+    robots: 'User-agent: FooBot\r\nDisallow: /a\r\rUser-agent: BarBot\rDisallow: /b',
+    cases: [['FooBot', '/a', false], ['BarBot', '/b', false], ['BarBot', '/a', true]],
+  },
+  {
+    name: 'absolute URLs are evaluated by path',
+    robots: 'User-agent: *\nDisallow: /cart',
+    cases: [['FooBot', 'https://example.com/cart?id=1', false], ['FooBot', 'https://example.com/', true]],
+  },
+];
+
+describe('RobotsTxt RFC 9309 vectors', () => {
+  for (const vector of VECTORS) {
+    test(vector.name, () => {
+      const robots = new RobotsTxt(vector.robots);
+      for (const [userAgent, path, expected] of vector.cases) {
+        assert.equal(robots.isAllowed(userAgent, path), expected, `${userAgent} ${path}`);
+      }
+    });
+  }
+});
+
+describe('RobotsTxt', () => {
+  test('evaluate reports the deciding rule and group match', () => {
+    const robots = new RobotsTxt('User-agent: GPTBot\nDisallow: /shop\nAllow: /shop/public\n\nUser-agent: *\nDisallow:');
+
+    const blocked = robots.evaluate('GPTBot', '/shop/cart');
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.match, 'specific');
+    assert.equal(RobotsTxt.formatRule(blocked.rule), 'Disallow: /shop');
+    assert.equal(blocked.rule.line, 2);
+
+    const allowed = robots.evaluate('GPTBot', '/shop/public/item');
+    assert.equal(RobotsTxt.formatRule(allowed.rule), 'Allow: /shop/public');
+
+    assert.equal(robots.evaluate('ClaudeBot', '/shop').match, 'wildcard');
+    assert.equal(new RobotsTxt('').evaluate('ClaudeBot', '/').match, 'none');
+  });
+
+  test('crawl-delay per group and sitemaps outside groups', () => {
+    const robots = new RobotsTxt([
+      'User-agent: *',
+      'Crawl-delay: 2',
+      'Sitemap: https://example.com/sitemap.xml',
+      'Disallow: /tmp',
+      '',
+      'User-agent: FooBot',
+      'Crawl-delay: 0.5',
+      'Sitemap: https://example.com/products.xml',
+    ].join('\n'));
+
+    assert.equal(robots.getCrawlDelay('BarBot'), 2);
+    assert.equal(robots.getCrawlDelay('FooBot'), 0.5);
+    assert.deepEqual(robots.getSitemaps(), [
+      'https://example.com/sitemap.xml',
+      'https://example.com/products.xml',
+    ]);
+    // Sitemap line doesn't end the wildcard group
+    assert.equal(robots.isAllowed('BarBot', '/tmp/x'), false);
+  });
+
+  test('fromResponse follows fetch status rules', () => {
+    assert.equal(RobotsTxt.fromResponse(200, 'User-agent: *\nDisallow: /').isAllowed('FooBot', '/'), false);
+    assert.equal(RobotsTxt.fromResponse(404, null).isAllowed('FooBot', '/'), true);
+    assert.equal(RobotsTxt.fromResponse(null, null).isAllowed('FooBot', '/'), true);
+    assert.equal(RobotsTxt.fromResponse(503, null).isAllowed('FooBot', '/'), false);
+  });
+
+  test('parsing stops at 500 KiB', () => {
+    const padding = `# ${'x'.repeat(500 * 1024)}\n`;
+    const robots = new RobotsTxt(`${padding}User-agent: *\nDisallow: /`);
+    assert.equal(robots.isAllowed('FooBot', '/'), true);
+  });
+});
+
+describe('normalizePath / matchesPattern', () => {
+  test('normalizePath decodes unreserved and encodes non-ASCII', () => {
+    assert.equal(normalizePath('/%7euser/%41'), '/~user/A');
+    assert.equal(normalizePath('/a%2fb'), '/a%2Fb');
+    assert.equal(normalizePath('/ツ'), '/%E3%83%84');
+  });
+
+  test('matchesPattern handles wildcards without backtracking blowup', () => {
+    assert.equal(matchesPattern('/a/b/c', '/*b*'), true);
+    assert.equal(matchesPattern('/abc', '/*c$'), true);
+    assert.equal(matchesPattern('/abcd', '/*c$'), false);
+    assert.equal(matchesPattern(`/${'a'.repeat(5000)}`, `/${'*a'.repeat(50)}b`), false);
+  });
+});
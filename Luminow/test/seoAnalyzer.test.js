@@ -0,0 +1,41 @@
+/**
+ * SEOAnalyzer mobile readiness: the tap-target check is rated against the
+ * smallTapTargets threshold in config/performanceThresholds.js, which
+ * performanceThresholds overrides can change like the other lab checks
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEOAnalyzer } from '../src/analyzers/seoAnalyzer.js';
+
+const mobilePass = percentage => ({
+  available: true,
+  content: { hiddenPercentage: 0, hiddenHeadingCount: 0 },
+  missingKeyContent: [],
+  tapTargets: { tooSmall: percentage, total: 100, percentage, minSizePx: 48 },
+  fonts: { legiblePercentage: 100, minSizePx: 12 },
+  overflow: { hasHorizontalOverflow: false, scrollWidth: 393, viewportWidth: 393 },
+});
+
+describe('SEOAnalyzer.analyzeMobileReadiness tap targets', () => {
+  const cases = [
+    [0, true, 3],
+    [10, true, 3],
+    [11, false, 2],
+    [25, false, 2],
+    [26, false, 0],
+  ];
+  for (const [percentage, passed, points] of cases) {
+    test(`${percentage}% too small -> ${points} points`, () => {
+      const { checks } = new SEOAnalyzer().analyzeMobileReadiness(mobilePass(percentage));
+      assert.equal(checks.tapTargets.passed, passed);
+      assert.equal(checks.tapTargets.points, points);
+    });
+  }
+
+  test('follows threshold overrides', () => {
+    const analyzer = new SEOAnalyzer({ performanceThresholds: { smallTapTargets: { good: 5, poor: 15 } } });
+    assert.equal(analyzer.analyzeMobileReadiness(mobilePass(8)).checks.tapTargets.points, 2);
+    assert.equal(analyzer.analyzeMobileReadiness(mobilePass(20)).checks.tapTargets.points, 0);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * SiteCrawler analysis: a page the analyzers throw on is recorded in the
+ * crawl's errors and the rest of the crawl is still analyzed
+ */
+
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SiteCrawler } from '../src/scrapers/siteCrawler.js';
+import { SEOAnalyzer } from '../src/analyzers/seoAnalyzer.js';
+import { GEOAnalyzer } from '../src/analyzers/geoAnalyzer.js';
+
+const ORIGIN = 'https://shop.example';
+
+const PAGES = {
+  '/': ['/broken', '/about'],
+  '/broken': [],
+  '/about': [],
+};
+
+const scraper = {
+  fetchRobotsTxt: async () => ({ found: false, statusCode: 404 }),
+  scrape: async url => ({
+    url,
+    finalUrl: url,
+    statusCode: 200,
+    pageType: { type: 'other', isProductPage: false },
+    links: { internal: PAGES[new URL(url).pathname].map(path => ({ href: `${ORIGIN}${path}` })) },
+  }),
+};
+
+const analysis = score => ({ score, band: { band: 'Good' }, summary: { criticalIssues: 0, warnings: 0 }, issues: [] });
+
+describe('SiteCrawler analysis', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('records a page the analyzers fail on and scores the others', async () => {
+    mock.method(SEOAnalyzer.prototype, 'analyze', (pageData) => {
+      if (pageData.url.endsWith('/broken')) throw new TypeError("Cannot read properties of undefined (reading 'length')");
+      return analysis(80);
+    });
+    mock.method(GEOAnalyzer.prototype, 'analyze', () => analysis(600));
+
+    const crawler = new SiteCrawler({ scraper, useSitemaps: false, useLlmsTxt: false });
+    const report = await crawler.crawl(`${ORIGIN}/`);
+
+    assert.equal(report.pages.length, 3);
+    assert.deepEqual(report.errors, [{
+      url: `${ORIGIN}/broken`,
+      error: "Analysis failed: Cannot read properties of undefined (reading 'length')",
+    }]);
+    const broken = report.pages.find(page => page.url === `${ORIGIN}/broken`);
+    assert.equal(broken.seoScore, undefined);
+    assert.match(broken.analysisError, /reading 'length'/);
+    assert.equal(report.rollup.pagesAnalyzed, 2);
+    assert.equal(report.rollup.avgSeoScore, 80);
+  });
+});
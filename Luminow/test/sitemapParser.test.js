@@ -0,0 +1,59 @@
+/**
+ * SitemapParser: plain and gzipped sitemaps, and the size cap on downloads
+ * and gzip output (oversize sitemaps are recorded as errors)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'zlib';
+import { SitemapParser } from '../src/scrapers/sitemapParser.js';
+
+const SITE = 'https://shop.example';
+
+const urlset = locs => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `<url><loc>${loc}</loc></url>`).join('\n')}
+</urlset>`;
+
+// Network stand-in (the URL policy performs every fetch): path -> body
+const network = bodies => ({
+  fetch: async (url) => {
+    const body = bodies[new URL(url).pathname];
+    return body === undefined ? new Response('Not found', { status: 404 }) : new Response(body);
+  },
+});
+
+describe('SitemapParser.discover', () => {
+  test('reads plain and gzipped sitemaps', async () => {
+    const parser = new SitemapParser({
+      urlPolicy: network({
+        '/sitemap.xml': urlset([`${SITE}/a`]),
+        '/products.xml.gz': gzipSync(urlset([`${SITE}/products/b`])),
+      }),
+    });
+    const { urls, sitemaps } = await parser.discover(SITE, [`${SITE}/products.xml.gz`]);
+
+    assert.deepEqual(urls.map(url => url.loc).sort(), [`${SITE}/a`, `${SITE}/products/b`]);
+    assert.ok(sitemaps.every(sitemap => !sitemap.error));
+  });
+
+  test('records a gzip bomb and an oversize download as errors', async () => {
+    const bomb = gzipSync(Buffer.alloc(64 * 1024, ' '));
+    const parser = new SitemapParser({
+      maxBytes: 4096,
+      urlPolicy: network({
+        '/sitemap.xml': urlset([`${SITE}/a`]),
+        '/bomb.xml.gz': bomb,
+        '/huge.xml': urlset(Array.from({ length: 200 }, (_, i) => `${SITE}/p/${i}`)),
+      }),
+    });
+    const { urls, sitemaps } = await parser.discover(SITE, [`${SITE}/bomb.xml.gz`, `${SITE}/huge.xml`]);
+
+    assert.ok(bomb.length < 4096);
+    assert.deepEqual(urls.map(url => url.loc), [`${SITE}/a`]);
+    const errors = Object.fromEntries(sitemaps.map(sitemap => [new URL(sitemap.url).pathname, sitemap.error || null]));
+    assert.match(errors['/bomb.xml.gz'], /larger than 4096 bytes/);
+    assert.match(errors['/huge.xml'], /larger than 4096 bytes/);
+    assert.equal(errors['/sitemap.xml'], null);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * URL lists for batch analysis: CSV parsing, header detection, tags,
+ * validation, de-duplication and multipart uploads
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseUrlList, csvFromMultipart, normalizeTags } from '../src/utils/urlList.js';
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes, CRLF and blank rows', () => {
+    const rows = parseCsv('url,note\r\n"https://a.example/x","says ""hi"", twice"\r\n\r\nhttps://b.example,\n');
+    assert.deepEqual(rows, [
+      ['url', 'note'],
+      ['https://a.example/x', 'says "hi", twice'],
+      ['https://b.example', ''],
+    ]);
+  });
+
+  test('detects semicolon-delimited exports and strips a BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFURL;Tags\nhttps://a.example;shoes'), [['URL', 'Tags'], ['https://a.example', 'shoes']]);
+  });
+});
+
+describe('parseUrlList', () => {
+  test('reads url and tags columns from a header row', () => {
+    const { entries, rejected } = parseUrlList({
+      csv: 'SKU,Product URL,Tags\nA1,https://shop.example/products/a,"shoes; sale"\nA2,,x\n',
+    });
+    assert.deepEqual(entries, [{ url: 'https://shop.example/products/a', tags: ['shoes', 'sale'], row: 2 }]);
+    assert.deepEqual(rejected, [{ row: 3, value: '', reason: 'Missing URL' }]);
+  });
+
+  test('headerless CSV: first column is the URL, the rest are tags', () => {
+    const { entries } = parseUrlList({ csv: 'https://shop.example/a,shoes,sale\nhttps://shop.example/b\n' });
+    assert.deepEqual(entries, [
+      { url: 'https://shop.example/a', tags: ['shoes', 'sale'], row: 1 },
+      { url: 'https://shop.example/b', tags: [], row: 2 },
+    ]);
+  });
+
+  test('JSON lists: merges duplicates, rejects non-http URLs and applies the limit', () => {
+    const { entries, rejected, duplicates } = parseUrlList({
+      urls: [
+        'https://shop.example/a',
+        { url: 'https://shop.example/a', tags: 'sale' },
+        'javascript:alert(1)',
+        'https://shop.example/b',
+        'https://shop.example/c',
+      ],
+    }, { maxUrls: 2 });
+
+    assert.deepEqual(entries, [
+      { url: 'https://shop.example/a', tags: ['sale'], row: 1 },
+      { url: 'https://shop.example/b', tags: [], row: 4 },
+    ]);
+    assert.equal(duplicates, 1);
+    assert.deepEqual(rejected.map(r => [r.row, r.reason]), [[3, 'Not an http(s) URL'], [5, 'Over the 2 URL limit']]);
+  });
+
+  test('normalizes tag strings and arrays', () => {
+    assert.deepEqual(normalizeTags('a | b;a,c'), ['a', 'b', 'c']);
+    assert.deepEqual(normalizeTags([' x ', '', 'x']), ['x']);
+  });
+});
+
+describe('csvFromMultipart', () => {
+  test('extracts the uploaded file', () => {
+    const body = [
+      '--XyZ',
+      'Content-Disposition: form-data; name="note"',
+      '',
+      'ignored',
+      '--XyZ',
+      'Content-Disposition: form-data; name="file"; filename="urls.csv"',
+      'Content-Type: text/csv',
+      '',
+      'url\nhttps://a.example',
+      '--XyZ--',
+      '',
+    ].join('\r\n');
+    assert.equal(csvFromMultipart(body, 'multipart/form-data; boundary=XyZ'), 'url\nhttps://a.example');
+    assert.equal(csvFromMultipart(body, 'multipart/form-data'), null);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * WebScraper: the audits that add requests to the target site are opt-in, and
+ * rendered scrapes (with a fake browser pool) take lab vitals in their own
+ * throttled navigation, so a measurement that times out leaves performance
+ * null instead of failing the scrape
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebScraper } from '../src/scrapers/webScraper.js';
+import { analysisParams } from '../src/jobs/analysisJob.js';
+
+const PAGE_URL = 'https://shop.example/products/sofa';
+const HTML = '<html><head><title>Sofa</title></head><body><h1>Sofa</h1><p>A comfortable sofa.</p></body></html>';
+
+// Puppeteer page stand-in; once throttled, navigation times out like a heavy page would
+const fakePage = () => {
+  const page = {
+    throttled: false,
+    setDefaultNavigationTimeout() {},
+    setDefaultTimeout() {},
+    async setUserAgent() {},
+    async setViewport() {},
+    on() {},
+    async emulateNetworkConditions(conditions) { page.throttled = conditions !== null; },
+    async emulateCPUThrottling() {},
+    async evaluateOnNewDocument() {},
+    target: () => ({
+      createCDPSession: async () => ({ send: async () => {}, on() {}, detach: async () => {} }),
+    }),
+    tracing: { start: async () => {}, stop: async () => {} },
+    async goto() {
+      if (page.throttled) throw new Error('Navigation timeout of 45000 ms exceeded');
+      return { status: () => 200, headers: () => ({ 'content-type': 'text/html' }) };
+    },
+    url: () => PAGE_URL,
+    content: async () => HTML,
+    evaluate: async () => ({ text: 'Sofa A comfortable sofa.', headings: ['Sofa'] }),
+  };
+  return page;
+};
+
+const fakePool = () => ({
+  pages: [],
+  async withPage(job) {
+    const page = fakePage();
+    this.pages.push(page);
+    return job(page);
+  },
+});
+
+const scraperWith = (browserPool, options = {}) => new WebScraper({
+  browserPool,
+  urlPolicy: null,
+  mobileAudit: false,
+  botProbe: false,
+  aiFilesAudit: false,
+  shopifyCatalog: false,
+  ...options,
+});
+
+describe('WebScraper.scrapeRendered', () => {
+  test('extracts from an unthrottled page and survives a timed-out measurement', async () => {
+    const pool = fakePool();
+    const pageData = await scraperWith(pool, { collectPerformance: true }).scrapeRendered(PAGE_URL);
+
+    assert.equal(pageData.title, 'Sofa');
+    assert.equal(pageData.statusCode, 200);
+    assert.equal(pageData.performance, null);
+    assert.deepEqual(pool.pages.map(page => page.throttled), [false, true]);
+  });
+
+  test('opens no measurement page when performance collection is off', async () => {
+    const pool = fakePool();
+    await scraperWith(pool, { collectPerformance: false }).scrapeRendered(PAGE_URL);
+    assert.equal(pool.pages.length, 1);
+  });
+});
+
+describe('WebScraper audits', () => {
+  // Network stand-in that counts requests (the URL policy performs live fetches)
+  const network = () => {
+    const requests = [];
+    return {
+      requests,
+      fetch: async (url, init = {}) => {
+        requests.push({ url, userAgent: init.headers?.['User-Agent'] });
+        if (url === PAGE_URL) return new Response(HTML, { headers: { 'content-type': 'text/html' } });
+        return new Response('Not found', { status: 404 });
+      },
+    };
+  };
+
+  test('a default scrape fetches only the page and robots.txt', async () => {
+    const live = network();
+    const pageData = await new WebScraper({ urlPolicy: live }).scrape(PAGE_URL, { mode: 'static' });
+
+    assert.deepEqual(live.requests.map(request => request.url), [PAGE_URL, 'https://shop.example/robots.txt']);
+    assert.equal(pageData.botAccess, undefined);
+    assert.equal(pageData.aiFiles, undefined);
+  });
+
+  test('requested audits add their requests', async () => {
+    const live = network();
+    await new WebScraper({ urlPolicy: live, botProbe: true, aiFilesAudit: true }).scrape(PAGE_URL, { mode: 'static' });
+
+    assert.ok(live.requests.some(request => /GPTBot/.test(request.userAgent)));
+    assert.ok(live.requests.some(request => request.url === 'https://shop.example/llms.txt'));
+  });
+
+  test('analysis requests opt in with `true` only', () => {
+    const params = analysisParams({ url: PAGE_URL, mobileAudit: true, botProbe: 'yes' });
+    assert.equal(params.mobileAudit, true);
+    assert.equal(params.botProbe, false);
+    assert.equal(params.aiFilesAudit, false);
+    assert.equal(params.shopifyCatalog, false);
+  });
+});